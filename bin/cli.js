@@ -8,15 +8,27 @@
 const { Command } = require('commander');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const Scanner = require('../src/scanner');
-const { ConsoleFormatter, JsonFormatter, SarifFormatter, SummaryFormatter } = require('../src/formatters');
+const { loadConfig, mergeOptions } = require('../src/config');
+const { loadParameters, isOverride } = require('../src/utils/parameters');
+const { findRepoRoot, loadBaseline, writeBaseline } = require('../src/utils/baseline');
+const { DEFAULT_CACHE_FILE } = require('../src/utils/cache');
+const { ChangeSetAnalyzer } = require('../src/changeSet');
+const {
+  ConsoleFormatter, JsonFormatter, SarifFormatter, SummaryFormatter, ChangeSetFormatter,
+} = require('../src/formatters');
+
+// Exit code of `cfn-scan changeset` when the change introduces new findings at or above --fail-on
+const REGRESSION_EXIT_CODE = 2;
 
 const program = new Command();
 
 program
   .name('cfn-scan')
   .description('Security scanner for AWS CloudFormation templates')
-  .version('1.0.0');
+  .version('1.0.0')
+  .enablePositionalOptions();
 
 program
   .argument('[path]', 'File or directory to scan', '.')
@@ -26,48 +38,167 @@ program
   .option('--skip <rules>', 'Comma-separated list of rule IDs to skip', '')
   .option('--include <rules>', 'Comma-separated list of rule IDs to include (all others excluded)', '')
   .option('--framework <framework>', 'Filter rules by compliance framework (CIS, SOC2, HIPAA, PCI-DSS)', 'all')
+  .option('--cdk', 'Scan a CDK cloud assembly (cdk.out) using its manifest.json')
+  .option('-p, --parameters <file|key=value>', 'Parameter file or key=value override (repeatable)', collect, [])
+  .option('-j, --jobs <n>', 'Number of worker threads for directory scans (default: CPU count)')
+  .option('--cache [file]', `Reuse results for unchanged files (default file: ${DEFAULT_CACHE_FILE})`)
+  .option('--baseline <file>', 'Report findings recorded in this baseline as EXISTING instead of failing')
+  .option('--write-baseline <file>', 'Write all current findings to a baseline file')
+  .option('--changed-since <ref>', 'Only scan templates added or modified since this git ref (local repository)')
+  .option('--changed-lines', 'With --changed-since, only report resources whose definition lines changed')
+  .option('--rules-dir <path>', 'Load additional rules from a directory (repeatable)', collect, [])
+  .option('-c, --config <file>', 'Path to config file (default: nearest .cfn-scanner.json/.yaml/.yml)')
   .option('--list-rules', 'List all available rules and exit')
   .option('--output-file <file>', 'Write output to file instead of stdout')
   .option('-q, --quiet', 'Suppress banner and summary output')
   .option('--no-color', 'Disable colored output')
-  .action(async (scanPath, options) => {
+  .action(async (scanPath, options, command) => {
     try {
-      await runScanner(scanPath, options);
+      await runScanner(scanPath, options, command);
     } catch (error) {
       console.error(`Error: ${error.message}`);
       process.exit(1);
     }
   });
 
-async function runScanner(scanPath, options) {
+program
+  .command('changeset')
+  .description('Compare the findings and resource changes between two versions of a template')
+  .option('--before <file>', 'Template currently deployed')
+  .option('--after <file>', 'Template to be deployed')
+  .option('--change-set <file>', 'Saved `aws cloudformation describe-change-set` output (JSON)')
+  .option('-o, --output <format>', 'Output format (console, json, sarif)', 'console')
+  .option('-f, --fail-on <level>', `Exit with code ${REGRESSION_EXIT_CODE} if new findings at this severity or higher (INFO, LOW, MEDIUM, HIGH, CRITICAL), or on data loss`, 'HIGH')
+  .option('--skip <rules>', 'Comma-separated list of rule IDs to skip', '')
+  .option('--include <rules>', 'Comma-separated list of rule IDs to include (all others excluded)', '')
+  .option('-p, --parameters <file|key=value>', 'Parameter file or key=value override for both versions (repeatable)', collect, [])
+  .option('--rules-dir <path>', 'Load additional rules from a directory (repeatable)', collect, [])
+  .option('-c, --config <file>', 'Path to config file (default: nearest .cfn-scanner.json/.yaml/.yml)')
+  .option('--output-file <file>', 'Write output to file instead of stdout')
+  .option('--no-color', 'Disable colored output')
+  .action(async (options, command) => {
+    try {
+      await runChangeSet(options, command);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+async function runChangeSet(options, command) {
+  const anchor = path.resolve(options.after || options.before || options.changeSet || '.');
+  const { config, path: configPath } = loadConfig({ scanPath: anchor, configPath: options.config });
+  const cliKeys = { failOn: 'failOn', includeRules: 'include' };
+  const settings = mergeOptions(
+    {
+      failOn: options.failOn,
+      framework: 'all',
+      skipRules: options.skip ? options.skip.split(',').map(r => r.trim()) : [],
+      includeRules: options.include ? options.include.split(',').map(r => r.trim()) : [],
+      rulesDirs: options.rulesDir.map(dir => path.resolve(dir)),
+    },
+    config,
+    key => command.getOptionValueSource(cliKeys[key]) === 'cli'
+  );
+
+  const analyzer = new ChangeSetAnalyzer({
+    failOnSeverity: settings.failOn,
+    skipRules: settings.skipRules,
+    includeRules: settings.includeRules,
+    framework: settings.framework,
+    rulesDirs: settings.rulesDirs,
+    plugins: settings.plugins,
+    baseDir: configPath ? path.dirname(configPath) : process.cwd(),
+    parameters: loadParameters(options.parameters),
+    pairParameterFiles: !options.parameters.some(value => !isOverride(value)),
+  });
+
+  const report = await analyzer.analyze({
+    before: options.before,
+    after: options.after,
+    changeSet: options.changeSet,
+  });
+
+  const output = new ChangeSetFormatter({ format: options.output, color: options.color !== false }).format(report);
+  if (options.outputFile) {
+    fs.writeFileSync(options.outputFile, output);
+  } else {
+    console.log(output);
+  }
+
+  if (report.regression) {
+    process.exit(REGRESSION_EXIT_CODE);
+  }
+}
+
+async function runScanner(scanPath, options, command) {
   // Show banner unless quiet mode
   if (!options.quiet) {
     printBanner();
   }
 
+  // Resolve path
+  const absolutePath = path.resolve(scanPath);
+
+  // Load config file and merge CLI flags over it
+  const { config, path: configPath } = loadConfig({ scanPath: absolutePath, configPath: options.config });
+  const cliKeys = { severity: 'severity', failOn: 'failOn', framework: 'framework', includeRules: 'include' };
+  const settings = mergeOptions(
+    {
+      severity: options.severity,
+      failOn: options.failOn,
+      framework: options.framework,
+      skipRules: options.skip ? options.skip.split(',').map(r => r.trim()) : [],
+      includeRules: options.include ? options.include.split(',').map(r => r.trim()) : [],
+      rulesDirs: options.rulesDir.map(dir => path.resolve(dir)),
+    },
+    config,
+    key => command.getOptionValueSource(cliKeys[key]) === 'cli'
+  );
+
+  if (configPath && !options.quiet) {
+    console.log(`Using config: ${configPath}`);
+  }
+
+  // Plugins are resolved from the config file's directory
+  const baseDir = configPath ? path.dirname(configPath) : process.cwd();
+
   // List rules if requested
   if (options.listRules) {
-    await listRules(options);
+    listRules(settings, baseDir);
     return;
   }
 
-  // Resolve path
-  const absolutePath = path.resolve(scanPath);
-
   if (!fs.existsSync(absolutePath)) {
     throw new Error(`Path not found: ${absolutePath}`);
   }
 
-  // Parse skip and include rules
-  const skipRules = options.skip ? options.skip.split(',').map(r => r.trim()) : [];
-  const includeRules = options.include ? options.include.split(',').map(r => r.trim()) : [];
+  if (options.changedLines && !options.changedSince) {
+    throw new Error('--changed-lines requires --changed-since');
+  }
+
+  // An explicit parameter file replaces the <template>.parameters.json convention
+  const parameters = loadParameters(options.parameters);
+  const hasParameterFile = options.parameters.some(value => !isOverride(value));
 
   // Initialize scanner
   const scanner = new Scanner({
-    failOnSeverity: options.failOn,
-    skipRules,
-    includeRules,
-    framework: options.framework,
+    failOnSeverity: settings.failOn,
+    skipRules: settings.skipRules,
+    includeRules: settings.includeRules,
+    framework: settings.framework,
+    exclude: settings.exclude,
+    rulesDirs: settings.rulesDirs,
+    plugins: settings.plugins,
+    baseDir,
+    parameters,
+    pairParameterFiles: !hasParameterFile,
+    jobs: parseJobs(options.jobs),
+    cache: options.cache === true ? DEFAULT_CACHE_FILE : options.cache,
+    baseline: options.baseline ? loadBaseline(options.baseline) : null,
+    repoRoot: findRepoRoot(absolutePath),
+    changedSince: options.changedSince,
+    changedLinesOnly: Boolean(options.changedLines),
   });
 
   await scanner.initialize();
@@ -80,19 +211,25 @@ async function runScanner(scanPath, options) {
   const stats = fs.statSync(absolutePath);
   let fileResults = [];
 
-  if (stats.isDirectory()) {
+  if (options.cdk) {
+    fileResults = await scanner.scanCloudAssembly(absolutePath);
+  } else if (stats.isDirectory()) {
     fileResults = await scanner.scanDirectory(absolutePath);
   } else {
     const result = await scanner.scanFile(absolutePath);
     fileResults = [result];
   }
 
+  if (scanner.cache && !options.quiet) {
+    console.log(`Cache: ${scanner.cache.hits} unchanged, ${scanner.cache.misses} scanned\n`);
+  }
+
   // Get all results
   const allResults = scanner.getResults();
 
   // Filter by minimum severity
   const severityOrder = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
-  const minSeverityIndex = severityOrder.indexOf(options.severity);
+  const minSeverityIndex = severityOrder.indexOf(settings.severity);
   const filteredResults = allResults.filter(r => {
     const resultSeverityIndex = severityOrder.indexOf(r.severity);
     return resultSeverityIndex >= minSeverityIndex;
@@ -117,12 +254,37 @@ async function runScanner(scanPath, options) {
     printSummary(scanner.getSummary());
   }
 
+  // Accept every current finding; the scan does not fail while writing a baseline
+  if (options.writeBaseline) {
+    const baseline = writeBaseline(options.writeBaseline, allResults, findRepoRoot(absolutePath));
+    if (!options.quiet) {
+      console.log(`Baseline written to: ${options.writeBaseline} (${baseline.findings.length} findings)`);
+    }
+    return;
+  }
+
   // Exit with error code if findings exceed threshold
   if (scanner.shouldFail()) {
     process.exit(1);
   }
 }
 
+function parseJobs(value) {
+  if (value === undefined) {
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid --jobs value "${value}": expected a positive integer`);
+  }
+  return jobs;
+}
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 function getFormatter(format, options) {
   switch (format.toLowerCase()) {
     case 'json':
@@ -156,6 +318,8 @@ function printSummary(summary) {
   console.log(`Passed:           ${summary.passed}`);
   console.log(`Failed:           ${summary.failed}`);
   console.log(`Skipped:          ${summary.skipped}`);
+  console.log(`Suppressed:       ${summary.suppressed}`);
+  console.log(`Existing:         ${summary.existing}`);
   console.log(`Errors:           ${summary.errors}`);
   console.log('');
   console.log('Findings by severity:');
@@ -167,51 +331,58 @@ function printSummary(summary) {
   console.log('═'.repeat(60));
 }
 
-async function listRules(options) {
-  const { loadAllRules } = require('../src/rules');
-  const rules = loadAllRules();
+function listRules(settings, baseDir) {
+  const { loadRules } = require('../src/ruleLoader');
+  const rules = loadRules({ rulesDirs: settings.rulesDirs, plugins: settings.plugins, baseDir });
 
   // Filter by framework if specified
   let filteredRules = rules;
-  if (options.framework && options.framework !== 'all') {
-    filteredRules = rules.filter(r => r.frameworks?.includes(options.framework));
+  if (settings.framework && settings.framework !== 'all') {
+    filteredRules = rules.filter(r => r.frameworks?.includes(settings.framework));
   }
 
   console.log(`\nAvailable Rules (${filteredRules.length} total):\n`);
-  console.log('─'.repeat(100));
+  console.log('─'.repeat(130));
   console.log(
     padRight('ID', 20) +
     padRight('Severity', 12) +
     padRight('Category', 18) +
-    'Name'
+    padRight('Name', 50) +
+    'Source'
   );
-  console.log('─'.repeat(100));
+  console.log('─'.repeat(130));
 
   // Group by category
   const byCategory = {};
   for (const rule of filteredRules) {
-    if (!byCategory[rule.category]) {
-      byCategory[rule.category] = [];
+    const category = rule.category || 'general';
+    if (!byCategory[category]) {
+      byCategory[category] = [];
     }
-    byCategory[rule.category].push(rule);
+    byCategory[category].push(rule);
   }
 
   for (const [category, categoryRules] of Object.entries(byCategory).sort()) {
     for (const rule of categoryRules.sort((a, b) => a.id.localeCompare(b.id))) {
       console.log(
         padRight(rule.id, 20) +
-        padRight(rule.severity, 12) +
-        padRight(rule.category, 18) +
-        rule.name
+        padRight(rule.severity || 'MEDIUM', 12) +
+        padRight(category, 18) +
+        padRight(rule.name || rule.id, 50) +
+        formatSource(rule.source)
       );
     }
   }
 
-  console.log('─'.repeat(100));
+  console.log('─'.repeat(130));
   console.log(`\nFrameworks: CIS, SOC2, HIPAA, PCI-DSS`);
   console.log(`Use --framework <name> to filter rules by compliance framework`);
 }
 
+function formatSource(source) {
+  return path.isAbsolute(source) ? path.relative(process.cwd(), source) : source;
+}
+
 function padRight(str, len) {
   return str.padEnd(len);
 }
@@ -105,9 +105,21 @@ const SERVICE_CONFIG = {
   SecretsManager: {
     file: 'secretsmanager.js',
     prefix: 'CFN_SECRETS',
-    resourceTypes: ['AWS::SecretsManager::Secret', 'AWS::SecretsManager::RotationSchedule'],
+    resourceTypes: ['AWS::SecretsManager::Secret', 'AWS::SecretsManager::RotationSchedule', 'AWS::SecretsManager::ResourcePolicy'],
     commonChecks: ['encryption', 'rotation', 'hardcoded'],
   },
+  ECR: {
+    file: 'ecr.js',
+    prefix: 'CFN_ECR',
+    resourceTypes: ['AWS::ECR::Repository'],
+    commonChecks: ['policy'],
+  },
+  EventBridge: {
+    file: 'events.js',
+    prefix: 'CFN_EVENTS',
+    resourceTypes: ['AWS::Events::EventBus', 'AWS::Events::EventBusPolicy'],
+    commonChecks: ['policy'],
+  },
 };
 
 // Rule template
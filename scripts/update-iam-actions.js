@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * IAM Action Catalog Updater
+ *
+ * Regenerates src/analysis/data/iamActions.json from the AWS Service
+ * Authorization Reference (machine-readable service reference files), or
+ * from an unpacked copy of the @cloud-copilot/iam-data npm package, which
+ * is built from the same reference, where the reference cannot be reached.
+ * Each action is filed under its access level: Permissions management,
+ * Tagging, Write, List or Read. The catalog's `source` records which of
+ * the two was read.
+ *
+ * Usage:
+ *   node scripts/update-iam-actions.js                      Refresh the services already in the catalog
+ *   node scripts/update-iam-actions.js --services a,b       Refresh and add the given services
+ *   node scripts/update-iam-actions.js --all                Include every service
+ *   node scripts/update-iam-actions.js --package <dir>      Read the package unpacked in <dir> (`npm pack @cloud-copilot/iam-data`)
+ *   node scripts/update-iam-actions.js --dry-run            Show the changes without writing the catalog
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+const REFERENCE_URL = 'https://servicereference.us-east-1.amazonaws.com/';
+const CATALOG_FILE = path.join(__dirname, '../src/analysis/data/iamActions.json');
+const ACCESS_LEVELS = ['List', 'Read', 'Write', 'Permissions management', 'Tagging'];
+// An action with several access levels is filed under the first of them here
+const ACCESS_LEVEL_PRECEDENCE = ['Permissions management', 'Tagging', 'Write', 'List', 'Read'];
+
+function getJson(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers: { 'User-Agent': 'cfn-security-scanner' } }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Service reference error: ${res.statusCode} for ${url}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Access level of an action from its service reference annotations
+ */
+function accessLevelOf(action) {
+  const properties = action.Annotations?.Properties || {};
+  if (properties.IsPermissionManagement) return 'Permissions management';
+  if (properties.IsTaggingOnly) return 'Tagging';
+  if (properties.IsWrite) return 'Write';
+  if (properties.IsList) return 'List';
+  return 'Read';
+}
+
+/**
+ * Access level of an action from the package, which lists several as "Write, Tagging"
+ */
+function packageAccessLevelOf(action) {
+  const levels = String(action.accessLevel || '').split(',').map(level => level.trim());
+  return ACCESS_LEVEL_PRECEDENCE.find(level => levels.includes(level)) || 'Read';
+}
+
+/**
+ * Catalog entry of a service: action names by access level, sorted.
+ * `actions` are [name, accessLevel] pairs.
+ */
+function serviceEntry(actions) {
+  const levels = {};
+  for (const [name, level] of actions) {
+    (levels[level] = levels[level] || []).push(name);
+  }
+
+  const entry = {};
+  for (const level of ACCESS_LEVELS) {
+    if (levels[level]) {
+      entry[level] = [...new Set(levels[level])].sort();
+    }
+  }
+  return entry;
+}
+
+function countActions(entry = {}) {
+  return Object.values(entry).reduce((total, names) => total + names.length, 0);
+}
+
+/**
+ * Where to read services from: { source, services: [name], read(name) }
+ */
+async function openReference(packageDir) {
+  if (packageDir) {
+    const actionsDir = path.join(packageDir, 'data', 'actions');
+    const { name, version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    return {
+      source: `AWS Service Authorization Reference, via ${name} ${version}`,
+      services: fs.readdirSync(actionsDir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)),
+      read: async (service) => {
+        const actions = JSON.parse(fs.readFileSync(path.join(actionsDir, `${service}.json`), 'utf8'));
+        return Object.values(actions).map(action => [action.name, packageAccessLevelOf(action)]);
+      },
+    };
+  }
+
+  const index = await getJson(REFERENCE_URL);
+  const urls = new Map(index.map(item => [item.service, item.url]));
+  return {
+    source: REFERENCE_URL,
+    services: [...urls.keys()],
+    read: async (service) => ((await getJson(urls.get(service))).Actions || []).map(action => [action.Name, accessLevelOf(action)]),
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const current = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  const servicesArg = args.includes('--services') ? args[args.indexOf('--services') + 1] : '';
+  const packageDir = args.includes('--package') ? path.resolve(args[args.indexOf('--package') + 1]) : null;
+
+  const reference = await openReference(packageDir);
+  const available = new Set(reference.services);
+
+  const wanted = args.includes('--all')
+    ? [...available]
+    : [...new Set([...Object.keys(current.services), ...servicesArg.split(',').map(s => s.trim()).filter(Boolean)])];
+
+  const services = {};
+  for (const service of wanted.sort()) {
+    if (!available.has(service)) {
+      console.warn(`Skipping ${service}: not in the service reference`);
+      continue;
+    }
+
+    services[service] = serviceEntry(await reference.read(service));
+    const before = countActions(current.services[service]);
+    const after = countActions(services[service]);
+    if (before !== after) {
+      console.log(`  ${service}: ${before} -> ${after} actions`);
+    }
+  }
+
+  const total = Object.values(services).reduce((sum, entry) => sum + countActions(entry), 0);
+  console.log(`${Object.keys(services).length} services, ${total} actions`);
+
+  if (args.includes('--dry-run')) {
+    return;
+  }
+
+  fs.writeFileSync(CATALOG_FILE, JSON.stringify({ source: reference.source, services }, null, 2) + '\n');
+  console.log(`Catalog written: ${CATALOG_FILE}`);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
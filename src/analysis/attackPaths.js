@@ -0,0 +1,497 @@
+/**
+ * Attack Paths - Routes from internet-facing entry points to data stores
+ *
+ * Entry points are resources the internet can reach: internet-facing load
+ * balancers, CloudFront distributions, API Gateway APIs, Lambda function URLs
+ * without authentication, EC2 instances with a public IP address, publicly
+ * accessible RDS instances and S3 buckets with a public bucket policy. From
+ * each one the analysis follows where requests go (listeners, target groups,
+ * integrations, origins), the compute serving them, its IAM role and the data
+ * stores it is given in environment variables, user data or over the network,
+ * until it reaches an RDS database, DynamoDB table, S3 bucket, Secrets Manager
+ * secret or ElastiCache cluster. The shortest path from each entry point to
+ * each data store is kept and scored from 1 to 100.
+ */
+
+const { isUnknown, isTrue, isFalse } = require('../utils/intrinsics');
+const { identityPolicies, policyStatements, statementCoversAction, toList } = require('./iamPolicies');
+const { analyzeResourcePolicies } = require('./resourcePolicy');
+const { networkModel, formatPorts } = require('./network');
+
+/**
+ * Data stores, how sensitive their contents are and the actions reading or
+ * changing them
+ */
+const DATA_STORES = {
+  'AWS::RDS::DBInstance': {
+    label: 'RDS instance',
+    sensitivity: 0.9,
+    service: 'rds',
+    write: ['rds-db:connect', 'rds-data:ExecuteStatement', 'rds-data:BatchExecuteStatement'],
+  },
+  'AWS::RDS::DBCluster': {
+    label: 'RDS cluster',
+    sensitivity: 0.9,
+    service: 'rds',
+    write: ['rds-db:connect', 'rds-data:ExecuteStatement', 'rds-data:BatchExecuteStatement'],
+  },
+  'AWS::DynamoDB::Table': {
+    label: 'DynamoDB table',
+    sensitivity: 0.9,
+    service: 'dynamodb',
+    read: ['dynamodb:GetItem', 'dynamodb:BatchGetItem', 'dynamodb:Query', 'dynamodb:Scan'],
+    write: ['dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem', 'dynamodb:BatchWriteItem'],
+  },
+  'AWS::DynamoDB::GlobalTable': {
+    label: 'DynamoDB global table',
+    sensitivity: 0.9,
+    service: 'dynamodb',
+    read: ['dynamodb:GetItem', 'dynamodb:BatchGetItem', 'dynamodb:Query', 'dynamodb:Scan'],
+    write: ['dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem', 'dynamodb:BatchWriteItem'],
+  },
+  'AWS::S3::Bucket': {
+    label: 'S3 bucket',
+    sensitivity: 0.8,
+    service: 's3',
+    read: ['s3:GetObject', 's3:ListBucket'],
+    write: ['s3:PutObject', 's3:DeleteObject'],
+  },
+  'AWS::SecretsManager::Secret': {
+    label: 'Secrets Manager secret',
+    sensitivity: 1,
+    service: 'secretsmanager',
+    read: ['secretsmanager:GetSecretValue'],
+    write: ['secretsmanager:PutSecretValue', 'secretsmanager:UpdateSecret'],
+  },
+  'AWS::ElastiCache::CacheCluster': {
+    label: 'ElastiCache cluster',
+    sensitivity: 0.7,
+    service: 'elasticache',
+    write: ['elasticache:Connect'],
+  },
+  'AWS::ElastiCache::ReplicationGroup': {
+    label: 'ElastiCache replication group',
+    sensitivity: 0.7,
+    service: 'elasticache',
+    write: ['elasticache:Connect'],
+  },
+};
+
+/**
+ * Entry point types: why a resource of the type is reachable from the
+ * internet (null when it is not) and how exposed it is
+ */
+const ENTRY_POINTS = {
+  'AWS::ElasticLoadBalancingV2::LoadBalancer': {
+    exposure: 0.9,
+    reason: p => {
+      if (p.Scheme === 'internal' || p.Type === 'gateway') {
+        return null;
+      }
+      return `internet-facing ${p.Type === 'network' ? 'network' : 'application'} load balancer`;
+    },
+  },
+  'AWS::ElasticLoadBalancing::LoadBalancer': {
+    exposure: 0.9,
+    reason: p => (p.Scheme === 'internal' ? null : 'internet-facing classic load balancer'),
+  },
+  'AWS::CloudFront::Distribution': {
+    exposure: 0.8,
+    reason: p => (isFalse(p.DistributionConfig?.Enabled) ? null : 'CloudFront distribution'),
+  },
+  'AWS::ApiGateway::RestApi': {
+    exposure: 0.8,
+    reason: p => (toList(p.EndpointConfiguration?.Types).includes('PRIVATE') ? null : 'API Gateway REST API'),
+  },
+  'AWS::ApiGatewayV2::Api': {
+    exposure: 0.8,
+    reason: p => `API Gateway ${p.ProtocolType === 'WEBSOCKET' ? 'WebSocket' : 'HTTP'} API`,
+  },
+  'AWS::Lambda::Url': {
+    exposure: 1,
+    reason: p => (p.AuthType === 'NONE' ? 'Lambda function URL without authentication' : null),
+  },
+  'AWS::EC2::Instance': {
+    exposure: 0.9,
+    reason: (p, graph, name) => (hasPublicIp(graph, name, p) ? 'EC2 instance with a public IP address' : null),
+  },
+  'AWS::RDS::DBInstance': {
+    exposure: 1,
+    reason: p => (isTrue(p.PubliclyAccessible) ? 'publicly accessible RDS instance' : null),
+  },
+  'AWS::S3::Bucket': {
+    exposure: 1,
+    reason: (p, graph, name) => {
+      const policy = publicBucketPolicy(graph, name);
+      return policy ? `S3 bucket with a public bucket policy (${policy})` : null;
+    },
+  },
+};
+
+// How much of a data store the last step of a path can reach
+const ACCESS = {
+  direct: 1,
+  write: 1,
+  read: 0.9,
+  origin: 0.9,
+  network: 0.8,
+  reference: 0.7,
+};
+
+const HOP_FACTOR = 0.95;
+const MAX_STEPS = 12;
+
+const COMPUTE_TYPES = ['AWS::EC2::Instance', 'AWS::Lambda::Function'];
+const TARGET_GROUP = 'AWS::ElasticLoadBalancingV2::TargetGroup';
+const INSTANCE_PROFILE = 'AWS::IAM::InstanceProfile';
+const ROLE = 'AWS::IAM::Role';
+const STORE_TYPES = Object.keys(DATA_STORES);
+
+/**
+ * Where requests and access go from a resource of each type:
+ * (graph, name) => [{ to, via, access? }]
+ */
+const NEXT_STEPS = {
+  'AWS::ElasticLoadBalancingV2::LoadBalancer': (graph, name) =>
+    referencing(graph, name, ['AWS::ElasticLoadBalancingV2::Listener'], 'listener'),
+  'AWS::ElasticLoadBalancingV2::Listener': (graph, name) => [
+    ...referenced(graph, name, [TARGET_GROUP], 'forwards to', 'Properties.DefaultActions'),
+    ...referencing(graph, name, ['AWS::ElasticLoadBalancingV2::ListenerRule'], 'listener rule'),
+  ],
+  'AWS::ElasticLoadBalancingV2::ListenerRule': (graph, name) =>
+    referenced(graph, name, [TARGET_GROUP], 'forwards to', 'Properties.Actions'),
+  [TARGET_GROUP]: (graph, name) => [
+    ...referenced(graph, name, COMPUTE_TYPES, 'target', 'Properties.Targets'),
+    ...referencing(graph, name, ['AWS::ECS::Service', 'AWS::AutoScaling::AutoScalingGroup'], 'target'),
+  ],
+  'AWS::ElasticLoadBalancing::LoadBalancer': (graph, name) => [
+    ...referenced(graph, name, ['AWS::EC2::Instance'], 'target', 'Properties.Instances'),
+    ...referencing(graph, name, ['AWS::AutoScaling::AutoScalingGroup'], 'target'),
+  ],
+  'AWS::CloudFront::Distribution': (graph, name) =>
+    referenced(graph, name, null, 'origin', 'Properties.DistributionConfig.Origins', 'origin'),
+  'AWS::ApiGateway::RestApi': (graph, name) => [
+    ...referencing(graph, name, ['AWS::ApiGateway::Method'], 'method'),
+    ...referenced(graph, name, ['AWS::Lambda::Function'], 'integration', 'Properties.Body'),
+  ],
+  'AWS::ApiGateway::Method': (graph, name) =>
+    referenced(graph, name, ['AWS::Lambda::Function', ROLE], integrationVia, 'Properties.Integration'),
+  'AWS::ApiGatewayV2::Api': (graph, name) => [
+    ...referencing(graph, name, ['AWS::ApiGatewayV2::Integration'], 'integration'),
+    ...referenced(graph, name, ['AWS::Lambda::Function'], 'integration', 'Properties.Body'),
+  ],
+  'AWS::ApiGatewayV2::Integration': (graph, name) =>
+    referenced(graph, name, ['AWS::Lambda::Function', ROLE], integrationVia, 'Properties'),
+  'AWS::Lambda::Url': (graph, name) =>
+    referenced(graph, name, ['AWS::Lambda::Function'], 'invokes', 'Properties.TargetFunctionArn'),
+  'AWS::Lambda::Function': (graph, name) => [
+    ...referenced(graph, name, [ROLE], 'execution role', 'Properties.Role'),
+    ...referenced(graph, name, STORE_TYPES, environmentVia, 'Properties.Environment', 'reference'),
+  ],
+  'AWS::EC2::Instance': (graph, name) => [
+    ...referenced(graph, name, [INSTANCE_PROFILE], 'instance profile', 'Properties.IamInstanceProfile'),
+    ...referenced(graph, name, STORE_TYPES, 'user data', 'Properties.UserData', 'reference'),
+  ],
+  'AWS::AutoScaling::AutoScalingGroup': (graph, name) => [
+    ...referenced(graph, name, ['AWS::EC2::LaunchTemplate'], 'launch template', 'Properties.LaunchTemplate'),
+    ...referenced(graph, name, ['AWS::AutoScaling::LaunchConfiguration'], 'launch configuration', 'Properties.LaunchConfigurationName'),
+  ],
+  'AWS::EC2::LaunchTemplate': (graph, name) => [
+    ...referenced(graph, name, [INSTANCE_PROFILE], 'instance profile', 'Properties.LaunchTemplateData.IamInstanceProfile'),
+    ...referenced(graph, name, STORE_TYPES, 'user data', 'Properties.LaunchTemplateData.UserData', 'reference'),
+  ],
+  'AWS::AutoScaling::LaunchConfiguration': (graph, name) => [
+    ...referenced(graph, name, [INSTANCE_PROFILE], 'instance profile', 'Properties.IamInstanceProfile'),
+    ...referenced(graph, name, STORE_TYPES, 'user data', 'Properties.UserData', 'reference'),
+  ],
+  [INSTANCE_PROFILE]: (graph, name) => referenced(graph, name, [ROLE], 'role', 'Properties.Roles'),
+  'AWS::ECS::Service': (graph, name) =>
+    referenced(graph, name, ['AWS::ECS::TaskDefinition'], 'task definition', 'Properties.TaskDefinition'),
+  'AWS::ECS::TaskDefinition': (graph, name) => [
+    ...referenced(graph, name, [ROLE], 'task role', 'Properties.TaskRoleArn'),
+    ...referenced(graph, name, STORE_TYPES, edge => (/\.Secrets\[/.test(edge.path) ? 'container secret' : 'container environment'),
+      'Properties.ContainerDefinitions', 'reference'),
+  ],
+  [ROLE]: (graph, name) => policyAccess(graph, name),
+};
+
+/**
+ * Resources a resource references from a property, optionally limited to some types
+ */
+function referenced(graph, name, types, via, property, access) {
+  return graph.edgesFrom(name)
+    .filter(edge => edge.kind !== 'DependsOn' && edge.path.startsWith(property))
+    .filter(edge => !types || types.includes(graph.getResource(edge.to).Type))
+    .map(edge => ({
+      to: edge.to,
+      via: typeof via === 'function' ? via(edge) : via,
+      ...(access && { access }),
+    }));
+}
+
+/**
+ * Resources of some types referencing a resource
+ */
+function referencing(graph, name, types, via) {
+  return graph.edgesTo(name)
+    .filter(edge => edge.kind !== 'DependsOn' && types.includes(graph.getResource(edge.from).Type))
+    .map(edge => ({ to: edge.from, via }));
+}
+
+function integrationVia(edge) {
+  return /Credentials/.test(edge.path) ? 'integration role' : 'integration';
+}
+
+function environmentVia(edge) {
+  const variable = /\.Variables\.([^.[]+)/.exec(edge.path);
+  return variable ? `environment variable ${variable[1]}` : 'environment';
+}
+
+/**
+ * Data stores a role's identity policies allow access to: statements whose
+ * Resource references the store, or a wildcard covering the store's service
+ */
+function policyAccess(graph, roleName) {
+  const steps = [];
+
+  for (const policy of identityPolicies(graph, roleName)) {
+    const referencedStores = policy.source ? graph.edgesFrom(policy.source)
+      .filter(edge => edge.path.startsWith(`${policy.path}.Statement`) && /\.Resource\b/.test(edge.path))
+      .filter(edge => DATA_STORES[graph.getResource(edge.to).Type]) : [];
+
+    for (const { statement, index } of policyStatements(policy.document)) {
+      if (statement.Effect !== 'Allow') {
+        continue;
+      }
+      const statementPath = Array.isArray(policy.document.Statement) ? `Statement[${index}]` : 'Statement';
+      const stores = new Set(referencedStores
+        .filter(edge => edge.path.startsWith(`${policy.path}.${statementPath}.Resource`))
+        .map(edge => edge.to));
+
+      for (const store of graph.ofType(...STORE_TYPES)) {
+        const kind = DATA_STORES[graph.getResource(store).Type];
+        const level = statementAccess(statement, kind);
+        if (level && (stores.has(store) || coversStoreType(statement.Resource, kind))) {
+          steps.push({ to: store, via: `policy ${policy.policyName}, ${level}`, access: level });
+        }
+      }
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * 'write' or 'read' when a statement grants data actions of a store, else null
+ */
+function statementAccess(statement, kind) {
+  if ((kind.write || []).some(action => statementCoversAction(statement, action))) {
+    return 'write';
+  }
+  if ((kind.read || []).some(action => statementCoversAction(statement, action))) {
+    return 'read';
+  }
+  return null;
+}
+
+/**
+ * Whether a statement's Resource is a wildcard over every resource of a data
+ * store type. Wildcard ARNs may name the store's service or the service of
+ * one of its data actions (e.g. `arn:aws:rds-db:...:dbuser:...` for RDS).
+ */
+function coversStoreType(resources, kind) {
+  const services = new Set([kind.service, ...[...(kind.read || []), ...(kind.write || [])].map(action => action.split(':')[0])]);
+  return toList(resources).some(resource =>
+    resource === '*' || (resource.includes('*') && services.has(resource.split(':')[2])));
+}
+
+/**
+ * Data stores a compute resource can connect to through its security groups
+ */
+function networkAccess(graph, name) {
+  const model = networkModel(graph);
+  return graph.ofType(...STORE_TYPES)
+    .map(store => ({ store, rule: model.connection(name, store) }))
+    .filter(({ rule }) => rule)
+    .map(({ store, rule }) => ({ to: store, via: `network ${formatPorts(rule)}`, access: 'network' }));
+}
+
+function nextSteps(graph, name) {
+  const { Type } = graph.getResource(name);
+  const steps = NEXT_STEPS[Type]?.(graph, name) || [];
+  return COMPUTE_TYPES.includes(Type) ? [...steps, ...networkAccess(graph, name)] : steps;
+}
+
+/**
+ * Whether an instance gets a public IP address: from its network interfaces,
+ * an Elastic IP, or a subnet mapping public IPs on launch
+ */
+function hasPublicIp(graph, name, properties) {
+  const interfaces = toList(properties.NetworkInterfaces);
+  if (interfaces.some(networkInterface => isTrue(networkInterface?.AssociatePublicIpAddress))) {
+    return true;
+  }
+
+  const elasticIp = graph.edgesTo(name).some(edge =>
+    ['AWS::EC2::EIP', 'AWS::EC2::EIPAssociation'].includes(graph.getResource(edge.from).Type) &&
+    edge.path === 'Properties.InstanceId');
+  if (elasticIp) {
+    return true;
+  }
+
+  if (interfaces.some(networkInterface => isFalse(networkInterface?.AssociatePublicIpAddress))) {
+    return false;
+  }
+  const subnets = [properties.SubnetId, ...interfaces.map(networkInterface => networkInterface?.SubnetId)];
+  return subnets.some(subnet => {
+    const target = graph.resolve(subnet);
+    return target?.type === 'AWS::EC2::Subnet' && isTrue(target.resource.Properties?.MapPublicIpOnLaunch);
+  });
+}
+
+/**
+ * Logical ID of a bucket policy making a bucket public, or null
+ */
+function publicBucketPolicy(graph, bucketName) {
+  const policy = graph.edgesTo(bucketName)
+    .filter(edge => edge.path === 'Properties.Bucket' && graph.getResource(edge.from).Type === 'AWS::S3::BucketPolicy')
+    .map(edge => edge.from)
+    .find(name => analyzeResourcePolicies({
+      resourceType: 'AWS::S3::BucketPolicy',
+      properties: graph.getResource(name).Properties,
+      graph,
+    }).some(statement => statement.access === 'public'));
+  return policy || null;
+}
+
+/**
+ * Entry points of a template: [{ resource, type, reason, exposure, conditions? }].
+ * With `variants` (condition variants of each resource, from
+ * RuleEngine.prepare), a resource is an entry point when any variant is,
+ * and `conditions` names the first such combination.
+ */
+function findEntryPoints(graph, variants = null) {
+  const entries = [];
+  for (const [type, entryPoint] of Object.entries(ENTRY_POINTS)) {
+    for (const name of graph.ofType(type)) {
+      const candidates = variants?.[name] || [{ conditions: null, resource: graph.getResource(name) }];
+      for (const variant of candidates) {
+        const properties = variant.resource.Properties || {};
+        const reason = isUnknown(properties) ? null : entryPoint.reason(properties, graph, name);
+        if (reason) {
+          entries.push({
+            resource: name,
+            type,
+            reason,
+            exposure: entryPoint.exposure,
+            ...(variant.conditions && { conditions: variant.conditions }),
+          });
+          break;
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Shortest path from an entry point to each data store it reaches:
+ * Map of data store -> [step]
+ */
+function tracePaths(graph, entry) {
+  const paths = new Map([[entry.resource, [{ resource: entry.resource, type: entry.type, via: null, access: 'direct' }]]]);
+  const stores = new Map();
+  const queue = [entry.resource];
+
+  while (queue.length > 0) {
+    const from = queue.shift();
+    const path = paths.get(from);
+    if (DATA_STORES[graph.getResource(from).Type]) {
+      stores.set(from, path);
+      continue;
+    }
+    if (path.length >= MAX_STEPS) {
+      continue;
+    }
+
+    for (const step of nextSteps(graph, from)) {
+      if (paths.has(step.to)) {
+        continue;
+      }
+      paths.set(step.to, [...path, {
+        resource: step.to,
+        type: graph.getResource(step.to).Type,
+        via: step.via,
+        access: step.access || null,
+      }]);
+      queue.push(step.to);
+    }
+  }
+
+  return stores;
+}
+
+/**
+ * Risk score from 1 to 100: how exposed the entry point is, how sensitive the
+ * data store, how much of it the path reaches, less for every hop in between
+ */
+function riskScore(entry, steps) {
+  const target = steps[steps.length - 1];
+  const sensitivity = DATA_STORES[target.type].sensitivity;
+  const access = ACCESS[target.access] || ACCESS.reference;
+  const hops = Math.max(0, steps.length - 2);
+  return Math.max(1, Math.round(100 * entry.exposure * sensitivity * access * HOP_FACTOR ** hops));
+}
+
+function severityOf(score) {
+  if (score >= 75) return 'CRITICAL';
+  if (score >= 50) return 'HIGH';
+  if (score >= 25) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Attack paths of a template, highest risk first:
+ * [{ entry, target, riskScore, severity, steps }].
+ * Options: { variants } as for findEntryPoints
+ */
+function findAttackPaths(graph, options = {}) {
+  const attackPaths = [];
+
+  for (const entry of findEntryPoints(graph, options.variants)) {
+    for (const [store, path] of tracePaths(graph, entry)) {
+      const score = riskScore(entry, path);
+      attackPaths.push({
+        entry: {
+          resource: entry.resource,
+          type: entry.type,
+          reason: entry.reason,
+          ...(entry.conditions && { conditions: entry.conditions }),
+        },
+        target: { resource: store, type: path[path.length - 1].type, label: DATA_STORES[path[path.length - 1].type].label },
+        riskScore: score,
+        severity: severityOf(score),
+        steps: path.map(({ resource, type, via }) => ({ resource, type, via })),
+      });
+    }
+  }
+
+  return attackPaths.sort((a, b) => b.riskScore - a.riskScore ||
+    a.entry.resource.localeCompare(b.entry.resource) || a.target.resource.localeCompare(b.target.resource));
+}
+
+/**
+ * Steps of a path as text, e.g.
+ * "Api -> GetItems (method) -> ItemsFunction (integration) -> Table (environment variable TABLE)"
+ */
+function formatAttackPath(steps) {
+  return steps.map(step => (step.via ? `${step.resource} (${step.via})` : step.resource)).join(' -> ');
+}
+
+module.exports = {
+  DATA_STORES,
+  ENTRY_POINTS,
+  findEntryPoints,
+  findAttackPaths,
+  formatAttackPath,
+};
@@ -0,0 +1,118 @@
+/**
+ * IAM Actions - Offline catalog of IAM actions and their access levels
+ *
+ * The catalog (data/iamActions.json) lists the actions of each service by
+ * access level, as published in the AWS Service Authorization Reference.
+ * Policy `Action` / `NotAction` patterns are expanded against it, so rules can
+ * ask what a statement actually grants (e.g. any Permissions management action)
+ * instead of comparing action strings. Refresh it with
+ * `node scripts/update-iam-actions.js`.
+ */
+
+const catalog = require('./data/iamActions.json');
+const { matchesAction, toList } = require('./iamPolicies');
+
+const ACCESS_LEVELS = ['List', 'Read', 'Write', 'Permissions management', 'Tagging'];
+
+// action (lowercase) -> { action, service, accessLevel }
+let index = null;
+// service -> [{ action, service, accessLevel }]
+let byService = null;
+
+function actionIndex() {
+  if (!index) {
+    index = new Map();
+    byService = new Map();
+    for (const [service, levels] of Object.entries(catalog.services)) {
+      const entries = [];
+      for (const [accessLevel, names] of Object.entries(levels)) {
+        for (const name of names) {
+          const action = `${service}:${name}`;
+          const entry = { action, service, accessLevel };
+          index.set(action.toLowerCase(), entry);
+          entries.push(entry);
+        }
+      }
+      byService.set(service, entries);
+    }
+  }
+  return index;
+}
+
+function hasWildcard(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Whether an action or pattern names a service missing from the catalog,
+ * so what it covers is unknown (e.g. `newservice:*`)
+ */
+function isUncatalogued(pattern) {
+  const service = String(pattern).split(':')[0].toLowerCase();
+  actionIndex();
+  return !hasWildcard(service) && !byService.has(service);
+}
+
+/**
+ * Access level of an action, or null when it is not in the catalog
+ */
+function accessLevel(action) {
+  return actionIndex().get(String(action).toLowerCase())?.accessLevel || null;
+}
+
+/**
+ * Catalog actions matching IAM action patterns
+ */
+function expandActions(patterns) {
+  const all = actionIndex();
+  const actions = new Set();
+  for (const pattern of toList(patterns)) {
+    // Only the pattern's own service is searched unless the service part has a wildcard
+    const service = pattern.split(':')[0].toLowerCase();
+    const candidates = hasWildcard(service) ? all.values() : byService.get(service) || [];
+    for (const entry of candidates) {
+      if (matchesAction(pattern, entry.action)) {
+        actions.add(entry.action);
+      }
+    }
+  }
+  return [...actions];
+}
+
+/**
+ * Actions a statement grants or denies: the catalog actions covered by its
+ * Action, or every catalog action outside its NotAction. Literal actions
+ * missing from the catalog, and patterns over services missing from it, are
+ * kept as written.
+ */
+function statementActions(statement) {
+  if (statement.NotAction !== undefined) {
+    const excluded = toList(statement.NotAction);
+    return [...actionIndex().values()]
+      .filter(entry => !excluded.some(pattern => matchesAction(pattern, entry.action)))
+      .map(entry => entry.action);
+  }
+
+  const patterns = toList(statement.Action);
+  const unknown = patterns.filter(pattern => isUncatalogued(pattern) || (!hasWildcard(pattern) && !accessLevel(pattern)));
+  return [...expandActions(patterns), ...unknown];
+}
+
+/**
+ * Actions of a statement at one of the given access levels. Wildcards over
+ * services missing from the catalog may cover any level and are included.
+ */
+function actionsWithAccessLevel(statement, levels) {
+  const wanted = [].concat(levels);
+  return statementActions(statement)
+    .filter(action => wanted.includes(accessLevel(action)) || (hasWildcard(action) && isUncatalogued(action)));
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  accessLevel,
+  isUncatalogued,
+  expandActions,
+  statementActions,
+  actionsWithAccessLevel,
+};
@@ -0,0 +1,217 @@
+/**
+ * IAM Policies - Identity policies of the principals in a template
+ *
+ * A role, user or group gets its permissions from its inline `Policies`,
+ * from AWS::IAM::Policy and AWS::IAM::ManagedPolicy resources naming it in
+ * `Roles`/`Users`/`Groups`, and from the `ManagedPolicyArns` it lists
+ * (managed policies of the template, or well-known AWS managed policies).
+ * Users also get the policies of their groups.
+ */
+
+const { isUnknown } = require('../utils/intrinsics');
+
+const PRINCIPAL_TYPES = {
+  'AWS::IAM::Role': { list: 'Roles', nameProperty: 'RoleName', label: 'role' },
+  'AWS::IAM::User': { list: 'Users', nameProperty: 'UserName', label: 'user' },
+  'AWS::IAM::Group': { list: 'Groups', nameProperty: 'GroupName', label: 'group' },
+};
+
+const POLICY_TYPES = ['AWS::IAM::Policy', 'AWS::IAM::ManagedPolicy'];
+
+// AWS managed policies whose permissions matter to the analysis
+const AWS_MANAGED_POLICIES = {
+  AdministratorAccess: {
+    Statement: [{ Effect: 'Allow', Action: '*', Resource: '*' }],
+  },
+  IAMFullAccess: {
+    Statement: [{ Effect: 'Allow', Action: ['iam:*', 'organizations:DescribeAccount', 'organizations:DescribeOrganization'], Resource: '*' }],
+  },
+  PowerUserAccess: {
+    Statement: [
+      { Effect: 'Allow', NotAction: ['iam:*', 'organizations:*', 'account:*'], Resource: '*' },
+      { Effect: 'Allow', Action: ['iam:CreateServiceLinkedRole', 'iam:DeleteServiceLinkedRole', 'iam:ListRoles'], Resource: '*' },
+    ],
+  },
+};
+
+/**
+ * Statements of a policy document as a list, with their index
+ */
+function policyStatements(document) {
+  if (!document || typeof document !== 'object' || isUnknown(document)) {
+    return [];
+  }
+
+  const statements = Array.isArray(document.Statement) ? document.Statement : [document.Statement];
+  return statements
+    .map((statement, index) => ({ statement, index }))
+    .filter(({ statement }) => statement && typeof statement === 'object' && !isUnknown(statement));
+}
+
+/**
+ * String values of a policy element given as a string or a list
+ */
+function toList(value) {
+  return [].concat(value ?? []).filter(item => typeof item === 'string');
+}
+
+// Compiled action patterns
+const patterns = new Map();
+
+/**
+ * Match an action against an IAM action pattern (`*` and `?` wildcards, case-insensitive)
+ */
+function matchesAction(pattern, action) {
+  if (!patterns.has(pattern)) {
+    patterns.set(pattern, new RegExp(`^${pattern.split('').map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('')}$`, 'i'));
+  }
+  return patterns.get(pattern).test(action);
+}
+
+/**
+ * Check whether a statement's Action / NotAction covers an action
+ */
+function statementCoversAction(statement, action) {
+  if (statement.NotAction !== undefined) {
+    return !toList(statement.NotAction).some(pattern => matchesAction(pattern, action));
+  }
+  return toList(statement.Action).some(pattern => matchesAction(pattern, action));
+}
+
+/**
+ * Identity policies of a principal: [{ source, policyName, path, document }],
+ * where `source` is the logical ID of the resource holding the policy
+ * document and `path` the document's property path in it
+ */
+function identityPolicies(graph, principalName) {
+  const principal = graph.getResource(principalName);
+  const kind = PRINCIPAL_TYPES[principal?.Type];
+  if (!kind) {
+    return [];
+  }
+
+  const policies = principalPolicies(graph, principalName, kind);
+
+  if (principal.Type === 'AWS::IAM::User') {
+    for (const group of userGroups(graph, principalName)) {
+      policies.push(...principalPolicies(graph, group, PRINCIPAL_TYPES['AWS::IAM::Group']));
+    }
+  }
+
+  return policies;
+}
+
+function principalPolicies(graph, principalName, kind) {
+  const principal = graph.getResource(principalName);
+  const properties = principal.Properties || {};
+  const policies = [];
+
+  const inline = Array.isArray(properties.Policies) ? properties.Policies : [];
+  inline.forEach((policy, index) => {
+    if (policy?.PolicyDocument) {
+      policies.push({
+        source: principalName,
+        policyName: typeof policy.PolicyName === 'string' ? policy.PolicyName : principalName,
+        path: `Properties.Policies[${index}].PolicyDocument`,
+        document: policy.PolicyDocument,
+      });
+    }
+  });
+
+  for (const name of graph.ofType(...POLICY_TYPES)) {
+    const policy = graph.getResource(name).Properties || {};
+    const attached = toListValues(policy[kind.list]).some(value => refersTo(graph, value, principalName));
+    if (attached && policy.PolicyDocument) {
+      policies.push({ source: name, policyName: name, path: 'Properties.PolicyDocument', document: policy.PolicyDocument });
+    }
+  }
+
+  for (const arn of toListValues(properties.ManagedPolicyArns)) {
+    const managed = graph.resolve(arn);
+    if (managed?.type === 'AWS::IAM::ManagedPolicy') {
+      // Also attached through its own Roles/Users/Groups list
+      if (!policies.some(policy => policy.source === managed.name)) {
+        policies.push({
+          source: managed.name,
+          policyName: managed.name,
+          path: 'Properties.PolicyDocument',
+          document: managed.resource.Properties?.PolicyDocument,
+        });
+      }
+      continue;
+    }
+
+    const awsManaged = typeof arn === 'string' && /^arn:[\w-]+:iam::aws:policy\/(?:.*\/)?([^/]+)$/.exec(arn);
+    if (awsManaged && AWS_MANAGED_POLICIES[awsManaged[1]]) {
+      policies.push({ source: null, policyName: awsManaged[1], path: null, document: AWS_MANAGED_POLICIES[awsManaged[1]] });
+    }
+  }
+
+  return policies;
+}
+
+/**
+ * Groups of a user, from its `Groups` and from AWS::IAM::UserToGroupAddition
+ */
+function userGroups(graph, userName) {
+  const groups = new Set();
+  const isGroup = value => graph.ofType('AWS::IAM::Group').find(name => refersTo(graph, value, name));
+
+  for (const value of toListValues(graph.getResource(userName).Properties?.Groups)) {
+    const group = isGroup(value);
+    if (group) groups.add(group);
+  }
+
+  for (const name of graph.ofType('AWS::IAM::UserToGroupAddition')) {
+    const addition = graph.getResource(name).Properties || {};
+    const group = isGroup(addition.GroupName);
+    if (group && toListValues(addition.Users).some(value => refersTo(graph, value, userName))) {
+      groups.add(group);
+    }
+  }
+
+  return [...groups];
+}
+
+/**
+ * Check whether a value names a principal: a reference to it, or its
+ * literal RoleName / UserName / GroupName
+ */
+function refersTo(graph, value, principalName) {
+  if (graph.resolve(value)?.name === principalName && typeof value !== 'string') {
+    return true;
+  }
+
+  const principal = graph.getResource(principalName);
+  const nameProperty = PRINCIPAL_TYPES[principal?.Type]?.nameProperty;
+  const physicalName = principal?.Properties?.[nameProperty];
+  return typeof value === 'string' && typeof physicalName === 'string' && value === physicalName;
+}
+
+function toListValues(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Readable principal description, e.g. "role AppRole"
+ */
+function describePrincipal(graph, principalName) {
+  const kind = PRINCIPAL_TYPES[graph.getResource(principalName)?.Type];
+  return kind ? `${kind.label} ${principalName}` : principalName;
+}
+
+module.exports = {
+  PRINCIPAL_TYPES,
+  AWS_MANAGED_POLICIES,
+  policyStatements,
+  toList,
+  matchesAction,
+  statementCoversAction,
+  identityPolicies,
+  refersTo,
+  describePrincipal,
+};
@@ -0,0 +1,494 @@
+/**
+ * Network Reachability - Which sources reach which ports through security groups
+ *
+ * The model gathers every ingress and egress rule of the template's security
+ * groups, inline or from standalone AWS::EC2::SecurityGroupIngress/Egress
+ * resources, and the resources placed in each group. A group is reachable
+ * from the internet when a rule admits 0.0.0.0/0 or ::/0 (directly or through
+ * a prefix list of the template), and from there every group admitting a
+ * reachable group is reachable too, provided the reachable group's egress
+ * lets the traffic out. Groups holding only load balancers end a chain, as
+ * load balancers forward to their targets rather than open connections of
+ * their own. Paths are the shortest chain of rules from the internet to a group.
+ */
+
+const { isUnknown } = require('../utils/intrinsics');
+
+const INTERNET = ['0.0.0.0/0', '::/0'];
+const ALL_PORTS = [0, 65535];
+const PROTOCOLS = { 6: 'tcp', 17: 'udp', 1: 'icmp', 58: 'icmpv6' };
+
+const ENGINE_PORTS = [
+  [/^(aurora-)?postgres/, 5432],
+  [/^(aurora|aurora-mysql|mysql|mariadb)$/, 3306],
+  [/^oracle/, 1521],
+  [/^sqlserver/, 1433],
+  [/^(redis|valkey)$/, 6379],
+  [/^memcached$/, 11211],
+];
+
+/**
+ * Resources placed in security groups: the properties holding their groups,
+ * the ports they accept connections on (null for any port) and whether they
+ * hold data
+ */
+const MEMBER_TYPES = {
+  'AWS::EC2::Instance': {
+    label: 'EC2 instance',
+    groups: p => [...list(p.SecurityGroupIds), ...list(p.SecurityGroups), ...list(p.NetworkInterfaces).flatMap(n => list(n?.GroupSet))],
+    ports: () => null,
+  },
+  'AWS::RDS::DBInstance': {
+    label: 'RDS instance',
+    dataStore: true,
+    groups: p => list(p.VPCSecurityGroups),
+    ports: p => [servicePort(p.Port, p.Engine)],
+  },
+  'AWS::RDS::DBCluster': {
+    label: 'RDS cluster',
+    dataStore: true,
+    groups: p => list(p.VpcSecurityGroupIds),
+    ports: p => [servicePort(p.Port, p.Engine)],
+  },
+  'AWS::ElastiCache::CacheCluster': {
+    label: 'ElastiCache cluster',
+    dataStore: true,
+    groups: p => list(p.VpcSecurityGroupIds),
+    ports: p => [servicePort(p.Port, p.Engine)],
+  },
+  'AWS::ElastiCache::ReplicationGroup': {
+    label: 'ElastiCache replication group',
+    dataStore: true,
+    groups: p => list(p.SecurityGroupIds),
+    ports: p => [servicePort(p.Port, p.Engine || 'redis')],
+  },
+  'AWS::ElasticLoadBalancingV2::LoadBalancer': {
+    label: 'Load balancer',
+    groups: p => list(p.SecurityGroups),
+    ports: (p, graph, name) => graph.ofType('AWS::ElasticLoadBalancingV2::Listener')
+      .map(listener => graph.getResource(listener).Properties || {})
+      .filter(listener => graph.resolve(listener.LoadBalancerArn)?.name === name)
+      .map(listener => Number(listener.Port)),
+  },
+  'AWS::ElasticLoadBalancing::LoadBalancer': {
+    label: 'Load balancer',
+    groups: p => list(p.SecurityGroups),
+    ports: p => list(p.Listeners).map(listener => Number(listener?.LoadBalancerPort)),
+  },
+  'AWS::Lambda::Function': {
+    label: 'Lambda function',
+    groups: p => list(p.VpcConfig?.SecurityGroupIds),
+    // Functions accept no inbound connections
+    ports: () => [],
+  },
+};
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function servicePort(port, engine) {
+  if (port !== undefined && !isUnknown(port) && Number.isInteger(Number(port))) {
+    return Number(port);
+  }
+  const match = typeof engine === 'string' && ENGINE_PORTS.find(([pattern]) => pattern.test(engine.toLowerCase()));
+  return match ? match[1] : null;
+}
+
+/**
+ * Protocol name of an IpProtocol value: '-1' for all traffic, tcp, udp, ...
+ */
+function protocolName(value) {
+  const protocol = String(value ?? '').toLowerCase();
+  if (protocol === '-1' || protocol === 'all') return '-1';
+  return PROTOCOLS[protocol] || protocol;
+}
+
+/**
+ * Port range of a rule, or null when the ports cannot be resolved
+ */
+function portRange(rule, protocol) {
+  if (protocol === '-1' || !['tcp', 'udp'].includes(protocol)) {
+    return ALL_PORTS;
+  }
+  const from = Number(rule.FromPort);
+  const to = Number(rule.ToPort ?? rule.FromPort);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return null;
+  }
+  return from === -1 ? ALL_PORTS : [from, to];
+}
+
+/**
+ * Ports of a rule as text: "tcp/22", "tcp/1024-2048", "all traffic"
+ */
+function formatPorts(rule) {
+  if (rule.protocol === '-1') {
+    return 'all traffic';
+  }
+  if (!rule.ports) {
+    return `${rule.protocol}/unresolved ports`;
+  }
+  const [from, to] = rule.ports;
+  if (from === ALL_PORTS[0] && to === ALL_PORTS[1]) {
+    return `${rule.protocol}/all ports`;
+  }
+  return `${rule.protocol}/${from === to ? from : `${from}-${to}`}`;
+}
+
+/**
+ * Whether a rule admits TCP traffic to a port
+ */
+function coversPort(rule, port) {
+  if (!rule.ports || !['-1', 'tcp'].includes(rule.protocol)) {
+    return false;
+  }
+  return port >= rule.ports[0] && port <= rule.ports[1];
+}
+
+class NetworkModel {
+  /**
+   * `variant` ({ resourceName, resource }) replaces one resource of the graph
+   * with a condition variant of it, as evaluated by a rule
+   */
+  constructor(graph, variant = null) {
+    this.graph = graph;
+    this.variant = variant;
+    this.groups = new Map();
+    // Rules of security groups outside the template
+    this.external = [];
+
+    for (const name of graph.ofType('AWS::EC2::SecurityGroup')) {
+      const properties = this.resource(name).Properties || {};
+      this.groups.set(name, {
+        name,
+        ingress: [],
+        egress: [],
+        // The default allow-all egress rule is replaced by inline SecurityGroupEgress only
+        defaultEgress: !Array.isArray(properties.SecurityGroupEgress),
+        members: [],
+      });
+
+      list(properties.SecurityGroupIngress).forEach((rule, index) =>
+        this.addRule('ingress', name, rule, name, `Properties.SecurityGroupIngress[${index}]`));
+      list(properties.SecurityGroupEgress).forEach((rule, index) =>
+        this.addRule('egress', name, rule, name, `Properties.SecurityGroupEgress[${index}]`));
+    }
+
+    for (const [type, direction] of [['AWS::EC2::SecurityGroupIngress', 'ingress'], ['AWS::EC2::SecurityGroupEgress', 'egress']]) {
+      for (const name of graph.ofType(type)) {
+        const properties = this.resource(name).Properties || {};
+        const group = this.groupName(properties.GroupId ?? properties.GroupName) || this.externalId(properties.GroupId);
+        this.addRule(direction, group, properties, name, 'Properties');
+      }
+    }
+
+    for (const [type, member] of Object.entries(MEMBER_TYPES)) {
+      for (const name of graph.ofType(type)) {
+        const properties = this.resource(name).Properties || {};
+        for (const value of member.groups(properties)) {
+          this.groups.get(this.groupName(value))?.members.push(name);
+        }
+      }
+    }
+
+    this.paths = this.internetPaths();
+  }
+
+  /**
+   * Resolved resource, or the variant standing in for it
+   */
+  resource(name) {
+    return this.variant?.resourceName === name ? this.variant.resource : this.graph.getResource(name);
+  }
+
+  /**
+   * Logical ID of a template security group from a GroupId / GroupName value
+   */
+  groupName(value) {
+    const target = this.graph.resolve(value);
+    return target?.type === 'AWS::EC2::SecurityGroup' ? target.name : null;
+  }
+
+  externalId(value) {
+    return typeof value === 'string' ? value : 'unknown security group';
+  }
+
+  addRule(direction, group, rule, definedIn, path) {
+    if (!rule || typeof rule !== 'object' || isUnknown(rule)) {
+      return;
+    }
+
+    const protocol = protocolName(rule.IpProtocol);
+    const entry = {
+      direction,
+      group,
+      protocol,
+      ports: portRange(rule, protocol),
+      peer: this.peer(rule, direction),
+      definedIn,
+      path,
+    };
+    const target = this.groups.get(group);
+    if (target) {
+      target[direction].push(entry);
+    } else {
+      this.external.push(entry);
+    }
+  }
+
+  /**
+   * Other end of a rule: { kind: 'cidr' | 'group' | 'prefix-list', ..., property }
+   */
+  peer(rule, direction) {
+    const prefix = direction === 'ingress' ? 'Source' : 'Destination';
+    const cidrProperty = ['CidrIp', 'CidrIpv6'].find(property => typeof rule[property] === 'string');
+    if (cidrProperty) {
+      return { kind: 'cidr', cidr: rule[cidrProperty], property: cidrProperty };
+    }
+
+    const groupProperty = direction === 'ingress'
+      ? ['SourceSecurityGroupId', 'SourceSecurityGroupName'].find(property => rule[property] !== undefined)
+      : ['DestinationSecurityGroupId'].find(property => rule[property] !== undefined);
+    if (groupProperty) {
+      const group = this.groupName(rule[groupProperty]);
+      return group
+        ? { kind: 'group', group, property: groupProperty }
+        : { kind: 'group', id: this.externalId(rule[groupProperty]), property: groupProperty };
+    }
+
+    const prefixListProperty = `${prefix}PrefixListId`;
+    if (rule[prefixListProperty] !== undefined) {
+      const prefixList = this.graph.resolve(rule[prefixListProperty]);
+      const cidrs = prefixList?.type === 'AWS::EC2::PrefixList'
+        ? list(this.resource(prefixList.name).Properties?.Entries).map(entry => entry?.Cidr).filter(cidr => typeof cidr === 'string')
+        : null;
+      return {
+        kind: 'prefix-list',
+        id: prefixList?.name || this.externalId(rule[prefixListProperty]),
+        cidrs,
+        property: prefixListProperty,
+      };
+    }
+
+    return { kind: 'unknown', property: null };
+  }
+
+  /**
+   * Rules defined in a resource: the inline rules of a security group, or a
+   * standalone ingress/egress resource
+   */
+  rulesDefinedIn(resourceName, direction = 'ingress') {
+    const rules = [...this.groups.values()].flatMap(group => group[direction]);
+    return [...rules, ...this.external]
+      .filter(rule => rule.direction === direction && rule.definedIn === resourceName);
+  }
+
+  /**
+   * Security groups of a resource placed in groups
+   */
+  groupsOf(resourceName) {
+    return [...this.groups.values()].filter(group => group.members.includes(resourceName)).map(group => group.name);
+  }
+
+  /**
+   * Ports a member resource accepts connections on, or null for any port.
+   * A port that cannot be resolved (e.g. an Engine parameter and no Port)
+   * counts as any port.
+   */
+  portsOf(resourceName) {
+    const resource = this.resource(resourceName);
+    const member = MEMBER_TYPES[resource?.Type];
+    if (!member) {
+      return [];
+    }
+    const ports = member.ports(resource.Properties || {}, this.graph, resourceName);
+    return ports && ports.every(port => Number.isInteger(port)) ? ports : null;
+  }
+
+  /**
+   * Whether a group's egress lets traffic matching an ingress rule of another group out
+   */
+  egressAllows(group, rule) {
+    const source = this.groups.get(group);
+    if (source.defaultEgress) {
+      return true;
+    }
+    return source.egress.some(egress => {
+      const protocolMatches = egress.protocol === '-1' || egress.protocol === rule.protocol || rule.protocol === '-1';
+      const portsOverlap = egress.ports && rule.ports && egress.ports[0] <= rule.ports[1] && egress.ports[1] >= rule.ports[0];
+      const destinationMatches = egress.peer.kind !== 'group' || egress.peer.group === rule.group;
+      return protocolMatches && portsOverlap && destinationMatches;
+    });
+  }
+
+  /**
+   * Whether a compromised member of a group could open connections to other groups
+   */
+  isPivot(group) {
+    const { members } = this.groups.get(group);
+    return members.length === 0 || members.some(member => !/LoadBalancer$/.test(this.resource(member).Type));
+  }
+
+  /**
+   * Shortest path from the internet to each reachable group:
+   * Map of group -> [hop], each hop the ingress rule taken
+   */
+  internetPaths() {
+    const paths = new Map();
+    const queue = [];
+
+    for (const group of this.groups.values()) {
+      const rule = group.ingress.find(isInternetRule);
+      if (rule) {
+        paths.set(group.name, [rule]);
+        queue.push(group.name);
+      }
+    }
+
+    while (queue.length > 0) {
+      const from = queue.shift();
+      if (!this.isPivot(from)) {
+        continue;
+      }
+      for (const group of this.groups.values()) {
+        if (paths.has(group.name)) {
+          continue;
+        }
+        const rule = group.ingress.find(candidate =>
+          candidate.peer.kind === 'group' && candidate.peer.group === from && this.egressAllows(from, candidate));
+        if (rule) {
+          paths.set(group.name, [...paths.get(from), rule]);
+          queue.push(group.name);
+        }
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * How the internet reaches a resource on the ports it accepts:
+   * [{ port, group, hops }] with `hops` the chain of ingress rules, the last
+   * one admitting the port. A direct exposure has a single hop.
+   */
+  exposures(resourceName) {
+    const ports = this.portsOf(resourceName);
+    const exposures = [];
+
+    for (const name of this.groupsOf(resourceName)) {
+      const group = this.groups.get(name);
+      for (const rule of group.ingress) {
+        let hops = null;
+        if (isInternetRule(rule)) {
+          hops = [rule];
+        } else if (rule.peer.kind === 'group' && this.paths.has(rule.peer.group) &&
+          this.isPivot(rule.peer.group) && this.egressAllows(rule.peer.group, rule)) {
+          hops = [...this.paths.get(rule.peer.group), rule];
+        }
+        if (!hops) {
+          continue;
+        }
+
+        const reached = ports === null ? [rule.ports?.[0]] : ports.filter(port => coversPort(rule, port));
+        for (const port of reached) {
+          if (port !== undefined && !exposures.some(e => e.port === port && e.hops.length <= hops.length)) {
+            exposures.push({ port, group: name, hops });
+          }
+        }
+      }
+    }
+
+    return exposures
+      .filter(exposure => !exposures.some(other => other.port === exposure.port && other.hops.length < exposure.hops.length))
+      .sort((a, b) => a.hops.length - b.hops.length);
+  }
+
+  /**
+   * Ingress rule letting a member resource open connections to another one's
+   * ports through their security groups, or null
+   */
+  connection(fromResource, toResource) {
+    const sources = this.groupsOf(fromResource);
+    const ports = this.portsOf(toResource);
+
+    for (const name of this.groupsOf(toResource)) {
+      const rule = this.groups.get(name).ingress.find(candidate =>
+        candidate.peer.kind === 'group' && sources.includes(candidate.peer.group) &&
+        this.egressAllows(candidate.peer.group, candidate) &&
+        (ports === null || ports.some(port => coversPort(candidate, port))));
+      if (rule) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hops of a path for finding details: where each rule is defined and what it admits
+   */
+  describeHops(hops) {
+    return hops.map(hop => ({
+      source: hop.peer.kind === 'cidr' ? hop.peer.cidr : (hop.peer.group || hop.peer.id),
+      securityGroup: hop.group,
+      ports: formatPorts(hop),
+      members: this.groups.get(hop.group)?.members || [],
+      definedIn: hop.definedIn,
+      path: hop.path,
+    }));
+  }
+
+  /**
+   * A path as text, e.g.
+   * "0.0.0.0/0 -> WebSG (tcp/443: LoadBalancer) -> DatabaseSG (tcp/5432: Database)"
+   */
+  formatPath(hops) {
+    const first = hops[0].peer;
+    const origin = first.kind === 'cidr' ? first.cidr : `prefix list ${first.id}`;
+    return [origin, ...hops.map(hop => {
+      const members = this.groups.get(hop.group)?.members || [];
+      return `${hop.group} (${formatPorts(hop)}${members.length > 0 ? `: ${members.join(', ')}` : ''})`;
+    })].join(' -> ');
+  }
+}
+
+/**
+ * Whether a rule admits the whole internet, directly or through a prefix list
+ */
+function isInternetRule(rule) {
+  if (rule.peer.kind === 'cidr') {
+    return INTERNET.includes(rule.peer.cidr);
+  }
+  return rule.peer.kind === 'prefix-list' && (rule.peer.cidrs || []).some(cidr => INTERNET.includes(cidr));
+}
+
+const models = new WeakMap();
+const variantModels = new WeakMap();
+
+/**
+ * Network model of a template, built once per resource graph. Given a rule
+ * context whose resource is a condition variant (e.g. a CidrIp under Fn::If),
+ * the model is built with that variant instead, once per variant.
+ */
+function networkModel(graph, context = null) {
+  if (context?.resource && context.resource !== graph.getResource(context.resourceName)) {
+    if (!variantModels.has(context.resource)) {
+      variantModels.set(context.resource, new NetworkModel(graph, { resourceName: context.resourceName, resource: context.resource }));
+    }
+    return variantModels.get(context.resource);
+  }
+
+  if (!models.has(graph)) {
+    models.set(graph, new NetworkModel(graph));
+  }
+  return models.get(graph);
+}
+
+module.exports = {
+  MEMBER_TYPES,
+  NetworkModel,
+  networkModel,
+  isInternetRule,
+  coversPort,
+  formatPorts,
+};
@@ -0,0 +1,104 @@
+/**
+ * Privilege Escalation - Known IAM escalation paths of a principal
+ *
+ * Each path is a combination of actions that together let a principal grant
+ * itself more permissions than its policies show: passing a more privileged
+ * role to a compute service it can then run code on, rewriting its own
+ * policies, or taking over another principal's credentials. A principal has
+ * a path when its identity policies allow every action of it and no
+ * unconditional Deny on all resources removes one.
+ */
+
+const {
+  identityPolicies, policyStatements, statementCoversAction, toList, refersTo,
+} = require('./iamPolicies');
+
+const ESCALATION_PATHS = [
+  { id: 'CreatePolicyVersion', actions: ['iam:CreatePolicyVersion'], description: 'publish a new default version of a managed policy with any permissions' },
+  { id: 'SetDefaultPolicyVersion', actions: ['iam:SetDefaultPolicyVersion'], description: 'switch a managed policy to a more permissive version' },
+  { id: 'AttachUserPolicy', actions: ['iam:AttachUserPolicy'], description: 'attach any managed policy, such as AdministratorAccess, to a user' },
+  { id: 'AttachGroupPolicy', actions: ['iam:AttachGroupPolicy'], description: 'attach any managed policy to a group' },
+  { id: 'AttachRolePolicy', actions: ['iam:AttachRolePolicy'], description: 'attach any managed policy to a role' },
+  { id: 'PutUserPolicy', actions: ['iam:PutUserPolicy'], description: 'write an inline policy with any permissions on a user' },
+  { id: 'PutGroupPolicy', actions: ['iam:PutGroupPolicy'], description: 'write an inline policy with any permissions on a group' },
+  { id: 'PutRolePolicy', actions: ['iam:PutRolePolicy'], description: 'write an inline policy with any permissions on a role' },
+  { id: 'AddUserToGroup', actions: ['iam:AddUserToGroup'], description: 'join a more privileged group' },
+  { id: 'CreateAccessKey', actions: ['iam:CreateAccessKey'], description: 'create access keys for another user' },
+  { id: 'CreateLoginProfile', actions: ['iam:CreateLoginProfile'], description: 'set a console password for another user' },
+  { id: 'UpdateLoginProfile', actions: ['iam:UpdateLoginProfile'], description: 'change another user\'s console password' },
+  { id: 'UpdateAssumeRolePolicy', actions: ['iam:UpdateAssumeRolePolicy', 'sts:AssumeRole'], description: 'trust itself in a more privileged role and assume it' },
+  { id: 'PassRole+EC2', actions: ['iam:PassRole', 'ec2:RunInstances'], description: 'launch an instance with a more privileged instance profile' },
+  { id: 'PassRole+Lambda', actions: ['iam:PassRole', 'lambda:CreateFunction', 'lambda:InvokeFunction'], description: 'create and invoke a Lambda function that runs with a more privileged role' },
+  { id: 'PassRole+LambdaEventSource', actions: ['iam:PassRole', 'lambda:CreateFunction', 'lambda:CreateEventSourceMapping'], description: 'create a Lambda function with a more privileged role, triggered by an event source' },
+  { id: 'UpdateFunctionCode', actions: ['lambda:UpdateFunctionCode'], description: 'replace the code of a function that runs with a more privileged role' },
+  { id: 'PassRole+Glue', actions: ['iam:PassRole', 'glue:CreateDevEndpoint'], description: 'create a Glue development endpoint with a more privileged role' },
+  { id: 'UpdateDevEndpoint', actions: ['glue:UpdateDevEndpoint'], description: 'add an SSH key to a Glue development endpoint with a more privileged role' },
+  { id: 'PassRole+CloudFormation', actions: ['iam:PassRole', 'cloudformation:CreateStack'], description: 'create a stack that runs with a more privileged service role' },
+  { id: 'PassRole+DataPipeline', actions: ['iam:PassRole', 'datapipeline:CreatePipeline', 'datapipeline:PutPipelineDefinition'], description: 'run a data pipeline with a more privileged role' },
+  { id: 'PassRole+SageMaker', actions: ['iam:PassRole', 'sagemaker:CreateNotebookInstance', 'sagemaker:CreatePresignedNotebookInstanceUrl'], description: 'open a notebook instance that runs with a more privileged role' },
+  { id: 'PassRole+CodeBuild', actions: ['iam:PassRole', 'codebuild:CreateProject', 'codebuild:StartBuild'], description: 'run a build with a more privileged service role' },
+  { id: 'PassRole+ECS', actions: ['iam:PassRole', 'ecs:RegisterTaskDefinition', 'ecs:RunTask'], description: 'run a task with a more privileged task role' },
+];
+
+// Actions whose target can be the principal itself
+const SELF_TARGETED_ACTIONS = [
+  'iam:AttachUserPolicy', 'iam:AttachGroupPolicy', 'iam:AttachRolePolicy',
+  'iam:PutUserPolicy', 'iam:PutGroupPolicy', 'iam:PutRolePolicy', 'iam:UpdateAssumeRolePolicy',
+];
+
+/**
+ * Escalation paths available to a principal of the template:
+ * [{ id, actions, description, grants: [{ action, source, policyName, path, onSelf }] }]
+ */
+function findEscalations(graph, principalName) {
+  const policies = identityPolicies(graph, principalName);
+  const denied = action => policies.some(policy => policyStatements(policy.document).some(({ statement }) =>
+    statement.Effect === 'Deny' && !statement.Condition && statement.NotResource === undefined &&
+    toList(statement.Resource).includes('*') && statementCoversAction(statement, action)));
+
+  const findGrant = action => {
+    if (denied(action)) {
+      return null;
+    }
+
+    for (const policy of policies) {
+      for (const { statement, index } of policyStatements(policy.document)) {
+        if (statement.Effect === 'Allow' && statementCoversAction(statement, action)) {
+          return {
+            action,
+            source: policy.source,
+            policyName: policy.policyName,
+            path: policy.path && `${policy.path}.Statement[${index}]`,
+            onSelf: SELF_TARGETED_ACTIONS.includes(action) &&
+              [].concat(statement.Resource ?? []).some(value => refersTo(graph, value, principalName)),
+          };
+        }
+      }
+    }
+    return null;
+  };
+
+  const escalations = [];
+  for (const escalationPath of ESCALATION_PATHS) {
+    const grants = escalationPath.actions.map(findGrant);
+    if (grants.every(Boolean)) {
+      escalations.push({ ...escalationPath, grants });
+    }
+  }
+  return escalations;
+}
+
+/**
+ * Chain of actions of an escalation, e.g. "iam:PassRole + ec2:RunInstances"
+ */
+function formatChain(escalation) {
+  return escalation.grants
+    .map(grant => (grant.onSelf ? `${grant.action} on itself` : grant.action))
+    .join(' + ');
+}
+
+module.exports = {
+  ESCALATION_PATHS,
+  findEscalations,
+  formatChain,
+};
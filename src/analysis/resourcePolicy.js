@@ -0,0 +1,350 @@
+/**
+ * Resource Policy - Who an Allow statement of a resource policy lets in
+ *
+ * Each Allow statement is classified by its principals and conditions:
+ *   - public: anyone (`*`, `{AWS: '*'}`, `arn:aws:iam::*:root`, or
+ *     NotPrincipal), with no condition narrowing the caller
+ *   - cross-account: AWS accounts other than the template's, or an organization
+ *   - same-account: principals of the template's own account
+ *   - service: AWS service principals only
+ * An open principal narrowed by fixed values of a restricting condition key
+ * (aws:SourceArn, aws:PrincipalOrgID, aws:SourceVpce, ...) takes the accounts
+ * those values name; network conditions keep it within the account.
+ */
+
+const { policyStatements } = require('./iamPolicies');
+const { isUnknown, DEFAULT_PSEUDO_PARAMETERS } = require('../utils/intrinsics');
+
+// Condition keys naming the caller's account
+const ACCOUNT_KEYS = ['aws:sourceaccount', 'aws:principalaccount', 'aws:sourceowner', 'kms:calleraccount', 's3:dataaccesspointaccount'];
+// Condition keys naming the caller (or calling resource) by ARN
+const ARN_KEYS = ['aws:sourcearn', 'aws:principalarn', 's3:dataaccesspointarn'];
+// Condition keys naming the caller's organization
+const ORGANIZATION_KEYS = ['aws:principalorgid', 'aws:principalorgpaths', 'aws:sourceorgid', 'aws:sourceorgpaths'];
+// Condition keys narrowing the caller to a network or identity of the account.
+// aws:SourceIp is not one of them: any account can call from a given address.
+const NETWORK_KEYS = ['aws:sourcevpc', 'aws:sourcevpce', 'aws:userid', 'kms:viaservice'];
+
+// Operators whose fixed values restrict the key (not Not*, not *IfExists)
+const RESTRICTING_OPERATOR = /^(ForAnyValue:|ForAllValues:)?(StringEquals|StringEqualsIgnoreCase|StringLike|ArnEquals|ArnLike)$/i;
+
+const ACCESS_ORDER = ['public', 'cross-account', 'same-account', 'service'];
+
+/**
+ * Resource policies of a resource: [{ document, path, statementPath? }].
+ * `statementPath` is set for policies built from other properties.
+ */
+const RESOURCE_POLICIES = {
+  'AWS::S3::BucketPolicy': properties => [documentAt(properties, 'PolicyDocument')],
+  'AWS::SNS::TopicPolicy': properties => [documentAt(properties, 'PolicyDocument')],
+  'AWS::SQS::QueuePolicy': properties => [documentAt(properties, 'PolicyDocument')],
+  'AWS::KMS::Key': properties => [documentAt(properties, 'KeyPolicy')],
+  'AWS::IAM::Role': properties => [documentAt(properties, 'AssumeRolePolicyDocument')],
+  'AWS::SecretsManager::ResourcePolicy': properties => [documentAt(properties, 'ResourcePolicy')],
+  'AWS::ECR::Repository': properties => [documentAt(properties, 'RepositoryPolicyText')],
+  'AWS::Events::EventBus': properties => [documentAt(properties, 'Policy')],
+  'AWS::Events::EventBusPolicy': properties => [eventBusPolicyStatement(properties)],
+  'AWS::Lambda::Permission': properties => [lambdaPermissionStatement(properties)],
+};
+
+function documentAt(properties, property) {
+  let document = properties[property];
+  if (typeof document === 'string') {
+    try {
+      document = JSON.parse(document);
+    } catch {
+      document = null;
+    }
+  }
+  return { document, path: `Properties.${property}` };
+}
+
+/**
+ * AWS::Events::EventBusPolicy as a policy: its `Statement`, or the legacy
+ * Principal / Action / Condition properties
+ */
+function eventBusPolicyStatement(properties) {
+  if (properties.Statement) {
+    return { document: { Statement: properties.Statement }, path: 'Properties', statementPath: 'Properties.Statement' };
+  }
+
+  const { Principal, Action, Condition } = properties;
+  const statement = {
+    Effect: 'Allow',
+    Principal: Principal === '*' ? '*' : { AWS: Principal },
+    Action,
+  };
+  if (Condition?.Key && Condition?.Value !== undefined) {
+    statement.Condition = { [Condition.Type || 'StringEquals']: { [Condition.Key]: Condition.Value } };
+  }
+  return { document: Principal === undefined ? null : { Statement: [statement] }, path: 'Properties', statementPath: 'Properties' };
+}
+
+/**
+ * AWS::Lambda::Permission as a policy statement, with SourceAccount,
+ * SourceArn and PrincipalOrgID as its conditions
+ */
+function lambdaPermissionStatement(properties) {
+  const { Principal } = properties;
+  if (Principal === undefined) {
+    return { document: null, path: 'Properties' };
+  }
+
+  const isService = typeof Principal === 'string' && /\.amazonaws\.com(\.cn)?$/.test(Principal);
+  const statement = {
+    Effect: 'Allow',
+    Principal: Principal === '*' ? '*' : { [isService ? 'Service' : 'AWS']: Principal },
+    Action: properties.Action,
+  };
+
+  const conditions = {};
+  if (properties.SourceAccount !== undefined) conditions['aws:SourceAccount'] = properties.SourceAccount;
+  if (properties.PrincipalOrgID !== undefined) conditions['aws:PrincipalOrgID'] = properties.PrincipalOrgID;
+  if (properties.SourceArn !== undefined) {
+    statement.Condition = { ArnLike: { 'aws:SourceArn': properties.SourceArn } };
+  }
+  if (Object.keys(conditions).length > 0) {
+    statement.Condition = { ...statement.Condition, StringEquals: conditions };
+  }
+
+  return { document: { Statement: [statement] }, path: 'Properties', statementPath: 'Properties' };
+}
+
+/**
+ * Account ID the template deploys to (the resolver's AWS::AccountId)
+ */
+function templateAccountId(graph) {
+  const accountId = graph?.resolver?.pseudoParameters?.['AWS::AccountId'];
+  return typeof accountId === 'string' ? accountId : DEFAULT_PSEUDO_PARAMETERS['AWS::AccountId'];
+}
+
+function hasWildcard(value) {
+  return /[*?]/.test(value);
+}
+
+/**
+ * Account of an ARN or account ID: an account ID, '*' for any account,
+ * '' when the value names no account, or null when it cannot be read
+ */
+function accountOf(value) {
+  if (/^\d{12}$/.test(value)) {
+    return value;
+  }
+  const arn = value.match(/^arn:[^:]*:[^:]*:[^:]*:([^:]*)(:|$)/);
+  if (!arn) {
+    return null;
+  }
+  if (arn[1] === '') {
+    return '';
+  }
+  return /^\d{12}$/.test(arn[1]) ? arn[1] : '*';
+}
+
+/**
+ * What a single principal value lets in: { access, account?, service? }
+ */
+function classifyPrincipal(kind, value, options) {
+  if (kind === 'Service') {
+    return { access: 'service', service: typeof value === 'string' ? value : undefined };
+  }
+  if (isUnknown(value) || typeof value !== 'string') {
+    // Template resources and unresolved parameters are assumed local
+    return { access: 'same-account' };
+  }
+  if (value === '*') {
+    return { access: 'public' };
+  }
+  if (kind === 'CanonicalUser') {
+    return { access: 'cross-account', account: `canonical:${value}` };
+  }
+  if (kind === 'Federated' && !value.startsWith('arn:')) {
+    // Identity providers such as cognito-identity.amazonaws.com
+    return { access: 'service', service: value };
+  }
+
+  const account = accountOf(value);
+  if (account === '*') {
+    return { access: 'public' };
+  }
+  if (!account || account === options.accountId) {
+    return { access: 'same-account' };
+  }
+  return { access: 'cross-account', account };
+}
+
+/**
+ * Restricting conditions of a statement:
+ * { keys, accounts, organizations } with the fixed values they name
+ */
+function restrictingConditions(statement, options) {
+  const found = { keys: [], accounts: [], organizations: [] };
+  const condition = statement.Condition;
+  if (!condition || typeof condition !== 'object' || isUnknown(condition)) {
+    return found;
+  }
+
+  for (const [operator, entries] of Object.entries(condition)) {
+    if (!RESTRICTING_OPERATOR.test(operator) || !entries || typeof entries !== 'object') {
+      continue;
+    }
+
+    for (const [key, raw] of Object.entries(entries)) {
+      const name = key.toLowerCase();
+      const values = [].concat(raw ?? []);
+      const known = values.filter(value => typeof value === 'string');
+      if (values.length === 0 || known.some(value => value === '*')) {
+        continue;
+      }
+
+      if (ACCOUNT_KEYS.includes(name)) {
+        if (known.some(hasWildcard)) continue;
+        found.accounts.push(...known);
+        if (known.length < values.length) found.accounts.push(options.accountId);
+      } else if (ARN_KEYS.includes(name)) {
+        const accounts = known.map(accountOf);
+        if (accounts.includes('*')) continue;
+        found.accounts.push(...accounts.map(account => account || options.accountId));
+        if (known.length < values.length) found.accounts.push(options.accountId);
+      } else if (ORGANIZATION_KEYS.includes(name)) {
+        // Organization paths may end in a wildcard, but must name the organization
+        if (known.some(value => hasWildcard(value.split('/')[0]))) continue;
+        found.organizations.push(...known);
+      } else if (!NETWORK_KEYS.includes(name)) {
+        continue;
+      }
+      found.keys.push(key);
+    }
+  }
+
+  return found;
+}
+
+function principalEntries(principal) {
+  if (principal === '*' || isUnknown(principal)) {
+    return [['AWS', principal]];
+  }
+  if (!principal || typeof principal !== 'object') {
+    return [];
+  }
+  return Object.entries(principal).flatMap(([kind, values]) =>
+    [].concat(values ?? []).map(value => [kind, value]));
+}
+
+/**
+ * Classify an Allow statement:
+ * { access, accounts, organizations, services, restrictedBy }
+ * where `accounts` are the other AWS accounts it lets in.
+ * Options: { accountId }
+ */
+function classifyStatement(statement, options = {}) {
+  const accountId = options.accountId || DEFAULT_PSEUDO_PARAMETERS['AWS::AccountId'];
+  const conditions = restrictingConditions(statement, { accountId });
+
+  // Allow with NotPrincipal grants everyone but the listed principals
+  const principals = statement.NotPrincipal !== undefined
+    ? [{ access: 'public' }]
+    : principalEntries(statement.Principal).map(([kind, value]) => classifyPrincipal(kind, value, { accountId }));
+
+  const accounts = new Set();
+  const services = new Set();
+  const organizations = new Set();
+  const kinds = new Set();
+
+  for (const principal of principals) {
+    if (principal.service) services.add(principal.service);
+
+    if (principal.access !== 'public' || conditions.keys.length === 0) {
+      kinds.add(principal.access);
+      if (principal.account) accounts.add(principal.account);
+      continue;
+    }
+
+    // An open principal takes the accounts its conditions name
+    if (conditions.accounts.length > 0) {
+      const external = conditions.accounts.filter(account => account !== accountId);
+      external.forEach(account => accounts.add(account));
+      kinds.add(external.length > 0 ? 'cross-account' : 'same-account');
+    } else if (conditions.organizations.length > 0) {
+      conditions.organizations.forEach(organization => organizations.add(organization));
+      kinds.add('cross-account');
+    } else {
+      kinds.add('same-account');
+    }
+  }
+
+  return {
+    access: ACCESS_ORDER.find(access => kinds.has(access)) || 'same-account',
+    accounts: [...accounts],
+    organizations: [...organizations],
+    services: [...services],
+    restrictedBy: conditions.keys,
+  };
+}
+
+/**
+ * Classify the Allow statements of a policy document:
+ * [{ index, path, statement, access, accounts, organizations, services, restrictedBy }]
+ * Options: { accountId, path, statementPath }
+ */
+function analyzePolicy(document, options = {}) {
+  const statements = policyStatements(document);
+  return statements
+    .filter(({ statement }) => statement.Effect === 'Allow')
+    .map(({ statement, index }) => ({
+      index,
+      path: options.statementPath ||
+        (options.path && (Array.isArray(document.Statement) ? `${options.path}.Statement[${index}]` : `${options.path}.Statement`)),
+      statement,
+      ...classifyStatement(statement, options),
+    }));
+}
+
+/**
+ * Resource policy documents of a rule context's resource
+ */
+function resourcePolicies(context) {
+  const policies = RESOURCE_POLICIES[context.resourceType]?.(context.properties || {}) || [];
+  return policies.filter(policy => policy.document && typeof policy.document === 'object' && !isUnknown(policy.document));
+}
+
+/**
+ * Classified Allow statements of every resource policy of a rule context's resource
+ */
+function analyzeResourcePolicies(context) {
+  const accountId = templateAccountId(context.graph);
+  return resourcePolicies(context)
+    .flatMap(policy => analyzePolicy(policy.document, { accountId, path: policy.path, statementPath: policy.statementPath }));
+}
+
+/**
+ * Rule result for a resource policy that must not be public
+ */
+function publicAccessResult(context, label) {
+  if (resourcePolicies(context).length === 0) {
+    return null;
+  }
+
+  const open = analyzeResourcePolicies(context).find(statement => statement.access === 'public');
+  if (open) {
+    return {
+      passed: false,
+      message: `${label} allows public access`,
+      path: open.path,
+      details: { statement: open.index },
+    };
+  }
+
+  return {
+    passed: true,
+    message: `${label} does not allow public access`,
+  };
+}
+
+module.exports = {
+  RESOURCE_POLICIES,
+  templateAccountId,
+  classifyStatement,
+  analyzePolicy,
+  analyzeResourcePolicies,
+  publicAccessResult,
+};
@@ -0,0 +1,289 @@
+/**
+ * Change Set Analyzer - Security diff between two versions of a template
+ *
+ * Both versions are scanned with the same rules and their failed findings
+ * compared by rule, resource and nested stack path, giving the findings a
+ * change introduces, resolves or leaves unchanged. Resource changes come from
+ * a saved `aws cloudformation describe-change-set` document when one is given,
+ * otherwise from comparing the two templates: resources that are replaced,
+ * deleted, or stateful resources whose properties are modified.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Scanner = require('./scanner');
+const { resourceKey } = require('./utils/baseline');
+
+const SEVERITY_ORDER = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Resource types holding data that a replacement or deletion loses
+const STATEFUL_RESOURCE_TYPES = [
+  'AWS::Backup::BackupVault',
+  'AWS::Cognito::UserPool',
+  'AWS::DocDB::DBCluster',
+  'AWS::DynamoDB::GlobalTable',
+  'AWS::DynamoDB::Table',
+  'AWS::EC2::Volume',
+  'AWS::ECR::Repository',
+  'AWS::EFS::FileSystem',
+  'AWS::ElastiCache::CacheCluster',
+  'AWS::ElastiCache::ReplicationGroup',
+  'AWS::Elasticsearch::Domain',
+  'AWS::FSx::FileSystem',
+  'AWS::KMS::Key',
+  'AWS::Kinesis::Stream',
+  'AWS::Logs::LogGroup',
+  'AWS::MSK::Cluster',
+  'AWS::Neptune::DBCluster',
+  'AWS::OpenSearchService::Domain',
+  'AWS::RDS::DBCluster',
+  'AWS::RDS::DBInstance',
+  'AWS::Redshift::Cluster',
+  'AWS::S3::Bucket',
+  'AWS::SQS::Queue',
+  'AWS::SecretsManager::Secret',
+];
+
+// Properties whose update always replaces the resource (a subset of the CloudFormation resource reference)
+const REPLACEMENT_PROPERTIES = {
+  'AWS::DocDB::DBCluster': ['DBClusterIdentifier', 'DBSubnetGroupName', 'KmsKeyId', 'MasterUsername', 'StorageEncrypted'],
+  'AWS::DynamoDB::Table': ['KeySchema', 'LocalSecondaryIndexes', 'TableName'],
+  'AWS::EC2::Instance': ['AvailabilityZone', 'ImageId', 'KeyName', 'NetworkInterfaces', 'PrivateIpAddress', 'SubnetId'],
+  'AWS::EC2::SecurityGroup': ['GroupDescription', 'GroupName', 'VpcId'],
+  'AWS::EC2::Volume': ['AvailabilityZone', 'SnapshotId'],
+  'AWS::ECR::Repository': ['EncryptionConfiguration', 'RepositoryName'],
+  'AWS::EFS::FileSystem': ['AvailabilityZoneName', 'Encrypted', 'KmsKeyId', 'PerformanceMode'],
+  'AWS::ElastiCache::ReplicationGroup': ['AtRestEncryptionEnabled', 'CacheSubnetGroupName', 'Engine', 'KmsKeyId', 'ReplicationGroupId'],
+  'AWS::IAM::Role': ['Path', 'RoleName'],
+  'AWS::KMS::Key': ['KeySpec', 'KeyUsage', 'MultiRegion'],
+  'AWS::Kinesis::Stream': ['Name'],
+  'AWS::Lambda::Function': ['FunctionName', 'PackageType'],
+  'AWS::Logs::LogGroup': ['LogGroupName'],
+  'AWS::Neptune::DBCluster': ['DBClusterIdentifier', 'DBSubnetGroupName', 'KmsKeyId', 'StorageEncrypted'],
+  'AWS::OpenSearchService::Domain': ['DomainName'],
+  'AWS::RDS::DBCluster': [
+    'AvailabilityZones', 'DBClusterIdentifier', 'DBSubnetGroupName', 'DatabaseName', 'Engine', 'EngineMode',
+    'KmsKeyId', 'MasterUsername', 'SnapshotIdentifier', 'SourceDBClusterIdentifier', 'StorageEncrypted',
+  ],
+  'AWS::RDS::DBInstance': [
+    'CharacterSetName', 'DBClusterIdentifier', 'DBInstanceIdentifier', 'DBName', 'DBSnapshotIdentifier',
+    'DBSubnetGroupName', 'KmsKeyId', 'MasterUsername', 'SourceDBInstanceIdentifier', 'StorageEncrypted', 'Timezone',
+  ],
+  'AWS::Redshift::Cluster': ['ClusterIdentifier', 'ClusterSubnetGroupName', 'DBName', 'MasterUsername'],
+  'AWS::S3::Bucket': ['BucketName'],
+  'AWS::SNS::Topic': ['FifoTopic', 'TopicName'],
+  'AWS::SQS::Queue': ['FifoQueue', 'QueueName'],
+  'AWS::SecretsManager::Secret': ['Name'],
+};
+
+// Deletion and replacement policies that keep the data
+const RETAINING_POLICIES = ['Retain', 'RetainExceptOnCreate', 'Snapshot'];
+
+class ChangeSetAnalyzer {
+  /**
+   * `options` are Scanner options; `options.failOnSeverity` (default HIGH)
+   * is the lowest severity of a new finding that counts as a regression.
+   * Replacing or deleting a resource with (possible) data loss is always a regression.
+   */
+  constructor(options = {}) {
+    this.options = {
+      failOnSeverity: 'HIGH',
+      ...options,
+    };
+  }
+
+  /**
+   * Compare two template files and/or read a saved change set. Returns
+   * { findings: { new, resolved, unchanged }, resources: { added, replaced,
+   * deleted, statefulModified }, regression }.
+   */
+  async analyze({ before, after, changeSet } = {}) {
+    if (!changeSet && !(before && after)) {
+      throw new Error('A change set analysis needs --before and --after templates, or a --change-set file');
+    }
+
+    const findings = before && after
+      ? diffFindings(await this.scanTemplate(before), await this.scanTemplate(after))
+      : { new: [], resolved: [], unchanged: [] };
+
+    const templates = before && after
+      ? { before: this.loadTemplate(before), after: this.loadTemplate(after) }
+      : null;
+    const changes = changeSet
+      ? readChangeSet(changeSet, templates)
+      : diffTemplates(templates.before, templates.after);
+
+    const threshold = SEVERITY_ORDER.indexOf(this.options.failOnSeverity);
+    const resources = summarizeChanges(changes, Boolean(templates));
+    return {
+      ...(before && { before: path.resolve(before) }),
+      ...(after && { after: path.resolve(after) }),
+      ...(changeSet && { changeSet: path.resolve(changeSet) }),
+      findings,
+      resources,
+      regression: findings.new.some(result => SEVERITY_ORDER.indexOf(result.severity) >= threshold)
+        || [...resources.replaced, ...resources.deleted].some(change => change.dataLoss),
+    };
+  }
+
+  /**
+   * Failed findings of one template version
+   */
+  async scanTemplate(filePath) {
+    const scanner = new Scanner(this.options);
+    await scanner.initialize();
+    await scanner.scanFile(filePath);
+    return scanner.getFailedResults();
+  }
+
+  loadTemplate(filePath) {
+    const parsed = new Scanner(this.options).loadTemplate(path.resolve(filePath));
+    if (!parsed) {
+      throw new Error(`Failed to parse template: ${filePath}`);
+    }
+    return parsed.template;
+  }
+}
+
+/**
+ * Split findings into new, resolved and unchanged by rule and resource
+ */
+function diffFindings(beforeResults, afterResults) {
+  const key = result => `${result.ruleId}\0${resourceKey(result)}`;
+  const beforeKeys = new Set(beforeResults.map(key));
+  const afterKeys = new Set(afterResults.map(key));
+
+  return {
+    new: afterResults.filter(result => !beforeKeys.has(key(result))),
+    resolved: beforeResults.filter(result => !afterKeys.has(key(result))),
+    unchanged: afterResults.filter(result => beforeKeys.has(key(result))),
+  };
+}
+
+/**
+ * Resource changes between two templates, in the shape of change set entries:
+ * [{ logicalId, resourceType, action, replacement, properties, stateful, policy }]
+ */
+function diffTemplates(before, after) {
+  const beforeResources = before?.Resources || {};
+  const afterResources = after?.Resources || {};
+  const changes = [];
+
+  for (const [logicalId, resource] of Object.entries(beforeResources)) {
+    if (!afterResources[logicalId]) {
+      changes.push(resourceChange(logicalId, resource.Type, 'Remove', 'False', [], resource.DeletionPolicy));
+    }
+  }
+
+  for (const [logicalId, resource] of Object.entries(afterResources)) {
+    const previous = beforeResources[logicalId];
+    if (!previous) {
+      changes.push(resourceChange(logicalId, resource.Type, 'Add', 'False', []));
+      continue;
+    }
+
+    const properties = changedProperties(previous.Properties, resource.Properties);
+    if (previous.Type !== resource.Type) {
+      changes.push(resourceChange(logicalId, resource.Type, 'Modify', 'True', properties, resource.UpdateReplacePolicy));
+      continue;
+    }
+    if (properties.length === 0) {
+      continue;
+    }
+
+    const replacing = REPLACEMENT_PROPERTIES[resource.Type] || [];
+    const replacement = properties.some(name => replacing.includes(name)) ? 'True' : 'False';
+    changes.push(resourceChange(logicalId, resource.Type, 'Modify', replacement, properties, resource.UpdateReplacePolicy));
+  }
+
+  return changes;
+}
+
+/**
+ * Resource changes from saved `aws cloudformation describe-change-set` JSON.
+ * Templates, when given, supply the deletion and replacement policies.
+ */
+function readChangeSet(filePath, templates = null) {
+  const absolutePath = path.resolve(filePath);
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read change set ${absolutePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(document?.Changes)) {
+    throw new Error(`Invalid change set ${absolutePath}: expected a "Changes" list`);
+  }
+
+  return document.Changes
+    .filter(change => change.Type === 'Resource' && change.ResourceChange)
+    .map(({ ResourceChange: change }) => {
+      const logicalId = change.LogicalResourceId;
+      const policy = change.Action === 'Remove'
+        ? templates?.before?.Resources?.[logicalId]?.DeletionPolicy
+        : templates?.after?.Resources?.[logicalId]?.UpdateReplacePolicy;
+      const properties = (change.Details || [])
+        .filter(detail => detail.Target?.Attribute === 'Properties' && detail.Target.Name)
+        .map(detail => detail.Target.Name);
+
+      return resourceChange(logicalId, change.ResourceType, change.Action, change.Replacement || 'False',
+        [...new Set(properties)], policy);
+    });
+}
+
+function resourceChange(logicalId, resourceType, action, replacement, properties, policy) {
+  return {
+    logicalId,
+    resourceType,
+    action,
+    replacement,
+    properties,
+    stateful: STATEFUL_RESOURCE_TYPES.includes(resourceType),
+    ...(policy !== undefined && { policy }),
+  };
+}
+
+/**
+ * Top-level property names whose values differ
+ */
+function changedProperties(before = {}, after = {}) {
+  const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...names]
+    .filter(name => JSON.stringify(before?.[name]) !== JSON.stringify(after?.[name]))
+    .sort();
+}
+
+/**
+ * Group resource changes for the report. Replacing or deleting a stateful
+ * resource without a Retain or Snapshot policy is marked as data loss; when
+ * the templates are not known, its policy is not either and the data loss
+ * is 'possible'.
+ */
+function summarizeChanges(changes, policiesKnown = true) {
+  const dataLoss = change => (policiesKnown ? !RETAINING_POLICIES.includes(change.policy) : 'possible');
+  const withDataLoss = change => ({
+    ...change,
+    ...(change.stateful && { dataLoss: dataLoss(change) }),
+  });
+
+  return {
+    added: changes.filter(change => change.action === 'Add'),
+    replaced: changes
+      .filter(change => change.action === 'Modify' && change.replacement !== 'False')
+      .map(withDataLoss),
+    deleted: changes.filter(change => change.action === 'Remove').map(withDataLoss),
+    statefulModified: changes.filter(change =>
+      change.action === 'Modify' && change.stateful && change.replacement === 'False'),
+  };
+}
+
+module.exports = {
+  ChangeSetAnalyzer,
+  STATEFUL_RESOURCE_TYPES,
+  REPLACEMENT_PROPERTIES,
+  diffFindings,
+  diffTemplates,
+  readChangeSet,
+};
@@ -0,0 +1,187 @@
+/**
+ * Config - Discovery, loading and validation of the project config file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { escape } = require('glob');
+
+const CONFIG_FILE_NAMES = ['.cfn-scanner.json', '.cfn-scanner.yaml', '.cfn-scanner.yml'];
+
+const SEVERITY_LEVELS = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Supported config keys and the type each value must have
+const CONFIG_SCHEMA = {
+  skipRules: 'string[]',
+  includeRules: 'string[]',
+  severity: 'severity',
+  failOn: 'severity',
+  framework: 'string',
+  exclude: 'string[]',
+  rulesDirs: 'string[]',
+  plugins: 'string[]',
+};
+
+// List keys whose config and CLI values are combined rather than overridden
+const MERGED_KEYS = ['skipRules', 'exclude', 'rulesDirs'];
+
+/**
+ * Find the nearest config file, walking up from the scan path
+ */
+function findConfigFile(startPath) {
+  let dir = path.resolve(startPath);
+
+  if (fs.existsSync(dir) && fs.statSync(dir).isFile()) {
+    dir = path.dirname(dir);
+  }
+
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a config file (JSON or YAML)
+ */
+function loadConfigFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Config file not found: ${absolutePath}`);
+  }
+
+  const content = fs.readFileSync(absolutePath, 'utf8');
+  let config;
+
+  try {
+    config = path.extname(absolutePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse config file ${absolutePath}: ${error.message}`);
+  }
+
+  const validated = validateConfig(config ?? {}, absolutePath);
+
+  // Rule directories and exclude globs are relative to the config file, not the working directory
+  if (validated.rulesDirs) {
+    validated.rulesDirs = validated.rulesDirs.map(dir => path.resolve(path.dirname(absolutePath), dir));
+  }
+  if (validated.exclude) {
+    validated.exclude = validated.exclude.map(pattern => resolveGlob(pattern, path.dirname(absolutePath)));
+  }
+
+  return validated;
+}
+
+/**
+ * Anchor a relative glob at a directory. The directory is escaped so
+ * characters like `[` in its path are not read as glob syntax.
+ */
+function resolveGlob(pattern, dir) {
+  if (path.isAbsolute(pattern)) {
+    return pattern;
+  }
+  return path.posix.join(escape(dir.split(path.sep).join('/')), pattern);
+}
+
+/**
+ * Validate config keys and value types
+ */
+function validateConfig(config, source = 'config') {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config in ${source}: expected an object at the top level`);
+  }
+
+  const validKeys = Object.keys(CONFIG_SCHEMA);
+
+  for (const [key, value] of Object.entries(config)) {
+    const type = CONFIG_SCHEMA[key];
+
+    if (!type) {
+      const suggestion = validKeys.find(k => k.toLowerCase() === key.toLowerCase());
+      const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+      throw new Error(
+        `Unknown key "${key}" in ${source}${hint}. Valid keys: ${validKeys.join(', ')}`
+      );
+    }
+
+    const error = checkType(value, type);
+    if (error) {
+      throw new Error(`Invalid value for "${key}" in ${source}: ${error}`);
+    }
+  }
+
+  return config;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string')
+        ? null
+        : 'expected an array of strings';
+    case 'severity':
+      return SEVERITY_LEVELS.includes(value)
+        ? null
+        : `expected one of ${SEVERITY_LEVELS.join(', ')}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Load the config named explicitly, or the nearest one above the scan path
+ */
+function loadConfig({ scanPath = '.', configPath } = {}) {
+  const filePath = configPath ? path.resolve(configPath) : findConfigFile(scanPath);
+
+  if (!filePath) {
+    return { config: {}, path: null };
+  }
+
+  return { config: loadConfigFile(filePath), path: filePath };
+}
+
+/**
+ * Merge CLI options over config file values.
+ * Scalars given on the command line win; skipRules, exclude and rulesDirs lists are combined.
+ */
+function mergeOptions(cliOptions, config, isExplicit = () => true) {
+  const merged = {};
+
+  for (const [key, type] of Object.entries(CONFIG_SCHEMA)) {
+    if (MERGED_KEYS.includes(key)) {
+      merged[key] = [...new Set([...(config[key] || []), ...(cliOptions[key] || [])])];
+    } else if (isExplicit(key) || config[key] === undefined) {
+      merged[key] = cliOptions[key] ?? (type === 'string[]' ? [] : undefined);
+    } else {
+      merged[key] = config[key];
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadConfigFile,
+  validateConfig,
+  loadConfig,
+  mergeOptions,
+};
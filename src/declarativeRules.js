@@ -0,0 +1,450 @@
+/**
+ * Declarative Rules - Compile YAML/JSON rule definitions into rule objects
+ *
+ *   rules:
+ *     - id: ORG_S3_001
+ *       name: Bucket Blocks Public ACLs
+ *       severity: HIGH
+ *       category: access-control
+ *       resourceTypes: [AWS::S3::Bucket]
+ *       message: Bucket does not block public ACLs
+ *       assert:
+ *         all:
+ *           - path: Properties.PublicAccessBlockConfiguration.BlockPublicAcls
+ *             equals: true
+ *           - path: Properties.Tags
+ *             some: { path: Key, equals: Owner }
+ *       examples:
+ *         pass:
+ *           - Properties: { PublicAccessBlockConfiguration: { BlockPublicAcls: true }, Tags: [{ Key: Owner, Value: x }] }
+ *         fail:
+ *           - Properties: {}
+ *
+ * Paths are relative to the resource (or to the array item inside every/some).
+ * `when` takes an assertion too; the rule does not apply where it is false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('./utils/cfnYaml');
+const { IntrinsicResolver, isUnknown } = require('./utils/intrinsics');
+
+const DECLARATIVE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const RULE_KEYS = [
+  'id', 'name', 'description', 'severity', 'category', 'resourceTypes', 'frameworks',
+  'remediation', 'documentation', 'message', 'when', 'assert', 'examples',
+];
+
+const COMBINATORS = ['all', 'any', 'not'];
+
+const OPERATORS = {
+  exists: (value, expected) => (value !== undefined && value !== null) === expected,
+  equals: (value, expected) => sameValue(value, expected),
+  notEquals: (value, expected) => !sameValue(value, expected),
+  in: (value, expected) => expected.some(candidate => sameValue(value, candidate)),
+  notIn: (value, expected) => !expected.some(candidate => sameValue(value, candidate)),
+  matches: (value, expected) => (typeof value === 'string' || typeof value === 'number') && expected.test(String(value)),
+  greaterThan: (value, expected) => compareNumber(value, n => n > expected),
+  greaterThanOrEqual: (value, expected) => compareNumber(value, n => n >= expected),
+  lessThan: (value, expected) => compareNumber(value, n => n < expected),
+  lessThanOrEqual: (value, expected) => compareNumber(value, n => n <= expected),
+};
+
+const ITERATORS = ['every', 'some'];
+
+// Result of an assertion on a value only known after deployment
+const UNKNOWN = 'unknown';
+
+/**
+ * Load and compile every declarative rule in a YAML or JSON file
+ */
+function loadDeclarativeRules(filePath) {
+  let document;
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    document = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : cfnYaml.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse rule file ${filePath}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(document)
+    ? document
+    : Array.isArray(document?.rules) ? document.rules : [document];
+
+  return definitions.map(definition => compileRule(definition, filePath));
+}
+
+/**
+ * Whether a rule object is declarative (an `assert` instead of `evaluate`)
+ */
+function isDeclarativeRule(rule) {
+  return Boolean(rule) && typeof rule === 'object' && rule.assert !== undefined && rule.evaluate === undefined;
+}
+
+/**
+ * Compile a declarative definition into a rule object with an evaluate function
+ */
+function compileRule(definition, source = 'declarative rule') {
+  if (!definition || typeof definition !== 'object' || typeof definition.id !== 'string') {
+    throw new Error(`Invalid declarative rule in ${source}: an "id" is required`);
+  }
+
+  const where = `rule ${definition.id} (${source})`;
+
+  for (const key of Object.keys(definition)) {
+    if (!RULE_KEYS.includes(key)) {
+      throw new Error(`Unknown key "${key}" in ${where}. Valid keys: ${RULE_KEYS.join(', ')}`);
+    }
+  }
+
+  if (!Array.isArray(definition.resourceTypes) || definition.resourceTypes.length === 0) {
+    throw new Error(`Invalid ${where}: "resourceTypes" must list at least one resource type`);
+  }
+
+  if (definition.assert === undefined) {
+    throw new Error(`Invalid ${where}: an "assert" is required`);
+  }
+
+  const assertion = compileAssertion(definition.assert, `${where} assert`);
+  const precondition = definition.when !== undefined ? compileAssertion(definition.when, `${where} when`) : null;
+  const name = definition.name || definition.id;
+
+  const rule = {
+    id: definition.id,
+    name,
+    description: definition.description || '',
+    severity: definition.severity,
+    category: definition.category,
+    resourceTypes: definition.resourceTypes,
+    frameworks: definition.frameworks || [],
+    remediation: definition.remediation || '',
+    documentation: definition.documentation || '',
+    evaluate: (context) => {
+      const resource = context.resource || {};
+
+      if (precondition) {
+        const applies = precondition(resource, '');
+        if (applies.status === false) {
+          return null;
+        }
+        if (applies.status === UNKNOWN) {
+          return { skipped: true, message: `${name} cannot be determined: ${applies.reason}`, path: applies.path };
+        }
+      }
+
+      const outcome = assertion(resource, '');
+
+      if (outcome.status === UNKNOWN) {
+        return { skipped: true, message: `${name} cannot be determined: ${outcome.reason}`, path: outcome.path };
+      }
+
+      if (outcome.status === false) {
+        return {
+          passed: false,
+          message: definition.message || `${name}: ${outcome.reason}`,
+          ...(outcome.path && { path: outcome.path }),
+          details: { assertion: outcome.reason },
+        };
+      }
+
+      return { passed: true, message: `${name}: check passed` };
+    },
+  };
+
+  checkExamples(rule, definition.examples, where);
+
+  return rule;
+}
+
+/**
+ * Compile an assertion into a function (value, basePath) => { status, path, reason }
+ */
+function compileAssertion(spec, where) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Invalid assertion in ${where}: expected an object`);
+  }
+
+  const combinator = COMBINATORS.find(key => key in spec);
+  if (combinator) {
+    if (Object.keys(spec).length !== 1) {
+      throw new Error(`Invalid assertion in ${where}: "${combinator}" cannot be combined with other keys`);
+    }
+    return compileCombinator(combinator, spec[combinator], where);
+  }
+
+  const operators = Object.keys(spec).filter(key => key !== 'path');
+  const unknown = operators.filter(key => !(key in OPERATORS) && !ITERATORS.includes(key));
+  if (unknown.length > 0) {
+    const valid = [...COMBINATORS, ...Object.keys(OPERATORS), ...ITERATORS];
+    throw new Error(`Unknown operator "${unknown[0]}" in ${where}. Valid operators: ${valid.join(', ')}`);
+  }
+  if (operators.length !== 1) {
+    throw new Error(`Invalid assertion in ${where}: expected exactly one operator, found ${operators.length}`);
+  }
+  if (spec.path !== undefined && typeof spec.path !== 'string') {
+    throw new Error(`Invalid assertion in ${where}: "path" must be a string`);
+  }
+
+  const operator = operators[0];
+  const propertyPath = spec.path || '';
+  const segments = parsePath(propertyPath);
+
+  if (ITERATORS.includes(operator)) {
+    return compileIterator(operator, propertyPath, segments, compileAssertion(spec[operator], `${where} ${operator}`));
+  }
+
+  const expected = compileExpected(operator, spec[operator], where);
+  const test = OPERATORS[operator];
+
+  return (value, basePath) => {
+    const fullPath = joinPath(basePath, propertyPath);
+    const lookup = getPath(value, segments);
+
+    if (lookup.unknown) {
+      return { status: UNKNOWN, path: fullPath, reason: lookup.unknown.reason || `${fullPath} is only known after deployment` };
+    }
+
+    const statement = `${fullPath || 'value'} ${describe(operator, spec[operator])}`;
+
+    if (test(lookup.value, expected)) {
+      return { status: true, path: fullPath, reason: statement };
+    }
+
+    return { status: false, path: fullPath, reason: `${statement} (found ${formatValue(lookup.value)})` };
+  };
+}
+
+function compileCombinator(combinator, operands, where) {
+  if (combinator === 'not') {
+    const inner = compileAssertion(operands, `${where} not`);
+    return (value, basePath) => {
+      const outcome = inner(value, basePath);
+      if (outcome.status === UNKNOWN) {
+        return outcome;
+      }
+      return outcome.status
+        ? { status: false, path: outcome.path, reason: `expected the opposite of: ${outcome.reason || 'all assertions hold'}` }
+        : { status: true, path: outcome.path, reason: outcome.reason };
+    };
+  }
+
+  if (!Array.isArray(operands) || operands.length === 0) {
+    throw new Error(`Invalid assertion in ${where}: "${combinator}" expects a non-empty list`);
+  }
+
+  const children = operands.map((operand, index) => compileAssertion(operand, `${where} ${combinator}[${index}]`));
+  const decisive = combinator === 'any';
+
+  return (value, basePath) => {
+    const outcomes = [];
+    for (const child of children) {
+      const outcome = child(value, basePath);
+      if (outcome.status === decisive) {
+        return outcome;
+      }
+      outcomes.push(outcome);
+    }
+
+    const unknown = outcomes.find(outcome => outcome.status === UNKNOWN);
+    if (unknown) {
+      return unknown;
+    }
+
+    if (decisive) {
+      return {
+        status: false,
+        path: outcomes[0].path,
+        reason: `none of the alternatives hold: ${outcomes.map(o => o.reason).join('; ')}`,
+      };
+    }
+
+    return { status: true, path: basePath };
+  };
+}
+
+function compileIterator(operator, propertyPath, segments, itemAssertion) {
+  return (value, basePath) => {
+    const fullPath = joinPath(basePath, propertyPath);
+    const lookup = getPath(value, segments);
+
+    if (lookup.unknown) {
+      return { status: UNKNOWN, path: fullPath, reason: lookup.unknown.reason || `${fullPath} is only known after deployment` };
+    }
+
+    const items = Array.isArray(lookup.value) ? lookup.value : [];
+    const outcomes = items.map((item, index) => itemAssertion(item, `${fullPath}[${index}]`));
+
+    if (operator === 'every') {
+      const failure = outcomes.find(outcome => outcome.status === false);
+      if (failure) {
+        return failure;
+      }
+      return outcomes.find(outcome => outcome.status === UNKNOWN) || { status: true, path: fullPath };
+    }
+
+    if (outcomes.some(outcome => outcome.status === true)) {
+      return { status: true, path: fullPath };
+    }
+    return outcomes.find(outcome => outcome.status === UNKNOWN) || {
+      status: false,
+      path: fullPath,
+      reason: `no item in ${fullPath || 'value'} satisfies the assertion`,
+    };
+  };
+}
+
+function compileExpected(operator, expected, where) {
+  switch (operator) {
+    case 'exists':
+      if (typeof expected !== 'boolean') {
+        throw new Error(`Invalid assertion in ${where}: "exists" expects true or false`);
+      }
+      return expected;
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(expected)) {
+        throw new Error(`Invalid assertion in ${where}: "${operator}" expects a list`);
+      }
+      return expected;
+    case 'matches':
+      try {
+        return new RegExp(expected);
+      } catch (error) {
+        throw new Error(`Invalid assertion in ${where}: ${error.message}`);
+      }
+    case 'greaterThan':
+    case 'greaterThanOrEqual':
+    case 'lessThan':
+    case 'lessThanOrEqual':
+      if (typeof expected !== 'number') {
+        throw new Error(`Invalid assertion in ${where}: "${operator}" expects a number`);
+      }
+      return expected;
+    default:
+      return expected;
+  }
+}
+
+/**
+ * Run the embedded examples; pass examples must pass and fail examples must fail
+ */
+function checkExamples(rule, examples, where) {
+  if (examples === undefined) {
+    return;
+  }
+
+  for (const expectation of ['pass', 'fail']) {
+    (examples[expectation] || []).forEach((example, index) => {
+      const resource = { Type: rule.resourceTypes[0], ...example };
+      const template = { Resources: { Example: resource } };
+      const resolved = new IntrinsicResolver(template).resolveResource(resource);
+
+      const evaluation = rule.evaluate({
+        template,
+        resourceName: 'Example',
+        resource: resolved,
+        resourceType: resolved.Type,
+        properties: resolved.Properties || {},
+        rawProperties: resource.Properties || {},
+        filePath: null,
+      });
+
+      const passed = evaluation === null || evaluation.skipped ? null : evaluation.passed;
+      if (passed !== (expectation === 'pass')) {
+        const outcome = passed === null ? 'was not evaluated' : passed ? 'passed' : `failed: ${evaluation.message}`;
+        throw new Error(`Example ${expectation}[${index}] of ${where} should ${expectation} but ${outcome}`);
+      }
+    });
+  }
+}
+
+/**
+ * Split `A.B[0].C` into ['A', 'B', 0, 'C']
+ */
+function parsePath(propertyPath) {
+  const segments = [];
+  for (const match of propertyPath.matchAll(/([^.[\]]+)|\[(\d+)\]/g)) {
+    segments.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+  }
+  return segments;
+}
+
+function getPath(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (isUnknown(current)) {
+      return { unknown: current };
+    }
+    if (current === null || typeof current !== 'object') {
+      return { value: undefined };
+    }
+    current = current[segment];
+  }
+  return isUnknown(current) ? { unknown: current } : { value: current };
+}
+
+function joinPath(basePath, propertyPath) {
+  if (!propertyPath) {
+    return basePath;
+  }
+  return basePath ? `${basePath}.${propertyPath}` : propertyPath;
+}
+
+// CloudFormation passes scalars as strings, so `true` and 'true' are the same value,
+// and reads booleans in any case
+function sameValue(a, b) {
+  const isScalar = v => v === null || typeof v !== 'object';
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return isScalar(a) && isScalar(b) && a !== undefined && b !== undefined &&
+      String(a).toLowerCase() === String(b).toLowerCase();
+  }
+  if (isScalar(a) && isScalar(b)) {
+    return a !== undefined && String(a) === String(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compareNumber(value, test) {
+  const number = typeof value === 'number' ? value : typeof value === 'string' && value !== '' ? Number(value) : NaN;
+  return !Number.isNaN(number) && test(number);
+}
+
+function describe(operator, expected) {
+  switch (operator) {
+    case 'exists':
+      return expected ? 'must be set' : 'must not be set';
+    case 'equals':
+      return `must equal ${formatValue(expected)}`;
+    case 'notEquals':
+      return `must not equal ${formatValue(expected)}`;
+    case 'in':
+      return `must be one of ${formatValue(expected)}`;
+    case 'notIn':
+      return `must not be one of ${formatValue(expected)}`;
+    case 'matches':
+      return `must match /${expected}/`;
+    case 'greaterThan':
+      return `must be greater than ${expected}`;
+    case 'greaterThanOrEqual':
+      return `must be at least ${expected}`;
+    case 'lessThan':
+      return `must be less than ${expected}`;
+    case 'lessThanOrEqual':
+      return `must be at most ${expected}`;
+    default:
+      return `must satisfy ${operator}`;
+  }
+}
+
+function formatValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+module.exports = {
+  DECLARATIVE_EXTENSIONS,
+  loadDeclarativeRules,
+  isDeclarativeRule,
+  compileRule,
+};
@@ -0,0 +1,123 @@
+/**
+ * Change Set Formatter - Output for `cfn-scan changeset` security diffs
+ */
+
+const chalk = require('chalk');
+const SarifFormatter = require('./sarif');
+const { resourceKey } = require('../utils/baseline');
+
+class ChangeSetFormatter {
+  constructor(options = {}) {
+    this.options = {
+      color: true,
+      format: 'console',
+      ...options,
+    };
+
+    if (!this.options.color) {
+      chalk.level = 0;
+    }
+  }
+
+  format(report) {
+    switch (this.options.format.toLowerCase()) {
+      case 'json':
+        return this.formatJson(report);
+      case 'sarif':
+        return this.formatSarif(report);
+      default:
+        return this.formatConsole(report);
+    }
+  }
+
+  formatConsole(report) {
+    const lines = [];
+    const { findings, resources } = report;
+
+    if (report.before && report.after) {
+      this.formatFindings(lines, 'New findings', findings.new, chalk.red('+'));
+      this.formatFindings(lines, 'Resolved findings', findings.resolved, chalk.green('-'));
+      lines.push(chalk.dim(`Unchanged findings: ${findings.unchanged.length}`));
+    } else {
+      lines.push(chalk.dim('Findings not compared: pass --before and --after to scan both versions'));
+    }
+    lines.push('');
+
+    this.formatChanges(lines, 'Replaced resources', resources.replaced, chalk.yellow('~'));
+    this.formatChanges(lines, 'Deleted resources', resources.deleted, chalk.red('-'));
+    this.formatChanges(lines, 'Stateful resources modified', resources.statefulModified, chalk.yellow('*'));
+
+    if (report.regression) {
+      lines.push(chalk.red.bold('✗ Security regression introduced'));
+    } else {
+      lines.push(chalk.green('✓ No security regression introduced'));
+    }
+
+    return lines.join('\n');
+  }
+
+  formatFindings(lines, title, results, marker) {
+    lines.push(chalk.bold(`${title} (${results.length}):`));
+    for (const result of results) {
+      lines.push(`  ${marker} [${result.severity}] ${chalk.cyan(result.ruleId)} ${resourceKey(result)} (${result.resourceType})`);
+      lines.push(chalk.dim(`      ${result.message}`));
+    }
+    lines.push('');
+  }
+
+  formatChanges(lines, title, changes, marker) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    lines.push(chalk.bold(`${title} (${changes.length}):`));
+    for (const change of changes) {
+      const properties = change.properties.length > 0 ? `: ${change.properties.join(', ')}` : '';
+      const replacement = change.replacement === 'Conditional' ? ' (conditional replacement)' : '';
+      lines.push(`  ${marker} ${change.logicalId} (${change.resourceType})${replacement}${properties}`);
+      if (change.dataLoss === 'possible') {
+        lines.push(chalk.red('      Stateful resource whose policies are unknown without the templates: its data may be lost'));
+      } else if (change.dataLoss) {
+        lines.push(chalk.red('      Stateful resource without a Retain or Snapshot policy: its data will be lost'));
+      }
+    }
+    lines.push('');
+  }
+
+  formatJson(report) {
+    const summarize = result => ({
+      ruleId: result.ruleId,
+      ruleName: result.ruleName,
+      severity: result.severity,
+      resourceName: result.resourceName,
+      resourceType: result.resourceType,
+      ...(result.stackPath && { stackPath: result.stackPath }),
+      filePath: result.filePath,
+      propertyPath: result.propertyPath || null,
+      location: result.location || null,
+      message: result.message,
+    });
+
+    return JSON.stringify({
+      ...report,
+      findings: {
+        new: report.findings.new.map(summarize),
+        resolved: report.findings.resolved.map(summarize),
+        unchanged: report.findings.unchanged.map(summarize),
+      },
+    }, null, 2);
+  }
+
+  /**
+   * SARIF results for the new and unchanged findings, with their baselineState
+   */
+  formatSarif(report) {
+    const results = [
+      ...report.findings.new,
+      ...report.findings.unchanged.map(result => ({ ...result, status: 'EXISTING' })),
+    ];
+    return new SarifFormatter().format(results, { fixedBaselineEntries: report.findings.resolved }, []);
+  }
+}
+
+module.exports = ChangeSetFormatter;
@@ -3,6 +3,8 @@
  */
 
 const chalk = require('chalk');
+const { resourceKey } = require('../utils/baseline');
+const { formatAttackPath } = require('../analysis/attackPaths');
 
 class ConsoleFormatter {
   constructor(options = {}) {
@@ -20,9 +22,15 @@ class ConsoleFormatter {
   format(results, summary, fileResults) {
     const lines = [];
     const failedResults = results.filter(r => r.status === 'FAILED');
+    const suppressedResults = results.filter(r => r.status === 'SUPPRESSED');
+    const existingResults = results.filter(r => r.status === 'EXISTING');
 
     if (failedResults.length === 0) {
-      lines.push(chalk.green('✓ No security issues found!\n'));
+      lines.push(chalk.green(existingResults.length > 0 ? '✓ No new security issues found!\n' : '✓ No security issues found!\n'));
+      this.formatSuppressed(suppressedResults, lines);
+      this.formatBaseline(existingResults, summary, lines);
+      this.formatAttackPaths(fileResults, lines);
+      this.formatDiagnostics(fileResults, lines);
       return lines.join('\n');
     }
 
@@ -52,6 +60,27 @@ class ConsoleFormatter {
         lines.push(`  ${status} ${severityBadge} ${chalk.cyan(finding.ruleId)}`);
         lines.push(`     ${chalk.bold(finding.ruleName)}`);
         lines.push(`     Resource: ${finding.resourceName} (${finding.resourceType})`);
+
+        if (finding.constructPath) {
+          lines.push(`     Construct: ${finding.constructPath}`);
+        }
+
+        if (finding.stackPath) {
+          lines.push(`     Stack path: ${resourceKey(finding)}`);
+        }
+
+        if (finding.origin) {
+          lines.push(`     Source: ${finding.origin.resourceName} (${finding.origin.resourceType})`);
+        }
+
+        if (finding.propertyPath) {
+          lines.push(`     Property: ${finding.propertyPath}`);
+        }
+
+        if (finding.location) {
+          lines.push(chalk.dim(`     Location: ${file}:${finding.location.startLine}:${finding.location.startColumn}`));
+        }
+
         lines.push(`     ${finding.message}`);
 
         if (finding.remediation) {
@@ -66,9 +95,88 @@ class ConsoleFormatter {
       }
     }
 
+    this.formatSuppressed(suppressedResults, lines);
+    this.formatBaseline(existingResults, summary, lines);
+    this.formatAttackPaths(fileResults, lines);
+    this.formatDiagnostics(fileResults, lines);
+
     return lines.join('\n');
   }
 
+  formatSuppressed(suppressedResults, lines) {
+    if (suppressedResults.length === 0) {
+      return;
+    }
+
+    lines.push(chalk.bold(`Suppressed findings (${suppressedResults.length}):`));
+    for (const finding of suppressedResults) {
+      lines.push(chalk.dim(`  ~ ${finding.ruleId} ${resourceKey(finding)} (${finding.filePath}): ${finding.suppression.reason}`));
+    }
+    lines.push('');
+  }
+
+  formatBaseline(existingResults, summary, lines) {
+    if (existingResults.length > 0) {
+      lines.push(chalk.dim(`${existingResults.length} existing finding(s) matched the baseline and are not shown.`));
+      lines.push('');
+    }
+
+    const fixed = summary.fixedBaselineEntries || [];
+    if (fixed.length === 0) {
+      return;
+    }
+
+    lines.push(chalk.bold(`Fixed baseline entries (${fixed.length}), remove them from the baseline:`));
+    for (const entry of fixed) {
+      lines.push(chalk.green(`  - ${entry.ruleId} ${resourceKey(entry)} (${entry.filePath})`));
+    }
+    lines.push('');
+  }
+
+  /**
+   * Routes from internet entry points to data stores, highest risk first
+   */
+  formatAttackPaths(fileResults = [], lines) {
+    const attackPaths = fileResults
+      .flatMap(fileResult => fileResult.attackPaths || [])
+      .sort((a, b) => b.riskScore - a.riskScore);
+    if (attackPaths.length === 0) {
+      return;
+    }
+
+    lines.push(chalk.bold(`Attack paths (${attackPaths.length}):`));
+    for (const attackPath of attackPaths) {
+      const severityColor = this.getSeverityColor(attackPath.severity);
+      const stack = attackPath.stackPath ? ` [${attackPath.stackPath.join(' > ')}]` : '';
+      lines.push(`  ${chalk[severityColor](`[${attackPath.severity} ${attackPath.riskScore}]`)} ` +
+        `${chalk.bold(attackPath.entry.resource)} -> ${chalk.bold(attackPath.target.resource)} (${attackPath.target.label})${stack}`);
+      const when = attackPath.entry.conditions
+        ? ` (when ${Object.entries(attackPath.entry.conditions).map(([name, value]) => `${name}=${value}`).join(', ')})`
+        : '';
+      lines.push(`     Entry: ${attackPath.entry.reason}${when}`);
+      lines.push(`     Path: ${formatAttackPath(attackPath.steps)}`);
+      lines.push(chalk.dim(`     File: ${attackPath.filePath}`));
+    }
+    lines.push('');
+  }
+
+  /**
+   * Nested stack and AWS::Include references that could not be followed
+   */
+  formatDiagnostics(fileResults = [], lines) {
+    const diagnostics = fileResults.flatMap(fileResult => fileResult.diagnostics || []);
+    if (diagnostics.length === 0) {
+      return;
+    }
+
+    lines.push(chalk.bold(`Diagnostics (${diagnostics.length}):`));
+    for (const diagnostic of diagnostics) {
+      const line = diagnostic.location ? `:${diagnostic.location.startLine}` : '';
+      lines.push(chalk.yellow(`  ! ${diagnostic.filePath}${line}: ${diagnostic.message}`));
+    }
+    lines.push('');
+  }
+
   getSeverityColor(severity) {
     switch (severity) {
       case 'CRITICAL':
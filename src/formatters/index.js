@@ -6,10 +6,12 @@ const ConsoleFormatter = require('./console');
 const JsonFormatter = require('./json');
 const SarifFormatter = require('./sarif');
 const SummaryFormatter = require('./summary');
+const ChangeSetFormatter = require('./changeSet');
 
 module.exports = {
   ConsoleFormatter,
   JsonFormatter,
   SarifFormatter,
   SummaryFormatter,
+  ChangeSetFormatter,
 };
@@ -20,6 +20,8 @@ class JsonFormatter {
         passed: summary.passed,
         failed: summary.failed,
         skipped: summary.skipped,
+        suppressed: summary.suppressed,
+        existing: summary.existing,
         errors: summary.errors,
         severityCounts: summary.severityCounts,
       },
@@ -32,17 +34,31 @@ class JsonFormatter {
         status: r.status,
         resourceName: r.resourceName,
         resourceType: r.resourceType,
+        ...(r.origin && { origin: r.origin }),
+        ...(r.stackPath && { stackPath: r.stackPath }),
+        ...(r.constructPath && { constructPath: r.constructPath }),
         filePath: r.filePath,
+        propertyPath: r.propertyPath || null,
+        location: r.location || null,
         message: r.message,
         remediation: r.remediation,
         documentation: r.documentation,
         details: r.details || {},
+        ...(r.suppression && { suppression: r.suppression }),
+        ...(r.fingerprint && { fingerprint: r.fingerprint }),
       })),
       files: fileResults.map(f => ({
         path: f.file,
         error: f.error || null,
         findingsCount: f.results?.filter(r => r.status === 'FAILED').length || 0,
+        ...(f.diagnostics && { diagnostics: f.diagnostics }),
       })),
+      attackPaths: fileResults
+        .flatMap(f => f.attackPaths || [])
+        .sort((a, b) => b.riskScore - a.riskScore),
+      ...(summary.fixedBaselineEntries && {
+        baseline: { fixed: summary.fixedBaselineEntries },
+      }),
     };
 
     if (this.options.pretty) {
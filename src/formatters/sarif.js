@@ -3,12 +3,15 @@
  * Standard format for IDE integration and security tools
  */
 
+const { resourceKey } = require('../utils/baseline');
+
 class SarifFormatter {
   constructor(options = {}) {
     this.options = options;
   }
 
   format(results, summary, fileResults) {
+    const notifications = this.getNotifications(fileResults);
     const sarif = {
       $schema: 'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json',
       version: '2.1.0',
@@ -22,11 +25,12 @@ class SarifFormatter {
               rules: this.getRules(results),
             },
           },
-          results: this.getResults(results),
+          results: this.getResults(results, summary),
           invocations: [
             {
               executionSuccessful: true,
               endTimeUtc: new Date().toISOString(),
+              ...(notifications.length > 0 && { toolExecutionNotifications: notifications }),
             },
           ],
         },
@@ -72,10 +76,12 @@ class SarifFormatter {
     return Array.from(rulesMap.values());
   }
 
-  getResults(results) {
+  getResults(results, summary = {}) {
+    const hasBaseline = Boolean(summary.fixedBaselineEntries);
+
     return results
-      .filter(r => r.status === 'FAILED')
-      .map((result, index) => ({
+      .filter(r => r.status === 'FAILED' || r.status === 'SUPPRESSED' || r.status === 'EXISTING')
+      .map(result => ({
         ruleId: result.ruleId,
         ruleIndex: this.getRuleIndex(results, result.ruleId),
         level: this.severityToLevel(result.severity),
@@ -89,6 +95,7 @@ class SarifFormatter {
                 uri: result.filePath,
                 uriBaseId: '%SRCROOT%',
               },
+              ...(result.location && { region: this.getRegion(result.location) }),
             },
             logicalLocations: [
               {
@@ -96,21 +103,83 @@ class SarifFormatter {
                 kind: 'resource',
                 fullyQualifiedName: `${result.resourceType}/${result.resourceName}`,
               },
+              ...(result.propertyPath ? [{
+                name: result.propertyPath,
+                kind: 'member',
+                fullyQualifiedName: `${result.resourceType}/${result.resourceName}/${result.propertyPath}`,
+              }] : []),
+              ...(result.constructPath ? [{
+                name: result.constructPath.split('/').pop(),
+                kind: 'object',
+                fullyQualifiedName: result.constructPath,
+              }] : []),
+              ...(result.origin ? [{
+                name: result.origin.resourceName,
+                kind: 'resource',
+                fullyQualifiedName: `${result.origin.resourceType}/${result.origin.resourceName}`,
+              }] : []),
             ],
           },
         ],
+        ...(result.suppression && {
+          suppressions: [
+            {
+              kind: 'inSource',
+              status: 'accepted',
+              justification: result.suppression.reason,
+            },
+          ],
+        }),
+        ...(hasBaseline && {
+          baselineState: result.status === 'EXISTING' ? 'unchanged' : 'new',
+        }),
         fingerprints: {
           primaryLocationLineHash: this.generateFingerprint(result),
         },
         properties: {
           resourceName: result.resourceName,
           resourceType: result.resourceType,
+          propertyPath: result.propertyPath || undefined,
+          origin: result.origin,
+          stackPath: result.stackPath ? resourceKey(result) : undefined,
+          constructPath: result.constructPath,
           category: result.category,
           remediation: result.remediation,
         },
       }));
   }
 
+  /**
+   * Nested stack and AWS::Include references that could not be followed
+   */
+  getNotifications(fileResults = []) {
+    return fileResults.flatMap(fileResult => fileResult.diagnostics || []).map(diagnostic => ({
+      level: 'warning',
+      message: { text: diagnostic.message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri: diagnostic.filePath,
+              uriBaseId: '%SRCROOT%',
+            },
+            ...(diagnostic.location && { region: this.getRegion(diagnostic.location) }),
+          },
+        },
+      ],
+      properties: { type: diagnostic.type },
+    }));
+  }
+
+  getRegion(location) {
+    return {
+      startLine: location.startLine,
+      startColumn: location.startColumn,
+      endLine: location.endLine,
+      endColumn: location.endColumn,
+    };
+  }
+
   getRuleIndex(results, ruleId) {
     const uniqueRules = [...new Set(results.map(r => r.ruleId))];
     return uniqueRules.indexOf(ruleId);
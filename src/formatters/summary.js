@@ -36,6 +36,8 @@ class SummaryFormatter {
     lines.push(`   ${chalk.green('Passed:')}  ${summary.passed}`);
     lines.push(`   ${chalk.red('Failed:')}  ${summary.failed}`);
     lines.push(`   ${chalk.gray('Skipped:')} ${summary.skipped}`);
+    lines.push(`   ${chalk.gray('Suppressed:')} ${summary.suppressed || 0}`);
+    lines.push(`   ${chalk.gray('Existing:')} ${summary.existing || 0}`);
     lines.push('');
 
     // Severity breakdown
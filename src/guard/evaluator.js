@@ -0,0 +1,516 @@
+/**
+ * Guard Evaluator - Evaluates parsed Guard rules against a template
+ *
+ * Statuses follow cfn-guard: every clause is PASS, FAIL or SKIP. A query
+ * selects values from the template; clauses hold for every selected value
+ * unless prefixed with `some`. A filter that selects nothing makes the
+ * clause SKIP, while a missing property on a selected value is a FAIL.
+ * Each failure keeps the template path of the value that failed, so
+ * results can be reported against the resource it belongs to.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const PASS = 'PASS';
+const FAIL = 'FAIL';
+const SKIP = 'SKIP';
+
+const SKIPPED = { status: SKIP, failures: [], resources: new Set() };
+
+const TYPE_CHECKS = {
+  is_string: value => typeof value === 'string',
+  is_list: value => Array.isArray(value),
+  is_struct: value => isStruct(value),
+  is_bool: value => typeof value === 'boolean',
+  is_int: value => Number.isInteger(value),
+};
+
+class GuardEvaluator {
+  constructor(file, template) {
+    this.rules = new Map(file.rules.map(rule => [rule.name, rule]));
+    this.results = new Map();
+    this.pending = new Set();
+    this.rootScope = createScope(null, { value: template, path: [] }, file.lets);
+  }
+
+  /**
+   * Evaluate a named rule: { status, failures: [{ path, message }], resources }
+   * where `resources` holds the logical IDs the rule actually checked
+   */
+  evaluateRule(name) {
+    if (this.results.has(name)) {
+      return this.results.get(name);
+    }
+
+    const rule = this.rules.get(name);
+    if (!rule) {
+      throw new Error(`Unknown Guard rule "${name}"`);
+    }
+    if (this.pending.has(name)) {
+      throw new Error(`Guard rule "${name}" depends on itself`);
+    }
+
+    this.pending.add(name);
+    let result;
+    try {
+      result = this.evaluateGuarded(rule.conditions, rule.body, this.rootScope);
+    } finally {
+      this.pending.delete(name);
+    }
+
+    this.results.set(name, result);
+    return result;
+  }
+
+  /**
+   * Evaluate `body` only when `conditions` (if any) pass
+   */
+  evaluateGuarded(conditions, body, scope) {
+    if (!conditions) {
+      return this.evaluateBody(body, scope);
+    }
+
+    const guard = this.evaluateBody(conditions, scope);
+    if (guard.status !== PASS) {
+      return SKIPPED;
+    }
+
+    const result = this.evaluateBody(body, scope);
+    return result.status === SKIP
+      ? result
+      : { ...result, resources: new Set([...guard.resources, ...result.resources]) };
+  }
+
+  /**
+   * A body holds when every clause group holds; a group holds when any of its clauses does
+   */
+  evaluateBody(statements, parentScope) {
+    const lets = statements.filter(statement => statement.type === 'let');
+    const scope = lets.length > 0 ? createScope(parentScope, parentScope.self, lets) : parentScope;
+
+    return allOf(statements
+      .filter(statement => statement.type === 'group')
+      .map(group => anyOf(group.clauses.map(clause => this.evaluateClause(clause, scope)))));
+  }
+
+  evaluateClause(clause, scope) {
+    switch (clause.kind) {
+      case 'ruleRef':
+        return this.evaluateRuleRef(clause);
+      case 'when':
+        return this.evaluateGuarded(clause.conditions, clause.body, scope);
+      case 'typeBlock': {
+        const resources = Object.entries(this.rootScope.self.value?.Resources || {})
+          .filter(([, resource]) => resource?.Type === clause.resourceType)
+          .map(([name, resource]) => ({ value: resource, path: ['Resources', name] }));
+        return this.evaluateBlock(resources, clause, scope);
+      }
+      case 'block':
+        return this.evaluateBlock(this.evaluateQuery(clause.query, scope), clause, scope);
+      case 'unary':
+        return this.evaluateUnary(clause, scope);
+      case 'compare':
+        return this.evaluateComparison(clause, scope);
+      default:
+        throw new Error(`Unsupported Guard clause "${clause.kind}"`);
+    }
+  }
+
+  evaluateRuleRef(clause) {
+    const result = this.evaluateRule(clause.name);
+
+    if (!clause.not || result.status === SKIP) {
+      return result;
+    }
+    if (result.status === FAIL) {
+      return { status: PASS, failures: [], resources: result.resources };
+    }
+    return {
+      status: FAIL,
+      failures: [{ path: [], message: `Rule ${clause.name} must not pass`, custom: false }],
+      resources: result.resources,
+    };
+  }
+
+  /**
+   * Run a block body once per selected value, with `this` bound to the value
+   */
+  evaluateBlock(entries, clause, scope) {
+    if (entries.length === 0) {
+      return SKIPPED;
+    }
+
+    const results = entries.map(entry => {
+      if (entry.missing) {
+        return fail(entry, clause.message || `${formatPath(entry.path)} does not exist`, !!clause.message);
+      }
+
+      const entryScope = createScope(scope, entry, []);
+      const result = clause.conditions
+        ? this.evaluateGuarded(clause.conditions, clause.body, entryScope)
+        : this.evaluateBody(clause.body, entryScope);
+      return withMessage(result, clause.message);
+    });
+
+    return clause.some ? anyOf(results) : allOf(results);
+  }
+
+  evaluateUnary(clause, scope) {
+    const entries = this.evaluateQuery(clause.query, scope);
+    const describe = () => `${formatQuery(clause.query)} ${clause.not ? '!' : ''}${clause.operator}`;
+
+    // A query that selects nothing is empty and does not exist
+    if (entries.length === 0) {
+      const holds = (clause.operator === 'empty') !== clause.not;
+      return holds
+        ? { status: PASS, failures: [], resources: new Set() }
+        : { status: FAIL, failures: [failure(scope.self.path, clause, `Check failed: ${describe()}`)], resources: new Set() };
+    }
+
+    const check = entry => {
+      if (clause.operator === 'exists') {
+        return !entry.missing;
+      }
+      if (clause.operator === 'empty') {
+        return entry.missing || isEmpty(entry.value);
+      }
+      return !entry.missing && TYPE_CHECKS[clause.operator](entry.value);
+    };
+
+    return this.collect(entries, clause, entry => check(entry) !== clause.not, entry =>
+      `Check failed: ${describe()} (${entry.missing ? 'property not found' : `found ${formatValue(entry.value)}`})`);
+  }
+
+  evaluateComparison(clause, scope) {
+    const entries = this.evaluateQuery(clause.query, scope);
+    if (entries.length === 0) {
+      return SKIPPED;
+    }
+
+    const expected = this.resolveValue(clause.value, scope);
+    const operator = `${clause.not ? 'not ' : ''}${clause.operator === 'in' ? 'IN' : clause.operator}`;
+    const statement = `${formatQuery(clause.query)} ${operator} ${formatExpected(expected)}`;
+
+    return this.collect(entries, clause, entry => {
+      if (entry.missing) {
+        return false;
+      }
+      const holds = clause.operator === 'in'
+        ? isIn(entry.value, expected)
+        : compare(entry.value, clause.operator, expected);
+      return holds !== clause.not;
+    }, entry =>
+      `Check failed: ${statement} (${entry.missing ? 'property not found' : `found ${formatValue(entry.value)}`})`);
+  }
+
+  /**
+   * Combine per-value checks into one clause result
+   */
+  collect(entries, clause, check, describeFailure) {
+    const outcomes = entries.map(entry => ({ entry, holds: check(entry) }));
+    const resources = new Set(entries.map(entry => resourceOf(entry.path)).filter(Boolean));
+    const passed = clause.some
+      ? outcomes.some(outcome => outcome.holds)
+      : outcomes.every(outcome => outcome.holds);
+
+    if (passed) {
+      return { status: PASS, failures: [], resources };
+    }
+
+    return {
+      status: FAIL,
+      failures: outcomes
+        .filter(outcome => !outcome.holds)
+        .map(({ entry }) => failure(entry.path, clause, describeFailure(entry))),
+      resources,
+    };
+  }
+
+  /**
+   * Select values from the template: [{ value, path, missing? }]
+   */
+  evaluateQuery(query, scope) {
+    let entries;
+
+    if (query.root.type === 'variable') {
+      entries = this.lookupVariable(query.root.name, scope);
+    } else if (query.root.type === 'this') {
+      entries = [scope.self];
+    } else {
+      entries = selectKey([scope.self], query.root.name);
+    }
+
+    for (const segment of query.segments) {
+      switch (segment.type) {
+        case 'key':
+          entries = selectKey(entries, segment.key);
+          break;
+        case 'index':
+          entries = entries.map(entry => {
+            if (entry.missing) {
+              return entry;
+            }
+            return Array.isArray(entry.value) && segment.index < entry.value.length
+              ? { value: entry.value[segment.index], path: [...entry.path, segment.index] }
+              : { missing: true, path: [...entry.path, segment.index] };
+          });
+          break;
+        case 'all':
+          entries = entries.flatMap(entry => {
+            if (Array.isArray(entry.value)) {
+              return entry.value.map((value, index) => ({ value, path: [...entry.path, index] }));
+            }
+            if (isStruct(entry.value)) {
+              return Object.entries(entry.value).map(([key, value]) => ({ value, path: [...entry.path, key] }));
+            }
+            return [{ missing: true, path: entry.path }];
+          });
+          break;
+        case 'filter':
+          entries = entries
+            .filter(entry => !entry.missing)
+            .flatMap(entry => (Array.isArray(entry.value)
+              ? entry.value.map((value, index) => ({ value, path: [...entry.path, index] }))
+              : [entry]))
+            .filter(entry => this.evaluateBody(segment.body, createScope(scope, entry, [])).status === PASS);
+          break;
+        default:
+          throw new Error(`Unsupported query segment "${segment.type}"`);
+      }
+    }
+
+    return entries;
+  }
+
+  lookupVariable(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      const variable = current.variables.get(name);
+      if (!variable) {
+        continue;
+      }
+
+      if (!variable.entries) {
+        const { value } = variable.statement;
+        variable.entries = value.type === 'query'
+          ? this.evaluateQuery(value.query, current)
+          : [{ value: this.resolveValue(value, current), path: [] }];
+      }
+      return variable.entries;
+    }
+
+    throw new Error(`Unknown Guard variable "%${name}"`);
+  }
+
+  /**
+   * Resolve the right-hand side of a comparison to a plain value, RegExp or list
+   */
+  resolveValue(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'regex':
+        return new RegExp(node.pattern);
+      case 'list':
+        return node.items.map(item => this.resolveValue(item, scope));
+      case 'variable':
+      case 'query': {
+        const entries = node.type === 'variable'
+          ? this.lookupVariable(node.name, scope)
+          : this.evaluateQuery(node.query, scope);
+        const values = entries.filter(entry => !entry.missing).map(entry => entry.value);
+        return values.length === 1 ? values[0] : values;
+      }
+      default:
+        throw new Error(`Unsupported Guard value "${node.type}"`);
+    }
+  }
+}
+
+function createScope(parent, self, lets) {
+  return {
+    parent,
+    self,
+    variables: new Map(lets.map(statement => [statement.name, { statement, entries: null }])),
+  };
+}
+
+/**
+ * Missing values stay at the first property that was not found
+ */
+function selectKey(entries, key) {
+  return entries.map(entry => {
+    if (entry.missing) {
+      return entry;
+    }
+    return isStruct(entry.value) && Object.prototype.hasOwnProperty.call(entry.value, key)
+      ? { value: entry.value[key], path: [...entry.path, key] }
+      : { missing: true, path: [...entry.path, key] };
+  });
+}
+
+/**
+ * All results must hold; SKIP results are ignored unless everything skipped
+ */
+function allOf(results) {
+  const active = results.filter(result => result.status !== SKIP);
+  if (active.length === 0) {
+    return SKIPPED;
+  }
+
+  const failed = active.filter(result => result.status === FAIL);
+  return {
+    status: failed.length > 0 ? FAIL : PASS,
+    failures: failed.flatMap(result => result.failures),
+    resources: unionResources(active),
+  };
+}
+
+/**
+ * At least one result must hold
+ */
+function anyOf(results) {
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  const active = results.filter(result => result.status !== SKIP);
+  if (active.length === 0) {
+    return SKIPPED;
+  }
+
+  const passed = active.some(result => result.status === PASS);
+  return {
+    status: passed ? PASS : FAIL,
+    failures: passed ? [] : active.flatMap(result => result.failures),
+    resources: unionResources(active),
+  };
+}
+
+function unionResources(results) {
+  return new Set(results.flatMap(result => [...result.resources]));
+}
+
+function fail(entry, message, custom) {
+  return {
+    status: FAIL,
+    failures: [{ path: entry.path, message, custom }],
+    resources: new Set([resourceOf(entry.path)].filter(Boolean)),
+  };
+}
+
+function failure(path, clause, message) {
+  return { path, message: clause.message || message, custom: !!clause.message };
+}
+
+/**
+ * A block's custom message replaces the generated messages of its clauses
+ */
+function withMessage(result, message) {
+  if (!message || result.status !== FAIL) {
+    return result;
+  }
+
+  return {
+    ...result,
+    failures: result.failures.map(item => (item.custom ? item : { ...item, message, custom: true })),
+  };
+}
+
+function compare(actual, operator, expected) {
+  if (expected instanceof RegExp) {
+    const matches = typeof actual === 'string' && expected.test(actual);
+    if (operator === '==') return matches;
+    if (operator === '!=') return !matches;
+    return false;
+  }
+
+  switch (operator) {
+    case '==':
+      return sameValue(actual, expected);
+    case '!=':
+      return !sameValue(actual, expected);
+    default: {
+      const comparable = (typeof actual === 'number' && typeof expected === 'number') ||
+        (typeof actual === 'string' && typeof expected === 'string');
+      if (!comparable) return false;
+      if (operator === '<') return actual < expected;
+      if (operator === '<=') return actual <= expected;
+      if (operator === '>') return actual > expected;
+      return actual >= expected;
+    }
+  }
+}
+
+// Parameters reach boolean properties as strings, which CloudFormation reads in any case
+function sameValue(actual, expected) {
+  if (typeof expected === 'boolean' && typeof actual === 'string') {
+    return actual.toLowerCase() === String(expected);
+  }
+  return isDeepStrictEqual(actual, expected);
+}
+
+function isIn(actual, expected) {
+  const options = Array.isArray(expected) ? expected : [expected];
+  const contains = value => options.some(option => compare(value, '==', option));
+  return Array.isArray(actual) ? actual.every(contains) : contains(actual);
+}
+
+function isStruct(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  if (Array.isArray(value) || typeof value === 'string') {
+    return value.length === 0;
+  }
+  return isStruct(value) && Object.keys(value).length === 0;
+}
+
+/**
+ * Logical ID of the resource a template path points into
+ */
+function resourceOf(path) {
+  return path[0] === 'Resources' && path.length > 1 ? String(path[1]) : null;
+}
+
+/**
+ * Format path segments as `A.B[0].C`
+ */
+function formatPath(path) {
+  return path
+    .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index === 0 ? '' : '.'}${segment}`))
+    .join('');
+}
+
+function formatQuery(query) {
+  const root = query.root.type === 'variable' ? `%${query.root.name}` : query.root.type === 'this' ? 'this' : query.root.name;
+
+  return root + query.segments.map(segment => {
+    if (segment.type === 'key') return `.${segment.key}`;
+    if (segment.type === 'index') return `[${segment.index}]`;
+    if (segment.type === 'all') return '[*]';
+    return '[...]';
+  }).join('');
+}
+
+function formatExpected(expected) {
+  if (expected instanceof RegExp) {
+    return String(expected);
+  }
+  if (Array.isArray(expected)) {
+    return `[${expected.map(formatExpected).join(', ')}]`;
+  }
+  return formatValue(expected);
+}
+
+function formatValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+module.exports = {
+  PASS,
+  FAIL,
+  SKIP,
+  GuardEvaluator,
+  formatPath,
+};
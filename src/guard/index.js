@@ -0,0 +1,172 @@
+/**
+ * Guard Rules - Runs AWS CloudFormation Guard policy files as scanner rules
+ *
+ * Every named `rule` in a .guard file becomes a scanner rule with the same ID.
+ * Rules whose queries select resources by `Type` (or use type blocks) report
+ * one result per matching resource; other rules report once per template.
+ * Guard has no rule metadata, so comment annotations directly above a rule
+ * can set it:
+ *
+ *   # @severity HIGH
+ *   # @category encryption
+ *   rule S3_BUCKET_ENCRYPTED { ... }
+ *
+ * Supported annotations are @name, @description, @severity (default MEDIUM),
+ * @category (default guard), @remediation and @documentation.
+ */
+
+const fs = require('fs');
+const { parseGuard } = require('./parser');
+const { GuardEvaluator, SKIP, formatPath } = require('./evaluator');
+
+const GUARD_EXTENSIONS = ['.guard'];
+const TEMPLATE_TYPE = 'AWS::CloudFormation::Template';
+const ANNOTATION_KEYS = ['name', 'description', 'severity', 'category', 'remediation', 'documentation'];
+
+/**
+ * Load and compile the rules in a .guard file
+ */
+function loadGuardRules(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    return compileGuardRules(source);
+  } catch (error) {
+    throw new Error(`Failed to load Guard rules from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Compile Guard source into rule objects for RuleEngine
+ */
+function compileGuardRules(source) {
+  const file = parseGuard(source);
+  const annotations = readAnnotations(source);
+  const lets = new Map(file.lets.map(statement => [statement.name, statement]));
+
+  // All rules in a file share one evaluation per template, so rule references are evaluated once
+  const evaluations = new WeakMap();
+  const evaluate = (template, name) => {
+    if (!evaluations.has(template)) {
+      evaluations.set(template, new GuardEvaluator(file, template));
+    }
+    return evaluations.get(template).evaluateRule(name);
+  };
+
+  return file.rules.map(guardRule => {
+    const metadata = annotations[guardRule.name] || {};
+    const resourceTypes = collectResourceTypes([guardRule.conditions, guardRule.body], lets);
+    const name = metadata.name || guardRule.name;
+
+    return {
+      id: guardRule.name,
+      name,
+      description: metadata.description || `Guard rule ${guardRule.name}`,
+      severity: (metadata.severity || 'MEDIUM').toUpperCase(),
+      category: metadata.category || 'guard',
+      resourceTypes: resourceTypes.length > 0 ? resourceTypes : [TEMPLATE_TYPE],
+      remediation: metadata.remediation || '',
+      documentation: metadata.documentation || '',
+      evaluate: (context) => {
+        const result = evaluate(context.template, guardRule.name);
+        if (result.status === SKIP) {
+          return null;
+        }
+
+        // Resource rules report the failures under their resource; template rules report all
+        const failures = context.resourceName
+          ? result.failures.filter(item => item.path[0] === 'Resources' && item.path[1] === context.resourceName)
+          : result.failures;
+
+        if (failures.length > 0) {
+          const [first] = failures;
+          const relativePath = formatPath(context.resourceName ? first.path.slice(2) : first.path);
+          return {
+            passed: false,
+            message: first.custom ? first.message : `${name}: ${first.message}`,
+            ...(relativePath && { path: relativePath }),
+            details: { failures: failures.map(item => ({ path: formatPath(item.path), message: item.message })) },
+          };
+        }
+
+        if (context.resourceName && !result.resources.has(context.resourceName)) {
+          return null;
+        }
+        return { passed: true, message: `${name}: check passed` };
+      },
+    };
+  });
+}
+
+/**
+ * Resource types a rule selects with `Type == '...'` / `Type IN [...]` filters
+ * or type blocks, including through the file-level variables it uses
+ */
+function collectResourceTypes(nodes, lets) {
+  const types = new Set();
+  const visited = new Set();
+
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (node.kind === 'typeBlock') {
+      types.add(node.resourceType);
+    }
+    if (isTypeFilter(node)) {
+      const values = node.value.type === 'list' ? node.value.items : [node.value];
+      values.filter(value => value.type === 'literal').forEach(value => types.add(String(value.value)));
+    }
+    if (node.type === 'variable' && lets.has(node.name) && !visited.has(node.name)) {
+      visited.add(node.name);
+      walk(lets.get(node.name));
+    }
+
+    Object.values(node).forEach(walk);
+  };
+
+  walk(nodes);
+  return [...types].sort();
+}
+
+function isTypeFilter(clause) {
+  return clause.kind === 'compare' && !clause.not && ['==', 'in'].includes(clause.operator) &&
+    clause.query.root.type === 'ident' && clause.query.root.name === 'Type' && clause.query.segments.length === 0;
+}
+
+/**
+ * Read `# @key value` comments directly above each `rule` line
+ */
+function readAnnotations(source) {
+  const annotations = {};
+  const lines = source.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^\s*rule\s+([A-Za-z_][A-Za-z0-9_-]*)/);
+    if (!match) {
+      return;
+    }
+
+    const metadata = {};
+    for (let i = index - 1; i >= 0 && /^\s*#/.test(lines[i]); i--) {
+      const annotation = lines[i].match(/^\s*#\s*@(\w+)\s+(.*?)\s*$/);
+      if (annotation && ANNOTATION_KEYS.includes(annotation[1]) && metadata[annotation[1]] === undefined) {
+        metadata[annotation[1]] = annotation[2];
+      }
+    }
+    annotations[match[1]] = metadata;
+  });
+
+  return annotations;
+}
+
+module.exports = {
+  GUARD_EXTENSIONS,
+  loadGuardRules,
+  compileGuardRules,
+};
@@ -0,0 +1,408 @@
+/**
+ * Guard Parser - Parses the supported subset of the AWS CloudFormation Guard DSL
+ *
+ * Supported: `let` assignments, named `rule` blocks with `when` conditions,
+ * type blocks (`AWS::S3::Bucket { ... }`), query blocks, `when` blocks,
+ * queries with `.key`, `.*`, `[*]`, `[n]` and `[ filter ]` segments,
+ * `some` quantifiers, `or`/`OR`/`|OR|` disjunctions, named rule references,
+ * the comparison operators ==, !=, <, <=, >, >=, IN, the unary operators
+ * exists, empty and is_string/is_list/is_struct/is_bool/is_int (negated with
+ * `!` or `not`), and `<< message >>` custom messages.
+ */
+
+const UNARY_OPERATORS = ['exists', 'empty', 'is_string', 'is_list', 'is_struct', 'is_bool', 'is_int'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Split Guard source into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const push = (type, value) => tokens.push({ type, value, line });
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('<<', i)) {
+      const end = source.indexOf('>>', i + 2);
+      if (end === -1) {
+        throw new Error(`Unterminated message at line ${line}`);
+      }
+      const text = source.slice(i + 2, end);
+      push('message', text.trim().replace(/\s+/g, ' '));
+      line += (text.match(/\n/g) || []).length;
+      i = end + 2;
+    } else if (source.startsWith('|OR|', i)) {
+      push('or', '|OR|');
+      i += 4;
+    } else if (char === '"' || char === "'") {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string at line ${line}`);
+      }
+      push('string', source.slice(i + 1, end));
+      i = end + 1;
+    } else if (char === '/') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '/' && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (source[end] !== '/') {
+        throw new Error(`Unterminated regular expression at line ${line}`);
+      }
+      push('regex', source.slice(i + 1, end));
+      i = end + 1;
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      push('number', Number(match[0]));
+      i += match[0].length;
+    } else if (char === '%') {
+      const match = source.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (!match) {
+        throw new Error(`Invalid variable reference at line ${line}`);
+      }
+      push('variable', match[0]);
+      i += match[0].length + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_-]*(::[A-Za-z0-9_-]+)*/);
+      push('ident', match[0]);
+      i += match[0].length;
+    } else {
+      const operator = ['==', '!=', '<=', '>='].find(op => source.startsWith(op, i));
+      if (operator) {
+        push('op', operator);
+        i += 2;
+      } else if ('<>'.includes(char)) {
+        push('op', char);
+        i++;
+      } else if ('.*[]{}(),!='.includes(char)) {
+        push(char, char);
+        i++;
+      } else {
+        throw new Error(`Unexpected character "${char}" at line ${line}`);
+      }
+    }
+  }
+
+  push('eof', null);
+  return tokens;
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(token, ...words) {
+    return token.type === 'ident' && words.includes(token.value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new Error(`Expected ${value || type} at line ${token.line}, found ${token.value ?? token.type}`);
+    }
+    return token;
+  }
+
+  /**
+   * File := (let | rule)*
+   */
+  parseFile() {
+    const file = { lets: [], rules: [] };
+
+    while (this.peek().type !== 'eof') {
+      const token = this.peek();
+
+      if (this.isKeyword(token, 'let')) {
+        file.lets.push(this.parseLet());
+      } else if (this.isKeyword(token, 'rule')) {
+        file.rules.push(this.parseRule());
+      } else {
+        throw new Error(`Expected "rule" or "let" at line ${token.line}, found ${token.value ?? token.type}`);
+      }
+    }
+
+    return file;
+  }
+
+  parseLet() {
+    this.expect('ident', 'let');
+    const name = this.expect('ident').value;
+    this.expect('=');
+    return { type: 'let', name, value: this.parseValue() };
+  }
+
+  parseRule() {
+    const { line } = this.expect('ident', 'rule');
+    const name = this.expect('ident').value;
+    let conditions = null;
+
+    if (this.isKeyword(this.peek(), 'when')) {
+      this.next();
+      conditions = this.parseBody(['{'], true);
+    }
+
+    this.expect('{');
+    const body = this.parseBody(['}']);
+    this.expect('}');
+
+    return { name, line, conditions, body };
+  }
+
+  /**
+   * Body := (let | group)* where a group is clauses joined by `or`
+   */
+  parseBody(terminators, inConditions = false) {
+    const statements = [];
+
+    while (!terminators.includes(this.peek().type)) {
+      if (this.peek().type === 'eof') {
+        throw new Error(`Unexpected end of file, expected ${terminators.join(' or ')}`);
+      }
+
+      if (this.isKeyword(this.peek(), 'let')) {
+        statements.push(this.parseLet());
+        continue;
+      }
+
+      const clauses = [this.parseClause(inConditions)];
+      while (this.peek().type === 'or' || this.isKeyword(this.peek(), 'or', 'OR')) {
+        this.next();
+        clauses.push(this.parseClause(inConditions));
+      }
+      statements.push({ type: 'group', clauses });
+    }
+
+    return statements;
+  }
+
+  /**
+   * In `when` conditions a following `{` opens the guarded block, so it is
+   * never read as a query block
+   */
+  parseClause(inConditions = false) {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'when')) {
+      this.next();
+      const conditions = this.parseBody(['{'], true);
+      this.expect('{');
+      const body = this.parseBody(['}']);
+      this.expect('}');
+      return { kind: 'when', conditions, body };
+    }
+
+    // Type block: AWS::S3::Bucket [when ...] { ... }
+    if (token.type === 'ident' && token.value.includes('::') &&
+        (this.peek(1).type === '{' || this.isKeyword(this.peek(1), 'when'))) {
+      this.next();
+      let conditions = null;
+      if (this.isKeyword(this.peek(), 'when')) {
+        this.next();
+        conditions = this.parseBody(['{'], true);
+      }
+      this.expect('{');
+      const body = this.parseBody(['}']);
+      this.expect('}');
+      return { kind: 'typeBlock', resourceType: token.value, conditions, body, message: this.parseMessage() };
+    }
+
+    // Negated named rule reference: !rule_name / not rule_name
+    if ((token.type === '!' || this.isKeyword(token, 'not', 'NOT')) && this.peek(1).type === 'ident' &&
+        !this.startsQueryContinuation(this.peek(2))) {
+      this.next();
+      return { kind: 'ruleRef', name: this.next().value, not: true, line: token.line };
+    }
+
+    let some = false;
+    if (this.isKeyword(token, 'some')) {
+      this.next();
+      some = true;
+    }
+
+    const query = this.parseQuery();
+
+    if (this.peek().type === '{' && !inConditions) {
+      this.next();
+      const body = this.parseBody(['}']);
+      this.expect('}');
+      return { kind: 'block', some, query, body, message: this.parseMessage() };
+    }
+
+    const operator = this.parseOperator();
+    if (!operator) {
+      if (!some && query.root.type === 'ident' && query.segments.length === 0) {
+        return { kind: 'ruleRef', name: query.root.name, not: false, line: token.line };
+      }
+      const found = this.peek();
+      throw new Error(`Expected an operator at line ${found.line}, found ${found.value ?? found.type}`);
+    }
+
+    const clause = { kind: operator.unary ? 'unary' : 'compare', some, query, ...operator, line: token.line };
+    if (!operator.unary) {
+      clause.value = this.parseValue();
+    }
+    clause.message = this.parseMessage();
+    return clause;
+  }
+
+  startsQueryContinuation(token) {
+    return token.type === '.' || token.type === '[' || token.type === 'op' || token.type === '{' ||
+      this.isKeyword(token, 'in', 'IN', 'exists', 'empty', ...UNARY_OPERATORS);
+  }
+
+  parseOperator() {
+    let not = false;
+    const start = this.position;
+
+    if (this.peek().type === '!' || this.isKeyword(this.peek(), 'not', 'NOT')) {
+      this.next();
+      not = true;
+    }
+
+    const token = this.peek();
+    if (token.type === 'ident' && UNARY_OPERATORS.includes(token.value)) {
+      this.next();
+      return { unary: true, operator: token.value, not };
+    }
+    if (this.isKeyword(token, 'in', 'IN')) {
+      this.next();
+      return { unary: false, operator: 'in', not };
+    }
+    if (token.type === 'op' && COMPARISON_OPERATORS.includes(token.value) && !not) {
+      this.next();
+      return { unary: false, operator: token.value, not: false };
+    }
+
+    this.position = start;
+    return null;
+  }
+
+  parseMessage() {
+    return this.peek().type === 'message' ? this.next().value : null;
+  }
+
+  /**
+   * Query := (ident | %var | this) ('.' (ident | string | '*') | '[' ... ']')*
+   */
+  parseQuery() {
+    const token = this.next();
+    let root;
+
+    if (token.type === 'variable') {
+      root = { type: 'variable', name: token.value };
+    } else if (token.type === 'ident' && token.value === 'this') {
+      root = { type: 'this' };
+    } else if (token.type === 'ident') {
+      root = { type: 'ident', name: token.value };
+    } else {
+      throw new Error(`Expected a query at line ${token.line}, found ${token.value ?? token.type}`);
+    }
+
+    const segments = [];
+    for (;;) {
+      const next = this.peek();
+
+      if (next.type === '.') {
+        this.next();
+        const key = this.next();
+        if (key.type === '*') {
+          segments.push({ type: 'all' });
+        } else if (key.type === 'ident' || key.type === 'string') {
+          segments.push({ type: 'key', key: key.value });
+        } else {
+          throw new Error(`Expected a property name at line ${key.line}`);
+        }
+      } else if (next.type === '[') {
+        this.next();
+        if (this.peek().type === '*' && this.peek(1).type === ']') {
+          this.next();
+          segments.push({ type: 'all' });
+        } else if (this.peek().type === 'number' && this.peek(1).type === ']') {
+          segments.push({ type: 'index', index: this.next().value });
+        } else {
+          segments.push({ type: 'filter', body: this.parseBody([']']) });
+        }
+        this.expect(']');
+      } else {
+        break;
+      }
+    }
+
+    return { root, segments };
+  }
+
+  /**
+   * Value := string | regex | number | true | false | null | [Value, ...] | %var | query
+   */
+  parseValue() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        this.next();
+        return { type: 'literal', value: token.value };
+      case 'regex':
+        this.next();
+        return { type: 'regex', pattern: token.value };
+      case 'variable':
+        this.next();
+        return { type: 'variable', name: token.value };
+      case '[': {
+        this.next();
+        const items = [];
+        while (this.peek().type !== ']') {
+          items.push(this.parseValue());
+          if (this.peek().type === ',') {
+            this.next();
+          } else {
+            break;
+          }
+        }
+        this.expect(']');
+        return { type: 'list', items };
+      }
+      case 'ident':
+        if (['true', 'false', 'null'].includes(token.value)) {
+          this.next();
+          return { type: 'literal', value: JSON.parse(token.value) };
+        }
+        return { type: 'query', query: this.parseQuery() };
+      default:
+        throw new Error(`Expected a value at line ${token.line}, found ${token.value ?? token.type}`);
+    }
+  }
+}
+
+/**
+ * Parse a Guard rules file into { lets, rules }
+ */
+function parseGuard(source) {
+  return new Parser(source).parseFile();
+}
+
+module.exports = {
+  tokenize,
+  parseGuard,
+};
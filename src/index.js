@@ -6,9 +6,15 @@
 const Scanner = require('./scanner');
 const RuleEngine = require('./ruleEngine');
 const { loadAllRules } = require('./rules');
+const { loadRules } = require('./ruleLoader');
+const { loadConfig } = require('./config');
+const { ChangeSetAnalyzer } = require('./changeSet');
 
 module.exports = {
   Scanner,
   RuleEngine,
   loadAllRules,
+  loadRules,
+  loadConfig,
+  ChangeSetAnalyzer,
 };
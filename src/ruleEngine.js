@@ -2,6 +2,16 @@
  * RuleEngine - Evaluates security rules against CloudFormation templates
  */
 
+const { findLocation } = require('./utils/cfnYaml');
+const { collectSuppressions, findSuppression } = require('./utils/suppressions');
+const { IntrinsicResolver, isUnknown, collectIfConditions } = require('./utils/intrinsics');
+const { ResourceGraph } = require('./utils/graph');
+
+const SEVERITY_LEVELS = ['INFO', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Undecided conditions per resource beyond this are not enumerated
+const MAX_ENUMERATED_CONDITIONS = 6;
+
 class RuleEngine {
   constructor() {
     this.rules = new Map();
@@ -11,9 +21,7 @@ class RuleEngine {
    * Register a security rule
    */
   registerRule(rule) {
-    if (!rule.id || !rule.evaluate) {
-      throw new Error('Rule must have an id and evaluate function');
-    }
+    RuleEngine.validateRule(rule);
 
     this.rules.set(rule.id, {
       id: rule.id,
@@ -25,10 +33,36 @@ class RuleEngine {
       frameworks: rule.frameworks || [],
       remediation: rule.remediation || '',
       documentation: rule.documentation || '',
+      source: rule.source || 'built-in',
       evaluate: rule.evaluate,
     });
   }
 
+  /**
+   * Check that a rule definition has the shape registerRule expects
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || rule.id === '' || typeof rule.evaluate !== 'function') {
+      throw new Error('Rule must have an id and evaluate function');
+    }
+
+    if (rule.severity !== undefined && !SEVERITY_LEVELS.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} has invalid severity "${rule.severity}" (expected one of ${SEVERITY_LEVELS.join(', ')})`);
+    }
+
+    for (const key of ['resourceTypes', 'frameworks']) {
+      if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every(v => typeof v === 'string'))) {
+        throw new Error(`Rule ${rule.id} has invalid ${key}: expected an array of strings`);
+      }
+    }
+
+    for (const key of ['name', 'description', 'category', 'remediation', 'documentation']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+        throw new Error(`Rule ${rule.id} has invalid ${key}: expected a string`);
+      }
+    }
+  }
+
   /**
    * Get all registered rules
    */
@@ -44,50 +78,67 @@ class RuleEngine {
   }
 
   /**
-   * Evaluate all rules against a template
+   * Evaluate all rules against a template.
+   * `options.locations` is the path-to-position map from cfnYaml.parseWithLocations;
+   * `options.parameters` and `options.pseudoParameters` feed intrinsic resolution.
+   * `options.origins` maps logical IDs generated by a transform (e.g. SAM) to the
+   * source resource they came from; their results are located at that resource.
+   * `options.prepared` is the result of prepare() for the same template.
    */
-  async evaluate(template, filePath) {
+  async evaluate(template, filePath, options = {}) {
+    const { locations, origins = {} } = options;
     const results = [];
     const resources = template.Resources || {};
+    const suppressions = collectSuppressions(template);
+    const { graph, resourceVariants } = options.prepared || this.prepare(template, options);
 
-    for (const [ruleId, rule] of this.rules) {
+    for (const rule of this.rules.values()) {
       try {
         // Check each resource
-        for (const [resourceName, resource] of Object.entries(resources)) {
-          const resourceType = resource.Type;
+        for (const [resourceName, rawResource] of Object.entries(resources)) {
+          const variants = resourceVariants[resourceName];
 
-          // Skip if rule doesn't apply to this resource type
+          // Skip resources whose Condition is false, and rules for other resource types
+          if (variants.length === 0) {
+            continue;
+          }
+          const resourceType = rawResource.Type;
           if (rule.resourceTypes.length > 0 && !rule.resourceTypes.includes(resourceType)) {
             continue;
           }
 
-          const context = {
+          const evaluation = await this.evaluateVariants(rule, variants, resource => ({
             template,
             resourceName,
             resource,
             resourceType,
             properties: resource.Properties || {},
+            rawProperties: rawResource.Properties || {},
+            graph,
             filePath,
-          };
-
-          const evaluation = await rule.evaluate(context);
+          }));
 
           if (evaluation !== null) {
-            results.push({
+            results.push(this.applySuppression({
               ruleId: rule.id,
               ruleName: rule.name,
               description: rule.description,
               severity: rule.severity,
               category: rule.category,
-              status: evaluation.passed ? 'PASSED' : 'FAILED',
+              status: this.getStatus(evaluation),
               resourceName,
               resourceType,
               filePath,
+              propertyPath: evaluation.path || null,
+              location: findLocation(locations, sourcePath(resourceName, evaluation.path, origins[resourceName])),
               message: evaluation.message || (evaluation.passed ? 'Check passed' : 'Check failed'),
               remediation: rule.remediation,
               documentation: rule.documentation,
               details: evaluation.details || {},
-            });
+              ...(origins[resourceName] && {
+                origin: { resourceName: origins[resourceName].resourceName, resourceType: origins[resourceName].resourceType },
+              }),
+            }, suppressions));
           }
         }
 
@@ -99,27 +150,31 @@ class RuleEngine {
             resource: null,
             resourceType: 'AWS::CloudFormation::Template',
             properties: {},
+            rawProperties: {},
+            graph,
             filePath,
           };
 
           const evaluation = await rule.evaluate(context);
 
           if (evaluation !== null && !results.some(r => r.ruleId === rule.id && r.resourceName === null)) {
-            results.push({
+            results.push(this.applySuppression({
               ruleId: rule.id,
               ruleName: rule.name,
               description: rule.description,
               severity: rule.severity,
               category: rule.category,
-              status: evaluation.passed ? 'PASSED' : 'FAILED',
+              status: this.getStatus(evaluation),
               resourceName: 'Template',
               resourceType: 'AWS::CloudFormation::Template',
               filePath,
+              propertyPath: evaluation.path || null,
+              location: findLocation(locations, evaluation.path),
               message: evaluation.message || (evaluation.passed ? 'Check passed' : 'Check failed'),
               remediation: rule.remediation,
               documentation: rule.documentation,
               details: evaluation.details || {},
-            });
+            }, suppressions));
           }
         }
       } catch (error) {
@@ -136,6 +191,165 @@ class RuleEngine {
 
     return results;
   }
+
+  /**
+   * Resolve intrinsic functions once per resource: the condition variants of
+   * each resource, which rules see, and the resource graph over them.
+   * `evaluate` accepts the result as `options.prepared` so callers can reuse
+   * the graph for template-wide analyses.
+   */
+  prepare(template, options = {}) {
+    const resolver = new IntrinsicResolver(template, options);
+    const resourceVariants = {};
+    for (const [resourceName, resource] of Object.entries(template.Resources || {})) {
+      resourceVariants[resourceName] = this.getResourceVariants(resolver, resource);
+    }
+
+    const graph = new ResourceGraph(template, { resolver });
+    // Rules and the graph share the resolved copy of resources without condition variants
+    for (const [resourceName, variants] of Object.entries(resourceVariants)) {
+      if (variants.length === 1 && !variants[0].conditions && graph.has(resourceName)) {
+        graph.resolved.set(resourceName, variants[0].resource);
+      }
+    }
+
+    return { resolver, graph, resourceVariants };
+  }
+
+  /**
+   * Resolve a resource once per combination of the undecided conditions its
+   * Fn::If expressions depend on. Returns an empty list when the resource's
+   * own Condition is false, or when the entry is not a resource definition.
+   */
+  getResourceVariants(resolver, resource) {
+    if (!resource || typeof resource !== 'object') {
+      return [];
+    }
+    if (resource.Condition && resolver.evaluateCondition(resource.Condition) === false) {
+      return [];
+    }
+
+    const undecided = [...collectIfConditions(resource)]
+      .filter(name => isUnknown(resolver.evaluateCondition(name)));
+
+    if (undecided.length === 0 || undecided.length > MAX_ENUMERATED_CONDITIONS) {
+      return [{ conditions: null, resource: resolver.resolveResource(resource) }];
+    }
+
+    const variants = [];
+    for (let mask = 0; mask < 2 ** undecided.length; mask++) {
+      const conditions = {};
+      undecided.forEach((name, index) => {
+        conditions[name] = Boolean(mask & (1 << index));
+      });
+
+      const variantResolver = resolver.withConditions(conditions);
+      if (resource.Condition && variantResolver.evaluateCondition(resource.Condition) === false) {
+        continue;
+      }
+
+      variants.push({ conditions, resource: variantResolver.resolveResource(resource) });
+    }
+
+    return variants;
+  }
+
+  /**
+   * Evaluate a rule against every condition variant of a resource and report
+   * the condition combinations that produce an insecure setting
+   */
+  async evaluateVariants(rule, variants, buildContext) {
+    if (variants.length === 1 && !variants[0].conditions) {
+      return rule.evaluate(buildContext(variants[0].resource));
+    }
+
+    const evaluations = [];
+    for (const variant of variants) {
+      const evaluation = await rule.evaluate(buildContext(variant.resource));
+      if (evaluation !== null) {
+        evaluations.push({ evaluation, conditions: variant.conditions });
+      }
+    }
+
+    if (evaluations.length === 0) {
+      return null;
+    }
+
+    const failing = evaluations.filter(e => !e.evaluation.passed && !e.evaluation.skipped);
+    if (failing.length === 0) {
+      return evaluations.find(e => e.evaluation.passed)?.evaluation || evaluations[0].evaluation;
+    }
+
+    const [first] = failing;
+    const when = Object.entries(first.conditions).map(([name, value]) => `${name}=${value}`).join(', ');
+
+    return {
+      ...first.evaluation,
+      message: `${first.evaluation.message || 'Check failed'} (when ${when})`,
+      details: {
+        ...(first.evaluation.details || {}),
+        conditions: first.conditions,
+        failingConditionSets: failing.map(e => e.conditions),
+      },
+    };
+  }
+
+  /**
+   * Map a rule evaluation to a result status
+   */
+  getStatus(evaluation) {
+    if (evaluation.skipped) {
+      return 'SKIPPED';
+    }
+    return evaluation.passed ? 'PASSED' : 'FAILED';
+  }
+
+  /**
+   * Mark a failed result as suppressed when template Metadata accepts it
+   */
+  applySuppression(result, suppressions) {
+    if (result.status !== 'FAILED') {
+      return result;
+    }
+
+    const suppression = findSuppression(suppressions, result.ruleId, result.resourceName);
+    if (!suppression) {
+      return result;
+    }
+
+    return { ...result, status: 'SUPPRESSED', suppression };
+  }
+}
+
+/**
+ * Template path of a finding. Resources generated by a transform are located
+ * in their source resource: at `origin.path` when the whole resource came from
+ * one part of it, otherwise at the same property, with the longest matching
+ * prefix renamed per `origin.properties` (e.g. { TracingConfig: 'Tracing' }).
+ * `origin.resourcePath` overrides where the source resource is written
+ * (e.g. inside a Fn::ForEach loop).
+ */
+function sourcePath(resourceName, propertyPath, origin) {
+  if (!origin) {
+    return propertyPath ? `Resources.${resourceName}.${propertyPath}` : `Resources.${resourceName}`;
+  }
+
+  const base = origin.resourcePath || `Resources.${origin.resourceName}`;
+  if (origin.path) {
+    return `${base}.${origin.path}`;
+  }
+  if (!propertyPath?.startsWith('Properties.')) {
+    return base;
+  }
+
+  const relative = propertyPath.slice('Properties.'.length);
+  const prefix = Object.keys(origin.properties || {})
+    .filter(key => relative === key || relative.startsWith(`${key}.`) || relative.startsWith(`${key}[`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix
+    ? `${base}.Properties.${origin.properties[prefix]}${relative.slice(prefix.length)}`
+    : `${base}.${propertyPath}`;
 }
 
 module.exports = RuleEngine;
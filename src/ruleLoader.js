@@ -0,0 +1,129 @@
+/**
+ * RuleLoader - Loads built-in rules plus custom rules from directories and npm packages
+ *
+ * A custom rule module exports a rule, an array of rules, or `{ rules: [...] }`,
+ * in the same shape as the built-in rules in src/rules. YAML and JSON files
+ * (and exported objects with `assert` instead of `evaluate`) hold declarative
+ * rules, compiled by declarativeRules.js, and .guard files hold AWS
+ * CloudFormation Guard rules, run by the interpreter in guard/. Every loaded rule is
+ * tagged with a `source`: 'built-in', the file it was loaded from, or
+ * `npm:<package>` for plugins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RuleEngine = require('./ruleEngine');
+const { DECLARATIVE_EXTENSIONS, loadDeclarativeRules, isDeclarativeRule, compileRule } = require('./declarativeRules');
+const { GUARD_EXTENSIONS, loadGuardRules } = require('./guard');
+const { loadAllRules } = require('./rules');
+
+const RULE_FILE_EXTENSIONS = ['.js', '.cjs', ...DECLARATIVE_EXTENSIONS, ...GUARD_EXTENSIONS];
+
+/**
+ * Load every rule file in a directory (recursively, in path order)
+ */
+function loadRulesFromDirectory(dirPath) {
+  const absolutePath = path.resolve(dirPath);
+
+  if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isDirectory()) {
+    throw new Error(`Rules directory not found: ${absolutePath}`);
+  }
+
+  return listRuleFiles(absolutePath).flatMap(file => {
+    const extension = path.extname(file).toLowerCase();
+    if (DECLARATIVE_EXTENSIONS.includes(extension)) {
+      return tagRules(loadDeclarativeRules(file), file);
+    }
+    if (GUARD_EXTENSIONS.includes(extension)) {
+      return tagRules(loadGuardRules(file), file);
+    }
+    return loadRuleModule(file, file);
+  });
+}
+
+function listRuleFiles(dirPath) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...listRuleFiles(entryPath));
+    } else if (RULE_FILE_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Load the rules exported by an npm package, resolved from `baseDir`
+ */
+function loadRulesFromPackage(name, baseDir = process.cwd()) {
+  let modulePath;
+
+  try {
+    modulePath = require.resolve(name, { paths: [path.resolve(baseDir)] });
+  } catch {
+    throw new Error(`Rule plugin "${name}" could not be found from ${path.resolve(baseDir)}`);
+  }
+
+  return loadRuleModule(modulePath, `npm:${name}`);
+}
+
+function loadRuleModule(modulePath, source) {
+  let exported;
+
+  try {
+    exported = require(modulePath);
+  } catch (error) {
+    throw new Error(`Failed to load rules from ${source}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(exported)
+    ? exported
+    : Array.isArray(exported?.rules) ? exported.rules : [exported];
+
+  return tagRules(rules.map(rule => (isDeclarativeRule(rule) ? compileRule(rule, source) : rule)), source);
+}
+
+function tagRules(rules, source) {
+  return rules.map(rule => {
+    try {
+      RuleEngine.validateRule(rule);
+    } catch (error) {
+      throw new Error(`Invalid rule in ${source}: ${error.message}`);
+    }
+
+    return { ...rule, source };
+  });
+}
+
+/**
+ * Load built-in rules followed by rules from `rulesDirs` and `plugins`.
+ * Rule IDs must be unique across all sources.
+ */
+function loadRules({ rulesDirs = [], plugins = [], baseDir = process.cwd() } = {}) {
+  const rules = [
+    ...loadAllRules().map(rule => ({ ...rule, source: 'built-in' })),
+    ...rulesDirs.flatMap(dir => loadRulesFromDirectory(path.resolve(baseDir, dir))),
+    ...plugins.flatMap(name => loadRulesFromPackage(name, baseDir)),
+  ];
+
+  const sources = new Map();
+  for (const rule of rules) {
+    if (sources.has(rule.id)) {
+      throw new Error(`Duplicate rule ID "${rule.id}" in ${rule.source} (already defined in ${sources.get(rule.id)})`);
+    }
+    sources.set(rule.id, rule.source);
+  }
+
+  return rules;
+}
+
+module.exports = {
+  loadRules,
+  loadRulesFromDirectory,
+  loadRulesFromPackage,
+};
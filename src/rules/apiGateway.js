@@ -3,6 +3,8 @@
  * Rules for Amazon API Gateway security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_APIGW_001',
@@ -45,7 +47,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.TracingEnabled !== true) {
+      if (!isTrue(properties.TracingEnabled)) {
         return {
           passed: false,
           message: 'API Gateway stage does not have X-Ray tracing enabled',
@@ -177,13 +179,13 @@ module.exports = [
         return null; // No caching configured
       }
 
-      const hasCachingEnabled = methodSettings.some(setting => setting.CachingEnabled);
+      const hasCachingEnabled = methodSettings.some(setting => isTrue(setting.CachingEnabled));
       if (!hasCachingEnabled) {
         return null; // Caching not enabled
       }
 
       const cacheEncrypted = methodSettings.every(
-        setting => !setting.CachingEnabled || setting.CacheDataEncrypted === true
+        setting => !isTrue(setting.CachingEnabled) || isTrue(setting.CacheDataEncrypted)
       );
 
       if (!cacheEncrypted) {
@@ -3,6 +3,8 @@
  * Rules for Amazon CloudFront security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_CLOUDFRONT_001',
@@ -77,7 +79,7 @@ module.exports = [
       }
 
       // If using CloudFront default certificate, check minimum protocol version
-      if (viewerCert.CloudFrontDefaultCertificate === true) {
+      if (isTrue(viewerCert.CloudFrontDefaultCertificate)) {
         return {
           passed: true,
           message: 'CloudFront distribution uses default certificate with TLS 1.2',
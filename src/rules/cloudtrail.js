@@ -3,6 +3,8 @@
  * Rules for AWS CloudTrail security best practices
  */
 
+const { isTrue, isFalse } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_CLOUDTRAIL_001',
@@ -44,7 +46,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.EnableLogFileValidation !== true) {
+      if (!isTrue(properties.EnableLogFileValidation)) {
         return {
           passed: false,
           message: 'CloudTrail log file validation is not enabled',
@@ -71,7 +73,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.IsMultiRegionTrail !== true) {
+      if (!isTrue(properties.IsMultiRegionTrail)) {
         return {
           passed: false,
           message: 'CloudTrail is not configured for multi-region',
@@ -154,7 +156,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.IncludeGlobalServiceEvents === false) {
+      if (isFalse(properties.IncludeGlobalServiceEvents)) {
         return {
           passed: false,
           message: 'CloudTrail does not include global service events',
@@ -181,7 +183,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.IsLogging === false) {
+      if (isFalse(properties.IsLogging)) {
         return {
           passed: false,
           message: 'CloudTrail logging is disabled',
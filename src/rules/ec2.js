@@ -3,6 +3,25 @@
  * Rules for Amazon EC2 security best practices
  */
 
+const { isUnknown, isTrue } = require('../utils/intrinsics');
+const { networkModel, isInternetRule, coversPort } = require('../analysis/network');
+
+const SECURITY_GROUP_TYPES = ['AWS::EC2::SecurityGroup', 'AWS::EC2::SecurityGroupIngress'];
+
+/**
+ * Ingress rules defined in a security group or standalone ingress resource
+ * that admit the whole internet, directly or through a prefix list
+ */
+function internetIngress(context) {
+  return networkModel(context.graph, context).rulesDefinedIn(context.resourceName).filter(isInternetRule);
+}
+
+function internetSource(rule) {
+  return rule.peer.kind === 'cidr'
+    ? { cidr: rule.peer.cidr }
+    : { cidr: rule.peer.cidrs.find(cidr => ['0.0.0.0/0', '::/0'].includes(cidr)), prefixList: rule.peer.id };
+}
+
 module.exports = [
   {
     id: 'CFN_EC2_001',
@@ -10,31 +29,19 @@ module.exports = [
     description: 'Ensure no security group allows unrestricted SSH access (0.0.0.0/0)',
     severity: 'CRITICAL',
     category: 'network',
-    resourceTypes: ['AWS::EC2::SecurityGroup'],
+    resourceTypes: SECURITY_GROUP_TYPES,
     frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict SSH access to specific IP ranges or use bastion hosts',
     documentation: 'https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/ec2-security-groups.html',
     evaluate: (context) => {
-      const { properties } = context;
-
-      const ingress = properties.SecurityGroupIngress || [];
-
-      for (const rule of ingress) {
-        const fromPort = rule.FromPort;
-        const toPort = rule.ToPort;
-        const cidr = rule.CidrIp || '';
-        const cidrv6 = rule.CidrIpv6 || '';
-
-        // Check for SSH port (22)
-        if (fromPort <= 22 && toPort >= 22) {
-          if (cidr === '0.0.0.0/0' || cidrv6 === '::/0') {
-            return {
-              passed: false,
-              message: 'Security group allows unrestricted SSH access from 0.0.0.0/0',
-              details: { port: 22, cidr: cidr || cidrv6 },
-            };
-          }
-        }
+      const rule = internetIngress(context).find(candidate => coversPort(candidate, 22));
+      if (rule) {
+        return {
+          passed: false,
+          message: 'Security group allows unrestricted SSH access from 0.0.0.0/0',
+          details: { port: 22, ...internetSource(rule) },
+          path: `${rule.path}.${rule.peer.property}`,
+        };
       }
 
       return {
@@ -50,31 +57,19 @@ module.exports = [
     description: 'Ensure no security group allows unrestricted RDP access (0.0.0.0/0)',
     severity: 'CRITICAL',
     category: 'network',
-    resourceTypes: ['AWS::EC2::SecurityGroup'],
+    resourceTypes: SECURITY_GROUP_TYPES,
     frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict RDP access to specific IP ranges or use bastion hosts',
     documentation: 'https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/ec2-security-groups.html',
     evaluate: (context) => {
-      const { properties } = context;
-
-      const ingress = properties.SecurityGroupIngress || [];
-
-      for (const rule of ingress) {
-        const fromPort = rule.FromPort;
-        const toPort = rule.ToPort;
-        const cidr = rule.CidrIp || '';
-        const cidrv6 = rule.CidrIpv6 || '';
-
-        // Check for RDP port (3389)
-        if (fromPort <= 3389 && toPort >= 3389) {
-          if (cidr === '0.0.0.0/0' || cidrv6 === '::/0') {
-            return {
-              passed: false,
-              message: 'Security group allows unrestricted RDP access from 0.0.0.0/0',
-              details: { port: 3389, cidr: cidr || cidrv6 },
-            };
-          }
-        }
+      const rule = internetIngress(context).find(candidate => coversPort(candidate, 3389));
+      if (rule) {
+        return {
+          passed: false,
+          message: 'Security group allows unrestricted RDP access from 0.0.0.0/0',
+          details: { port: 3389, ...internetSource(rule) },
+          path: `${rule.path}.${rule.peer.property}`,
+        };
       }
 
       return {
@@ -90,30 +85,20 @@ module.exports = [
     description: 'Ensure no security group allows unrestricted inbound traffic',
     severity: 'CRITICAL',
     category: 'network',
-    resourceTypes: ['AWS::EC2::SecurityGroup'],
+    resourceTypes: SECURITY_GROUP_TYPES,
     frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict inbound traffic to required ports and IP ranges only',
     documentation: 'https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/ec2-security-groups.html',
     evaluate: (context) => {
-      const { properties } = context;
-
-      const ingress = properties.SecurityGroupIngress || [];
-
-      for (const rule of ingress) {
-        const protocol = rule.IpProtocol;
-        const cidr = rule.CidrIp || '';
-        const cidrv6 = rule.CidrIpv6 || '';
-
-        // Check for all traffic (-1 protocol) from anywhere
-        if (protocol === '-1' || protocol === -1) {
-          if (cidr === '0.0.0.0/0' || cidrv6 === '::/0') {
-            return {
-              passed: false,
-              message: 'Security group allows unrestricted inbound traffic (all ports) from 0.0.0.0/0',
-              details: { protocol, cidr: cidr || cidrv6 },
-            };
-          }
-        }
+      // All traffic (-1 protocol) from anywhere
+      const rule = internetIngress(context).find(candidate => candidate.protocol === '-1');
+      if (rule) {
+        return {
+          passed: false,
+          message: 'Security group allows unrestricted inbound traffic (all ports) from 0.0.0.0/0',
+          details: { protocol: '-1', ...internetSource(rule) },
+          path: `${rule.path}.${rule.peer.property}`,
+        };
       }
 
       return {
@@ -145,9 +130,14 @@ module.exports = [
       }
 
       if (!metadataOptions || metadataOptions.HttpTokens !== 'required') {
+        const basePath = resourceType === 'AWS::EC2::LaunchTemplate'
+          ? 'Properties.LaunchTemplateData.MetadataOptions'
+          : 'Properties.MetadataOptions';
+
         return {
           passed: false,
           message: 'EC2 instance does not require IMDSv2',
+          path: metadataOptions ? `${basePath}.HttpTokens` : basePath,
         };
       }
 
@@ -173,13 +163,14 @@ module.exports = [
 
       const blockDevices = properties.BlockDeviceMappings || [];
 
-      for (const device of blockDevices) {
+      for (const [index, device] of blockDevices.entries()) {
         const ebs = device.Ebs;
-        if (ebs && ebs.Encrypted !== true) {
+        if (ebs && !isTrue(ebs.Encrypted)) {
           return {
             passed: false,
             message: `EBS volume ${device.DeviceName || 'unknown'} is not encrypted`,
             details: { deviceName: device.DeviceName },
+            path: `Properties.BlockDeviceMappings[${index}].Ebs.Encrypted`,
           };
         }
       }
@@ -204,10 +195,11 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.Monitoring !== true) {
+      if (!isTrue(properties.Monitoring)) {
         return {
           passed: false,
           message: 'EC2 instance does not have detailed monitoring enabled',
+          path: 'Properties.Monitoring',
         };
       }
 
@@ -233,11 +225,12 @@ module.exports = [
 
       const networkInterfaces = properties.NetworkInterfaces || [];
 
-      for (const ni of networkInterfaces) {
-        if (ni.AssociatePublicIpAddress === true) {
+      for (const [index, ni] of networkInterfaces.entries()) {
+        if (isTrue(ni.AssociatePublicIpAddress)) {
           return {
             passed: false,
             message: 'EC2 instance has a public IP address assigned',
+            path: `Properties.NetworkInterfaces[${index}].AssociatePublicIpAddress`,
           };
         }
       }
@@ -262,10 +255,19 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.Encrypted !== true) {
+      if (isUnknown(properties.Encrypted)) {
+        return {
+          skipped: true,
+          message: `EBS volume encryption cannot be determined: ${properties.Encrypted.reason}`,
+          path: 'Properties.Encrypted',
+        };
+      }
+
+      if (!isTrue(properties.Encrypted)) {
         return {
           passed: false,
           message: 'EBS volume is not encrypted',
+          path: 'Properties.Encrypted',
         };
       }
 
@@ -314,18 +316,13 @@ module.exports = [
     remediation: 'Enable VPC Flow Logs for the VPC',
     documentation: 'https://docs.aws.amazon.com/vpc/latest/userguide/flow-logs.html',
     evaluate: (context) => {
-      const { template, resourceName } = context;
+      const { resourceName, graph } = context;
 
       // Check if there's a FlowLog resource referencing this VPC
-      const resources = template.Resources || {};
-      const hasFlowLog = Object.values(resources).some(resource => {
-        if (resource.Type === 'AWS::EC2::FlowLog') {
-          const resourceId = resource.Properties?.ResourceId;
-          if (typeof resourceId === 'object' && resourceId.Ref === resourceName) {
-            return true;
-          }
-        }
-        return false;
+      const hasFlowLog = graph.referencedBy(resourceName).some(name => {
+        const resource = graph.getResource(name);
+        return resource.Type === 'AWS::EC2::FlowLog' &&
+          graph.resolve(resource.Properties?.ResourceId)?.name === resourceName;
       });
 
       if (!hasFlowLog) {
@@ -348,13 +345,11 @@ module.exports = [
     description: 'Ensure no security group allows unrestricted access to database ports',
     severity: 'CRITICAL',
     category: 'network',
-    resourceTypes: ['AWS::EC2::SecurityGroup'],
+    resourceTypes: SECURITY_GROUP_TYPES,
     frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict database port access to application security groups only',
     documentation: 'https://docs.aws.amazon.com/AWSEC2/latest/UserGuide/ec2-security-groups.html',
     evaluate: (context) => {
-      const { properties } = context;
-
       const databasePorts = [
         { port: 3306, name: 'MySQL' },
         { port: 5432, name: 'PostgreSQL' },
@@ -365,24 +360,15 @@ module.exports = [
         { port: 11211, name: 'Memcached' },
       ];
 
-      const ingress = properties.SecurityGroupIngress || [];
-
-      for (const rule of ingress) {
-        const fromPort = rule.FromPort;
-        const toPort = rule.ToPort;
-        const cidr = rule.CidrIp || '';
-        const cidrv6 = rule.CidrIpv6 || '';
-
-        for (const db of databasePorts) {
-          if (fromPort <= db.port && toPort >= db.port) {
-            if (cidr === '0.0.0.0/0' || cidrv6 === '::/0') {
-              return {
-                passed: false,
-                message: `Security group allows unrestricted access to ${db.name} port (${db.port})`,
-                details: { port: db.port, database: db.name, cidr: cidr || cidrv6 },
-              };
-            }
-          }
+      for (const rule of internetIngress(context)) {
+        const db = databasePorts.find(candidate => coversPort(rule, candidate.port));
+        if (db) {
+          return {
+            passed: false,
+            message: `Security group allows unrestricted access to ${db.name} port (${db.port})`,
+            details: { port: db.port, database: db.name, ...internetSource(rule) },
+            path: `${rule.path}.${rule.peer.property}`,
+          };
         }
       }
 
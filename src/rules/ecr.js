@@ -0,0 +1,21 @@
+/**
+ * ECR Security Rules
+ * Rules for Amazon ECR security best practices
+ */
+
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
+module.exports = [
+  {
+    id: 'CFN_ECR_001',
+    name: 'ECR Repository Policy Public Access',
+    description: 'Ensure ECR repository policy does not allow public access',
+    severity: 'CRITICAL',
+    category: 'access-control',
+    resourceTypes: ['AWS::ECR::Repository'],
+    frameworks: ['SOC2', 'PCI-DSS'],
+    remediation: 'Restrict RepositoryPolicyText to specific accounts or to your organization with aws:PrincipalOrgID',
+    documentation: 'https://docs.aws.amazon.com/AmazonECR/latest/userguide/repository-policies.html',
+    evaluate: (context) => publicAccessResult(context, 'ECR repository policy'),
+  },
+];
@@ -3,6 +3,8 @@
  * Rules for Amazon ECS security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_ECS_001',
@@ -53,7 +55,7 @@ module.exports = [
 
       const containers = properties.ContainerDefinitions || [];
       for (const container of containers) {
-        if (container.ReadonlyRootFilesystem !== true) {
+        if (!isTrue(container.ReadonlyRootFilesystem)) {
           return {
             passed: false,
             message: `Container ${container.Name} does not have read-only root filesystem`,
@@ -84,7 +86,7 @@ module.exports = [
 
       const containers = properties.ContainerDefinitions || [];
       for (const container of containers) {
-        if (container.Privileged === true) {
+        if (isTrue(container.Privileged)) {
           return {
             passed: false,
             message: `Container ${container.Name} runs in privileged mode`,
@@ -3,6 +3,8 @@
  * Rules for Amazon ElastiCache security best practices
  */
 
+const { isTrue, isFalse } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_ELASTICACHE_001',
@@ -17,7 +19,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.AtRestEncryptionEnabled !== true) {
+      if (!isTrue(properties.AtRestEncryptionEnabled)) {
         return {
           passed: false,
           message: 'ElastiCache replication group does not have encryption at rest enabled',
@@ -44,7 +46,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.TransitEncryptionEnabled !== true) {
+      if (!isTrue(properties.TransitEncryptionEnabled)) {
         return {
           passed: false,
           message: 'ElastiCache replication group does not have encryption in transit enabled',
@@ -98,7 +100,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.AutoMinorVersionUpgrade === false) {
+      if (isFalse(properties.AutoMinorVersionUpgrade)) {
         return {
           passed: false,
           message: 'ElastiCache cluster does not have automatic minor version upgrades enabled',
@@ -125,7 +127,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.MultiAZEnabled !== true) {
+      if (!isTrue(properties.MultiAZEnabled)) {
         return {
           passed: false,
           message: 'ElastiCache replication group does not have Multi-AZ enabled',
@@ -152,7 +154,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.AutomaticFailoverEnabled !== true) {
+      if (!isTrue(properties.AutomaticFailoverEnabled)) {
         return {
           passed: false,
           message: 'ElastiCache replication group does not have automatic failover enabled',
@@ -3,6 +3,8 @@
  * Rules for Elastic Load Balancer security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_ELB_001',
@@ -20,7 +22,7 @@ module.exports = [
       const attributes = properties.LoadBalancerAttributes || [];
       const accessLogging = attributes.find(attr => attr.Key === 'access_logs.s3.enabled');
 
-      if (!accessLogging || accessLogging.Value !== 'true') {
+      if (!accessLogging || !isTrue(accessLogging.Value)) {
         return {
           passed: false,
           message: 'Load balancer does not have access logging enabled',
@@ -50,7 +52,7 @@ module.exports = [
       const attributes = properties.LoadBalancerAttributes || [];
       const deletionProtection = attributes.find(attr => attr.Key === 'deletion_protection.enabled');
 
-      if (!deletionProtection || deletionProtection.Value !== 'true') {
+      if (!deletionProtection || !isTrue(deletionProtection.Value)) {
         return {
           passed: false,
           message: 'Load balancer does not have deletion protection enabled',
@@ -86,7 +88,7 @@ module.exports = [
         attr => attr.Key === 'routing.http.drop_invalid_header_fields.enabled'
       );
 
-      if (!dropHeaders || dropHeaders.Value !== 'true') {
+      if (!dropHeaders || !isTrue(dropHeaders.Value)) {
         return {
           passed: false,
           message: 'ALB does not drop invalid HTTP headers',
@@ -187,22 +189,17 @@ module.exports = [
     remediation: 'Associate a WAF WebACL with the ALB',
     documentation: 'https://docs.aws.amazon.com/waf/latest/developerguide/web-acl-associating-aws-resource.html',
     evaluate: (context) => {
-      const { properties, template, resourceName } = context;
+      const { properties, resourceName, graph } = context;
 
       if (properties.Type !== 'application') {
         return null; // Only applies to ALB
       }
 
-      // Check if there's a WAF association in the template
-      const resources = template.Resources || {};
-      const hasWafAssociation = Object.values(resources).some(resource => {
-        if (resource.Type === 'AWS::WAFv2::WebACLAssociation') {
-          const resourceArn = resource.Properties?.ResourceArn;
-          if (typeof resourceArn === 'object' && resourceArn.Ref === resourceName) {
-            return true;
-          }
-        }
-        return false;
+      // Check if there's a WAF association for this load balancer
+      const hasWafAssociation = graph.referencedBy(resourceName).some(name => {
+        const resource = graph.getResource(name);
+        return resource.Type === 'AWS::WAFv2::WebACLAssociation' &&
+          graph.resolve(resource.Properties?.ResourceArn)?.name === resourceName;
       });
 
       if (!hasWafAssociation) {
@@ -239,7 +236,7 @@ module.exports = [
       const attributes = properties.LoadBalancerAttributes || [];
       const crossZone = attributes.find(attr => attr.Key === 'load_balancing.cross_zone.enabled');
 
-      if (!crossZone || crossZone.Value !== 'true') {
+      if (!crossZone || !isTrue(crossZone.Value)) {
         return {
           passed: false,
           message: 'NLB does not have cross-zone load balancing enabled',
@@ -0,0 +1,21 @@
+/**
+ * EventBridge Security Rules
+ * Rules for Amazon EventBridge security best practices
+ */
+
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
+module.exports = [
+  {
+    id: 'CFN_EVENTS_001',
+    name: 'EventBridge Event Bus Policy Public Access',
+    description: 'Ensure event bus policies do not allow anyone to put events',
+    severity: 'HIGH',
+    category: 'access-control',
+    resourceTypes: ['AWS::Events::EventBusPolicy', 'AWS::Events::EventBus'],
+    frameworks: ['SOC2'],
+    remediation: 'Grant the event bus policy to specific accounts, or to your organization with aws:PrincipalOrgID',
+    documentation: 'https://docs.aws.amazon.com/eventbridge/latest/userguide/eb-event-bus-perms.html',
+    evaluate: (context) => publicAccessResult(context, 'Event bus policy'),
+  },
+];
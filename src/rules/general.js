@@ -3,6 +3,9 @@
  * Template-wide and general security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+const { RESOURCE_POLICIES, analyzeResourcePolicies } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_GEN_001',
@@ -188,7 +191,7 @@ module.exports = [
 
       for (const [name, param] of Object.entries(parameters)) {
         if (sensitivePatterns.some(pattern => pattern.test(name))) {
-          if (param.NoEcho !== true) {
+          if (!isTrue(param.NoEcho)) {
             missingNoEcho.push(name);
           }
         }
@@ -381,4 +384,39 @@ module.exports = [
       };
     },
   },
+
+  {
+    id: 'CFN_GEN_011',
+    name: 'Resource Policy Cross-Account Access',
+    description: 'Review resource policies that grant access to other AWS accounts or organizations',
+    severity: 'MEDIUM',
+    category: 'access-control',
+    resourceTypes: Object.keys(RESOURCE_POLICIES),
+    frameworks: ['SOC2'],
+    remediation: 'Confirm each external account is trusted, or narrow the grant with aws:SourceArn or aws:PrincipalOrgID',
+    documentation: 'https://docs.aws.amazon.com/IAM/latest/UserGuide/access_policies-cross-account-resource-access.html',
+    evaluate: (context) => {
+      const statements = analyzeResourcePolicies(context);
+      if (statements.length === 0) {
+        return null;
+      }
+
+      const external = statements.filter(statement => statement.access === 'cross-account');
+      if (external.length > 0) {
+        const accounts = [...new Set(external.flatMap(statement => statement.accounts))];
+        const organizations = [...new Set(external.flatMap(statement => statement.organizations))];
+        return {
+          passed: false,
+          message: `Resource policy grants access to other accounts: ${[...accounts, ...organizations].join(', ')}`,
+          path: external[0].path,
+          details: { accounts, organizations, statements: external.map(statement => statement.index) },
+        };
+      }
+
+      return {
+        passed: true,
+        message: 'Resource policy does not grant access to other accounts',
+      };
+    },
+  },
 ];
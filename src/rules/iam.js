@@ -3,6 +3,11 @@
  * Rules for AWS IAM security best practices
  */
 
+const { describePrincipal, matchesAction, policyStatements, toList } = require('../analysis/iamPolicies');
+const { statementActions, actionsWithAccessLevel, isUncatalogued } = require('../analysis/iamActions');
+const { findEscalations, formatChain } = require('../analysis/privilegeEscalation');
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_IAM_001',
@@ -22,10 +27,10 @@ module.exports = [
       if (resourceType === 'AWS::IAM::Role') {
         // Check inline policies and AssumeRolePolicyDocument
         const policies = properties.Policies || [];
-        for (const policy of policies) {
+        for (const [index, policy] of policies.entries()) {
           policyDocument = policy.PolicyDocument;
           if (policyDocument) {
-            const result = checkWildcardActions(policyDocument);
+            const result = checkWildcardActions(policyDocument, `Properties.Policies[${index}].PolicyDocument`);
             if (!result.passed) return result;
           }
         }
@@ -33,7 +38,7 @@ module.exports = [
       }
 
       policyDocument = properties.PolicyDocument;
-      return checkWildcardActions(policyDocument);
+      return checkWildcardActions(policyDocument, 'Properties.PolicyDocument');
     },
   },
 
@@ -54,10 +59,10 @@ module.exports = [
 
       if (resourceType === 'AWS::IAM::Role') {
         const policies = properties.Policies || [];
-        for (const policy of policies) {
+        for (const [index, policy] of policies.entries()) {
           policyDocument = policy.PolicyDocument;
           if (policyDocument) {
-            const result = checkWildcardResources(policyDocument);
+            const result = checkWildcardResources(policyDocument, `Properties.Policies[${index}].PolicyDocument`);
             if (!result.passed) return result;
           }
         }
@@ -65,7 +70,7 @@ module.exports = [
       }
 
       policyDocument = properties.PolicyDocument;
-      return checkWildcardResources(policyDocument);
+      return checkWildcardResources(policyDocument, 'Properties.PolicyDocument');
     },
   },
 
@@ -90,32 +95,7 @@ module.exports = [
         };
       }
 
-      for (const statement of assumeRolePolicy.Statement) {
-        if (statement.Effect === 'Allow') {
-          const principal = statement.Principal;
-
-          if (principal === '*') {
-            return {
-              passed: false,
-              message: 'IAM role trust policy allows all principals (*)',
-            };
-          }
-
-          if (typeof principal === 'object') {
-            if (principal.AWS === '*' || (Array.isArray(principal.AWS) && principal.AWS.includes('*'))) {
-              return {
-                passed: false,
-                message: 'IAM role trust policy allows all AWS principals (*)',
-              };
-            }
-          }
-        }
-      }
-
-      return {
-        passed: true,
-        message: 'IAM role trust policy restricts principals',
-      };
+      return publicAccessResult(context, 'IAM role trust policy');
     },
   },
 
@@ -251,10 +231,10 @@ module.exports = [
 
       if (resourceType === 'AWS::IAM::Role') {
         const policies = properties.Policies || [];
-        for (const policy of policies) {
+        for (const [index, policy] of policies.entries()) {
           policyDocument = policy.PolicyDocument;
           if (policyDocument) {
-            const result = checkAdminAccess(policyDocument);
+            const result = checkAdminAccess(policyDocument, `Properties.Policies[${index}].PolicyDocument`);
             if (!result.passed) return result;
           }
         }
@@ -262,7 +242,7 @@ module.exports = [
       }
 
       policyDocument = properties.PolicyDocument;
-      return checkAdminAccess(policyDocument);
+      return checkAdminAccess(policyDocument, 'Properties.PolicyDocument');
     },
   },
 
@@ -357,15 +337,86 @@ module.exports = [
       };
     },
   },
+
+  {
+    id: 'CFN_IAM_011',
+    name: 'IAM Principal Privilege Escalation',
+    description: 'Ensure IAM principals cannot grant themselves more permissions through known escalation paths',
+    severity: 'CRITICAL',
+    category: 'access-control',
+    resourceTypes: ['AWS::IAM::Role', 'AWS::IAM::User', 'AWS::IAM::Group'],
+    frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
+    remediation: 'Remove an action from each escalation path, or scope iam:PassRole and IAM write actions to specific resources',
+    documentation: 'https://docs.aws.amazon.com/IAM/latest/UserGuide/best-practices.html#grant-least-privilege',
+    evaluate: (context) => {
+      const { graph, resourceName } = context;
+
+      // Policies from all sources of the template, so the principal is evaluated with its full permissions
+      const escalations = findEscalations(graph, resourceName);
+      const principal = describePrincipal(graph, resourceName);
+
+      if (escalations.length === 0) {
+        return {
+          passed: true,
+          message: `IAM ${principal} has no known privilege escalation path`,
+        };
+      }
+
+      const [first] = escalations;
+      const others = escalations.length > 1 ? ` (and ${escalations.length - 1} more)` : '';
+      return {
+        passed: false,
+        message: `IAM ${principal} can escalate privileges: ${formatChain(first)} to ${first.description}${others}`,
+        details: {
+          principal: resourceName,
+          escalations: escalations.map(escalation => ({
+            id: escalation.id,
+            chain: formatChain(escalation),
+            description: escalation.description,
+            grants: escalation.grants,
+          })),
+        },
+        path: first.grants.find(grant => grant.source === resourceName)?.path,
+      };
+    },
+  },
+
+  {
+    id: 'CFN_IAM_012',
+    name: 'IAM Policy No Permissions Management On All Resources',
+    description: 'Ensure IAM policies do not grant Permissions management actions (policies, grants, ACLs) on all resources',
+    severity: 'HIGH',
+    category: 'access-control',
+    resourceTypes: ['AWS::IAM::Policy', 'AWS::IAM::ManagedPolicy', 'AWS::IAM::Role'],
+    frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
+    remediation: 'Scope actions that change permissions to the specific resources that need them',
+    documentation: 'https://docs.aws.amazon.com/service-authorization/latest/reference/reference_policies_actions-resources-contextkeys.html',
+    evaluate: (context) => {
+      const { properties, resourceType } = context;
+
+      if (resourceType === 'AWS::IAM::Role') {
+        const policies = properties.Policies || [];
+        for (const [index, policy] of policies.entries()) {
+          if (policy.PolicyDocument) {
+            const result = checkPermissionsManagement(policy.PolicyDocument, `Properties.Policies[${index}].PolicyDocument`);
+            if (!result.passed) return result;
+          }
+        }
+        return { passed: true, message: 'IAM role does not grant Permissions management actions on all resources' };
+      }
+
+      return checkPermissionsManagement(properties.PolicyDocument, 'Properties.PolicyDocument');
+    },
+  },
 ];
 
 // Helper function to check for wildcard actions
-function checkWildcardActions(policyDocument) {
+function checkWildcardActions(policyDocument, basePath) {
   if (!policyDocument || !policyDocument.Statement) {
     return { passed: true, message: 'Policy document is empty' };
   }
 
-  for (const statement of policyDocument.Statement) {
+  for (const [index, statement] of policyDocument.Statement.entries()) {
     if (statement.Effect === 'Allow') {
       const actions = Array.isArray(statement.Action) ? statement.Action : [statement.Action];
 
@@ -375,6 +426,7 @@ function checkWildcardActions(policyDocument) {
             passed: false,
             message: 'IAM policy allows wildcard actions (*)',
             details: { action },
+            path: `${basePath}.Statement[${index}].Action`,
           };
         }
       }
@@ -387,33 +439,42 @@ function checkWildcardActions(policyDocument) {
   };
 }
 
+// Actions that should not be granted on all resources
+const SENSITIVE_ACTIONS = [
+  'iam:*', 'sts:*', 'kms:*', 'secretsmanager:*', 'ssm:GetParameter*',
+  'ec2:RunInstances', 'lambda:InvokeFunction', 's3:DeleteBucket',
+];
+
 // Helper function to check for wildcard resources with sensitive actions
-function checkWildcardResources(policyDocument) {
+function checkWildcardResources(policyDocument, basePath) {
   if (!policyDocument || !policyDocument.Statement) {
     return { passed: true, message: 'Policy document is empty' };
   }
 
-  const sensitiveActionPrefixes = [
-    'iam:', 'sts:', 'kms:', 'secretsmanager:', 'ssm:GetParameter',
-    'ec2:RunInstances', 'lambda:InvokeFunction', 's3:DeleteBucket',
-  ];
-
-  for (const statement of policyDocument.Statement) {
-    if (statement.Effect === 'Allow') {
-      const actions = Array.isArray(statement.Action) ? statement.Action : [statement.Action];
-      const resources = Array.isArray(statement.Resource) ? statement.Resource : [statement.Resource];
+  for (const { statement, index } of policyStatements(policyDocument)) {
+    const resources = toList(statement.Resource);
+    if (statement.Effect !== 'Allow' || !resources.includes('*')) {
+      continue;
+    }
 
-      const hasSensitiveAction = actions.some(action =>
-        sensitiveActionPrefixes.some(prefix => action.startsWith(prefix) || action === '*')
-      );
+    // Action and NotAction wildcards are expanded against the IAM action catalog;
+    // wildcards over services missing from it may cover sensitive actions
+    const sensitive = statementActions(statement)
+      .filter(action => SENSITIVE_ACTIONS.some(pattern => matchesAction(pattern, action)) ||
+        (/[*?]/.test(action) && isUncatalogued(action)));
 
-      if (hasSensitiveAction && resources.includes('*')) {
-        return {
-          passed: false,
-          message: 'IAM policy allows sensitive actions on wildcard resources',
-          details: { actions, resources },
-        };
-      }
+    if (sensitive.length > 0) {
+      return {
+        passed: false,
+        message: 'IAM policy allows sensitive actions on wildcard resources',
+        details: {
+          actions: toList(statement.Action ?? statement.NotAction),
+          resources,
+          sensitiveActions: sensitive.slice(0, 10),
+          sensitiveActionCount: sensitive.length,
+        },
+        path: `${basePath}.Statement[${index}].Resource`,
+      };
     }
   }
 
@@ -423,13 +484,38 @@ function checkWildcardResources(policyDocument) {
   };
 }
 
+// Helper function to check for Permissions management actions on all resources
+function checkPermissionsManagement(policyDocument, basePath) {
+  for (const { statement, index } of policyStatements(policyDocument)) {
+    if (statement.Effect !== 'Allow' || !toList(statement.Resource).includes('*')) {
+      continue;
+    }
+
+    const granted = actionsWithAccessLevel(statement, 'Permissions management');
+    if (granted.length > 0) {
+      const examples = granted.slice(0, 3).join(', ') + (granted.length > 3 ? ', ...' : '');
+      return {
+        passed: false,
+        message: `IAM policy grants Permissions management actions on all resources (${examples})`,
+        details: { actions: granted.slice(0, 10), actionCount: granted.length },
+        path: `${basePath}.Statement[${index}]`,
+      };
+    }
+  }
+
+  return {
+    passed: true,
+    message: 'IAM policy does not grant Permissions management actions on all resources',
+  };
+}
+
 // Helper function to check for admin access
-function checkAdminAccess(policyDocument) {
+function checkAdminAccess(policyDocument, basePath) {
   if (!policyDocument || !policyDocument.Statement) {
     return { passed: true, message: 'Policy document is empty' };
   }
 
-  for (const statement of policyDocument.Statement) {
+  for (const [index, statement] of policyDocument.Statement.entries()) {
     if (statement.Effect === 'Allow') {
       const actions = Array.isArray(statement.Action) ? statement.Action : [statement.Action];
       const resources = Array.isArray(statement.Resource) ? statement.Resource : [statement.Resource];
@@ -439,6 +525,7 @@ function checkAdminAccess(policyDocument) {
         return {
           passed: false,
           message: 'IAM policy grants full administrative access (Action: *, Resource: *)',
+          path: `${basePath}.Statement[${index}]`,
         };
       }
     }
@@ -17,6 +17,9 @@ const elasticacheRules = require('./elasticache');
 const elbRules = require('./elb');
 const cloudFrontRules = require('./cloudfront');
 const secretsManagerRules = require('./secretsmanager');
+const ecrRules = require('./ecr');
+const eventsRules = require('./events');
+const networkRules = require('./network');
 const generalRules = require('./general');
 
 /**
@@ -39,6 +42,9 @@ function loadAllRules() {
     ...elbRules,
     ...cloudFrontRules,
     ...secretsManagerRules,
+    ...ecrRules,
+    ...eventsRules,
+    ...networkRules,
     ...generalRules,
   ];
 }
@@ -3,6 +3,9 @@
  * Rules for AWS KMS security best practices
  */
 
+const { isTrue } = require('../utils/intrinsics');
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_KMS_001',
@@ -22,7 +25,7 @@ module.exports = [
         return null;
       }
 
-      if (properties.EnableKeyRotation !== true) {
+      if (!isTrue(properties.EnableKeyRotation)) {
         return {
           passed: false,
           message: 'KMS key does not have automatic rotation enabled',
@@ -46,44 +49,7 @@ module.exports = [
     frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict KeyPolicy to specific principals',
     documentation: 'https://docs.aws.amazon.com/kms/latest/developerguide/key-policies.html',
-    evaluate: (context) => {
-      const { properties } = context;
-
-      const keyPolicy = properties.KeyPolicy;
-      if (!keyPolicy || !keyPolicy.Statement) {
-        return null;
-      }
-
-      for (const statement of keyPolicy.Statement) {
-        if (statement.Effect === 'Allow') {
-          const principal = statement.Principal;
-
-          if (principal === '*') {
-            // Check for conditions that might restrict access
-            if (!statement.Condition) {
-              return {
-                passed: false,
-                message: 'KMS key policy allows unrestricted public access',
-              };
-            }
-          }
-
-          if (typeof principal === 'object' && principal.AWS === '*') {
-            if (!statement.Condition) {
-              return {
-                passed: false,
-                message: 'KMS key policy allows access to all AWS principals',
-              };
-            }
-          }
-        }
-      }
-
-      return {
-        passed: true,
-        message: 'KMS key policy restricts access appropriately',
-      };
-    },
+    evaluate: (context) => publicAccessResult(context, 'KMS key policy'),
   },
 
   {
@@ -155,7 +121,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.MultiRegion !== true) {
+      if (!isTrue(properties.MultiRegion)) {
         return {
           passed: false,
           message: 'KMS key is not configured as multi-region',
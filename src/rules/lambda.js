@@ -3,6 +3,8 @@
  * Rules for AWS Lambda security best practices
  */
 
+const { analyzeResourcePolicies, publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_LAMBDA_001',
@@ -213,18 +215,13 @@ module.exports = [
     remediation: 'Add SourceAccount or SourceArn to Lambda permission',
     documentation: 'https://docs.aws.amazon.com/lambda/latest/dg/access-control-resource-based.html',
     evaluate: (context) => {
-      const { properties } = context;
-
-      const principal = properties.Principal;
-
-      // If principal is a service, require SourceAccount or SourceArn
-      if (principal && principal.includes('.amazonaws.com')) {
-        if (!properties.SourceAccount && !properties.SourceArn) {
-          return {
-            passed: false,
-            message: 'Lambda permission does not specify SourceAccount or SourceArn',
-          };
-        }
+      // A service principal must be tied to the calling account or resource
+      const [permission] = analyzeResourcePolicies(context);
+      if (permission?.access === 'service' && permission.restrictedBy.length === 0) {
+        return {
+          passed: false,
+          message: 'Lambda permission does not specify SourceAccount or SourceArn',
+        };
       }
 
       return {
@@ -285,7 +282,8 @@ module.exports = [
     remediation: 'Use AWS Secrets Manager or Parameter Store for sensitive values',
     documentation: 'https://docs.aws.amazon.com/secretsmanager/latest/userguide/intro.html',
     evaluate: (context) => {
-      const { properties } = context;
+      // Resolved parameter values are not hardcoded, so inspect the raw template values
+      const { rawProperties: properties } = context;
 
       const envVars = properties.Environment?.Variables;
       if (!envVars) {
@@ -329,4 +327,17 @@ module.exports = [
       };
     },
   },
+
+  {
+    id: 'CFN_LAMBDA_011',
+    name: 'Lambda Permission Public Access',
+    description: 'Ensure Lambda permissions do not allow anyone to invoke the function',
+    severity: 'CRITICAL',
+    category: 'access-control',
+    resourceTypes: ['AWS::Lambda::Permission'],
+    frameworks: ['SOC2', 'PCI-DSS'],
+    remediation: 'Grant the permission to a specific account or service, or add SourceAccount, SourceArn or PrincipalOrgID',
+    documentation: 'https://docs.aws.amazon.com/lambda/latest/dg/access-control-resource-based.html',
+    evaluate: (context) => publicAccessResult(context, 'Lambda permission'),
+  },
 ];
@@ -0,0 +1,87 @@
+/**
+ * Network Reachability Rules
+ * Rules on what the internet can reach through chains of security groups
+ */
+
+const { MEMBER_TYPES, networkModel, formatPorts } = require('../analysis/network');
+
+const DATA_STORE_TYPES = Object.keys(MEMBER_TYPES).filter(type => MEMBER_TYPES[type].dataStore);
+
+/**
+ * "port 5432", or the ports the last rule admits when the data store port is unresolved
+ */
+function exposedPorts(model, resourceName, exposure) {
+  return model.portsOf(resourceName) === null
+    ? formatPorts(exposure.hops[exposure.hops.length - 1])
+    : `port ${exposure.port}`;
+}
+
+module.exports = [
+  {
+    id: 'CFN_NET_001',
+    name: 'Data Store Reachable From Internet',
+    description: 'Ensure databases and caches do not admit traffic from 0.0.0.0/0 on their port',
+    severity: 'CRITICAL',
+    category: 'network',
+    resourceTypes: DATA_STORE_TYPES,
+    frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
+    remediation: 'Only admit the application security groups on the data store port',
+    documentation: 'https://docs.aws.amazon.com/AmazonRDS/latest/UserGuide/Overview.RDSSecurityGroups.html',
+    evaluate: (context) => {
+      const model = networkModel(context.graph, context);
+      if (model.groupsOf(context.resourceName).length === 0) {
+        return null;
+      }
+
+      const [exposure] = model.exposures(context.resourceName);
+      const { label } = MEMBER_TYPES[context.resourceType];
+      if (exposure && exposure.hops.length === 1) {
+        return {
+          passed: false,
+          message: `${label} is reachable from the internet on ${exposedPorts(model, context.resourceName, exposure)}: ${model.formatPath(exposure.hops)}`,
+          details: { port: exposure.port, path: model.describeHops(exposure.hops) },
+        };
+      }
+
+      return {
+        passed: true,
+        message: `${label} does not admit traffic from the internet`,
+      };
+    },
+  },
+
+  {
+    id: 'CFN_NET_002',
+    name: 'Data Store Reachable Through Security Group Chain',
+    description: 'Ensure databases and caches cannot be reached from 0.0.0.0/0 through a chain of security group references',
+    severity: 'HIGH',
+    category: 'network',
+    resourceTypes: DATA_STORE_TYPES,
+    frameworks: ['SOC2', 'PCI-DSS'],
+    remediation: 'Do not admit internet-facing instances in the data store security group; reach it from private application tiers only',
+    documentation: 'https://docs.aws.amazon.com/vpc/latest/userguide/security-group-rules.html#security-group-referencing',
+    evaluate: (context) => {
+      const model = networkModel(context.graph, context);
+      if (model.groupsOf(context.resourceName).length === 0) {
+        return null;
+      }
+
+      // Ports open directly are CFN_NET_001's; any other port may still be reached through a chain
+      const exposure = model.exposures(context.resourceName).find(candidate => candidate.hops.length > 1);
+      const { label } = MEMBER_TYPES[context.resourceType];
+      if (exposure) {
+        return {
+          passed: false,
+          message: `${label} is reachable from the internet on ${exposedPorts(model, context.resourceName, exposure)} through ` +
+            `${exposure.hops.length - 1} security group(s): ${model.formatPath(exposure.hops)}`,
+          details: { port: exposure.port, path: model.describeHops(exposure.hops) },
+        };
+      }
+
+      return {
+        passed: true,
+        message: `${label} is not reachable from the internet through other security groups`,
+      };
+    },
+  },
+];
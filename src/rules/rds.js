@@ -3,6 +3,8 @@
  * Rules for Amazon RDS security best practices
  */
 
+const { isUnknown, isTrue, isFalse } = require('../utils/intrinsics');
+
 module.exports = [
   {
     id: 'CFN_RDS_001',
@@ -17,10 +19,19 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.StorageEncrypted !== true) {
+      if (isUnknown(properties.StorageEncrypted)) {
+        return {
+          skipped: true,
+          message: `RDS instance storage encryption cannot be determined: ${properties.StorageEncrypted.reason}`,
+          path: 'Properties.StorageEncrypted',
+        };
+      }
+
+      if (!isTrue(properties.StorageEncrypted)) {
         return {
           passed: false,
           message: 'RDS instance does not have storage encryption enabled',
+          path: 'Properties.StorageEncrypted',
         };
       }
 
@@ -44,10 +55,19 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.PubliclyAccessible === true) {
+      if (isUnknown(properties.PubliclyAccessible)) {
+        return {
+          skipped: true,
+          message: `RDS instance public accessibility cannot be determined: ${properties.PubliclyAccessible.reason}`,
+          path: 'Properties.PubliclyAccessible',
+        };
+      }
+
+      if (isTrue(properties.PubliclyAccessible)) {
         return {
           passed: false,
           message: 'RDS instance is publicly accessible',
+          path: 'Properties.PubliclyAccessible',
         };
       }
 
@@ -71,10 +91,19 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.MultiAZ !== true) {
+      if (isUnknown(properties.MultiAZ)) {
+        return {
+          skipped: true,
+          message: `RDS instance Multi-AZ setting cannot be determined: ${properties.MultiAZ.reason}`,
+          path: 'Properties.MultiAZ',
+        };
+      }
+
+      if (!isTrue(properties.MultiAZ)) {
         return {
           passed: false,
           message: 'RDS instance does not have Multi-AZ enabled',
+          path: 'Properties.MultiAZ',
         };
       }
 
@@ -103,6 +132,7 @@ module.exports = [
         return {
           passed: false,
           message: `RDS backup retention period is ${retention || 0} days (should be at least 7)`,
+          path: 'Properties.BackupRetentionPeriod',
           details: { currentRetention: retention || 0 },
         };
       }
@@ -127,7 +157,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.AutoMinorVersionUpgrade === false) {
+      if (isFalse(properties.AutoMinorVersionUpgrade)) {
         return {
           passed: false,
           message: 'RDS instance does not have auto minor version upgrade enabled',
@@ -154,7 +184,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.DeletionProtection !== true) {
+      if (!isTrue(properties.DeletionProtection)) {
         return {
           passed: false,
           message: 'RDS instance does not have deletion protection enabled',
@@ -209,7 +239,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.EnableIAMDatabaseAuthentication !== true) {
+      if (!isTrue(properties.EnableIAMDatabaseAuthentication)) {
         return {
           passed: false,
           message: 'RDS instance does not have IAM database authentication enabled',
@@ -264,14 +294,14 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.StorageEncrypted === true && !properties.KmsKeyId) {
+      if (isTrue(properties.StorageEncrypted) && !properties.KmsKeyId) {
         return {
           passed: false,
           message: 'RDS instance uses default AWS-managed KMS key instead of customer-managed key',
         };
       }
 
-      if (properties.StorageEncrypted === true && properties.KmsKeyId) {
+      if (isTrue(properties.StorageEncrypted) && properties.KmsKeyId) {
         return {
           passed: true,
           message: 'RDS instance uses customer-managed KMS key',
@@ -295,7 +325,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.EnablePerformanceInsights !== true) {
+      if (!isTrue(properties.EnablePerformanceInsights)) {
         return {
           passed: false,
           message: 'RDS instance does not have Performance Insights enabled',
@@ -322,7 +352,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.CopyTagsToSnapshot !== true) {
+      if (!isTrue(properties.CopyTagsToSnapshot)) {
         return {
           passed: false,
           message: 'RDS instance does not copy tags to snapshots',
@@ -3,6 +3,9 @@
  * Rules for Amazon S3 bucket security best practices
  */
 
+const { isTrue, isFalse } = require('../utils/intrinsics');
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_S3_001',
@@ -22,6 +25,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket does not have encryption enabled',
+          path: 'Properties.BucketEncryption',
         };
       }
 
@@ -30,6 +34,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket encryption configuration is missing or empty',
+          path: 'Properties.BucketEncryption.ServerSideEncryptionConfiguration',
         };
       }
 
@@ -58,6 +63,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket does not have public access block configuration',
+          path: 'Properties.PublicAccessBlockConfiguration',
         };
       }
 
@@ -69,7 +75,7 @@ module.exports = [
       ];
 
       const missingSettings = requiredSettings.filter(
-        setting => publicAccessBlock[setting] !== true
+        setting => !isTrue(publicAccessBlock[setting])
       );
 
       if (missingSettings.length > 0) {
@@ -77,6 +83,7 @@ module.exports = [
           passed: false,
           message: `S3 bucket public access block is missing: ${missingSettings.join(', ')}`,
           details: { missingSettings },
+          path: `Properties.PublicAccessBlockConfiguration.${missingSettings[0]}`,
         };
       }
 
@@ -105,6 +112,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket versioning is not enabled',
+          path: 'Properties.VersioningConfiguration',
         };
       }
 
@@ -133,6 +141,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket access logging is not enabled',
+          path: 'Properties.LoggingConfiguration',
         };
       }
 
@@ -169,8 +178,7 @@ module.exports = [
         return (
           statement.Effect === 'Deny' &&
           condition &&
-          (condition.Bool?.['aws:SecureTransport'] === 'false' ||
-            condition.Bool?.['aws:SecureTransport'] === false)
+          isFalse(condition.Bool?.['aws:SecureTransport'])
         );
       });
 
@@ -218,6 +226,7 @@ module.exports = [
         return {
           passed: false,
           message: 'S3 bucket is not using KMS encryption',
+          path: 'Properties.BucketEncryption.ServerSideEncryptionConfiguration',
         };
       }
 
@@ -303,7 +312,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (!properties.ObjectLockEnabled) {
+      if (!isTrue(properties.ObjectLockEnabled)) {
         return {
           passed: false,
           message: 'S3 bucket does not have object lock enabled',
@@ -344,4 +353,17 @@ module.exports = [
       };
     },
   },
+
+  {
+    id: 'CFN_S3_011',
+    name: 'S3 Bucket Policy Public Access',
+    description: 'Ensure S3 bucket policy does not allow public access',
+    severity: 'CRITICAL',
+    category: 'access-control',
+    resourceTypes: ['AWS::S3::BucketPolicy'],
+    frameworks: ['CIS', 'SOC2', 'HIPAA', 'PCI-DSS'],
+    remediation: 'Restrict PolicyDocument to specific principals, or narrow open principals with conditions such as aws:PrincipalOrgID or aws:SourceVpce',
+    documentation: 'https://docs.aws.amazon.com/AmazonS3/latest/userguide/access-control-block-public-access.html#access-control-block-public-access-policy-status',
+    evaluate: (context) => publicAccessResult(context, 'S3 bucket policy'),
+  },
 ];
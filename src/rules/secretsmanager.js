@@ -3,6 +3,8 @@
  * Rules for AWS Secrets Manager security best practices
  */
 
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_SECRETS_001',
@@ -42,18 +44,13 @@ module.exports = [
     remediation: 'Configure secret rotation with a Lambda function',
     documentation: 'https://docs.aws.amazon.com/secretsmanager/latest/userguide/rotating-secrets.html',
     evaluate: (context) => {
-      const { properties, template, resourceName } = context;
+      const { resourceName, graph } = context;
 
       // Check if there's a rotation schedule for this secret
-      const resources = template.Resources || {};
-      const hasRotation = Object.values(resources).some(resource => {
-        if (resource.Type === 'AWS::SecretsManager::RotationSchedule') {
-          const secretId = resource.Properties?.SecretId;
-          if (typeof secretId === 'object' && secretId.Ref === resourceName) {
-            return true;
-          }
-        }
-        return false;
+      const hasRotation = graph.referencedBy(resourceName).some(name => {
+        const resource = graph.getResource(name);
+        return resource.Type === 'AWS::SecretsManager::RotationSchedule' &&
+          graph.resolve(resource.Properties?.SecretId)?.name === resourceName;
       });
 
       if (!hasRotation) {
@@ -112,18 +109,13 @@ module.exports = [
     remediation: 'Add a ResourcePolicy to restrict access to the secret',
     documentation: 'https://docs.aws.amazon.com/secretsmanager/latest/userguide/auth-and-access_resource-policies.html',
     evaluate: (context) => {
-      const { properties, template, resourceName } = context;
+      const { resourceName, graph } = context;
 
       // Check if there's a resource policy for this secret
-      const resources = template.Resources || {};
-      const hasResourcePolicy = Object.values(resources).some(resource => {
-        if (resource.Type === 'AWS::SecretsManager::ResourcePolicy') {
-          const secretId = resource.Properties?.SecretId;
-          if (typeof secretId === 'object' && secretId.Ref === resourceName) {
-            return true;
-          }
-        }
-        return false;
+      const hasResourcePolicy = graph.referencedBy(resourceName).some(name => {
+        const resource = graph.getResource(name);
+        return resource.Type === 'AWS::SecretsManager::ResourcePolicy' &&
+          graph.resolve(resource.Properties?.SecretId)?.name === resourceName;
       });
 
       if (!hasResourcePolicy) {
@@ -203,4 +195,17 @@ module.exports = [
       };
     },
   },
+
+  {
+    id: 'CFN_SECRETS_007',
+    name: 'Secret Resource Policy Public Access',
+    description: 'Ensure secret resource policies do not allow public access',
+    severity: 'CRITICAL',
+    category: 'access-control',
+    resourceTypes: ['AWS::SecretsManager::ResourcePolicy'],
+    frameworks: ['SOC2', 'HIPAA', 'PCI-DSS'],
+    remediation: 'Restrict ResourcePolicy to specific principals and set BlockPublicPolicy to true',
+    documentation: 'https://docs.aws.amazon.com/secretsmanager/latest/userguide/auth-and-access_resource-policies.html',
+    evaluate: (context) => publicAccessResult(context, 'Secret resource policy'),
+  },
 ];
@@ -3,6 +3,8 @@
  * Rules for Amazon SNS security best practices
  */
 
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_SNS_001',
@@ -41,39 +43,7 @@ module.exports = [
     frameworks: ['SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict PolicyDocument to specific principals',
     documentation: 'https://docs.aws.amazon.com/sns/latest/dg/sns-access-policy-use-cases.html',
-    evaluate: (context) => {
-      const { properties } = context;
-
-      const policyDocument = properties.PolicyDocument;
-      if (!policyDocument || !policyDocument.Statement) {
-        return null;
-      }
-
-      for (const statement of policyDocument.Statement) {
-        if (statement.Effect === 'Allow') {
-          const principal = statement.Principal;
-
-          if (principal === '*' && !statement.Condition) {
-            return {
-              passed: false,
-              message: 'SNS topic policy allows unrestricted public access',
-            };
-          }
-
-          if (typeof principal === 'object' && principal.AWS === '*' && !statement.Condition) {
-            return {
-              passed: false,
-              message: 'SNS topic policy allows access to all AWS principals',
-            };
-          }
-        }
-      }
-
-      return {
-        passed: true,
-        message: 'SNS topic policy restricts access appropriately',
-      };
-    },
+    evaluate: (context) => publicAccessResult(context, 'SNS topic policy'),
   },
 
   {
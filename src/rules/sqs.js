@@ -3,6 +3,9 @@
  * Rules for Amazon SQS security best practices
  */
 
+const { isTrue, isFalse } = require('../utils/intrinsics');
+const { publicAccessResult } = require('../analysis/resourcePolicy');
+
 module.exports = [
   {
     id: 'CFN_SQS_001',
@@ -17,7 +20,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (!properties.KmsMasterKeyId && properties.SqsManagedSseEnabled !== true) {
+      if (!properties.KmsMasterKeyId && !isTrue(properties.SqsManagedSseEnabled)) {
         return {
           passed: false,
           message: 'SQS queue is not encrypted',
@@ -41,39 +44,7 @@ module.exports = [
     frameworks: ['SOC2', 'HIPAA', 'PCI-DSS'],
     remediation: 'Restrict PolicyDocument to specific principals',
     documentation: 'https://docs.aws.amazon.com/AWSSimpleQueueService/latest/SQSDeveloperGuide/sqs-basic-examples-of-sqs-policies.html',
-    evaluate: (context) => {
-      const { properties } = context;
-
-      const policyDocument = properties.PolicyDocument;
-      if (!policyDocument || !policyDocument.Statement) {
-        return null;
-      }
-
-      for (const statement of policyDocument.Statement) {
-        if (statement.Effect === 'Allow') {
-          const principal = statement.Principal;
-
-          if (principal === '*' && !statement.Condition) {
-            return {
-              passed: false,
-              message: 'SQS queue policy allows unrestricted public access',
-            };
-          }
-
-          if (typeof principal === 'object' && principal.AWS === '*' && !statement.Condition) {
-            return {
-              passed: false,
-              message: 'SQS queue policy allows access to all AWS principals',
-            };
-          }
-        }
-      }
-
-      return {
-        passed: true,
-        message: 'SQS queue policy restricts access appropriately',
-      };
-    },
+    evaluate: (context) => publicAccessResult(context, 'SQS queue policy'),
   },
 
   {
@@ -130,8 +101,7 @@ module.exports = [
         return (
           statement.Effect === 'Deny' &&
           condition &&
-          (condition.Bool?.['aws:SecureTransport'] === 'false' ||
-            condition.Bool?.['aws:SecureTransport'] === false)
+          isFalse(condition.Bool?.['aws:SecureTransport'])
         );
       });
 
@@ -191,7 +161,7 @@ module.exports = [
     evaluate: (context) => {
       const { properties } = context;
 
-      if (properties.SqsManagedSseEnabled === true) {
+      if (isTrue(properties.SqsManagedSseEnabled)) {
         return {
           passed: false,
           message: 'SQS queue uses SQS-managed encryption instead of customer-managed KMS key',
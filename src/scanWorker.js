@@ -0,0 +1,17 @@
+/**
+ * Scan Worker - Worker thread entry point used by WorkerPool
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const Scanner = require('./scanner');
+
+const scanner = new Scanner(workerData.options);
+const ready = scanner.initialize();
+
+parentPort.on('message', async ({ id, file }) => {
+  await ready;
+  const outcome = await scanner.inspectFile(file);
+
+  // Unknown intrinsic values serialize to their original expression
+  parentPort.postMessage({ id, outcome: JSON.parse(JSON.stringify(outcome)) });
+});
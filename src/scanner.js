@@ -6,7 +6,22 @@ const fs = require('fs');
 const path = require('path');
 const cfnYaml = require('./utils/cfnYaml');
 const RuleEngine = require('./ruleEngine');
-const { loadAllRules } = require('./rules');
+const { findParameterFile, loadParameterFile } = require('./utils/parameters');
+const { fingerprint, relativeFilePath, resourceKey } = require('./utils/baseline');
+const { ScanCache, createCacheContext } = require('./utils/cache');
+const WorkerPool = require('./workerPool');
+const { loadRules } = require('./ruleLoader');
+const { expandServerless } = require('./transforms/sam');
+const { expandIncludes, formatChain } = require('./transforms/include');
+const { expandLanguageExtensions } = require('./transforms/languageExtensions');
+const { findNestedStacks } = require('./utils/templateFiles');
+const { readCloudAssembly, constructPath } = require('./utils/cdkAssembly');
+const { IntrinsicResolver, isUnknown } = require('./utils/intrinsics');
+const { changedLines, overlapsChange } = require('./utils/git');
+const { findAttackPaths } = require('./analysis/attackPaths');
+
+// Name of the top-level template in nested stack paths
+const ROOT_STACK = 'Root';
 
 class Scanner {
   constructor(options = {}) {
@@ -15,6 +30,11 @@ class Scanner {
       skipRules: options.skipRules || [],
       includeRules: options.includeRules || [],
       framework: options.framework || 'all',
+      exclude: options.exclude || [],
+      rulesDirs: options.rulesDirs || [],
+      plugins: options.plugins || [],
+      pairParameterFiles: true,
+      jobs: 1,
       ...options,
     };
 
@@ -25,15 +45,37 @@ class Scanner {
       passed: 0,
       failed: 0,
       skipped: 0,
+      suppressed: 0,
+      existing: 0,
       errors: 0,
     };
+
+    // Baseline entries by fingerprint, and what this run has seen of them
+    this.baseline = this.options.baseline
+      ? new Map(this.options.baseline.findings.map(entry => [entry.fingerprint, entry]))
+      : null;
+    this.matchedFingerprints = new Set();
+    this.scannedFiles = new Set();
+    this.cache = null;
+
+    // With `options.changedSince`, the changed lines by file and, with
+    // `options.changedLinesOnly`, the resources reported because they changed
+    this.changes = null;
+    this.changedResources = new Set();
+    this.resourceSpans = new Map();
   }
 
   /**
-   * Initialize the scanner with all security rules
+   * Initialize the scanner with the built-in rules and any custom rules
+   * from `options.rulesDirs` and `options.plugins`, and read the changes
+   * since `options.changedSince` from the local git repository
    */
   async initialize() {
-    const rules = loadAllRules();
+    const rules = loadRules({
+      rulesDirs: this.options.rulesDirs,
+      plugins: this.options.plugins,
+      baseDir: this.options.baseDir,
+    });
 
     for (const rule of rules) {
       if (this.shouldIncludeRule(rule)) {
@@ -41,6 +83,19 @@ class Scanner {
       }
     }
 
+    if (this.options.cache) {
+      // Options that do not change per-file results stay out of the cache key
+      const {
+        baseline: _baseline, cache, jobs: _jobs, repoRoot: _repoRoot,
+        changedSince: _changedSince, changedLinesOnly: _changedLinesOnly, ...options
+      } = this.options;
+      this.cache = new ScanCache(cache, createCacheContext(this.ruleEngine.getRules(), options));
+    }
+
+    if (this.options.changedSince) {
+      this.changes = changedLines(this.options.changedSince, this.options.repoRoot || process.cwd());
+    }
+
     return this;
   }
 
@@ -64,19 +119,35 @@ class Scanner {
   }
 
   /**
-   * Scan a single file
+   * Scan a single file. `stack` can name the stack (`name`) and give the
+   * `parameters` and `pseudoParameters` it is deployed with. With
+   * `options.changedSince`, the results of a template without changes are
+   * left out.
    */
-  async scanFile(filePath) {
+  async scanFile(filePath, stack = {}) {
     const absolutePath = path.resolve(filePath);
 
     if (!fs.existsSync(absolutePath)) {
       throw new Error(`File not found: ${absolutePath}`);
     }
 
-    const content = fs.readFileSync(absolutePath, 'utf8');
-    const template = this.parseTemplate(content, absolutePath);
+    const unchanged = { file: absolutePath, results: [] };
+    const cacheKey = this.getCacheKey(absolutePath, stack);
+    const cached = cacheKey && this.cache.get(absolutePath, cacheKey);
+    if (cached?.isTemplate && !cached.error) {
+      if (!this.hasChanges(cached)) {
+        return unchanged;
+      }
+      this.stats.filesScanned++;
+      return this.recordFileResult(cached);
+    }
 
-    if (!template) {
+    const parsed = this.loadTemplate(absolutePath);
+
+    if (!parsed) {
+      if (!this.hasChanges(unchanged)) {
+        return unchanged;
+      }
       this.stats.errors++;
       return {
         file: absolutePath,
@@ -85,49 +156,373 @@ class Scanner {
       };
     }
 
+    const fileResult = await this.evaluateTemplate(absolutePath, parsed, stack);
+    if (cacheKey) {
+      this.cache.set(absolutePath, cacheKey, { isTemplate: true, ...fileResult });
+      this.cache.save();
+    }
+    if (!this.hasChanges(fileResult)) {
+      return unchanged;
+    }
+
     this.stats.filesScanned++;
-    const fileResults = await this.ruleEngine.evaluate(template, absolutePath);
+    return this.recordFileResult(fileResult);
+  }
+
+  /**
+   * Scan a directory recursively. With `options.jobs` above 1, files are
+   * scanned on worker threads; results are returned in file path order either way.
+   * With `options.changedSince`, only the results of templates with changes
+   * since then are returned; which files a template depends on is only known
+   * once it has been inspected.
+   */
+  async scanDirectory(dirPath, patterns = ['**/*.yaml', '**/*.yml', '**/*.json', '**/*.template']) {
+    const files = await this.findFiles(dirPath, patterns);
+    const outcomes = new Array(files.length);
+    const cacheKeys = files.map(file => this.getCacheKey(file));
+
+    // Only files without a cached outcome are parsed and evaluated
+    const pending = [];
+    files.forEach((file, index) => {
+      outcomes[index] = cacheKeys[index] && this.cache.get(file, cacheKeys[index]);
+      if (!outcomes[index]) {
+        pending.push(index);
+      }
+    });
+
+    const jobs = Math.min(this.options.jobs || 1, pending.length);
+    let scanned;
+    if (jobs > 1) {
+      // Baselines are applied and the cache is written here once results come back
+      const { baseline: _baseline, cache: _cache, changedSince: _changedSince, ...workerOptions } = this.options;
+      scanned = await new WorkerPool(jobs, workerOptions).run(pending.map(index => files[index]));
+    } else {
+      scanned = [];
+      for (const index of pending) {
+        scanned.push(await this.inspectFile(files[index]));
+      }
+    }
 
-    this.processResults(fileResults);
+    pending.forEach((index, n) => {
+      outcomes[index] = scanned[n];
+      if (cacheKeys[index] && !scanned[n].error) {
+        this.cache.set(files[index], cacheKeys[index], scanned[n]);
+      }
+    });
+    this.cache?.save();
 
-    return {
-      file: absolutePath,
-      results: fileResults,
-    };
+    const nestedFiles = nestedTemplateFiles(outcomes);
+
+    const results = [];
+    for (const outcome of outcomes) {
+      // Templates used as nested stacks are scanned with their parent's parameters instead
+      if (!outcome.isTemplate || nestedFiles.has(outcome.file) || !this.hasChanges(outcome)) {
+        continue;
+      }
+
+      if (outcome.error) {
+        results.push({
+          file: outcome.file,
+          error: outcome.error,
+          results: [],
+        });
+        this.stats.errors++;
+        continue;
+      }
+
+      this.stats.filesScanned++;
+      results.push(this.recordFileResult(outcome));
+    }
+
+    return results;
   }
 
   /**
-   * Scan a directory recursively
+   * Scan the stacks of a CDK cloud assembly (a `cdk synth` output directory)
+   * with the environment and parameters from its manifest
    */
-  async scanDirectory(dirPath, patterns = ['**/*.yaml', '**/*.yml', '**/*.json', '**/*.template']) {
-    const { glob } = require('glob');
+  async scanCloudAssembly(assemblyPath) {
     const results = [];
 
+    for (const stack of readCloudAssembly(assemblyPath)) {
+      results.push(await this.scanFile(stack.templateFile, {
+        name: stack.displayName,
+        parameters: stack.parameters,
+        pseudoParameters: stack.pseudoParameters,
+      }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Whether an inspected template, its paired parameter file or a file it
+   * includes or nests was added or modified since `options.changedSince`
+   * (always true without that option)
+   */
+  hasChanges(outcome) {
+    if (!this.changes) {
+      return true;
+    }
+
+    return [outcome.file, outcome.parametersFile, ...(outcome.dependencies || [])]
+      .some(file => file && this.changes.has(file));
+  }
+
+  /**
+   * List candidate template files under a directory, sorted by path.
+   * Relative `options.exclude` globs match paths within the directory;
+   * the config loader passes its globs as absolute ones.
+   */
+  async findFiles(dirPath, patterns) {
+    const { glob } = require('glob');
+    const files = new Set();
+
     for (const pattern of patterns) {
-      const files = await glob(pattern, {
+      const matches = await glob(pattern, {
         cwd: dirPath,
         absolute: true,
         nodir: true,
+        ignore: this.options.exclude,
       });
+      matches.forEach(file => files.add(file));
+    }
+
+    return [...files].sort();
+  }
+
+  /**
+   * Parse a file once and, if it is a CloudFormation template, evaluate it.
+   * Does not touch scanner state, so it can run on a worker thread.
+   */
+  async inspectFile(filePath) {
+    let parsed;
+    try {
+      parsed = this.loadTemplate(filePath);
+    } catch {
+      parsed = null;
+    }
+
+    if (!parsed || !isTemplateDocument(parsed.template)) {
+      return { file: filePath, isTemplate: false };
+    }
+
+    try {
+      return { isTemplate: true, ...(await this.evaluateTemplate(filePath, parsed)) };
+    } catch (error) {
+      return { file: filePath, isTemplate: true, error: error.message, results: [] };
+    }
+  }
+
+  /**
+   * Evaluate the rules against a parsed template and the local templates of
+   * its nested stacks, after expanding AWS::Include snippets and SAM resources,
+   * and trace the attack paths from their internet entry points to data stores
+   */
+  async evaluateTemplate(absolutePath, parsed, stack = {}) {
+    const parametersFile = this.options.pairParameterFiles ? findParameterFile(absolutePath) : null;
+    const evaluation = await this.evaluateStack(absolutePath, parsed, {
+      name: stack.name || ROOT_STACK,
+      parameters: {
+        ...stack.parameters,
+        ...(parametersFile ? loadParameterFile(parametersFile) : {}),
+        ...this.options.parameters,
+      },
+      pseudoParameters: { ...this.options.pseudoParameters, ...stack.pseudoParameters },
+      stackPath: [],
+      files: [absolutePath],
+    });
+
+    return {
+      file: absolutePath,
+      ...(parametersFile && { parametersFile }),
+      results: evaluation.results,
+      ...(evaluation.diagnostics.length > 0 && { diagnostics: evaluation.diagnostics }),
+      ...(evaluation.attackPaths.length > 0 && { attackPaths: evaluation.attackPaths }),
+      ...(evaluation.dependencies.size > 0 && { dependencies: [...evaluation.dependencies] }),
+      ...(evaluation.nestedTemplates.size > 0 && { nestedTemplates: [...evaluation.nestedTemplates] }),
+    };
+  }
+
+  /**
+   * Evaluate one template of a stack tree. `stack.stackPath` holds the root
+   * stack name and the logical IDs of the nested stacks leading to it and
+   * `stack.files` their templates, so a template that nests one of its
+   * ancestors is reported as a cycle.
+   */
+  async evaluateStack(filePath, { template, locations }, stack) {
+    const { pseudoParameters } = stack;
+    const included = expandIncludes(template, filePath);
+    const extended = expandLanguageExtensions(included.template, { parameters: stack.parameters, pseudoParameters });
+    const serverless = expandServerless(extended.template);
+    const expanded = serverless.template;
+    const origins = mergeOrigins(extended.origins, serverless.origins);
+
+    const prepared = this.ruleEngine.prepare(expanded, { parameters: stack.parameters, pseudoParameters });
+    const results = await this.ruleEngine.evaluate(expanded, filePath, {
+      locations,
+      origins,
+      parameters: stack.parameters,
+      pseudoParameters,
+      prepared,
+    });
+
+    const evaluation = {
+      results: results.map(result => {
+        const construct = constructPath(expanded.Resources?.[result.resourceName]);
+        return {
+          ...result,
+          ...(construct && { constructPath: construct }),
+          ...(stack.stackPath.length > 0 && { stackPath: stack.stackPath }),
+        };
+      }),
+      diagnostics: [
+        ...included.diagnostics,
+        ...extended.diagnostics.map(diagnostic => ({ ...diagnostic, filePath })),
+      ].map(diagnostic => withLocation(diagnostic, filePath, locations)),
+      attackPaths: findAttackPaths(prepared.graph, { variants: prepared.resourceVariants }).map(attackPath => ({
+        ...attackPath,
+        filePath,
+        ...(stack.stackPath.length > 0 && { stackPath: stack.stackPath }),
+      })),
+      dependencies: new Set(included.dependencies),
+      nestedTemplates: new Set(),
+    };
+
+    // Like conditions, passed values only use supplied parameters, not defaults that a deployment may override
+    const resolver = new IntrinsicResolver(expanded, { parameters: stack.parameters, pseudoParameters });
+    resolver.strict = true;
+    for (const child of findNestedStacks(expanded, filePath)) {
+      const report = (type, message) => evaluation.diagnostics.push(withLocation({
+        type,
+        message,
+        filePath,
+        path: `Resources.${child.name}.Properties.TemplateURL`,
+        ...(stack.stackPath.length > 0 && { stackPath: stack.stackPath }),
+      }, filePath, locations));
+
+      evaluation.dependencies.add(child.templatePath);
+
+      if (stack.files.includes(child.templatePath)) {
+        report('cycle', `Nested stack ${child.name} creates a cycle: ${formatChain([...stack.files, child.templatePath], stack.files[0])}`);
+        continue;
+      }
+      if (!fs.existsSync(child.templatePath)) {
+        report('missing-file', `Nested stack ${child.name} template not found: ${child.templateUrl}`);
+        continue;
+      }
+
+      const parsed = this.loadTemplate(child.templatePath);
+      if (!parsed) {
+        report('parse-error', `Nested stack ${child.name} template could not be parsed: ${child.templateUrl}`);
+        continue;
+      }
+
+      evaluation.nestedTemplates.add(child.templatePath);
+      const nested = await this.evaluateStack(child.templatePath, parsed, {
+        name: stack.name,
+        parameters: stackParameters(resolver, child.parameters),
+        pseudoParameters,
+        stackPath: [...(stack.stackPath.length > 0 ? stack.stackPath : [stack.name]), child.name],
+        files: [...stack.files, child.templatePath],
+      });
+
+      evaluation.results.push(...nested.results);
+      evaluation.diagnostics.push(...nested.diagnostics);
+      evaluation.attackPaths.push(...nested.attackPaths);
+      nested.dependencies.forEach(file => evaluation.dependencies.add(file));
+      nested.nestedTemplates.forEach(file => evaluation.nestedTemplates.add(file));
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Cache key for a file, its paired parameter file and the stack settings
+   * it is scanned with, or null when caching is off
+   */
+  getCacheKey(filePath, stack = {}) {
+    if (!this.cache) {
+      return null;
+    }
+
+    try {
+      const parametersFile = this.options.pairParameterFiles ? findParameterFile(filePath) : null;
+      return this.cache.keyFor([
+        fs.readFileSync(filePath, 'utf8'),
+        parametersFile ? fs.readFileSync(parametersFile, 'utf8') : '',
+        ...(Object.keys(stack).length > 0 ? [JSON.stringify(stack)] : []),
+      ]);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Apply the baseline to a file's results and add them to the scan totals
+   */
+  recordFileResult(fileResult) {
+    const { isTemplate: _isTemplate, ...rest } = fileResult;
+    const results = this.applyBaseline(this.filterChangedResources(rest.results), rest.file);
+
+    this.processResults(results);
+
+    return { ...rest, results };
+  }
+
+  /**
+   * With `options.changedLinesOnly`, keep the results of resources whose
+   * definition overlaps a changed line. Results whose definition cannot be
+   * found in the file are kept.
+   */
+  filterChangedResources(results) {
+    if (!this.changes || !this.options.changedLinesOnly) {
+      return results;
+    }
+
+    const root = this.options.repoRoot || process.cwd();
+    return results.filter(result => {
+      const ranges = this.changes.get(path.resolve(result.filePath));
+      const span = ranges && this.findResourceSpan(result);
+      const changed = Boolean(ranges) && (!span || overlapsChange(ranges, span.startLine, span.endLine));
 
-      for (const file of files) {
-        if (this.isCloudFormationTemplate(file)) {
-          try {
-            const result = await this.scanFile(file);
-            results.push(result);
-          } catch (error) {
-            results.push({
-              file,
-              error: error.message,
-              results: [],
-            });
-            this.stats.errors++;
-          }
+      if (changed) {
+        this.changedResources.add(`${relativeFilePath(result.filePath, root)}\0${resourceKey(result)}`);
+      }
+      return changed;
+    });
+  }
+
+  /**
+   * Lines of the Resources entry a result comes from: the resource itself,
+   * or the loop or SAM resource it was generated from
+   */
+  findResourceSpan(result) {
+    const filePath = path.resolve(result.filePath);
+    if (!this.resourceSpans.has(filePath)) {
+      const spans = new Map();
+      const parsed = fs.existsSync(filePath) ? this.loadTemplate(filePath) : null;
+      for (const [key, location] of parsed?.locations || []) {
+        const match = /^Resources\.([^.[]+)$/.exec(key);
+        if (match) {
+          spans.set(match[1], location);
         }
       }
+      this.resourceSpans.set(filePath, spans);
     }
 
-    return results;
+    const spans = this.resourceSpans.get(filePath);
+    const line = result.location?.startLine;
+    return spans.get(result.origin?.resourceName || result.resourceName) ||
+      [...spans.values()].find(span => line >= span.startLine && line <= span.endLine);
+  }
+
+  /**
+   * Read and parse a template file
+   */
+  loadTemplate(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return this.parseTemplateWithLocations(content, filePath);
   }
 
   /**
@@ -153,27 +548,94 @@ class Scanner {
     }
   }
 
+  /**
+   * Parse CloudFormation template and map property paths to source positions
+   */
+  parseTemplateWithLocations(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext !== '.json' && ext !== '.template') {
+      try {
+        return cfnYaml.parseWithLocations(content);
+      } catch (error) {
+        console.error(`Error parsing ${filePath}: ${error.message}`);
+        return null;
+      }
+    }
+
+    const template = this.parseTemplate(content, filePath);
+
+    if (!template) {
+      return null;
+    }
+
+    // JSON is a subset of YAML, so the YAML locator covers both formats
+    let locations = new Map();
+    try {
+      locations = cfnYaml.parseWithLocations(content).locations;
+    } catch {
+      // Locations are best effort; findings fall back to no region
+    }
+
+    return { template, locations };
+  }
+
   /**
    * Check if file is a CloudFormation template
    */
   isCloudFormationTemplate(filePath) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const template = this.parseTemplate(content, filePath);
+      return isTemplateDocument(this.parseTemplate(fs.readFileSync(filePath, 'utf8'), filePath));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Mark failed results recorded in the baseline as EXISTING
+   */
+  applyBaseline(results, filePath) {
+    if (!this.baseline) {
+      return results;
+    }
 
-      if (!template || typeof template !== 'object') {
-        return false;
+    const root = this.options.repoRoot || process.cwd();
+    this.scannedFiles.add(relativeFilePath(filePath, root));
+    results.forEach(result => this.scannedFiles.add(relativeFilePath(result.filePath, root)));
+
+    return results.map(result => {
+      if (result.status !== 'FAILED') {
+        return result;
       }
 
-      // Check for CloudFormation indicators
-      return !!(
-        template.AWSTemplateFormatVersion ||
-        template.Resources ||
-        template.Transform === 'AWS::Serverless-2016-10-31'
-      );
-    } catch {
-      return false;
+      const id = fingerprint(result, root);
+      if (!this.baseline.has(id)) {
+        return result;
+      }
+
+      this.matchedFingerprints.add(id);
+      return { ...result, status: 'EXISTING', fingerprint: id };
+    });
+  }
+
+  /**
+   * Baseline entries for scanned files and active rules that no longer fail
+   */
+  getFixedBaselineEntries() {
+    if (!this.baseline) {
+      return [];
     }
+
+    // Resources left out because they did not change may still fail
+    const inScope = entry => !this.changes || !this.options.changedLinesOnly ||
+      this.changedResources.has(`${entry.filePath}\0${resourceKey(entry)}`);
+
+    return [...this.baseline.values()].filter(entry =>
+      this.scannedFiles.has(entry.filePath) &&
+      inScope(entry) &&
+      this.ruleEngine.getRule(entry.ruleId) &&
+      !this.matchedFingerprints.has(entry.fingerprint)
+    );
   }
 
   /**
@@ -189,6 +651,10 @@ class Scanner {
         this.stats.failed++;
       } else if (result.status === 'SKIPPED') {
         this.stats.skipped++;
+      } else if (result.status === 'SUPPRESSED') {
+        this.stats.suppressed++;
+      } else if (result.status === 'EXISTING') {
+        this.stats.existing++;
       }
     }
   }
@@ -214,7 +680,9 @@ class Scanner {
     return {
       ...this.stats,
       severityCounts,
-      totalChecks: this.stats.passed + this.stats.failed + this.stats.skipped,
+      totalChecks: this.stats.passed + this.stats.failed + this.stats.skipped + this.stats.suppressed +
+        this.stats.existing,
+      ...(this.baseline && { fixedBaselineEntries: this.getFixedBaselineEntries() }),
     };
   }
 
@@ -250,6 +718,101 @@ class Scanner {
   getFailedResults() {
     return this.results.filter(r => r.status === 'FAILED');
   }
+
+  /**
+   * Get results accepted through Metadata suppressions
+   */
+  getSuppressedResults() {
+    return this.results.filter(r => r.status === 'SUPPRESSED');
+  }
+
+  /**
+   * Get failed results already recorded in the baseline
+   */
+  getExistingResults() {
+    return this.results.filter(r => r.status === 'EXISTING');
+  }
+}
+
+/**
+ * Templates reported as part of another scanned template's stack tree. Two
+ * templates that nest each other are both reported on their own.
+ */
+function nestedTemplateFiles(outcomes) {
+  const nestedTemplates = new Map(outcomes.map(outcome => [outcome.file, outcome.nestedTemplates || []]));
+  const nested = new Set();
+
+  for (const [parent, children] of nestedTemplates) {
+    for (const child of children) {
+      if (child !== parent && !(nestedTemplates.get(child) || []).includes(parent)) {
+        nested.add(child);
+      }
+    }
+  }
+
+  return nested;
+}
+
+/**
+ * Parameter values a nested stack resource passes to its template. Values
+ * only known at deploy time are left out, so the child treats them as unset.
+ */
+function stackParameters(resolver, parameters) {
+  const values = {};
+  const resolved = resolver.resolve(parameters);
+
+  for (const [name, value] of Object.entries(resolved && typeof resolved === 'object' ? resolved : {})) {
+    if (value === undefined || isUnknown(value) || (value && typeof value === 'object' && !Array.isArray(value))) {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      if (!value.some(item => isUnknown(item) || (item && typeof item === 'object'))) {
+        values[name] = value.join(',');
+      }
+      continue;
+    }
+    values[name] = String(value);
+  }
+
+  return values;
+}
+
+/**
+ * Combine the origins of chained transforms: a SAM resource generated by a
+ * Fn::ForEach loop passes the loop's location on to what SAM generates from it
+ */
+function mergeOrigins(loopOrigins, serverlessOrigins) {
+  const origins = { ...loopOrigins };
+
+  for (const [logicalId, origin] of Object.entries(serverlessOrigins)) {
+    const loopOrigin = loopOrigins[origin.resourceName];
+    origins[logicalId] = loopOrigin ? { ...origin, resourcePath: loopOrigin.resourcePath } : origin;
+  }
+
+  return origins;
+}
+
+/**
+ * Add the source location of a diagnostic raised in the given template
+ */
+function withLocation(diagnostic, filePath, locations) {
+  const location = diagnostic.filePath === filePath && diagnostic.path
+    ? cfnYaml.findLocation(locations, diagnostic.path)
+    : null;
+  return location ? { ...diagnostic, location } : diagnostic;
+}
+
+/**
+ * Check a parsed document for CloudFormation indicators
+ */
+function isTemplateDocument(template) {
+  return !!(
+    template &&
+    typeof template === 'object' &&
+    (template.AWSTemplateFormatVersion ||
+      template.Resources ||
+      template.Transform === 'AWS::Serverless-2016-10-31')
+  );
 }
 
 module.exports = Scanner;
@@ -0,0 +1,169 @@
+/**
+ * AWS::Include Transform - Inlines local snippets referenced with AWS::Include
+ *
+ *   Fn::Transform:
+ *     Name: AWS::Include
+ *     Parameters:
+ *       Location: ./snippets/bucket-policy.yaml
+ *
+ * A transform used as a value is replaced by the snippet. One used as a key
+ * next to other keys merges the snippet's keys into that mapping, and a
+ * template-level `Transform: { Name: AWS::Include, ... }` merges the snippet's
+ * sections into the template. Snippets may include further snippets; their
+ * locations are relative to the snippet. Snippets in S3 are left in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../utils/cfnYaml');
+const { resolveLocalLocation } = require('../utils/templateFiles');
+
+const INCLUDE_TRANSFORM = 'AWS::Include';
+
+// Returned when a reference is not followed, so the transform stays as written
+const NOT_EXPANDED = Symbol('not expanded');
+
+/**
+ * Expand the local AWS::Include transforms in a template.
+ * Returns { template, diagnostics, dependencies }, where dependencies lists
+ * every snippet file that was read or looked for.
+ */
+function expandIncludes(template, filePath) {
+  const diagnostics = [];
+  const dependencies = new Set();
+
+  const load = (include, fromFile, chain, referencePath) => {
+    const location = include.Parameters?.Location;
+    const snippetPath = resolveLocalLocation(location, fromFile);
+    if (!snippetPath) {
+      return NOT_EXPANDED;
+    }
+
+    dependencies.add(snippetPath);
+    const report = (type, message) => {
+      diagnostics.push({ type, message, filePath: fromFile, path: referencePath });
+      return NOT_EXPANDED;
+    };
+
+    if (chain.includes(snippetPath)) {
+      return report('cycle', `AWS::Include cycle: ${formatChain([...chain, snippetPath], filePath)}`);
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(snippetPath, 'utf8');
+    } catch {
+      return report('missing-file', `AWS::Include snippet not found: ${location}`);
+    }
+
+    let snippet;
+    try {
+      snippet = cfnYaml.parse(content);
+    } catch (error) {
+      return report('parse-error', `AWS::Include snippet ${location} could not be parsed: ${error.message}`);
+    }
+
+    return expand(snippet, snippetPath, [...chain, snippetPath], '');
+  };
+
+  const expand = (value, fromFile, chain, valuePath) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => expand(item, fromFile, chain, `${valuePath}[${index}]`));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const expanded = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = valuePath ? `${valuePath}.${key}` : key;
+
+      if (key === 'Fn::Transform' && isInclude(child)) {
+        const snippet = load(child, fromFile, chain, childPath);
+        if (snippet === NOT_EXPANDED) {
+          expanded[key] = child;
+        } else if (Object.keys(value).length === 1) {
+          return snippet;
+        } else if (snippet && typeof snippet === 'object' && !Array.isArray(snippet)) {
+          // Keys written next to the transform take precedence over the snippet's
+          for (const [snippetKey, snippetValue] of Object.entries(snippet)) {
+            if (!Object.prototype.hasOwnProperty.call(value, snippetKey)) {
+              expanded[snippetKey] = snippetValue;
+            }
+          }
+        }
+        continue;
+      }
+
+      expanded[key] = expand(child, fromFile, chain, childPath);
+    }
+    return expanded;
+  };
+
+  let result = expand(template, filePath, [filePath], '');
+
+  // Template-level includes merge whole sections
+  const transforms = [].concat(result?.Transform || []);
+  if (transforms.some(isInclude)) {
+    const remaining = [];
+    transforms.forEach((transform, index) => {
+      const snippet = isInclude(transform)
+        ? load(transform, filePath, [filePath], Array.isArray(result.Transform) ? `Transform[${index}]` : 'Transform')
+        : NOT_EXPANDED;
+
+      if (snippet === NOT_EXPANDED || !snippet || typeof snippet !== 'object') {
+        remaining.push(transform);
+      } else {
+        result = mergeSections(result, snippet);
+      }
+    });
+
+    const { Transform: _transform, ...rest } = result;
+    result = {
+      ...rest,
+      ...(remaining.length > 0 && { Transform: remaining.length === 1 ? remaining[0] : remaining }),
+    };
+  }
+
+  return { template: result, diagnostics, dependencies: [...dependencies] };
+}
+
+function isInclude(value) {
+  return !!value && typeof value === 'object' && value.Name === INCLUDE_TRANSFORM;
+}
+
+/**
+ * Merge snippet sections into a template; the template's own entries win
+ */
+function mergeSections(template, snippet) {
+  const merged = { ...template };
+
+  for (const [section, value] of Object.entries(snippet)) {
+    const existing = merged[section];
+    if (isMapping(existing) && isMapping(value)) {
+      merged[section] = { ...value, ...existing };
+    } else if (existing === undefined) {
+      merged[section] = value;
+    }
+  }
+
+  return merged;
+}
+
+function isMapping(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Files of a reference chain, relative to the directory of the first one
+ */
+function formatChain(files, rootFile) {
+  const baseDir = path.dirname(rootFile);
+  return files.map(file => path.relative(baseDir, file) || path.basename(file)).join(' > ');
+}
+
+module.exports = {
+  INCLUDE_TRANSFORM,
+  expandIncludes,
+  formatChain,
+};
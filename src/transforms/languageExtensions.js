@@ -0,0 +1,237 @@
+/**
+ * AWS::LanguageExtensions - Offline expansion of the language extensions transform
+ *
+ * Templates declaring `Transform: AWS::LanguageExtensions` are rewritten the
+ * way CloudFormation processes them before deployment:
+ *
+ *   Fn::ForEach::<Loop>   -> one copy of the output template per collection item,
+ *                            with `${Id}`/`&{Id}` replaced in keys and `Ref: Id`
+ *                            and `${Id}` in Fn::Sub replaced in values
+ *   Fn::Length            -> the number of items in a list
+ *   Fn::ToJsonString      -> the value serialized as a JSON string
+ *   DeletionPolicy / UpdateReplacePolicy given as intrinsic functions -> their value
+ *
+ * Resources generated by a loop record their origin (the loop and where the
+ * resource is written in it), so findings can point back to the loop. Loops
+ * whose collection cannot be determined offline are left in place and
+ * reported as diagnostics.
+ */
+
+const { IntrinsicResolver, isUnknown } = require('../utils/intrinsics');
+
+const LANGUAGE_EXTENSIONS_TRANSFORM = 'AWS::LanguageExtensions';
+const FOR_EACH_PREFIX = 'Fn::ForEach::';
+const POLICY_ATTRIBUTES = ['DeletionPolicy', 'UpdateReplacePolicy'];
+
+/**
+ * Check whether a template declares the language extensions transform
+ */
+function usesLanguageExtensions(template) {
+  return [].concat(template?.Transform || []).includes(LANGUAGE_EXTENSIONS_TRANSFORM);
+}
+
+/**
+ * Expand a template using AWS::LanguageExtensions. Returns
+ * { template, origins, diagnostics }; other templates are returned unchanged.
+ * `options.parameters` and `options.pseudoParameters` decide loop collections.
+ */
+function expandLanguageExtensions(template, options = {}) {
+  if (!usesLanguageExtensions(template)) {
+    return { template, origins: {}, diagnostics: [] };
+  }
+
+  const origins = {};
+  const diagnostics = [];
+  const resolver = new IntrinsicResolver(template, options);
+
+  // `source` is the value as written in the template; inside a loop `value` is
+  // a copy with the identifiers replaced, and paths use the keys as written
+  const expand = (value, valuePath, resourcesPath, source = value) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => expand(item, `${valuePath}[${index}]`, null, source?.[index]));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const sourceKeys = Object.keys(source && typeof source === 'object' ? source : value);
+    const expanded = {};
+    Object.entries(value).forEach(([key, child], index) => {
+      const sourceKey = sourceKeys[index] ?? key;
+      const childPath = valuePath ? `${valuePath}.${sourceKey}` : sourceKey;
+      const childSource = source?.[sourceKey];
+
+      if (!key.startsWith(FOR_EACH_PREFIX)) {
+        expanded[key] = expand(child, childPath, childPath === 'Resources' ? childPath : null, childSource);
+        return;
+      }
+
+      const items = loopItems(key, child, resolver);
+      if (typeof items === 'string') {
+        diagnostics.push({ type: 'unexpanded-loop', message: items, path: childPath });
+        expanded[key] = child;
+        return;
+      }
+
+      const [identifier, , outputTemplate] = child;
+      const sourceTemplate = Array.isArray(childSource) ? childSource[2] : outputTemplate;
+      for (const item of items) {
+        const templateKeys = Object.keys(sourceTemplate);
+
+        Object.entries(outputTemplate).forEach(([outputKey, outputValue], position) => {
+          const templateKey = templateKeys[position] ?? outputKey;
+          const generatedKey = substituteKey(outputKey, identifier, item);
+          const generatedValue = substitute(outputValue, identifier, item);
+          const templatePath = `${childPath}[2].${templateKey}`;
+
+          if (generatedKey.startsWith(FOR_EACH_PREFIX)) {
+            // Nested loop: its items go into this mapping, with the inner loop as their origin
+            Object.assign(expanded, expand({ [generatedKey]: generatedValue }, `${childPath}[2]`, resourcesPath,
+              { [templateKey]: sourceTemplate[templateKey] }));
+            return;
+          }
+
+          expanded[generatedKey] = expand(generatedValue, templatePath, null, sourceTemplate[templateKey]);
+          if (resourcesPath && !origins[generatedKey]) {
+            origins[generatedKey] = { resourceName: key, resourceType: 'Fn::ForEach', resourcePath: templatePath };
+          }
+        });
+      }
+    });
+
+    return expanded;
+  };
+
+  const looped = expand(template, '', null);
+
+  const { Transform, ...rest } = looped;
+  const transforms = [].concat(Transform).filter(transform => transform !== LANGUAGE_EXTENSIONS_TRANSFORM);
+  const result = {
+    ...rest,
+    ...(transforms.length > 0 ? { Transform: transforms.length === 1 ? transforms[0] : transforms } : {}),
+  };
+
+  // Functions and policies are evaluated against the expanded template, so loop-generated names resolve
+  const expandedResolver = new IntrinsicResolver(result, options);
+  const evaluated = evaluateFunctions(result, expandedResolver);
+  if (evaluated.Resources) {
+    evaluated.Resources = Object.fromEntries(Object.entries(evaluated.Resources).map(([name, resource]) =>
+      [name, resolvePolicies(resource, expandedResolver)]));
+  }
+
+  return { template: evaluated, origins, diagnostics };
+}
+
+/**
+ * Collection of a Fn::ForEach loop, or a message when it cannot be expanded
+ */
+function loopItems(key, loop, resolver) {
+  if (!Array.isArray(loop) || loop.length !== 3 || typeof loop[0] !== 'string' ||
+      !loop[2] || typeof loop[2] !== 'object' || Array.isArray(loop[2])) {
+    return `${key} must be [Identifier, Collection, OutputTemplate]`;
+  }
+
+  const collection = resolver.resolve(loop[1]);
+  if (!Array.isArray(collection) || collection.some(item => isUnknown(item) || (item && typeof item === 'object'))) {
+    return `${key} collection cannot be determined offline`;
+  }
+
+  return collection.map(String);
+}
+
+/**
+ * Copy of a loop's output template for one collection item
+ */
+function substitute(value, identifier, item) {
+  if (Array.isArray(value)) {
+    return value.map(entry => substitute(entry, identifier, item));
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === 'Ref' && value.Ref === identifier) {
+    return item;
+  }
+  if (keys.length === 1 && keys[0] === 'Fn::Sub') {
+    return { 'Fn::Sub': substituteSub(value['Fn::Sub'], identifier, item) };
+  }
+
+  const copy = {};
+  for (const [key, child] of Object.entries(value)) {
+    copy[substituteKey(key, identifier, item)] = substitute(child, identifier, item);
+  }
+  return copy;
+}
+
+function substituteKey(key, identifier, item) {
+  return key
+    .split(`\${${identifier}}`).join(item)
+    .split(`&{${identifier}}`).join(item.replace(/[^A-Za-z0-9]/g, ''));
+}
+
+function substituteSub(args, identifier, item) {
+  const replace = text => (typeof text === 'string' ? text.split(`\${${identifier}}`).join(item) : text);
+
+  if (Array.isArray(args)) {
+    const [text, variables] = args;
+    // A variable map entry with the same name shadows the loop identifier
+    if (variables && typeof variables === 'object' && Object.prototype.hasOwnProperty.call(variables, identifier)) {
+      return [text, substitute(variables, identifier, item)];
+    }
+    return [replace(text), substitute(variables, identifier, item)];
+  }
+
+  return replace(args);
+}
+
+/**
+ * Replace Fn::Length and Fn::ToJsonString with their values where known
+ */
+function evaluateFunctions(value, resolver) {
+  if (Array.isArray(value)) {
+    return value.map(item => evaluateFunctions(item, resolver));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === 'Fn::Length') {
+    const list = resolver.resolve(evaluateFunctions(value['Fn::Length'], resolver));
+    return Array.isArray(list) ? list.length : value;
+  }
+  if (keys.length === 1 && keys[0] === 'Fn::ToJsonString') {
+    // Values only known at deploy time stay as their intrinsic expression in the string
+    return JSON.stringify(resolver.resolve(evaluateFunctions(value['Fn::ToJsonString'], resolver)));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, evaluateFunctions(child, resolver)]));
+}
+
+/**
+ * Resolve DeletionPolicy / UpdateReplacePolicy given as intrinsic functions
+ */
+function resolvePolicies(resource, resolver) {
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    return resource;
+  }
+
+  const resolved = { ...resource };
+  for (const attribute of POLICY_ATTRIBUTES) {
+    if (resource[attribute] && typeof resource[attribute] === 'object') {
+      const value = resolver.resolve(resource[attribute]);
+      if (typeof value === 'string') {
+        resolved[attribute] = value;
+      }
+    }
+  }
+  return resolved;
+}
+
+module.exports = {
+  LANGUAGE_EXTENSIONS_TRANSFORM,
+  usesLanguageExtensions,
+  expandLanguageExtensions,
+};
@@ -0,0 +1,710 @@
+/**
+ * SAM Expansion - Offline expansion of AWS::Serverless resources
+ *
+ * Templates using `Transform: AWS::Serverless-2016-10-31` are rewritten into
+ * the plain CloudFormation resources SAM would generate, so the Lambda, IAM,
+ * API Gateway and DynamoDB rules apply to them:
+ *
+ *   AWS::Serverless::Function     -> Lambda::Function, IAM::Role, event sources,
+ *                                    Lambda::Permission, Lambda::Url
+ *   AWS::Serverless::Api          -> ApiGateway::RestApi, Deployment, Stage, DomainName
+ *   AWS::Serverless::HttpApi      -> ApiGatewayV2::Api, Stage
+ *   AWS::Serverless::SimpleTable  -> DynamoDB::Table
+ *   AWS::Serverless::StateMachine -> StepFunctions::StateMachine, IAM::Role
+ *   AWS::Serverless::LayerVersion -> Lambda::LayerVersion
+ *
+ * `Globals` are merged into each resource first, and policy templates in
+ * `Policies` become inline policies. Logical IDs follow SAM's naming
+ * (MyFunctionRole, ServerlessRestApiProdStage, ...). Every generated resource
+ * records its origin, the SAM resource it came from, so findings can point
+ * back to it. Function API events also produce an AWS::ApiGateway::Method per
+ * route (SAM puts these in the generated OpenAPI body) so that method
+ * authorization is checked.
+ */
+
+const { expandPolicyTemplate } = require('./samPolicyTemplates');
+
+const SERVERLESS_TRANSFORM = 'AWS::Serverless-2016-10-31';
+
+const GLOBALS_SECTIONS = {
+  'AWS::Serverless::Function': 'Function',
+  'AWS::Serverless::Api': 'Api',
+  'AWS::Serverless::HttpApi': 'HttpApi',
+  'AWS::Serverless::SimpleTable': 'SimpleTable',
+  'AWS::Serverless::LayerVersion': 'LayerVersion',
+};
+
+const FUNCTION_PROPERTIES = [
+  'Handler', 'Runtime', 'MemorySize', 'Timeout', 'Description', 'Environment', 'VpcConfig', 'KmsKeyArn',
+  'Layers', 'ReservedConcurrentExecutions', 'Architectures', 'EphemeralStorage', 'FunctionName', 'PackageType',
+  'ImageConfig', 'FileSystemConfigs', 'CodeSigningConfigArn', 'LoggingConfig', 'SnapStart',
+  'RuntimeManagementConfig',
+];
+
+const STAGE_PROPERTIES = [
+  'MethodSettings', 'AccessLogSetting', 'TracingEnabled', 'CacheClusterEnabled', 'CacheClusterSize',
+  'Variables', 'CanarySetting',
+];
+
+const EVENT_SOURCE_MANAGED_POLICIES = {
+  SQS: 'service-role/AWSLambdaSQSQueueExecutionRole',
+  Kinesis: 'service-role/AWSLambdaKinesisExecutionRole',
+  DynamoDB: 'service-role/AWSLambdaDynamoDBExecutionRole',
+};
+
+const IMPLICIT_REST_API = 'ServerlessRestApi';
+const IMPLICIT_HTTP_API = 'ServerlessHttpApi';
+
+/**
+ * Check whether a template declares the SAM transform
+ */
+function isServerlessTemplate(template) {
+  return [].concat(template?.Transform || []).includes(SERVERLESS_TRANSFORM);
+}
+
+/**
+ * Expand the SAM resources of a template.
+ * Returns { template, origins } where origins maps each generated logical ID
+ * to { resourceName, resourceType, path?, properties? } of its SAM resource.
+ */
+function expandServerless(template) {
+  if (!isServerlessTemplate(template)) {
+    return { template, origins: {} };
+  }
+
+  const globals = template.Globals || {};
+  const sources = template.Resources || {};
+  const output = createOutput(sources, globals);
+
+  for (const [name, resource] of Object.entries(sources)) {
+    const section = GLOBALS_SECTIONS[resource?.Type];
+    const properties = mergeGlobals(section ? globals[section] : undefined, plainObject(resource?.Properties));
+
+    switch (resource?.Type) {
+      case 'AWS::Serverless::Function':
+        expandFunction(name, resource, properties, output);
+        break;
+      case 'AWS::Serverless::Api':
+        expandApi(name, resource, properties, output);
+        break;
+      case 'AWS::Serverless::HttpApi':
+        expandHttpApi(name, resource, properties, output);
+        break;
+      case 'AWS::Serverless::SimpleTable':
+        expandSimpleTable(name, resource, properties, output);
+        break;
+      case 'AWS::Serverless::StateMachine':
+        expandStateMachine(name, resource, properties, output);
+        break;
+      case 'AWS::Serverless::LayerVersion':
+        expandLayerVersion(name, resource, properties, output);
+        break;
+      default:
+        output.resources[name] = resource;
+    }
+  }
+
+  // APIs SAM creates for function events that do not name one; their origin is the first such event
+  if (output.implicitApis.has(IMPLICIT_REST_API)) {
+    expandApi(IMPLICIT_REST_API, { Type: 'AWS::Serverless::Api' }, mergeGlobals(globals.Api, { StageName: 'Prod' }),
+      output, output.implicitApis.get(IMPLICIT_REST_API));
+  }
+  if (output.implicitApis.has(IMPLICIT_HTTP_API)) {
+    expandHttpApi(IMPLICIT_HTTP_API, { Type: 'AWS::Serverless::HttpApi' }, mergeGlobals(globals.HttpApi, {}),
+      output, output.implicitApis.get(IMPLICIT_HTTP_API));
+  }
+
+  const { Globals: _globals, Transform, ...rest } = template;
+  const transforms = [].concat(Transform).filter(transform => transform !== SERVERLESS_TRANSFORM);
+
+  return {
+    template: {
+      ...rest,
+      ...(transforms.length > 0 ? { Transform: transforms.length === 1 ? transforms[0] : transforms } : {}),
+      Resources: output.resources,
+    },
+    origins: output.origins,
+  };
+}
+
+function createOutput(sources, globals) {
+  const output = {
+    resources: {},
+    origins: {},
+    implicitApis: new Map(),
+    apiProperties: {},
+
+    /**
+     * Add a generated resource. SAM attributes (Condition, Metadata, ...) carry over,
+     * and generated IDs never replace a resource the template declares itself.
+     */
+    add(logicalId, type, properties, source, origin = {}) {
+      if (logicalId !== source.name && Object.prototype.hasOwnProperty.call(sources, logicalId)) {
+        return;
+      }
+      if (source.origin) {
+        output.addImplicit(logicalId, type, properties, source.origin);
+        return;
+      }
+
+      const resource = { Type: type, Properties: removeUndefined(properties) };
+      for (const attribute of ['Condition', 'Metadata']) {
+        if (source.resource[attribute] !== undefined) {
+          resource[attribute] = source.resource[attribute];
+        }
+      }
+      if (logicalId === source.name) {
+        for (const attribute of ['DependsOn', 'DeletionPolicy', 'UpdateReplacePolicy']) {
+          if (source.resource[attribute] !== undefined) {
+            resource[attribute] = source.resource[attribute];
+          }
+        }
+      }
+
+      output.resources[logicalId] = resource;
+      output.origins[logicalId] = { resourceName: source.name, resourceType: source.resource.Type, ...origin };
+    },
+
+    addImplicit(logicalId, type, properties, origin) {
+      output.resources[logicalId] = { Type: type, Properties: removeUndefined(properties) };
+      output.origins[logicalId] = origin;
+    },
+
+    /**
+     * Note that a function event uses an implicit API
+     */
+    useImplicitApi(apiName, functionName, eventName) {
+      if (!output.implicitApis.has(apiName)) {
+        output.implicitApis.set(apiName, {
+          resourceName: functionName,
+          resourceType: 'AWS::Serverless::Function',
+          path: `Properties.Events.${eventName}`,
+        });
+      }
+    },
+  };
+
+  // API definitions are needed to resolve the authorizers of function events
+  output.apiProperties[IMPLICIT_REST_API] = mergeGlobals(globals.Api, {});
+  for (const [name, resource] of Object.entries(sources)) {
+    if (resource?.Type === 'AWS::Serverless::Api') {
+      output.apiProperties[name] = mergeGlobals(globals.Api, plainObject(resource.Properties));
+    }
+  }
+
+  return output;
+}
+
+function expandFunction(name, resource, properties, output) {
+  const source = { name, resource };
+  const roleName = `${name}Role`;
+  const events = Object.entries(plainObject(properties.Events));
+
+  const functionProperties = pick(properties, FUNCTION_PROPERTIES);
+  functionProperties.Code = functionCode(properties);
+  functionProperties.Role = properties.Role !== undefined ? properties.Role : { 'Fn::GetAtt': [roleName, 'Arn'] };
+  if (properties.Tracing !== undefined) {
+    functionProperties.TracingConfig = { Mode: properties.Tracing };
+  }
+  if (properties.DeadLetterQueue?.TargetArn !== undefined) {
+    functionProperties.DeadLetterConfig = { TargetArn: properties.DeadLetterQueue.TargetArn };
+  }
+  functionProperties.Tags = toTagList({ 'lambda:createdBy': 'SAM', ...plainObject(properties.Tags) });
+
+  output.add(name, 'AWS::Lambda::Function', functionProperties, source, {
+    properties: { Code: 'CodeUri', TracingConfig: 'Tracing', DeadLetterConfig: 'DeadLetterQueue' },
+  });
+
+  if (properties.Role === undefined) {
+    const managedPolicies = ['service-role/AWSLambdaBasicExecutionRole'];
+    if (properties.Tracing === 'Active') {
+      managedPolicies.push('AWSXrayWriteOnlyAccess');
+    }
+    if (properties.VpcConfig !== undefined) {
+      managedPolicies.push('service-role/AWSLambdaVPCAccessExecutionRole');
+    }
+    for (const [, event] of events) {
+      const policy = EVENT_SOURCE_MANAGED_POLICIES[event?.Type];
+      if (policy && !managedPolicies.includes(policy)) {
+        managedPolicies.push(policy);
+      }
+    }
+
+    const role = executionRole(name, properties, 'lambda.amazonaws.com', managedPolicies);
+    output.add(roleName, 'AWS::IAM::Role', role.properties, source, { properties: role.sourceProperties });
+  }
+
+  for (const [eventName, event] of events) {
+    expandFunctionEvent(name, eventName, plainObject(event), source, output);
+  }
+
+  if (properties.FunctionUrlConfig) {
+    const config = plainObject(properties.FunctionUrlConfig);
+    const origin = { path: 'Properties.FunctionUrlConfig' };
+
+    output.add(`${name}Url`, 'AWS::Lambda::Url', {
+      TargetFunctionArn: { Ref: name },
+      AuthType: config.AuthType,
+      Cors: config.Cors,
+      InvokeMode: config.InvokeMode,
+    }, source, origin);
+
+    if (config.AuthType === 'NONE') {
+      output.add(`${name}UrlPublicPermissions`, 'AWS::Lambda::Permission', {
+        Action: 'lambda:InvokeFunctionUrl',
+        FunctionName: { Ref: name },
+        Principal: '*',
+        FunctionUrlAuthType: 'NONE',
+      }, source, origin);
+    }
+  }
+}
+
+function expandFunctionEvent(name, eventName, event, source, output) {
+  const properties = plainObject(event.Properties);
+  const id = `${name}${eventName}`;
+  const origin = { path: `Properties.Events.${eventName}` };
+  const permission = (principal, extra) => output.add(`${id}Permission`, 'AWS::Lambda::Permission', {
+    Action: 'lambda:InvokeFunction',
+    FunctionName: { Ref: name },
+    Principal: principal,
+    ...extra,
+  }, source, origin);
+
+  switch (event.Type) {
+    case 'Api': {
+      const apiName = properties.RestApiId !== undefined ? logicalIdOf(properties.RestApiId) : IMPLICIT_REST_API;
+      const apiRef = properties.RestApiId !== undefined ? properties.RestApiId : { Ref: IMPLICIT_REST_API };
+      const method = typeof properties.Method === 'string' ? properties.Method.toUpperCase() : properties.Method;
+      if (properties.RestApiId === undefined) {
+        output.useImplicitApi(IMPLICIT_REST_API, name, eventName);
+      }
+
+      permission('apigateway.amazonaws.com', {
+        SourceArn: executeApiArn(apiRef, method === 'ANY' ? '*' : method, properties.Path),
+      });
+      output.add(`${id}Method`, 'AWS::ApiGateway::Method', {
+        RestApiId: apiRef,
+        HttpMethod: method,
+        AuthorizationType: authorizationType(properties.Auth, output.apiProperties[apiName]),
+        ApiKeyRequired: properties.Auth?.ApiKeyRequired,
+        Integration: {
+          Type: 'AWS_PROXY',
+          IntegrationHttpMethod: 'POST',
+          Uri: {
+            'Fn::Sub': 'arn:${AWS::Partition}:apigateway:${AWS::Region}:lambda:path/2015-03-31/functions/' +
+              `\${${name}.Arn}/invocations`,
+          },
+        },
+      }, source, origin);
+      break;
+    }
+    case 'HttpApi': {
+      const apiRef = properties.ApiId !== undefined ? properties.ApiId : { Ref: IMPLICIT_HTTP_API };
+      if (properties.ApiId === undefined) {
+        output.useImplicitApi(IMPLICIT_HTTP_API, name, eventName);
+      }
+      permission('apigateway.amazonaws.com', { SourceArn: executeApiArn(apiRef, '*', properties.Path) });
+      break;
+    }
+    case 'SQS':
+    case 'Kinesis':
+    case 'DynamoDB': {
+      const { Queue, Stream, ...settings } = properties;
+      output.add(id, 'AWS::Lambda::EventSourceMapping', {
+        ...settings,
+        EventSourceArn: event.Type === 'SQS' ? Queue : Stream,
+        FunctionName: { Ref: name },
+      }, source, origin);
+      break;
+    }
+    case 'S3':
+      permission('s3.amazonaws.com', { SourceAccount: { Ref: 'AWS::AccountId' } });
+      break;
+    case 'SNS':
+      permission('sns.amazonaws.com', { SourceArn: properties.Topic });
+      output.add(id, 'AWS::SNS::Subscription', {
+        Protocol: 'lambda',
+        Endpoint: { 'Fn::GetAtt': [name, 'Arn'] },
+        TopicArn: properties.Topic,
+        FilterPolicy: properties.FilterPolicy,
+        Region: properties.Region,
+      }, source, origin);
+      break;
+    case 'Schedule':
+    case 'CloudWatchEvent':
+    case 'EventBridgeRule':
+      output.add(id, 'AWS::Events::Rule', {
+        ScheduleExpression: properties.Schedule,
+        EventPattern: properties.Pattern,
+        EventBusName: properties.EventBusName,
+        Description: properties.Description,
+        Name: properties.Name,
+        State: properties.Enabled === false ? 'DISABLED' : properties.State,
+        Targets: [{ Arn: { 'Fn::GetAtt': [name, 'Arn'] }, Id: `${id}LambdaTarget`, Input: properties.Input }],
+      }, source, origin);
+      permission('events.amazonaws.com', { SourceArn: { 'Fn::GetAtt': [id, 'Arn'] } });
+      break;
+    case 'CloudWatchLogs':
+      permission('logs.amazonaws.com', {
+        SourceArn: {
+          'Fn::Sub': ['arn:${AWS::Partition}:logs:${AWS::Region}:${AWS::AccountId}:log-group:${__LogGroupName__}:*',
+            { __LogGroupName__: properties.LogGroupName }],
+        },
+      });
+      break;
+    default:
+      // Other event sources add no resources the rules inspect
+      break;
+  }
+}
+
+/**
+ * `implicitOrigin` is set for the API SAM creates for function events
+ */
+function expandApi(name, resource, properties, output, implicitOrigin) {
+  const source = { name, resource, origin: implicitOrigin };
+  const stageName = properties.StageName;
+  const auth = plainObject(properties.Auth);
+
+  output.add(name, 'AWS::ApiGateway::RestApi', {
+    Name: properties.Name,
+    Description: properties.Description,
+    Body: properties.DefinitionBody,
+    BodyS3Location: s3Location(properties.DefinitionUri),
+    EndpointConfiguration: endpointConfiguration(properties.EndpointConfiguration),
+    BinaryMediaTypes: properties.BinaryMediaTypes,
+    MinimumCompressionSize: properties.MinimumCompressionSize,
+    DisableExecuteApiEndpoint: properties.DisableExecuteApiEndpoint,
+    ApiKeySourceType: properties.ApiKeySourceType,
+    Mode: properties.Mode,
+    Policy: auth.ResourcePolicy?.CustomStatements !== undefined
+      ? { Version: '2012-10-17', Statement: auth.ResourcePolicy.CustomStatements }
+      : undefined,
+  }, source, {
+    properties: { Body: 'DefinitionBody', BodyS3Location: 'DefinitionUri', Policy: 'Auth' },
+  });
+
+  output.add(`${name}Deployment`, 'AWS::ApiGateway::Deployment', {
+    RestApiId: { Ref: name },
+    Description: `RestApi deployment for ${name}`,
+  }, source);
+
+  output.add(`${name}${stageSuffix(stageName)}Stage`, 'AWS::ApiGateway::Stage', {
+    RestApiId: { Ref: name },
+    DeploymentId: { Ref: `${name}Deployment` },
+    StageName: stageName,
+    ...pick(properties, STAGE_PROPERTIES),
+    Tags: toTagList(properties.Tags),
+  }, source);
+
+  const domain = plainObject(properties.Domain);
+  if (domain.DomainName !== undefined) {
+    const regional = domain.EndpointConfiguration === 'REGIONAL';
+    output.add(`${name}DomainName`, 'AWS::ApiGateway::DomainName', {
+      DomainName: domain.DomainName,
+      [regional ? 'RegionalCertificateArn' : 'CertificateArn']: domain.CertificateArn,
+      EndpointConfiguration: endpointConfiguration(domain.EndpointConfiguration || 'REGIONAL'),
+      SecurityPolicy: domain.SecurityPolicy,
+      MutualTlsAuthentication: domain.MutualTlsAuthentication,
+    }, source, { path: 'Properties.Domain' });
+  }
+}
+
+function expandHttpApi(name, resource, properties, output, implicitOrigin) {
+  const source = { name, resource, origin: implicitOrigin };
+  const stageName = properties.StageName;
+
+  output.add(name, 'AWS::ApiGatewayV2::Api', {
+    Name: properties.Name,
+    Description: properties.Description,
+    Body: properties.DefinitionBody,
+    BodyS3Location: s3Location(properties.DefinitionUri),
+    ProtocolType: properties.DefinitionBody === undefined && properties.DefinitionUri === undefined ? 'HTTP' : undefined,
+    CorsConfiguration: plainObject(properties.CorsConfiguration, undefined),
+    DisableExecuteApiEndpoint: properties.DisableExecuteApiEndpoint,
+    Tags: properties.Tags,
+  }, source, { properties: { Body: 'DefinitionBody', BodyS3Location: 'DefinitionUri' } });
+
+  const stageId = stageName === undefined || stageName === '$default'
+    ? `${name}ApiGatewayDefaultStage`
+    : `${name}${stageSuffix(stageName)}Stage`;
+  output.add(stageId, 'AWS::ApiGatewayV2::Stage', {
+    ApiId: { Ref: name },
+    StageName: stageName === undefined ? '$default' : stageName,
+    AutoDeploy: true,
+    AccessLogSettings: properties.AccessLogSettings,
+    DefaultRouteSettings: properties.DefaultRouteSettings,
+    RouteSettings: properties.RouteSettings,
+    StageVariables: properties.StageVariables,
+    Tags: properties.Tags,
+  }, source, { properties: { AccessLogSettings: 'AccessLogSettings' } });
+}
+
+function expandSimpleTable(name, resource, properties, output) {
+  const primaryKey = plainObject(properties.PrimaryKey, { Name: 'id', Type: 'String' });
+  const attributeType = { String: 'S', Number: 'N', Binary: 'B' }[primaryKey.Type] || primaryKey.Type;
+
+  output.add(name, 'AWS::DynamoDB::Table', {
+    TableName: properties.TableName,
+    AttributeDefinitions: [{ AttributeName: primaryKey.Name, AttributeType: attributeType }],
+    KeySchema: [{ AttributeName: primaryKey.Name, KeyType: 'HASH' }],
+    ...(properties.ProvisionedThroughput !== undefined
+      ? { ProvisionedThroughput: properties.ProvisionedThroughput }
+      : { BillingMode: 'PAY_PER_REQUEST' }),
+    SSESpecification: properties.SSESpecification,
+    Tags: toTagList(properties.Tags),
+  }, { name, resource }, { properties: { AttributeDefinitions: 'PrimaryKey', KeySchema: 'PrimaryKey' } });
+}
+
+function expandStateMachine(name, resource, properties, output) {
+  const source = { name, resource };
+  const roleName = `${name}Role`;
+
+  output.add(name, 'AWS::StepFunctions::StateMachine', {
+    StateMachineName: properties.Name,
+    StateMachineType: properties.Type,
+    Definition: properties.Definition,
+    DefinitionS3Location: s3Location(properties.DefinitionUri),
+    DefinitionSubstitutions: properties.DefinitionSubstitutions,
+    LoggingConfiguration: properties.Logging,
+    TracingConfiguration: properties.Tracing,
+    RoleArn: properties.Role !== undefined ? properties.Role : { 'Fn::GetAtt': [roleName, 'Arn'] },
+    Tags: toTagList({ 'stateMachine:createdBy': 'SAM', ...plainObject(properties.Tags) }),
+  }, source, {
+    properties: {
+      StateMachineName: 'Name',
+      StateMachineType: 'Type',
+      DefinitionS3Location: 'DefinitionUri',
+      LoggingConfiguration: 'Logging',
+      TracingConfiguration: 'Tracing',
+      RoleArn: 'Role',
+    },
+  });
+
+  if (properties.Role === undefined) {
+    const role = executionRole(name, properties, 'states.amazonaws.com', []);
+    output.add(roleName, 'AWS::IAM::Role', role.properties, source, { properties: role.sourceProperties });
+  }
+}
+
+function expandLayerVersion(name, resource, properties, output) {
+  output.add(name, 'AWS::Lambda::LayerVersion', {
+    LayerName: properties.LayerName,
+    Description: properties.Description,
+    Content: s3Location(properties.ContentUri, ['S3Bucket', 'S3Key', 'S3ObjectVersion']),
+    CompatibleRuntimes: properties.CompatibleRuntimes,
+    CompatibleArchitectures: properties.CompatibleArchitectures,
+    LicenseInfo: properties.LicenseInfo,
+  }, { name, resource }, { properties: { Content: 'ContentUri' } });
+}
+
+/**
+ * The execution role SAM creates for a function or state machine, with
+ * `Policies` split into managed policy ARNs and inline policies.
+ * Returns { properties, sourceProperties } where sourceProperties maps each
+ * generated policy back to its entry in `Policies`.
+ */
+function executionRole(name, properties, servicePrincipal, managedPolicies) {
+  const managedPolicyArns = managedPolicies.map(awsManagedPolicyArn);
+  const inlinePolicies = [];
+  const sourceProperties = { ManagedPolicyArns: 'Policies' };
+  const policies = properties.Policies === undefined ? [] : [].concat(properties.Policies);
+  const sourceIndex = index => (Array.isArray(properties.Policies) ? `Policies[${index}]` : 'Policies');
+
+  policies.forEach((policy, index) => {
+    const policyName = `${name}RolePolicy${index}`;
+    let document = null;
+
+    if (typeof policy === 'string' || isIntrinsic(policy)) {
+      const arn = typeof policy === 'string' && !policy.startsWith('arn:') ? awsManagedPolicyArn(policy) : policy;
+      sourceProperties[`ManagedPolicyArns[${managedPolicyArns.length}]`] = sourceIndex(index);
+      managedPolicyArns.push(arn);
+    } else if (policy && typeof policy === 'object' && policy.Statement !== undefined) {
+      document = policy;
+    } else if (policy && typeof policy === 'object' && Object.keys(policy).length === 1) {
+      const [[templateName, parameters]] = Object.entries(policy);
+      const statements = expandPolicyTemplate(templateName, parameters);
+      // Templates not in the catalog contribute no statements
+      if (statements) {
+        document = { Version: '2012-10-17', Statement: statements };
+      }
+    }
+
+    if (document) {
+      sourceProperties[`Policies[${inlinePolicies.length}].PolicyDocument`] = sourceIndex(index);
+      sourceProperties[`Policies[${inlinePolicies.length}]`] = sourceIndex(index);
+      inlinePolicies.push({ PolicyName: policyName, PolicyDocument: document });
+    }
+  });
+
+  return {
+    properties: {
+      AssumeRolePolicyDocument: properties.AssumeRolePolicyDocument || {
+        Version: '2012-10-17',
+        Statement: [{ Effect: 'Allow', Principal: { Service: [servicePrincipal] }, Action: ['sts:AssumeRole'] }],
+      },
+      ManagedPolicyArns: managedPolicyArns,
+      Policies: inlinePolicies.length > 0 ? inlinePolicies : undefined,
+      PermissionsBoundary: properties.PermissionsBoundary,
+      Tags: toTagList({ 'lambda:createdBy': 'SAM', ...plainObject(properties.Tags) }),
+    },
+    sourceProperties,
+  };
+}
+
+/**
+ * Method authorization for an API event: the event's Authorizer, else the
+ * API's DefaultAuthorizer, looked up in the API's Authorizers
+ */
+function authorizationType(eventAuth, apiProperties) {
+  const apiAuth = plainObject(apiProperties?.Auth);
+  const authorizer = eventAuth?.Authorizer !== undefined ? eventAuth.Authorizer : apiAuth.DefaultAuthorizer;
+
+  if (authorizer === undefined || authorizer === 'NONE') {
+    return 'NONE';
+  }
+  if (authorizer === 'AWS_IAM') {
+    return 'AWS_IAM';
+  }
+
+  const definition = plainObject(apiAuth.Authorizers)[authorizer];
+  return definition?.UserPoolArn !== undefined ? 'COGNITO_USER_POOLS' : 'CUSTOM';
+}
+
+/**
+ * Stage names become part of the stage's logical ID, keeping only alphanumerics
+ */
+function stageSuffix(stageName) {
+  return typeof stageName === 'string' ? stageName.replace(/[^A-Za-z0-9]/g, '') : '';
+}
+
+function executeApiArn(apiRef, method, routePath) {
+  const route = typeof routePath === 'string' ? routePath.replace(/\{[^}]+\}/g, '*') : '*';
+  return {
+    'Fn::Sub': [`arn:\${AWS::Partition}:execute-api:\${AWS::Region}:\${AWS::AccountId}:\${__ApiId__}/*/${method}${route}`,
+      { __ApiId__: apiRef }],
+  };
+}
+
+function functionCode(properties) {
+  if (properties.InlineCode !== undefined) {
+    return { ZipFile: properties.InlineCode };
+  }
+  if (properties.ImageUri !== undefined) {
+    return { ImageUri: properties.ImageUri };
+  }
+  return s3Location(properties.CodeUri, ['S3Bucket', 'S3Key', 'S3ObjectVersion']);
+}
+
+/**
+ * Convert a SAM `s3://bucket/key` URI or { Bucket, Key, Version } object to
+ * CloudFormation's S3 location keys. Local paths are kept as the key.
+ */
+function s3Location(uri, keys = ['Bucket', 'Key', 'Version']) {
+  if (uri === undefined) {
+    return undefined;
+  }
+
+  const [bucketKey, keyKey, versionKey] = keys;
+  if (typeof uri === 'string') {
+    const match = uri.match(/^s3:\/\/([^/]+)\/(.+)$/);
+    return match ? { [bucketKey]: match[1], [keyKey]: match[2] } : { [keyKey]: uri };
+  }
+  if (uri && typeof uri === 'object' && !isIntrinsic(uri)) {
+    return removeUndefined({ [bucketKey]: uri.Bucket, [keyKey]: uri.Key, [versionKey]: uri.Version });
+  }
+  return uri;
+}
+
+function endpointConfiguration(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value === 'string' || isIntrinsic(value)) {
+    return { Types: [value] };
+  }
+  return removeUndefined({ Types: value.Type !== undefined ? [value.Type] : undefined, VpcEndpointIds: value.VPCEndpointIds });
+}
+
+function awsManagedPolicyArn(name) {
+  return { 'Fn::Sub': `arn:\${AWS::Partition}:iam::aws:policy/${name}` };
+}
+
+/**
+ * Merge Globals into resource properties the way SAM does: maps merge,
+ * lists are concatenated (globals first), and resource values win otherwise
+ */
+function mergeGlobals(globals, properties) {
+  if (globals === undefined) {
+    return properties;
+  }
+  if (Array.isArray(globals) && Array.isArray(properties)) {
+    return [...globals, ...properties];
+  }
+  if (isMergeable(globals) && isMergeable(properties)) {
+    const merged = { ...globals };
+    for (const [key, value] of Object.entries(properties)) {
+      merged[key] = Object.prototype.hasOwnProperty.call(globals, key) ? mergeGlobals(globals[key], value) : value;
+    }
+    return merged;
+  }
+  return properties === undefined ? globals : properties;
+}
+
+function isMergeable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isIntrinsic(value);
+}
+
+function isIntrinsic(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length === 1 && (keys[0] === 'Ref' || keys[0].startsWith('Fn::'));
+}
+
+/**
+ * Logical ID referenced by `{ Ref: X }` or a plain string
+ */
+function logicalIdOf(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value?.Ref;
+}
+
+/**
+ * SAM map tags ({ Key: Value }) to the CloudFormation tag list
+ */
+function toTagList(tags) {
+  if (tags === undefined || !isMergeable(tags)) {
+    return tags;
+  }
+  const entries = Object.entries(tags);
+  return entries.length > 0 ? entries.map(([Key, Value]) => ({ Key, Value })) : undefined;
+}
+
+function pick(properties, keys) {
+  const picked = {};
+  for (const key of keys) {
+    if (properties[key] !== undefined) {
+      picked[key] = properties[key];
+    }
+  }
+  return picked;
+}
+
+function plainObject(value, fallback = {}) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : fallback;
+}
+
+function removeUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  SERVERLESS_TRANSFORM,
+  isServerlessTemplate,
+  expandServerless,
+};
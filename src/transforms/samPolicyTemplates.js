@@ -0,0 +1,123 @@
+/**
+ * SAM Policy Templates - Statements generated for the SAM policy templates
+ * most used in function and state machine `Policies`
+ *
+ * Each template takes its parameters (e.g. { QueueName }) and returns IAM
+ * statements. Resources use Fn::Sub with a variable map, as SAM does, so
+ * parameters may themselves be intrinsic functions.
+ */
+
+const ARN_PREFIX = 'arn:${AWS::Partition}';
+
+function arn(service, resource, variables = {}) {
+  return { 'Fn::Sub': [`${ARN_PREFIX}:${service}:\${AWS::Region}:\${AWS::AccountId}:${resource}`, variables] };
+}
+
+function globalArn(service, resource, variables = {}) {
+  return { 'Fn::Sub': [`${ARN_PREFIX}:${service}:::${resource}`, variables] };
+}
+
+function allow(actions, resources) {
+  return { Effect: 'Allow', Action: actions, Resource: resources };
+}
+
+const queue = ({ QueueName }) => arn('sqs', '${queueName}', { queueName: QueueName });
+const topic = ({ TopicName }) => arn('sns', '${topicName}', { topicName: TopicName });
+const table = ({ TableName }) => [
+  arn('dynamodb', 'table/${tableName}', { tableName: TableName }),
+  arn('dynamodb', 'table/${tableName}/index/*', { tableName: TableName }),
+];
+const bucket = ({ BucketName }) => [
+  globalArn('s3', '${bucketName}', { bucketName: BucketName }),
+  globalArn('s3', '${bucketName}/*', { bucketName: BucketName }),
+];
+const stream = ({ StreamName }) => arn('kinesis', 'stream/${streamName}', { streamName: StreamName });
+
+const POLICY_TEMPLATES = {
+  SQSPollerPolicy: params => [allow([
+    'sqs:ChangeMessageVisibility', 'sqs:ChangeMessageVisibilityBatch', 'sqs:DeleteMessage',
+    'sqs:DeleteMessageBatch', 'sqs:GetQueueAttributes', 'sqs:ReceiveMessage',
+  ], queue(params))],
+  SQSSendMessagePolicy: params => [allow(['sqs:SendMessage*'], queue(params))],
+  SNSPublishMessagePolicy: params => [allow(['sns:Publish'], topic(params))],
+  SNSCrudPolicy: ({ TopicName }) => [allow([
+    'sns:ListSubscriptionsByTopic', 'sns:CreateTopic', 'sns:SetTopicAttributes', 'sns:Subscribe', 'sns:Publish',
+  ], arn('sns', '${topicName}*', { topicName: TopicName }))],
+  DynamoDBCrudPolicy: params => [allow([
+    'dynamodb:GetItem', 'dynamodb:DeleteItem', 'dynamodb:PutItem', 'dynamodb:Scan', 'dynamodb:Query',
+    'dynamodb:UpdateItem', 'dynamodb:BatchWriteItem', 'dynamodb:BatchGetItem', 'dynamodb:DescribeTable',
+    'dynamodb:ConditionCheckItem',
+  ], table(params))],
+  DynamoDBReadPolicy: params => [allow([
+    'dynamodb:GetItem', 'dynamodb:Scan', 'dynamodb:Query', 'dynamodb:BatchGetItem', 'dynamodb:DescribeTable',
+  ], table(params))],
+  DynamoDBWritePolicy: params => [allow([
+    'dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:BatchWriteItem',
+  ], table(params))],
+  DynamoDBStreamReadPolicy: ({ TableName, StreamName }) => [
+    allow(['dynamodb:DescribeStream', 'dynamodb:GetRecords', 'dynamodb:GetShardIterator'],
+      arn('dynamodb', 'table/${tableName}/stream/${streamName}', { tableName: TableName, streamName: StreamName })),
+    allow(['dynamodb:ListStreams'], arn('dynamodb', 'table/${tableName}/stream/*', { tableName: TableName })),
+  ],
+  S3ReadPolicy: params => [allow([
+    's3:GetObject', 's3:ListBucket', 's3:GetBucketLocation', 's3:GetObjectVersion', 's3:GetLifecycleConfiguration',
+  ], bucket(params))],
+  S3WritePolicy: params => [allow([
+    's3:PutObject', 's3:PutObjectAcl', 's3:PutLifecycleConfiguration',
+  ], bucket(params))],
+  S3CrudPolicy: params => [allow([
+    's3:GetObject', 's3:ListBucket', 's3:GetBucketLocation', 's3:GetObjectVersion', 's3:PutObject',
+    's3:PutObjectAcl', 's3:GetLifecycleConfiguration', 's3:PutLifecycleConfiguration', 's3:DeleteObject',
+  ], bucket(params))],
+  LambdaInvokePolicy: ({ FunctionName }) => [allow(['lambda:InvokeFunction'],
+    arn('lambda', 'function:${functionName}*', { functionName: FunctionName }))],
+  KMSDecryptPolicy: ({ KeyId }) => [allow(['kms:Decrypt'], arn('kms', 'key/${keyId}', { keyId: KeyId }))],
+  KMSEncryptPolicy: ({ KeyId }) => [allow(['kms:Encrypt'], arn('kms', 'key/${keyId}', { keyId: KeyId }))],
+  KinesisStreamReadPolicy: params => [
+    allow(['kinesis:ListStreams', 'kinesis:DescribeLimits'], arn('kinesis', 'stream/*')),
+    allow(['kinesis:DescribeStream', 'kinesis:DescribeStreamSummary', 'kinesis:GetRecords', 'kinesis:GetShardIterator'],
+      stream(params)),
+  ],
+  KinesisCrudPolicy: params => [allow([
+    'kinesis:AddTagsToStream', 'kinesis:CreateStream', 'kinesis:DecreaseStreamRetentionPeriod',
+    'kinesis:DeleteStream', 'kinesis:DescribeStream', 'kinesis:DescribeStreamSummary', 'kinesis:GetShardIterator',
+    'kinesis:IncreaseStreamRetentionPeriod', 'kinesis:ListTagsForStream', 'kinesis:MergeShards',
+    'kinesis:PutRecord', 'kinesis:PutRecords', 'kinesis:SplitShard', 'kinesis:RemoveTagsFromStream',
+  ], stream(params))],
+  SSMParameterReadPolicy: ({ ParameterName }) => [
+    allow(['ssm:DescribeParameters'], '*'),
+    allow(['ssm:GetParameters', 'ssm:GetParameter', 'ssm:GetParametersByPath'],
+      arn('ssm', 'parameter/${parameterName}', { parameterName: ParameterName })),
+  ],
+  AWSSecretsManagerGetSecretValuePolicy: ({ SecretArn }) => [allow(['secretsmanager:GetSecretValue'],
+    { 'Fn::Sub': ['${secretArn}', { secretArn: SecretArn }] })],
+  StepFunctionsExecutionPolicy: ({ StateMachineName }) => [allow(['states:StartExecution'],
+    arn('states', 'stateMachine:${stateMachineName}', { stateMachineName: StateMachineName }))],
+  EventBridgePutEventsPolicy: ({ EventBusName }) => [allow(['events:PutEvents'],
+    arn('events', 'event-bus/${eventBusName}', { eventBusName: EventBusName }))],
+  CloudWatchPutMetricPolicy: () => [allow(['cloudwatch:PutMetricData'], '*')],
+  VPCAccessPolicy: () => [allow([
+    'ec2:CreateNetworkInterface', 'ec2:DeleteNetworkInterface', 'ec2:DescribeNetworkInterfaces',
+    'ec2:DetachNetworkInterface',
+  ], '*')],
+  AMIDescribePolicy: () => [allow(['ec2:DescribeImages'], '*')],
+  EC2DescribePolicy: () => [allow(['ec2:DescribeRegions', 'ec2:DescribeInstances'], '*')],
+};
+
+/**
+ * Statements for a policy template, or null for templates not in the catalog
+ */
+function expandPolicyTemplate(name, parameters) {
+  const template = POLICY_TEMPLATES[name];
+  if (!template) {
+    return null;
+  }
+
+  const params = parameters && typeof parameters === 'object' ? parameters : {};
+  return template(params);
+}
+
+module.exports = {
+  POLICY_TEMPLATES,
+  expandPolicyTemplate,
+};
@@ -0,0 +1,141 @@
+/**
+ * Baseline - Record accepted findings so that only new ones fail a scan
+ *
+ * A finding is identified by a fingerprint of its rule ID, logical resource
+ * name (prefixed by the nested stacks leading to it, if any) and template
+ * path relative to the repository root, so the baseline survives line
+ * changes and checkouts in different directories.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Find the repository root (the nearest directory containing .git),
+ * falling back to the current working directory
+ */
+function findRepoRoot(startPath) {
+  let dir = path.resolve(startPath);
+
+  if (fs.existsSync(dir) && fs.statSync(dir).isFile()) {
+    dir = path.dirname(dir);
+  }
+
+  for (;;) {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      return dir;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return process.cwd();
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Template path relative to the repository root, with forward slashes
+ */
+function relativeFilePath(filePath, root) {
+  return path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Stable fingerprint for a finding
+ */
+function fingerprint(result, root) {
+  return crypto
+    .createHash('sha256')
+    .update([result.ruleId, relativeFilePath(result.filePath, root), resourceKey(result)].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Resource name with its nested stack path, e.g. Root > NetworkStack > AppSG
+ */
+function resourceKey(result) {
+  return result.stackPath ? [...result.stackPath, result.resourceName].join(' > ') : result.resourceName;
+}
+
+/**
+ * Build a baseline document from failed results
+ */
+function createBaseline(results, root) {
+  const entries = new Map();
+
+  for (const result of results) {
+    if (result.status !== 'FAILED' && result.status !== 'EXISTING') {
+      continue;
+    }
+
+    const id = fingerprint(result, root);
+    entries.set(id, {
+      fingerprint: id,
+      ruleId: result.ruleId,
+      resourceName: result.resourceName,
+      ...(result.stackPath && { stackPath: result.stackPath }),
+      filePath: relativeFilePath(result.filePath, root),
+      severity: result.severity,
+    });
+  }
+
+  const findings = [...entries.values()].sort((a, b) =>
+    a.filePath.localeCompare(b.filePath) ||
+    a.resourceName.localeCompare(b.resourceName) ||
+    a.ruleId.localeCompare(b.ruleId)
+  );
+
+  return { version: BASELINE_VERSION, findings };
+}
+
+/**
+ * Write a baseline file for the given results
+ */
+function writeBaseline(filePath, results, root) {
+  const baseline = createBaseline(results, root);
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+  return baseline;
+}
+
+/**
+ * Read and validate a baseline file
+ */
+function loadBaseline(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Baseline file not found: ${absolutePath}`);
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse baseline file ${absolutePath}: ${error.message}`);
+  }
+
+  if (!baseline || !Array.isArray(baseline.findings)) {
+    throw new Error(`Invalid baseline file ${absolutePath}: expected a "findings" list`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(`Unsupported baseline version ${baseline.version} in ${absolutePath}`);
+  }
+
+  return baseline;
+}
+
+module.exports = {
+  findRepoRoot,
+  relativeFilePath,
+  fingerprint,
+  resourceKey,
+  createBaseline,
+  writeBaseline,
+  loadBaseline,
+};
@@ -0,0 +1,150 @@
+/**
+ * ScanCache - On-disk cache of per-file scan results
+ *
+ * Each entry is stored under the file's absolute path together with a key
+ * hashed from the file contents, its paired parameter file, the active rule
+ * set, the scanner version and the scanner options. An entry is only reused
+ * when every one of these is unchanged, and so are the files the template
+ * pulled in (nested stack templates and AWS::Include snippets).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_FILE = path.join('.cache', 'scan-cache.json');
+const SRC_DIR = path.join(__dirname, '..');
+const SCANNER_VERSION = require('../../package.json').version;
+
+class ScanCache {
+  constructor(filePath, context) {
+    this.filePath = path.resolve(filePath);
+    this.context = context;
+    this.entries = {};
+    this.hits = 0;
+    this.misses = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object') {
+        this.entries = data.entries;
+      }
+    } catch {
+      // A missing or unreadable cache starts empty
+    }
+  }
+
+  /**
+   * Key for a file's current contents in the current scan context
+   */
+  keyFor(contents) {
+    return hash([this.context, ...contents]);
+  }
+
+  /**
+   * Get the cached outcome for a file, or null when it must be rescanned
+   */
+  get(file, key) {
+    const entry = this.entries[file];
+
+    if (entry && entry.key === key && dependenciesUnchanged(entry.dependencies)) {
+      this.hits++;
+      return entry.outcome;
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  set(file, key, outcome) {
+    // Stored as JSON, so unknown intrinsic values become their expression
+    this.entries[file] = {
+      key,
+      ...(outcome.dependencies && { dependencies: hashFiles(outcome.dependencies) }),
+      outcome: JSON.parse(JSON.stringify(outcome)),
+    };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: CACHE_VERSION, entries: this.entries }));
+  }
+}
+
+/**
+ * Hash everything that decides a file's results apart from the file itself:
+ * scanner version, the scanner's sources and data files (rules, engine,
+ * transforms, analyses, the IAM action catalog), custom rule files, active
+ * rules and scanner options
+ */
+function createCacheContext(rules, options) {
+  const ruleFiles = [
+    ...sourceFiles(SRC_DIR),
+    ...rules.map(rule => rule.source).filter(source => path.isAbsolute(source) && fs.existsSync(source)),
+  ];
+  const ruleSources = [...new Set(ruleFiles)]
+    .sort()
+    .map(file => fs.readFileSync(file, 'utf8'));
+
+  const activeRules = rules
+    .map(rule => JSON.stringify({ ...rule, evaluate: String(rule.evaluate) }))
+    .sort();
+
+  return hash([SCANNER_VERSION, ...ruleSources, ...activeRules, JSON.stringify(options)]);
+}
+
+/**
+ * JavaScript and JSON files under a directory
+ */
+function sourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return sourceFiles(file);
+    }
+    return /\.(js|json)$/.test(entry.name) ? [file] : [];
+  });
+}
+
+/**
+ * Content hash of each file, null for files that do not exist
+ */
+function hashFiles(files) {
+  const hashes = {};
+  for (const file of files) {
+    try {
+      hashes[file] = hash([fs.readFileSync(file, 'utf8')]);
+    } catch {
+      hashes[file] = null;
+    }
+  }
+  return hashes;
+}
+
+function dependenciesUnchanged(dependencies) {
+  if (!dependencies) {
+    return true;
+  }
+
+  const current = hashFiles(Object.keys(dependencies));
+  return Object.entries(dependencies).every(([file, digest]) => current[file] === digest);
+}
+
+function hash(parts) {
+  const digest = crypto.createHash('sha256');
+  for (const part of parts) {
+    digest.update(String(part));
+    digest.update('\0');
+  }
+  return digest.digest('hex');
+}
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  ScanCache,
+  createCacheContext,
+};
@@ -0,0 +1,91 @@
+/**
+ * CDK Cloud Assembly - Reads the stacks of a `cdk synth` output directory
+ *
+ * `cdk.out/manifest.json` lists one `aws:cloudformation:stack` artifact per
+ * stack with its template file, target environment and deploy parameters.
+ * Stages are nested assemblies (`cdk:cloud-assembly`) in a subdirectory.
+ * Nested stack templates are assets next to their parent's template and are
+ * followed from the parent (see utils/templateFiles.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const CONSTRUCT_PATH_METADATA = 'aws:cdk:path';
+
+/**
+ * Stacks in a cloud assembly directory (or its manifest.json), including
+ * those of nested stage assemblies:
+ * [{ id, displayName, templateFile, parameters, pseudoParameters }]
+ */
+function readCloudAssembly(assemblyPath) {
+  const absolutePath = path.resolve(assemblyPath);
+  const dir = path.basename(absolutePath) === MANIFEST_FILE ? path.dirname(absolutePath) : absolutePath;
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Cloud assembly manifest not found: ${manifestPath}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse cloud assembly manifest ${manifestPath}: ${error.message}`);
+  }
+
+  const stacks = [];
+  for (const [id, artifact] of Object.entries(manifest.artifacts || {})) {
+    const properties = artifact?.properties || {};
+
+    if (artifact?.type === 'aws:cloudformation:stack' && properties.templateFile) {
+      const stackName = properties.stackName || id;
+      stacks.push({
+        id,
+        displayName: artifact.displayName || id,
+        templateFile: path.join(dir, properties.templateFile),
+        parameters: properties.parameters || {},
+        pseudoParameters: {
+          ...environmentPseudoParameters(artifact.environment),
+          'AWS::StackName': stackName,
+        },
+      });
+    } else if (artifact?.type === 'cdk:cloud-assembly' && properties.directoryName) {
+      stacks.push(...readCloudAssembly(path.join(dir, properties.directoryName)));
+    }
+  }
+
+  return stacks.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Account and region of an `aws://<account>/<region>` environment; CDK
+ * writes `unknown-account`/`unknown-region` for environment-agnostic stacks
+ */
+function environmentPseudoParameters(environment) {
+  const match = /^aws:\/\/([^/]+)\/([^/]+)$/.exec(environment || '');
+  if (!match) {
+    return {};
+  }
+
+  const [, account, region] = match;
+  return {
+    ...(/^\d{12}$/.test(account) && { 'AWS::AccountId': account }),
+    ...(!region.startsWith('unknown-') && { 'AWS::Region': region }),
+  };
+}
+
+/**
+ * Construct path of a resource synthesized by CDK, e.g. MyStack/Bucket/Resource
+ */
+function constructPath(resource) {
+  const value = resource?.Metadata?.[CONSTRUCT_PATH_METADATA];
+  return typeof value === 'string' ? value : null;
+}
+
+module.exports = {
+  CONSTRUCT_PATH_METADATA,
+  readCloudAssembly,
+  constructPath,
+};
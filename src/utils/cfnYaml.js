@@ -5,93 +5,228 @@
 
 const yaml = require('js-yaml');
 
-// CloudFormation intrinsic function tags
-const cfnTags = [
-  'Ref',
-  'GetAtt',
-  'Sub',
-  'Join',
-  'Select',
-  'Split',
-  'If',
-  'Condition',
-  'Equals',
-  'And',
-  'Or',
-  'Not',
-  'FindInMap',
-  'GetAZs',
-  'ImportValue',
-  'Base64',
-  'Cidr',
-  'Transform',
-];
+// CloudFormation short-form tags and the JSON key each one stands for
+const cfnTags = {
+  Ref: 'Ref',
+  Condition: 'Condition',
+  GetAtt: 'Fn::GetAtt',
+  Sub: 'Fn::Sub',
+  Join: 'Fn::Join',
+  Select: 'Fn::Select',
+  Split: 'Fn::Split',
+  If: 'Fn::If',
+  Equals: 'Fn::Equals',
+  And: 'Fn::And',
+  Or: 'Fn::Or',
+  Not: 'Fn::Not',
+  FindInMap: 'Fn::FindInMap',
+  GetAZs: 'Fn::GetAZs',
+  ImportValue: 'Fn::ImportValue',
+  Base64: 'Fn::Base64',
+  Cidr: 'Fn::Cidr',
+  Transform: 'Fn::Transform',
+};
 
 /**
- * Create custom YAML type for CloudFormation function
+ * Create a YAML type producing the long form of a CloudFormation function
+ * for one node kind (scalar, sequence or mapping)
  */
-function createCfnType(name) {
-  return new yaml.Type(`!${name}`, {
-    kind: 'scalar',
+function createCfnType(tag, key, kind) {
+  return new yaml.Type(`!${tag}`, {
+    kind,
     construct: function (data) {
-      return { [name]: data };
+      // !GetAtt Resource.Attribute is the short form of [Resource, Attribute];
+      // only the first dot separates the resource name
+      if (key === 'Fn::GetAtt' && kind === 'scalar') {
+        const dot = data.indexOf('.');
+        return { [key]: dot > 0 ? [data.slice(0, dot), data.slice(dot + 1)] : data };
+      }
+
+      // An empty node (e.g. a bare !GetAZs) is the empty string
+      return { [key]: data ?? '' };
     },
   });
 }
 
+// Create schema with all CloudFormation types
+const cfnTypes = [];
+
+for (const [tag, key] of Object.entries(cfnTags)) {
+  for (const kind of ['scalar', 'sequence', 'mapping']) {
+    cfnTypes.push(createCfnType(tag, key, kind));
+  }
+}
+
+const CFN_SCHEMA = yaml.DEFAULT_SCHEMA.extend(cfnTypes);
+
 /**
- * Create sequence type for CloudFormation functions that take arrays
+ * Parse CloudFormation YAML template
  */
-function createCfnSequenceType(name) {
-  return new yaml.Type(`!${name}`, {
-    kind: 'sequence',
-    construct: function (data) {
-      return { [name]: data };
-    },
-  });
+function parse(content) {
+  return yaml.load(content, { schema: CFN_SCHEMA });
 }
 
 /**
- * Create mapping type for CloudFormation functions that take objects
+ * Parse CloudFormation YAML (or JSON, which is a subset of YAML) and record
+ * the source position of every mapping entry and sequence item.
+ *
+ * Returns the parsed template and a Map from property path
+ * (e.g. `Resources.SG.Properties.SecurityGroupIngress[2].CidrIp`) to
+ * `{ startLine, startColumn, endLine, endColumn }`, all 1-based.
  */
-function createCfnMappingType(name) {
-  return new yaml.Type(`!${name}`, {
-    kind: 'mapping',
-    construct: function (data) {
-      return { [name]: data };
+function parseWithLocations(content) {
+  const stack = [{ children: [] }];
+
+  const template = yaml.load(content, {
+    schema: CFN_SCHEMA,
+    listener: (event, state) => {
+      if (event === 'open') {
+        stack.push({ start: state.position, children: [] });
+      } else {
+        const node = stack.pop();
+        node.end = state.position;
+        node.kind = state.kind;
+        node.result = state.result;
+        stack[stack.length - 1].children.push(node);
+      }
     },
   });
+
+  const locations = new Map();
+  const root = stack[0].children[0];
+
+  if (root) {
+    const toPosition = createPositionMapper(content);
+    collectLocations(root, '', locations, toPosition);
+  }
+
+  return { template, locations };
 }
 
-// Create schema with all CloudFormation types
-const cfnTypes = [];
+/**
+ * Walk the node tree built by the js-yaml listener and record locations
+ */
+function collectLocations(node, prefix, locations, toPosition) {
+  node = unwrapNode(node);
 
-for (const tag of cfnTags) {
-  cfnTypes.push(createCfnType(tag));
-  cfnTypes.push(createCfnSequenceType(tag));
-  cfnTypes.push(createCfnMappingType(tag));
+  // Tagged intrinsics (e.g. !If [...]) wrap their collection in a single-key object
+  let base = prefix;
+  const value = node.result;
+  if (
+    (node.kind === 'sequence' && !Array.isArray(value)) ||
+    (node.kind === 'mapping' && value && node.children.length === 2 && Object.keys(value).length === 1 &&
+      !Object.prototype.hasOwnProperty.call(value, String(unwrapNode(node.children[0]).result)))
+  ) {
+    base = joinPath(prefix, Object.keys(value)[0]);
+  }
+
+  if (node.kind === 'mapping') {
+    for (let i = 0; i + 1 < node.children.length; i += 2) {
+      const keyNode = unwrapNode(node.children[i]);
+      const valueNode = unwrapNode(node.children[i + 1]);
+      const path = joinPath(base, String(keyNode.result));
+
+      locations.set(path, toPosition(keyNode.start, valueNode.end));
+      collectLocations(valueNode, path, locations, toPosition);
+    }
+  } else if (node.kind === 'sequence') {
+    node.children.forEach((child, index) => {
+      const itemNode = unwrapNode(child);
+      const path = `${base}[${index}]`;
+
+      locations.set(path, toPosition(itemNode.start, itemNode.end));
+      collectLocations(itemNode, path, locations, toPosition);
+    });
+  }
 }
 
-// Special handling for GetAtt with dot notation
-cfnTypes.push(
-  new yaml.Type('!GetAtt', {
-    kind: 'scalar',
-    construct: function (data) {
-      if (typeof data === 'string' && data.includes('.')) {
-        return { 'Fn::GetAtt': data.split('.') };
+/**
+ * js-yaml composes some collections twice (once while probing for an implicit
+ * key); skip those wrapper nodes
+ */
+function unwrapNode(node) {
+  while (
+    node.children.length === 1 &&
+    node.children[0].result === node.result &&
+    (node.kind === 'mapping' || node.kind === 'sequence' || node.kind === 'scalar')
+  ) {
+    node = node.children[0];
+  }
+  return node;
+}
+
+function joinPath(prefix, key) {
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+/**
+ * Build a function converting character offsets into line/column ranges,
+ * ignoring leading and trailing whitespace and comments
+ */
+function createPositionMapper(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  const toLineColumn = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
       }
-      return { 'Fn::GetAtt': data };
-    },
-  })
-);
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
 
-const CFN_SCHEMA = yaml.DEFAULT_SCHEMA.extend(cfnTypes);
+  return (startOffset, endOffset) => {
+    let start = startOffset;
+    for (;;) {
+      while (start < content.length && /\s/.test(content[start])) start++;
+      if (content[start] !== '#') break;
+      while (start < content.length && content[start] !== '\n') start++;
+    }
+
+    let end = Math.max(endOffset, start);
+    while (end > start && /\s/.test(content[end - 1])) end--;
+
+    const from = toLineColumn(start);
+    const to = toLineColumn(Math.max(end - 1, start));
+
+    return {
+      startLine: from.line,
+      startColumn: from.column,
+      endLine: to.line,
+      endColumn: to.column + 1,
+    };
+  };
+}
 
 /**
- * Parse CloudFormation YAML template
+ * Find the location recorded for a path, falling back to the nearest ancestor
  */
-function parse(content) {
-  return yaml.load(content, { schema: CFN_SCHEMA });
+function findLocation(locations, path) {
+  if (!locations || !path) {
+    return null;
+  }
+
+  let current = path;
+  while (current) {
+    if (locations.has(current)) {
+      return locations.get(current);
+    }
+
+    const cut = Math.max(current.lastIndexOf('.'), current.lastIndexOf('['));
+    current = cut > 0 ? current.slice(0, cut) : '';
+  }
+
+  return null;
 }
 
 /**
@@ -103,6 +238,8 @@ function dump(obj) {
 
 module.exports = {
   parse,
+  parseWithLocations,
+  findLocation,
   dump,
   CFN_SCHEMA,
 };
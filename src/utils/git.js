@@ -0,0 +1,132 @@
+/**
+ * Git - Files and lines changed in the local repository since a ref
+ *
+ * Only the local repository is read (no fetch). Changes are taken from the
+ * point where the current branch diverged from the ref, so commits made on
+ * the ref since then do not count, and include uncommitted and untracked
+ * files. Deleted files are left out.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'core.quotepath=off', ...args], {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * Changed line ranges by absolute file path: Map<file, [[startLine, endLine]]>,
+ * 1-based and inclusive. Added files cover all their lines.
+ */
+function changedLines(ref, cwd = process.cwd()) {
+  const dir = fs.existsSync(cwd) && fs.statSync(cwd).isFile() ? path.dirname(cwd) : cwd;
+
+  let root;
+  try {
+    // Keep the caller's spelling of the path (git reports it with symlinks resolved)
+    const topLevel = git(['rev-parse', '--show-toplevel'], dir).trim();
+    root = path.resolve(dir, path.relative(fs.realpathSync(dir), topLevel));
+  } catch {
+    throw new Error(`--changed-since needs a git repository: ${dir}`);
+  }
+
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], root);
+  } catch {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+
+  let base = ref;
+  try {
+    base = git(['merge-base', ref, 'HEAD'], root).trim();
+  } catch {
+    // No common history (or no HEAD yet): compare with the ref itself
+  }
+
+  const diff = git([
+    'diff', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', '--diff-filter=AM',
+    // Fixed prefixes, whatever diff.mnemonicPrefix or diff.noprefix say
+    '--src-prefix=a/', '--dst-prefix=b/',
+    base, '--',
+  ], root);
+  const changes = parseDiff(diff, root);
+
+  const untracked = git(['ls-files', '--others', '--exclude-standard', '-z'], root).split('\0').filter(Boolean);
+  for (const file of untracked) {
+    const absolutePath = path.join(root, file);
+    const lineCount = fs.readFileSync(absolutePath, 'utf8').split('\n').length;
+    changes.set(absolutePath, [[1, lineCount]]);
+  }
+
+  return changes;
+}
+
+/**
+ * Line ranges of the new side of a `git diff --unified=0`
+ */
+function parseDiff(diff, root) {
+  const changes = new Map();
+  let ranges = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const name = unquote(line.slice(4));
+      ranges = name === '/dev/null' ? null : [];
+      if (ranges) {
+        changes.set(path.join(root, name.replace(/^b\//, '')), ranges);
+      }
+      continue;
+    }
+
+    const hunk = ranges && /^@@ -\S+ \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      // A pure deletion is recorded at the line before it
+      ranges.push(count === 0 ? [Math.max(start, 1), Math.max(start, 1)] : [start, start + count - 1]);
+    }
+  }
+
+  return changes;
+}
+
+// Single-character escapes of git's C-style quoting
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Decode a file name git quoted C-style: besides the escapes above, bytes
+ * of non-ASCII names are written as three-digit octal escapes
+ */
+function unquote(name) {
+  if (!(name.length > 1 && name.startsWith('"') && name.endsWith('"'))) {
+    return name;
+  }
+
+  const bytes = name.slice(1, -1).split(/(\\(?:[0-7]{3}|.))/).map(part => {
+    if (!part.startsWith('\\')) {
+      return Buffer.from(part, 'utf8');
+    }
+    const escape = part.slice(1);
+    return Buffer.from([escape.length === 3 ? parseInt(escape, 8) : ESCAPES[escape] ?? escape.charCodeAt(0)]);
+  });
+  return Buffer.concat(bytes).toString('utf8');
+}
+
+/**
+ * Check whether any range overlaps the lines from `startLine` to `endLine`
+ */
+function overlapsChange(ranges, startLine, endLine) {
+  return ranges.some(([start, end]) => start <= endLine && end >= startLine);
+}
+
+module.exports = {
+  changedLines,
+  parseDiff,
+  overlapsChange,
+};
@@ -0,0 +1,250 @@
+/**
+ * ResourceGraph - Dependencies between the resources of a template
+ *
+ * Edges are collected from Ref, Fn::GetAtt, Fn::Sub variables and DependsOn.
+ * Each edge records the referencing resource (`from`), the referenced
+ * resource (`to`), how it is referenced (`kind`), the property path of the
+ * reference within the referencing resource and, for Fn::GetAtt and Fn::Sub,
+ * the attribute name.
+ */
+
+const { isUnknown } = require('./intrinsics');
+
+class ResourceGraph {
+  /**
+   * `options.resolver` (an IntrinsicResolver) resolves the resources returned
+   * by getResource()/resolve() and drops resources whose Condition is false
+   */
+  constructor(template, options = {}) {
+    this.template = template || {};
+    this.resolver = options.resolver || null;
+    this.resources = {};
+    this.resolved = new Map();
+    this.edges = [];
+
+    for (const [name, resource] of Object.entries(this.template.Resources || {})) {
+      if (!resource || typeof resource !== 'object') {
+        continue;
+      }
+      if (this.resolver && resource.Condition && this.resolver.evaluateCondition(resource.Condition) === false) {
+        continue;
+      }
+      this.resources[name] = resource;
+    }
+
+    for (const [name, resource] of Object.entries(this.resources)) {
+      this.collectEdges(name, resource);
+    }
+  }
+
+  collectEdges(name, resource) {
+    const dependsOn = [].concat(resource.DependsOn || []);
+    dependsOn.forEach((target, index) => {
+      this.addEdge(name, target, 'DependsOn', Array.isArray(resource.DependsOn) ? `DependsOn[${index}]` : 'DependsOn');
+    });
+
+    for (const [key, value] of Object.entries(resource)) {
+      if (key !== 'Type' && key !== 'DependsOn' && key !== 'Condition') {
+        this.walk(name, value, key);
+      }
+    }
+  }
+
+  walk(name, value, path) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => this.walk(name, item, `${path}[${index}]`));
+      return;
+    }
+
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      const args = value[keys[0]];
+
+      if (keys[0] === 'Ref' && typeof args === 'string') {
+        this.addEdge(name, args, 'Ref', path);
+        return;
+      }
+
+      if (keys[0] === 'Fn::GetAtt') {
+        const [target, attribute] = parseGetAtt(args);
+        if (target) {
+          this.addEdge(name, target, 'GetAtt', path, attribute);
+        }
+        if (Array.isArray(args)) {
+          this.walk(name, args[1], `${path}.Fn::GetAtt[1]`);
+        }
+        return;
+      }
+
+      if (keys[0] === 'Fn::Sub') {
+        const [text, variables] = Array.isArray(args) ? args : [args, {}];
+        for (const [target, attribute] of parseSubVariables(text, variables)) {
+          this.addEdge(name, target, 'Sub', path, attribute);
+        }
+        if (variables && typeof variables === 'object') {
+          this.walk(name, variables, `${path}.Fn::Sub[1]`);
+        }
+        return;
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      this.walk(name, child, `${path}.${key}`);
+    }
+  }
+
+  addEdge(from, to, kind, path, attribute = null) {
+    if (from !== to && this.resources[to]) {
+      this.edges.push({ from, to, kind, path, attribute });
+    }
+  }
+
+  /**
+   * Whether a logical ID names a resource in the graph
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.resources, name);
+  }
+
+  /**
+   * Logical IDs of the resources of the given types
+   */
+  ofType(...types) {
+    return Object.keys(this.resources).filter(name => types.includes(this.resources[name].Type));
+  }
+
+  /**
+   * Get a resource by logical ID, with intrinsic functions resolved
+   */
+  getResource(name) {
+    if (!this.has(name)) {
+      return null;
+    }
+
+    if (!this.resolver) {
+      return this.resources[name];
+    }
+
+    if (!this.resolved.has(name)) {
+      this.resolved.set(name, this.resolver.resolveResource(this.resources[name]));
+    }
+    return this.resolved.get(name);
+  }
+
+  /**
+   * Follow a reference to the resource it points at. Accepts raw Ref /
+   * Fn::GetAtt / single-variable Fn::Sub expressions, the unknown values
+   * they resolve to in `context.properties`, and plain logical IDs.
+   * Returns `{ name, type, attribute, resource }` or null.
+   */
+  resolve(value) {
+    if (isUnknown(value)) {
+      value = value.expression;
+    }
+
+    let target = null;
+    let attribute = null;
+
+    if (typeof value === 'string') {
+      target = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (typeof value.Ref === 'string') {
+        target = value.Ref;
+      } else if (value['Fn::GetAtt'] !== undefined) {
+        [target, attribute] = parseGetAtt(value['Fn::GetAtt']);
+      } else if (value['Fn::Sub'] !== undefined) {
+        const args = value['Fn::Sub'];
+        const text = Array.isArray(args) ? args[0] : args;
+        const match = typeof text === 'string' && text.match(/^\$\{([^!}][^}]*)\}$/);
+        if (match) {
+          [target, attribute] = splitAttribute(match[1]);
+        }
+      }
+    }
+
+    if (!target || !this.has(target)) {
+      return null;
+    }
+
+    return {
+      name: target,
+      type: this.resources[target].Type,
+      attribute,
+      resource: this.getResource(target),
+    };
+  }
+
+  /**
+   * Logical IDs of the resources a resource references
+   */
+  dependenciesOf(name) {
+    return unique(this.edgesFrom(name).map(edge => edge.to));
+  }
+
+  /**
+   * Logical IDs of the resources that reference a resource
+   */
+  referencedBy(name) {
+    return unique(this.edgesTo(name).map(edge => edge.from));
+  }
+
+  /**
+   * Edges leaving a resource
+   */
+  edgesFrom(name) {
+    return this.edges.filter(edge => edge.from === name);
+  }
+
+  /**
+   * Edges pointing at a resource
+   */
+  edgesTo(name) {
+    return this.edges.filter(edge => edge.to === name);
+  }
+}
+
+function parseGetAtt(args) {
+  if (typeof args === 'string') {
+    return splitAttribute(args);
+  }
+  if (Array.isArray(args) && typeof args[0] === 'string') {
+    return [args[0], typeof args[1] === 'string' ? args[1] : null];
+  }
+  return [null, null];
+}
+
+function splitAttribute(reference) {
+  const dot = reference.indexOf('.');
+  return dot > 0 ? [reference.slice(0, dot), reference.slice(dot + 1)] : [reference, null];
+}
+
+/**
+ * Resource references in a Fn::Sub string, skipping ${!Literal} escapes and
+ * names defined in the variable map
+ */
+function parseSubVariables(text, variables) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const references = [];
+  for (const match of text.matchAll(/\$\{([^!}][^}]*)\}/g)) {
+    const [target, attribute] = splitAttribute(match[1].trim());
+    if (!(variables && Object.prototype.hasOwnProperty.call(variables, match[1].trim()))) {
+      references.push([target, attribute]);
+    }
+  }
+  return references;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  ResourceGraph,
+};
@@ -0,0 +1,491 @@
+/**
+ * Intrinsic Function Resolver
+ * Evaluates CloudFormation intrinsic functions offline so rules see the
+ * values a deployment would get instead of raw `Ref`/`Fn::*` objects.
+ *
+ * Values that cannot be known before deployment (GetAtt, ImportValue,
+ * references to resources, parameters without a value) resolve to an
+ * UnknownValue, which rules can tell apart from an absent property.
+ */
+
+/**
+ * Marker for a value that cannot be determined statically
+ */
+class UnknownValue {
+  constructor(expression, reason) {
+    this.expression = expression;
+    this.reason = reason;
+    Object.freeze(this);
+  }
+
+  // Serialize as the original expression so JSON output is unchanged
+  toJSON() {
+    return this.expression;
+  }
+}
+
+/**
+ * Check whether a resolved value is unknown
+ */
+function isUnknown(value) {
+  return value instanceof UnknownValue;
+}
+
+/**
+ * Check whether a resolved value is true (or false) the way CloudFormation
+ * reads boolean properties: parameters are passed as strings, and "true"
+ * and "false" are accepted in any case
+ */
+function isTrue(value) {
+  return value === true || (typeof value === 'string' && value.toLowerCase() === 'true');
+}
+
+function isFalse(value) {
+  return value === false || (typeof value === 'string' && value.toLowerCase() === 'false');
+}
+
+// Sentinel for AWS::NoValue; the enclosing property is removed
+const NO_VALUE = Symbol('AWS::NoValue');
+
+const DEFAULT_PSEUDO_PARAMETERS = {
+  'AWS::AccountId': '123456789012',
+  'AWS::Region': 'us-east-1',
+  'AWS::Partition': 'aws',
+  'AWS::URLSuffix': 'amazonaws.com',
+  'AWS::StackName': 'stack',
+  'AWS::StackId': 'arn:aws:cloudformation:us-east-1:123456789012:stack/stack/00000000-0000-0000-0000-000000000000',
+  'AWS::NotificationARNs': [],
+};
+
+class IntrinsicResolver {
+  constructor(template, options = {}) {
+    this.template = template || {};
+    this.options = options;
+    this.parameters = options.parameters || {};
+    this.pseudoParameters = {
+      ...DEFAULT_PSEUDO_PARAMETERS,
+      ...(options.pseudoParameters || {}),
+    };
+    this.conditionOverrides = options.conditions || {};
+    this.conditionCache = new Map();
+    this.strict = false;
+  }
+
+  /**
+   * Create a resolver that forces the given condition values
+   */
+  withConditions(conditions) {
+    return new IntrinsicResolver(this.template, {
+      ...this.options,
+      conditions: { ...this.conditionOverrides, ...conditions },
+    });
+  }
+
+  /**
+   * Evaluate a named condition from the Conditions section.
+   *
+   * Conditions are decided only by supplied parameter values: a parameter
+   * falling back to its Default could be overridden at deploy time, so a
+   * condition depending on it is unknown and every branch gets checked.
+   */
+  evaluateCondition(name) {
+    if (Object.prototype.hasOwnProperty.call(this.conditionOverrides, name)) {
+      return this.conditionOverrides[name];
+    }
+
+    if (this.conditionCache.has(name)) {
+      return this.conditionCache.get(name);
+    }
+
+    const definition = this.template.Conditions?.[name];
+    if (definition === undefined) {
+      return new UnknownValue({ Condition: name }, `condition ${name} is not defined`);
+    }
+
+    // Guard against circular condition references
+    this.conditionCache.set(name, new UnknownValue({ Condition: name }, `condition ${name} is circular`));
+
+    const previousStrict = this.strict;
+    this.strict = true;
+    let value;
+    try {
+      value = this.evaluateConditionExpression(definition);
+    } finally {
+      this.strict = previousStrict;
+    }
+
+    if (isUnknown(value)) {
+      value = new UnknownValue({ Condition: name }, `condition ${name} depends on ${value.reason}`);
+    }
+
+    this.conditionCache.set(name, value);
+    return value;
+  }
+
+  evaluateConditionExpression(expression) {
+    if (typeof expression === 'boolean') {
+      return expression;
+    }
+
+    if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+      return new UnknownValue(expression, 'invalid condition expression');
+    }
+
+    if (Object.keys(expression).length === 1 && typeof expression.Condition === 'string') {
+      return this.evaluateCondition(expression.Condition);
+    }
+
+    const fn = this.getFunctionName(expression);
+    const args = Object.values(expression)[0];
+
+    switch (fn) {
+      case 'Fn::Equals': {
+        if (!Array.isArray(args) || args.length !== 2) {
+          return new UnknownValue(expression, 'invalid Fn::Equals arguments');
+        }
+        const [left, right] = args.map(arg => this.resolve(arg));
+        const unknown = [left, right].find(isUnknown);
+        if (unknown) {
+          return unknown;
+        }
+        return JSON.stringify(normalizeForComparison(left)) === JSON.stringify(normalizeForComparison(right));
+      }
+      case 'Fn::And':
+      case 'Fn::Or': {
+        if (!Array.isArray(args)) {
+          return new UnknownValue(expression, `invalid ${fn} arguments`);
+        }
+        const values = args.map(arg => this.evaluateConditionExpression(arg));
+        const decisive = fn === 'Fn::And' ? false : true;
+        if (values.includes(decisive)) {
+          return decisive;
+        }
+        return values.find(isUnknown) || !decisive;
+      }
+      case 'Fn::Not': {
+        const value = this.evaluateConditionExpression(Array.isArray(args) ? args[0] : args);
+        return isUnknown(value) ? value : !value;
+      }
+      default:
+        return new UnknownValue(expression, `${fn || 'expression'} is not a condition function`);
+    }
+  }
+
+  /**
+   * Return a copy of the resource with its Properties resolved
+   */
+  resolveResource(resource) {
+    if (!resource || typeof resource !== 'object') {
+      return resource;
+    }
+
+    const properties = this.resolve(resource.Properties);
+
+    return {
+      ...resource,
+      Properties: properties === NO_VALUE ? undefined : properties,
+    };
+  }
+
+  /**
+   * Resolve all intrinsic functions within a value
+   */
+  resolve(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item)).filter(item => item !== NO_VALUE);
+    }
+
+    if (!value || typeof value !== 'object' || isUnknown(value)) {
+      return value;
+    }
+
+    const fn = this.getFunctionName(value);
+    if (fn) {
+      return this.resolveFunction(fn, Object.values(value)[0], value);
+    }
+
+    const resolved = {};
+    for (const [key, child] of Object.entries(value)) {
+      const result = this.resolve(child);
+      if (result !== NO_VALUE) {
+        resolved[key] = result;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Get the canonical intrinsic function name of a single-key object
+   */
+  getFunctionName(value) {
+    const keys = Object.keys(value);
+    if (keys.length !== 1) {
+      return null;
+    }
+
+    const key = keys[0];
+    return key === 'Ref' || key.startsWith('Fn::') ? key : null;
+  }
+
+  resolveFunction(fn, args, expression) {
+    switch (fn) {
+      case 'Ref':
+        return this.resolveRef(args, expression);
+      case 'Fn::FindInMap':
+        return this.resolveFindInMap(args, expression);
+      case 'Fn::Sub':
+        return this.resolveSub(args, expression);
+      case 'Fn::Join':
+        return this.resolveJoin(args, expression);
+      case 'Fn::Select':
+        return this.resolveSelect(args, expression);
+      case 'Fn::Split':
+        return this.resolveSplit(args, expression);
+      case 'Fn::GetAZs': {
+        const region = this.resolve(args) || this.pseudoParameters['AWS::Region'];
+        if (typeof region !== 'string') {
+          return new UnknownValue(expression, 'Fn::GetAZs region cannot be determined');
+        }
+        return ['a', 'b', 'c'].map(suffix => `${region}${suffix}`);
+      }
+      case 'Fn::Base64':
+        // Keep the encoding explicit so rules can still inspect the plain text
+        return { 'Fn::Base64': this.resolve(args) };
+      case 'Fn::If':
+        return this.resolveIf(args, expression);
+      case 'Fn::GetAtt':
+        return new UnknownValue(expression, `Fn::GetAtt ${formatGetAtt(args)} is only known after deployment`);
+      case 'Fn::ImportValue':
+        return new UnknownValue(expression, 'Fn::ImportValue is only known after deployment');
+      default:
+        return new UnknownValue(expression, `${fn} is not evaluated offline`);
+    }
+  }
+
+  resolveRef(name, expression) {
+    if (name === 'AWS::NoValue') {
+      return NO_VALUE;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(this.pseudoParameters, name)) {
+      if (this.strict && !Object.prototype.hasOwnProperty.call(this.options.pseudoParameters || {}, name)) {
+        return new UnknownValue(expression, `pseudo parameter ${name} was not supplied`);
+      }
+      return this.pseudoParameters[name];
+    }
+
+    const parameter = this.template.Parameters?.[name];
+    if (parameter) {
+      return this.getParameterValue(name, parameter, expression);
+    }
+
+    if (this.template.Resources?.[name]) {
+      return new UnknownValue(expression, `Ref to resource ${name} is only known after deployment`);
+    }
+
+    return new UnknownValue(expression, `Ref to undefined name ${name}`);
+  }
+
+  getParameterValue(name, parameter, expression) {
+    const type = parameter.Type || 'String';
+
+    if (type.startsWith('AWS::SSM::Parameter::Value')) {
+      return new UnknownValue(expression, `parameter ${name} is read from SSM at deploy time`);
+    }
+
+    let value = this.parameters[name];
+    if (value === undefined && this.strict) {
+      return new UnknownValue(expression, `parameter ${name} was not supplied`);
+    }
+
+    if (value === undefined) {
+      value = parameter.Default;
+    }
+
+    if (value === undefined) {
+      return new UnknownValue(expression, `parameter ${name} has no default or supplied value`);
+    }
+
+    if (type === 'CommaDelimitedList' || type.startsWith('List<')) {
+      return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim());
+    }
+
+    if (type === 'Number' && value !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+
+    return value;
+  }
+
+  resolveFindInMap(args, expression) {
+    if (!Array.isArray(args) || args.length < 3) {
+      return new UnknownValue(expression, 'invalid Fn::FindInMap arguments');
+    }
+
+    const [mapName, topKey, secondKey] = args.slice(0, 3).map(arg => this.resolve(arg));
+    if ([mapName, topKey, secondKey].some(isUnknown)) {
+      return new UnknownValue(expression, 'Fn::FindInMap keys cannot be determined');
+    }
+
+    const value = this.template.Mappings?.[mapName]?.[topKey]?.[secondKey];
+    if (value === undefined) {
+      return new UnknownValue(expression, `mapping ${mapName}.${topKey}.${secondKey} does not exist`);
+    }
+
+    return value;
+  }
+
+  resolveSub(args, expression) {
+    const [text, variables = {}] = Array.isArray(args) ? args : [args];
+    if (typeof text !== 'string') {
+      return new UnknownValue(expression, 'invalid Fn::Sub arguments');
+    }
+
+    let unknown = null;
+
+    const result = text.replace(/\$\{([^}]+)\}/g, (match, name) => {
+      if (name.startsWith('!')) {
+        return `\${${name.slice(1)}}`;
+      }
+
+      let value;
+      if (Object.prototype.hasOwnProperty.call(variables, name)) {
+        value = this.resolve(variables[name]);
+      } else if (name.includes('.') && !name.startsWith('AWS::')) {
+        value = new UnknownValue({ 'Fn::GetAtt': name.split('.') }, `Fn::GetAtt ${name} is only known after deployment`);
+      } else {
+        value = this.resolveRef(name, { Ref: name });
+      }
+
+      if (isUnknown(value) || (value !== null && typeof value === 'object') || value === NO_VALUE) {
+        unknown = unknown || value;
+        return match;
+      }
+
+      return String(value);
+    });
+
+    if (unknown) {
+      return new UnknownValue(expression, isUnknown(unknown) ? unknown.reason : 'Fn::Sub variable cannot be determined');
+    }
+
+    return result;
+  }
+
+  resolveJoin(args, expression) {
+    if (!Array.isArray(args) || args.length !== 2) {
+      return new UnknownValue(expression, 'invalid Fn::Join arguments');
+    }
+
+    const delimiter = this.resolve(args[0]);
+    const list = this.resolve(args[1]);
+
+    if (typeof delimiter !== 'string' || !Array.isArray(list)) {
+      return new UnknownValue(expression, isUnknown(list) ? list.reason : 'Fn::Join list cannot be determined');
+    }
+
+    const unknownItem = list.find(item => isUnknown(item) || (item !== null && typeof item === 'object'));
+    if (unknownItem !== undefined) {
+      return new UnknownValue(expression, isUnknown(unknownItem) ? unknownItem.reason : 'Fn::Join item cannot be determined');
+    }
+
+    return list.join(delimiter);
+  }
+
+  resolveSelect(args, expression) {
+    if (!Array.isArray(args) || args.length !== 2) {
+      return new UnknownValue(expression, 'invalid Fn::Select arguments');
+    }
+
+    const index = Number(this.resolve(args[0]));
+    const list = this.resolve(args[1]);
+
+    if (!Array.isArray(list) || !Number.isInteger(index)) {
+      return new UnknownValue(expression, isUnknown(list) ? list.reason : 'Fn::Select list cannot be determined');
+    }
+
+    if (index < 0 || index >= list.length) {
+      return new UnknownValue(expression, `Fn::Select index ${index} is out of range`);
+    }
+
+    return list[index];
+  }
+
+  resolveSplit(args, expression) {
+    if (!Array.isArray(args) || args.length !== 2) {
+      return new UnknownValue(expression, 'invalid Fn::Split arguments');
+    }
+
+    const delimiter = this.resolve(args[0]);
+    const source = this.resolve(args[1]);
+
+    if (typeof delimiter !== 'string' || typeof source !== 'string') {
+      return new UnknownValue(expression, isUnknown(source) ? source.reason : 'Fn::Split source cannot be determined');
+    }
+
+    return source.split(delimiter);
+  }
+
+  resolveIf(args, expression) {
+    if (!Array.isArray(args) || args.length !== 3) {
+      return new UnknownValue(expression, 'invalid Fn::If arguments');
+    }
+
+    const condition = this.evaluateCondition(args[0]);
+    if (condition === true) {
+      return this.resolve(args[1]);
+    }
+    if (condition === false) {
+      return this.resolve(args[2]);
+    }
+
+    const whenTrue = this.resolve(args[1]);
+    const whenFalse = this.resolve(args[2]);
+
+    // Both branches agree, so the condition does not matter
+    if (!isUnknown(whenTrue) && JSON.stringify(whenTrue) === JSON.stringify(whenFalse)) {
+      return whenTrue;
+    }
+
+    return new UnknownValue(expression, `value depends on condition ${args[0]}`);
+  }
+}
+
+/**
+ * Collect the names of conditions used by Fn::If anywhere within a value
+ */
+function collectIfConditions(value, names = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectIfConditions(item, names));
+  } else if (value && typeof value === 'object' && !isUnknown(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === 'Fn::If' && Array.isArray(child) && typeof child[0] === 'string') {
+        names.add(child[0]);
+      }
+      collectIfConditions(child, names);
+    }
+  }
+  return names;
+}
+
+// CloudFormation compares condition operands as strings
+function normalizeForComparison(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeForComparison);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function formatGetAtt(args) {
+  return Array.isArray(args) ? args.join('.') : String(args);
+}
+
+module.exports = {
+  IntrinsicResolver,
+  UnknownValue,
+  isUnknown,
+  isTrue,
+  isFalse,
+  collectIfConditions,
+  DEFAULT_PSEUDO_PARAMETERS,
+};
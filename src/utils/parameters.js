@@ -0,0 +1,152 @@
+/**
+ * Parameters - Load template parameter values from parameter files and overrides
+ *
+ * Supported file formats:
+ *   aws cloudformation create-stack/deploy:  [{ "ParameterKey": "Env", "ParameterValue": "prod" }]
+ *   aws cloudformation deploy overrides:     ["Env=prod"]
+ *   CodePipeline template configuration:     { "Parameters": { "Env": "prod" } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Parameter files paired with <name>.yaml / <name>.json templates during scans
+const PARAMETER_FILE_SUFFIXES = ['.parameters.json', '.params.json', '-parameters.json'];
+
+/**
+ * Read a parameter file and return a { name: value } map
+ */
+function loadParameterFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Parameter file not found: ${absolutePath}`);
+  }
+
+  let data;
+  try {
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    data = path.extname(absolutePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Failed to parse parameter file ${absolutePath}: ${error.message}`);
+  }
+
+  return parseParameters(data, absolutePath);
+}
+
+/**
+ * Normalize any supported parameter document into a { name: value } map
+ */
+function parseParameters(data, source = 'parameters') {
+  if (Array.isArray(data)) {
+    const parameters = {};
+
+    for (const [index, entry] of data.entries()) {
+      if (typeof entry === 'string') {
+        Object.assign(parameters, parseOverride(entry));
+        continue;
+      }
+
+      if (!entry || typeof entry.ParameterKey !== 'string') {
+        throw new Error(`Invalid parameter #${index + 1} in ${source}: a "ParameterKey" is required`);
+      }
+
+      // UsePreviousValue refers to the deployed stack, which is not known offline
+      if (entry.UsePreviousValue || entry.ParameterValue === undefined) {
+        continue;
+      }
+
+      parameters[entry.ParameterKey] = stringify(entry.ParameterValue);
+    }
+
+    return parameters;
+  }
+
+  if (data && typeof data === 'object' && data.Parameters !== undefined) {
+    if (!data.Parameters || typeof data.Parameters !== 'object' || Array.isArray(data.Parameters)) {
+      throw new Error(`Invalid parameters in ${source}: "Parameters" must be an object`);
+    }
+
+    const parameters = {};
+    for (const [key, value] of Object.entries(data.Parameters)) {
+      parameters[key] = stringify(value);
+    }
+    return parameters;
+  }
+
+  throw new Error(
+    `Unrecognized parameter file format in ${source}: expected [{ParameterKey, ParameterValue}], ["Key=Value"] or {"Parameters": {...}}`
+  );
+}
+
+/**
+ * Parse a key=value override
+ */
+function parseOverride(value) {
+  const index = value.indexOf('=');
+
+  if (index <= 0) {
+    throw new Error(`Invalid parameter override "${value}": expected key=value`);
+  }
+
+  return { [value.slice(0, index).trim()]: value.slice(index + 1) };
+}
+
+/**
+ * Check whether a --parameters value is a key=value override rather than a file
+ */
+function isOverride(value) {
+  return value.includes('=') && !fs.existsSync(value);
+}
+
+/**
+ * Combine parameter files and key=value overrides, later entries winning
+ */
+function loadParameters(values = []) {
+  const parameters = {};
+
+  for (const value of values) {
+    if (isOverride(value)) {
+      Object.assign(parameters, parseOverride(value));
+    } else {
+      Object.assign(parameters, loadParameterFile(value));
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Find the parameter file paired with a template by naming convention,
+ * e.g. stack.yaml -> stack.parameters.json
+ */
+function findParameterFile(templatePath) {
+  const dir = path.dirname(templatePath);
+  const base = path.basename(templatePath, path.extname(templatePath));
+
+  for (const suffix of PARAMETER_FILE_SUFFIXES) {
+    const candidate = path.join(dir, base + suffix);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+// CloudFormation parameter values are strings; lists are passed comma-delimited
+function stringify(value) {
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+module.exports = {
+  PARAMETER_FILE_SUFFIXES,
+  loadParameterFile,
+  parseParameters,
+  loadParameters,
+  isOverride,
+  findParameterFile,
+};
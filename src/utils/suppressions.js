@@ -0,0 +1,91 @@
+/**
+ * Suppressions - Inline finding suppressions declared in template Metadata
+ *
+ * Resource level:
+ *   Metadata:
+ *     cfn-security-scanner:
+ *       suppress:
+ *         - id: CFN_S3_004
+ *           reason: Access logs are shipped by the central logging account
+ *
+ * Template level (top-level Metadata) accepts the same entries, optionally
+ * narrowed to specific logical IDs with `resources: [...]`.
+ */
+
+const METADATA_KEY = 'cfn-security-scanner';
+
+/**
+ * Collect and validate all suppressions declared in a template
+ */
+function collectSuppressions(template) {
+  const suppressions = {
+    template: readEntries(template.Metadata, 'template Metadata'),
+    resources: {},
+  };
+
+  for (const [resourceName, resource] of Object.entries(template.Resources || {})) {
+    const entries = readEntries(resource?.Metadata, `resource ${resourceName}`);
+    if (entries.length > 0) {
+      suppressions.resources[resourceName] = entries;
+    }
+  }
+
+  return suppressions;
+}
+
+function readEntries(metadata, where) {
+  const config = metadata?.[METADATA_KEY];
+  if (!config || config.suppress === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(config.suppress)) {
+    throw new Error(`Invalid suppressions in ${where}: "suppress" must be a list`);
+  }
+
+  return config.suppress.map((entry, index) => {
+    if (!entry || typeof entry.id !== 'string' || entry.id.trim() === '') {
+      throw new Error(`Invalid suppression #${index + 1} in ${where}: a rule "id" is required`);
+    }
+
+    if (typeof entry.reason !== 'string' || entry.reason.trim() === '') {
+      throw new Error(`Suppression of ${entry.id} in ${where} is missing a "reason"`);
+    }
+
+    if (entry.resources !== undefined && !Array.isArray(entry.resources)) {
+      throw new Error(`Suppression of ${entry.id} in ${where}: "resources" must be a list`);
+    }
+
+    return {
+      id: entry.id,
+      reason: entry.reason.trim(),
+      resources: entry.resources || null,
+    };
+  });
+}
+
+/**
+ * Find the suppression covering a rule on a resource, if any.
+ * Resource-level entries take precedence over template-level ones.
+ */
+function findSuppression(suppressions, ruleId, resourceName) {
+  const resourceEntry = (suppressions.resources[resourceName] || []).find(e => e.id === ruleId);
+  if (resourceEntry) {
+    return { reason: resourceEntry.reason, scope: 'resource' };
+  }
+
+  const templateEntry = suppressions.template.find(
+    e => e.id === ruleId && (!e.resources || e.resources.includes(resourceName))
+  );
+  if (templateEntry) {
+    return { reason: templateEntry.reason, scope: 'template' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  METADATA_KEY,
+  collectSuppressions,
+  findSuppression,
+};
@@ -0,0 +1,56 @@
+/**
+ * Template Files - Local files referenced from templates
+ *
+ * Before `aws cloudformation package` uploads them, nested stack templates
+ * (`TemplateURL`) and AWS::Include snippets (`Location`) may be given as
+ * paths relative to the referencing template. Those references are followed;
+ * S3 and HTTP locations are not. CDK instead records the local template of a
+ * nested stack in the `aws:asset:path` resource metadata.
+ */
+
+const path = require('path');
+
+const REMOTE_LOCATION = /^(s3|https?):\/\//i;
+const NESTED_STACK_TYPE = 'AWS::CloudFormation::Stack';
+
+/**
+ * Absolute path of a local reference, or null for remote or computed locations
+ */
+function resolveLocalLocation(location, fromFile) {
+  if (typeof location !== 'string' || location.trim() === '' || REMOTE_LOCATION.test(location)) {
+    return null;
+  }
+
+  const localPath = location.replace(/^file:\/\//i, '');
+  return path.resolve(path.dirname(fromFile), localPath);
+}
+
+/**
+ * Nested stacks whose TemplateURL is a local path:
+ * [{ name, templateUrl, templatePath, parameters }]
+ */
+function findNestedStacks(template, filePath) {
+  const stacks = [];
+
+  for (const [name, resource] of Object.entries(template?.Resources || {})) {
+    if (resource?.Type !== NESTED_STACK_TYPE) {
+      continue;
+    }
+
+    const templateUrl = resource.Metadata?.['aws:asset:property'] === 'TemplateURL'
+      ? resource.Metadata['aws:asset:path']
+      : resource.Properties?.TemplateURL;
+    const templatePath = resolveLocalLocation(templateUrl, filePath);
+    if (templatePath) {
+      stacks.push({ name, templateUrl, templatePath, parameters: resource.Properties?.Parameters || {} });
+    }
+  }
+
+  return stacks;
+}
+
+module.exports = {
+  NESTED_STACK_TYPE,
+  resolveLocalLocation,
+  findNestedStacks,
+};
@@ -0,0 +1,85 @@
+/**
+ * WorkerPool - Scans files on worker threads
+ *
+ * Each worker runs its own Scanner built from the same options, so rule
+ * selection matches the main thread. Files are handed out one at a time as
+ * workers become free; outcomes are returned in the order files were given.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'scanWorker.js');
+
+class WorkerPool {
+  constructor(size, scannerOptions = {}) {
+    this.size = Math.max(1, size);
+    this.scannerOptions = scannerOptions;
+  }
+
+  /**
+   * Inspect every file and resolve with one outcome per file, in input order
+   */
+  run(files) {
+    const outcomes = new Array(files.length);
+    const workers = [];
+    let next = 0;
+    let done = 0;
+    let settled = false;
+
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        for (const worker of workers) {
+          worker.terminate();
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(outcomes);
+        }
+      };
+
+      const dispatch = (worker) => {
+        if (next < files.length) {
+          const id = next++;
+          worker.postMessage({ id, file: files[id] });
+        }
+      };
+
+      if (files.length === 0) {
+        finish();
+        return;
+      }
+
+      for (let i = 0; i < Math.min(this.size, files.length); i++) {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { options: this.scannerOptions } });
+
+        worker.on('message', ({ id, outcome }) => {
+          outcomes[id] = outcome;
+          done++;
+          if (done === files.length) {
+            finish();
+          } else {
+            dispatch(worker);
+          }
+        });
+        worker.on('error', finish);
+        // A worker that exits without an error (process.exit, terminate) would leave its file unanswered
+        worker.on('exit', (code) => {
+          if (done < files.length) {
+            finish(new Error(`Scan worker exited with code ${code} before all files were scanned`));
+          }
+        });
+
+        workers.push(worker);
+        dispatch(worker);
+      }
+    });
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,11 @@
+module.exports = {
+  id: 'CUSTOM_NAME_001',
+  name: 'Explicit Bucket Name',
+  severity: 'INFO',
+  category: 'governance',
+  resourceTypes: ['AWS::S3::Bucket'],
+  evaluate: (context) => ({
+    passed: Boolean(context.properties.BucketName),
+    message: context.properties.BucketName ? 'Bucket name is set' : 'Bucket name is generated',
+  }),
+};
@@ -0,0 +1,31 @@
+/**
+ * Example custom rules loaded with --rules-dir
+ */
+
+module.exports = [
+  {
+    id: 'CUSTOM_TAG_001',
+    name: 'Owner Tag Present',
+    description: 'Ensure buckets carry an Owner tag',
+    severity: 'LOW',
+    category: 'governance',
+    resourceTypes: ['AWS::S3::Bucket'],
+    remediation: 'Add an Owner tag to the bucket',
+    evaluate: (context) => {
+      const tags = context.properties.Tags || [];
+
+      if (!tags.some(tag => tag.Key === 'Owner')) {
+        return {
+          passed: false,
+          message: 'Bucket has no Owner tag',
+          path: 'Properties.Tags',
+        };
+      }
+
+      return {
+        passed: true,
+        message: 'Bucket has an Owner tag',
+      };
+    },
+  },
+];
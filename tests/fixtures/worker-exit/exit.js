@@ -0,0 +1,15 @@
+/**
+ * Rule that ends the process running it, for worker pool tests
+ */
+
+module.exports = [
+  {
+    id: 'TEST_EXIT_001',
+    name: 'Exits',
+    description: 'Calls process.exit while evaluating',
+    severity: 'LOW',
+    category: 'test',
+    resourceTypes: [],
+    evaluate: () => process.exit(3),
+  },
+];
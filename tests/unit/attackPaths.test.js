@@ -0,0 +1,152 @@
+/**
+ * Attack Path Analysis Unit Tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../../src/utils/cfnYaml');
+const Scanner = require('../../src/scanner');
+const ConsoleFormatter = require('../../src/formatters/console');
+const JsonFormatter = require('../../src/formatters/json');
+const RuleEngine = require('../../src/ruleEngine');
+const { ResourceGraph } = require('../../src/utils/graph');
+const { IntrinsicResolver } = require('../../src/utils/intrinsics');
+const { findEntryPoints, findAttackPaths, formatAttackPath } = require('../../src/analysis/attackPaths');
+
+const fixture = path.join(__dirname, '../fixtures/attack-paths/template.yaml');
+const template = cfnYaml.parse(fs.readFileSync(fixture, 'utf8'));
+const graph = new ResourceGraph(template, { resolver: new IntrinsicResolver(template) });
+
+function graphOf(resources) {
+  const parsed = { Resources: resources };
+  return new ResourceGraph(parsed, { resolver: new IntrinsicResolver(parsed) });
+}
+
+describe('Attack path analysis', () => {
+  let fileResult;
+  let attackPaths;
+
+  before(async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_S3_011'] });
+    await scanner.initialize();
+    fileResult = await scanner.scanFile(fixture);
+    attackPaths = findAttackPaths(graph);
+  });
+
+  function attackPath(entry, target) {
+    return attackPaths.find(p => p.entry.resource === entry && p.target.resource === target);
+  }
+
+  test('should find internet-facing entry points', () => {
+    const entries = findEntryPoints(graph).map(entry => `${entry.resource}: ${entry.reason}`);
+    assert.deepStrictEqual(entries.sort(), [
+      'Api: API Gateway REST API',
+      'ItemsUrl: Lambda function URL without authentication',
+      'LoadBalancer: internet-facing application load balancer',
+      'Website: S3 bucket with a public bucket policy (WebsitePolicy)',
+    ]);
+  });
+
+  test('should trace APIs through functions and their roles to data stores', () => {
+    const table = attackPath('Api', 'Table');
+    assert.strictEqual(formatAttackPath(table.steps),
+      'Api -> GetItems (method) -> ItemsFunction (integration) -> ItemsRole (execution role) -> Table (policy items, read)');
+    assert.deepStrictEqual(table.target, { resource: 'Table', type: 'AWS::DynamoDB::Table', label: 'DynamoDB table' });
+
+    assert.strictEqual(attackPath('Api', 'Uploads').steps[4].via, 'policy items, write');
+    assert.strictEqual(attackPath('ItemsUrl', 'ApiKeySecret').steps[2].via, 'environment variable API_KEY_SECRET');
+  });
+
+  test('should trace load balancers to their targets and the databases they connect to', () => {
+    const database = attackPath('LoadBalancer', 'Database');
+    assert.strictEqual(formatAttackPath(database.steps),
+      'LoadBalancer -> Listener (listener) -> TargetGroup (forwards to) -> App (target) -> Database (network tcp/5432)');
+  });
+
+  test('should score paths by exposure, sensitivity, access and length', () => {
+    assert.deepStrictEqual(attackPath('Website', 'Website').steps, [{ resource: 'Website', type: 'AWS::S3::Bucket', via: null }]);
+    assert.strictEqual(attackPath('Website', 'Website').riskScore, 80);
+    assert.strictEqual(attackPath('Website', 'Website').severity, 'CRITICAL');
+    assert.strictEqual(attackPath('ItemsUrl', 'Table').riskScore, 73);
+    assert.strictEqual(attackPath('Api', 'Table').riskScore, 56);
+    assert.strictEqual(attackPath('Api', 'Table').severity, 'HIGH');
+
+    const scores = attackPaths.map(p => p.riskScore);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  test('should treat instances in public subnets as entry points', () => {
+    const paths = findAttackPaths(graphOf({
+      PublicSubnet: { Type: 'AWS::EC2::Subnet', Properties: { MapPublicIpOnLaunch: true } },
+      PrivateSubnet: { Type: 'AWS::EC2::Subnet', Properties: { MapPublicIpOnLaunch: false } },
+      Secret: { Type: 'AWS::SecretsManager::Secret' },
+      Web: {
+        Type: 'AWS::EC2::Instance',
+        Properties: { SubnetId: { Ref: 'PublicSubnet' }, UserData: { 'Fn::Base64': { 'Fn::Sub': 'fetch ${Secret}' } } },
+      },
+      Worker: {
+        Type: 'AWS::EC2::Instance',
+        Properties: { SubnetId: { Ref: 'PrivateSubnet' }, UserData: { 'Fn::Base64': { 'Fn::Sub': 'fetch ${Secret}' } } },
+      },
+    }));
+
+    assert.deepStrictEqual(paths.map(p => formatAttackPath(p.steps)), ['Web -> Secret (user data)']);
+    assert.strictEqual(paths[0].entry.reason, 'EC2 instance with a public IP address');
+  });
+
+  test('should find entry points in any condition variant', () => {
+    const { graph: variantGraph, resourceVariants } = new RuleEngine().prepare({
+      Parameters: { Public: { Type: 'String' } },
+      Conditions: { IsPublic: { 'Fn::Equals': [{ Ref: 'Public' }, 'yes'] } },
+      Resources: {
+        Function: { Type: 'AWS::Lambda::Function', Properties: { Environment: { Variables: { TABLE: { Ref: 'Table' } } } } },
+        Table: { Type: 'AWS::DynamoDB::Table' },
+        Url: {
+          Type: 'AWS::Lambda::Url',
+          Properties: { TargetFunctionArn: { 'Fn::GetAtt': ['Function', 'Arn'] }, AuthType: { 'Fn::If': ['IsPublic', 'NONE', 'AWS_IAM'] } },
+        },
+      },
+    });
+
+    assert.deepStrictEqual(findAttackPaths(variantGraph), []);
+    const [url] = findAttackPaths(variantGraph, { variants: resourceVariants });
+    assert.deepStrictEqual(url.entry.conditions, { IsPublic: true });
+    assert.strictEqual(formatAttackPath(url.steps), 'Url -> Function (invokes) -> Table (environment variable TABLE)');
+  });
+
+  test('should link roles to data stores through wildcard ARNs of their data actions', () => {
+    const paths = findAttackPaths(graphOf({
+      Url: { Type: 'AWS::Lambda::Url', Properties: { TargetFunctionArn: { Ref: 'Function' }, AuthType: 'NONE' } },
+      Function: { Type: 'AWS::Lambda::Function', Properties: { Role: { 'Fn::GetAtt': ['Role', 'Arn'] } } },
+      Database: { Type: 'AWS::RDS::DBInstance', Properties: { Engine: 'postgres' } },
+      Role: {
+        Type: 'AWS::IAM::Role',
+        Properties: {
+          Policies: [{
+            PolicyName: 'db',
+            PolicyDocument: { Statement: [{ Effect: 'Allow', Action: 'rds-db:connect', Resource: 'arn:aws:rds-db:*:*:dbuser:*/app' }] },
+          }],
+        },
+      },
+    }));
+
+    assert.deepStrictEqual(paths.map(p => formatAttackPath(p.steps)),
+      ['Url -> Function (invokes) -> Role (execution role) -> Database (policy db, write)']);
+  });
+
+  test('should report attack paths in JSON and console output', () => {
+    assert.strictEqual(fileResult.attackPaths.length, attackPaths.length);
+    assert.strictEqual(fileResult.attackPaths[0].filePath, fixture);
+
+    const json = JSON.parse(new JsonFormatter().format(fileResult.results, {}, [fileResult]));
+    assert.strictEqual(json.attackPaths.length, attackPaths.length);
+    assert.strictEqual(json.attackPaths[0].entry.resource, 'Website');
+
+    const output = new ConsoleFormatter({ color: false }).format(fileResult.results, {}, [fileResult]);
+    assert.match(output, new RegExp(`Attack paths \\(${attackPaths.length}\\):`));
+    assert.match(output, /\[CRITICAL 80\] Website -> Website \(S3 bucket\)/);
+    assert.match(output, /Path: LoadBalancer -> Listener \(listener\) -> TargetGroup/);
+  });
+});
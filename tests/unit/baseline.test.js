@@ -0,0 +1,60 @@
+/**
+ * Baseline Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { createBaseline, fingerprint } = require('../../src/utils/baseline');
+
+const root = path.join(__dirname, '../..');
+const template = path.join(root, 'tests/fixtures/parameters/stack.yaml');
+const rules = ['CFN_RDS_001', 'CFN_RDS_003'];
+
+async function scan(options) {
+  const scanner = new Scanner({ includeRules: rules, repoRoot: root, ...options });
+  await scanner.initialize();
+  await scanner.scanFile(template);
+  return scanner;
+}
+
+describe('Baseline', () => {
+  test('should fingerprint findings by rule, resource and repo-relative path', () => {
+    const result = { ruleId: 'CFN_RDS_003', resourceName: 'Database', filePath: template };
+
+    assert.strictEqual(fingerprint(result, root), fingerprint({ ...result, message: 'changed' }, root));
+    assert.notStrictEqual(fingerprint(result, root), fingerprint({ ...result, resourceName: 'Other' }, root));
+    assert.deepStrictEqual(createBaseline([{ ...result, status: 'FAILED', severity: 'MEDIUM' }], root).findings[0], {
+      fingerprint: fingerprint(result, root),
+      ruleId: 'CFN_RDS_003',
+      resourceName: 'Database',
+      filePath: 'tests/fixtures/parameters/stack.yaml',
+      severity: 'MEDIUM',
+    });
+  });
+
+  test('should report baselined findings as EXISTING without failing the scan', async () => {
+    const first = await scan({ parameters: { Encrypted: 'false' }, failOnSeverity: 'LOW' });
+    assert.strictEqual(first.getFailedResults().length, 2);
+
+    const baseline = createBaseline(first.getResults(), root);
+    const second = await scan({ parameters: { Encrypted: 'false' }, failOnSeverity: 'LOW', baseline });
+
+    assert.strictEqual(second.getFailedResults().length, 0);
+    assert.strictEqual(second.getExistingResults().length, 2);
+    assert.strictEqual(second.getSummary().existing, 2);
+    assert.strictEqual(second.shouldFail(), false);
+  });
+
+  test('should list baseline entries that no longer fail', async () => {
+    const first = await scan({ parameters: { Encrypted: 'false' } });
+    const baseline = createBaseline(first.getResults(), root);
+
+    const second = await scan({ baseline });
+    const fixed = second.getFixedBaselineEntries();
+
+    assert.deepStrictEqual(fixed.map(e => e.ruleId), ['CFN_RDS_001']);
+    assert.deepStrictEqual(second.getSummary().fixedBaselineEntries, fixed);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Scan Cache Unit Tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+
+const fixtures = path.join(__dirname, '../fixtures/parameters');
+
+describe('Scan cache', () => {
+  let cacheDir;
+  let cacheFile;
+
+  before(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cfn-scan-cache-'));
+    cacheFile = path.join(cacheDir, 'scan-cache.json');
+  });
+
+  after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  async function scan(options = {}) {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_001', 'CFN_RDS_003'], cache: cacheFile, ...options });
+    await scanner.initialize();
+    const fileResults = await scanner.scanDirectory(fixtures);
+    return { scanner, fileResults };
+  }
+
+  test('should reuse results for unchanged files', async () => {
+    const first = await scan();
+    assert.strictEqual(first.scanner.cache.hits, 0);
+    assert.ok(fs.existsSync(cacheFile));
+
+    const second = await scan();
+    assert.ok(second.scanner.cache.hits > 0);
+    assert.strictEqual(second.scanner.cache.misses, 0);
+    assert.deepStrictEqual(second.fileResults, first.fileResults);
+    assert.deepStrictEqual(second.scanner.getSummary(), first.scanner.getSummary());
+  });
+
+  test('should invalidate entries when the rule set or options change', async () => {
+    await scan();
+
+    const otherRules = await scan({ includeRules: ['CFN_RDS_001'] });
+    assert.strictEqual(otherRules.scanner.cache.hits, 0);
+
+    const otherOptions = await scan({ parameters: { Encrypted: 'false' } });
+    assert.strictEqual(otherOptions.scanner.cache.hits, 0);
+  });
+});
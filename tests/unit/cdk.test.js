@@ -0,0 +1,65 @@
+/**
+ * CDK Cloud Assembly Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { SarifFormatter } = require('../../src/formatters');
+const { readCloudAssembly } = require('../../src/utils/cdkAssembly');
+
+const assembly = path.join(__dirname, '../fixtures/cdk/cdk.out');
+
+describe('CDK cloud assemblies', () => {
+  async function scanAssembly() {
+    const scanner = new Scanner({ includeRules: ['CFN_EC2_001', 'CFN_S3_001', 'CFN_SQS_001'] });
+    await scanner.initialize();
+    const fileResults = await scanner.scanCloudAssembly(assembly);
+    return { scanner, fileResults };
+  }
+
+  test('should read stacks from the manifest and nested stage assemblies', () => {
+    const stacks = readCloudAssembly(path.join(assembly, 'manifest.json'));
+
+    assert.deepStrictEqual(stacks.map(stack => stack.displayName), ['AppStack', 'Prod/DatabaseStack']);
+    assert.strictEqual(stacks[0].templateFile, path.join(assembly, 'AppStack.template.json'));
+    assert.deepStrictEqual(stacks[0].pseudoParameters, {
+      'AWS::AccountId': '111122223333',
+      'AWS::Region': 'eu-west-1',
+      'AWS::StackName': 'AppStack',
+    });
+    assert.deepStrictEqual(stacks[1].pseudoParameters, { 'AWS::StackName': 'Prod-DatabaseStack' });
+  });
+
+  test('should report an error for a directory without a manifest', () => {
+    assert.throws(() => readCloudAssembly(path.join(assembly, '..')), /Cloud assembly manifest not found/);
+  });
+
+  test('should map findings to construct paths, including nested stack assets', async () => {
+    const { fileResults } = await scanAssembly();
+    const results = fileResults.flatMap(fileResult => fileResult.results);
+
+    const bucket = results.find(r => r.ruleId === 'CFN_S3_001');
+    assert.strictEqual(bucket.constructPath, 'AppStack/DataBucket/Resource');
+
+    const ssh = results.find(r => r.ruleId === 'CFN_EC2_001');
+    assert.strictEqual(ssh.status, 'FAILED', 'the nested stack receives IngressPort 22 from its parent');
+    assert.strictEqual(ssh.constructPath, 'AppStack/Network/WebSecurityGroup/Resource');
+    assert.deepStrictEqual(ssh.stackPath, ['AppStack', 'NetworkNestedStackNetworkNestedStackResource5B2C1F7A']);
+    assert.strictEqual(ssh.filePath, path.join(assembly, 'AppStackNetworkD5E7C1A2.nested.template.json'));
+
+    const queue = results.find(r => r.ruleId === 'CFN_SQS_001');
+    assert.strictEqual(queue.constructPath, 'Prod/DatabaseStack/Queue/Resource');
+  });
+
+  test('should include construct paths in SARIF logical locations', async () => {
+    const { scanner, fileResults } = await scanAssembly();
+    const sarif = JSON.parse(new SarifFormatter().format(scanner.getResults(), scanner.getSummary(), fileResults));
+
+    const result = sarif.runs[0].results.find(r => r.ruleId === 'CFN_S3_001');
+    assert.ok(result.locations[0].logicalLocations.some(location =>
+      location.fullyQualifiedName === 'AppStack/DataBucket/Resource'));
+    assert.strictEqual(result.properties.constructPath, 'AppStack/DataBucket/Resource');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * CloudFormation YAML Parser Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../../src/utils/cfnYaml');
+const Scanner = require('../../src/scanner');
+
+describe('cfnYaml locations', () => {
+  const yamlTemplate = [
+    'Resources:',
+    '  WebSG:',
+    '    Type: AWS::EC2::SecurityGroup',
+    '    Properties:',
+    '      GroupDescription: web',
+    '      SecurityGroupIngress:',
+    '        - IpProtocol: tcp',
+    '          FromPort: 22',
+    '          ToPort: 22',
+    '          CidrIp: 0.0.0.0/0',
+    '',
+  ].join('\n');
+
+  test('should map resource and property paths to lines and columns', () => {
+    const { template, locations } = cfnYaml.parseWithLocations(yamlTemplate);
+
+    assert.strictEqual(template.Resources.WebSG.Type, 'AWS::EC2::SecurityGroup');
+    assert.deepStrictEqual(locations.get('Resources.WebSG'), {
+      startLine: 2, startColumn: 3, endLine: 10, endColumn: 28,
+    });
+    assert.deepStrictEqual(locations.get('Resources.WebSG.Properties.SecurityGroupIngress[0].CidrIp'), {
+      startLine: 10, startColumn: 11, endLine: 10, endColumn: 28,
+    });
+  });
+
+  test('should locate properties in JSON templates', () => {
+    const json = JSON.stringify(cfnYaml.parse(yamlTemplate), null, 2);
+    const { locations } = cfnYaml.parseWithLocations(json);
+
+    const location = locations.get('Resources.WebSG.Properties.SecurityGroupIngress[0].CidrIp');
+    assert.strictEqual(json.split('\n')[location.startLine - 1].trim(), '"CidrIp": "0.0.0.0/0"');
+  });
+
+  test('should fall back to the nearest located ancestor', () => {
+    const { locations } = cfnYaml.parseWithLocations(yamlTemplate);
+    const location = cfnYaml.findLocation(locations, 'Resources.WebSG.Properties.Tags');
+
+    assert.strictEqual(location.startLine, 4);
+  });
+
+  test('should attach property path and location to findings', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_EC2_001'] });
+    await scanner.initialize();
+
+    const { locations, template } = cfnYaml.parseWithLocations(yamlTemplate);
+    const results = await scanner.ruleEngine.evaluate(template, 'test.yaml', { locations });
+
+    assert.strictEqual(results[0].propertyPath, 'Properties.SecurityGroupIngress[0].CidrIp');
+    assert.strictEqual(results[0].location.startLine, 10);
+  });
+
+  test('should report locations when scanning files', async () => {
+    const scanner = new Scanner();
+    await scanner.initialize();
+
+    const { results } = await scanner.scanFile(path.join(__dirname, '../fixtures/sample-template.yaml'));
+    const bucketResult = results.find(r => r.resourceName === 'TestS3Bucket');
+
+    assert.strictEqual(bucketResult.location.startLine >= 5, true);
+  });
+});
+
+describe('cfnYaml short-form conformance', () => {
+  const fixtures = path.join(__dirname, '../fixtures/conformance');
+  const pairs = fs.readdirSync(fixtures)
+    .filter(file => file.endsWith('.yaml'))
+    .map(file => path.basename(file, '.yaml'));
+
+  for (const name of pairs) {
+    test(`${name}.yaml should parse to the same object as ${name}.json`, () => {
+      const fromYaml = cfnYaml.parse(fs.readFileSync(path.join(fixtures, `${name}.yaml`), 'utf8'));
+      const fromJson = JSON.parse(fs.readFileSync(path.join(fixtures, `${name}.json`), 'utf8'));
+
+      assert.deepStrictEqual(fromYaml, fromJson);
+    });
+  }
+
+  test('should split !GetAtt on the first dot only', () => {
+    assert.deepStrictEqual(cfnYaml.parse('A: !GetAtt Stack.Outputs.Id'), {
+      A: { 'Fn::GetAtt': ['Stack', 'Outputs.Id'] },
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Change Set Analyzer Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ChangeSetAnalyzer, diffTemplates, readChangeSet } = require('../../src/changeSet');
+
+const fixtures = path.join(__dirname, '../fixtures/changeset');
+const before = path.join(fixtures, 'before.yaml');
+const after = path.join(fixtures, 'after.yaml');
+const afterRetained = path.join(fixtures, 'after-retained.yaml');
+
+describe('Change set analysis', () => {
+  test('should split findings into new, resolved and unchanged', async () => {
+    const analyzer = new ChangeSetAnalyzer({ includeRules: ['CFN_EC2_001', 'CFN_RDS_001', 'CFN_S3_001'] });
+    const report = await analyzer.analyze({ before, after });
+
+    const ids = results => results.map(r => `${r.ruleId} ${r.resourceName}`).sort();
+    assert.deepStrictEqual(ids(report.findings.new), ['CFN_EC2_001 WebSecurityGroup']);
+    assert.deepStrictEqual(ids(report.findings.resolved), ['CFN_RDS_001 Database', 'CFN_S3_001 LogsBucket']);
+    assert.deepStrictEqual(ids(report.findings.unchanged), ['CFN_S3_001 DataBucket']);
+    assert.strictEqual(report.regression, true);
+  });
+
+  test('should only count new findings at or above the threshold as a regression', async () => {
+    const analyzer = new ChangeSetAnalyzer({ includeRules: ['CFN_RDS_010'], failOnSeverity: 'HIGH' });
+    const report = await analyzer.analyze({ before, after: afterRetained });
+
+    assert.strictEqual(report.findings.new.length, 1);
+    assert.strictEqual(report.findings.new[0].severity, 'MEDIUM');
+    assert.strictEqual(report.regression, false);
+  });
+
+  test('should count a replacement with data loss as a regression', async () => {
+    const analyzer = new ChangeSetAnalyzer({ includeRules: ['CFN_RDS_010'], failOnSeverity: 'HIGH' });
+    const report = await analyzer.analyze({ before, after });
+
+    assert.deepStrictEqual(report.findings.new.map(r => r.severity), ['MEDIUM']);
+    assert.deepStrictEqual(report.resources.replaced.filter(c => c.dataLoss).map(c => c.logicalId), ['DataBucket']);
+    assert.strictEqual(report.regression, true);
+  });
+
+  test('should report replaced, deleted and modified stateful resources from the templates', async () => {
+    const report = await new ChangeSetAnalyzer({ includeRules: ['CFN_S3_001'] }).analyze({ before, after });
+    const { replaced, deleted, statefulModified } = report.resources;
+
+    assert.deepStrictEqual(replaced.map(c => [c.logicalId, c.properties, c.dataLoss]), [
+      ['DataBucket', ['BucketName'], true],
+      ['Database', ['StorageEncrypted'], false],
+    ]);
+    assert.deepStrictEqual(deleted.map(c => [c.logicalId, c.policy, c.dataLoss]), [['LogsBucket', 'Retain', false]]);
+    assert.deepStrictEqual(statefulModified.map(c => [c.logicalId, c.properties]),
+      [['OrdersTable', ['PointInTimeRecoverySpecification']]]);
+  });
+
+  test('should treat a type change as a replacement', () => {
+    const changes = diffTemplates(
+      { Resources: { Store: { Type: 'AWS::S3::Bucket' } } },
+      { Resources: { Store: { Type: 'AWS::DynamoDB::Table' } } }
+    );
+    assert.deepStrictEqual(changes.map(c => [c.action, c.replacement]), [['Modify', 'True']]);
+  });
+
+  test('should read resource changes from a saved change set', async () => {
+    const changes = readChangeSet(path.join(fixtures, 'change-set.json'));
+    assert.deepStrictEqual(changes.map(c => [c.logicalId, c.action, c.replacement]), [
+      ['DataBucket', 'Modify', 'True'],
+      ['LogsBucket', 'Remove', 'False'],
+      ['Database', 'Modify', 'Conditional'],
+    ]);
+
+    const report = await new ChangeSetAnalyzer().analyze({ changeSet: path.join(fixtures, 'change-set.json') });
+    assert.deepStrictEqual(report.resources.replaced.map(c => c.logicalId), ['DataBucket', 'Database']);
+    assert.deepStrictEqual([...report.resources.replaced, ...report.resources.deleted].map(c => [c.logicalId, c.dataLoss]), [
+      ['DataBucket', 'possible'],
+      ['Database', 'possible'],
+      ['LogsBucket', 'possible'],
+    ], 'policies are unknown without templates');
+    assert.strictEqual(report.regression, true);
+
+    const withTemplates = await new ChangeSetAnalyzer({ includeRules: ['CFN_S3_001'] })
+      .analyze({ before, after: afterRetained, changeSet: path.join(fixtures, 'change-set.json') });
+    assert.strictEqual(withTemplates.regression, false);
+  });
+
+  test('should require templates or a change set', async () => {
+    await assert.rejects(() => new ChangeSetAnalyzer().analyze({ before }), /needs --before and --after/);
+  });
+});
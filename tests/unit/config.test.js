@@ -0,0 +1,66 @@
+/**
+ * Config Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { findConfigFile, loadConfig, validateConfig, mergeOptions } = require('../../src/config');
+
+const CONFIG_DIR = path.join(__dirname, '../fixtures/config');
+
+describe('Config', () => {
+  test('should find config file walking up from the scan path', () => {
+    const found = findConfigFile(path.join(CONFIG_DIR, 'nested/templates/stack.yaml'));
+    assert.strictEqual(found, path.join(CONFIG_DIR, '.cfn-scanner.yaml'));
+  });
+
+  test('should load YAML config', () => {
+    const { config } = loadConfig({ scanPath: path.join(CONFIG_DIR, 'nested') });
+    assert.deepStrictEqual(config.skipRules, ['CFN_S3_007']);
+    assert.strictEqual(config.failOn, 'CRITICAL');
+  });
+
+  test('should reject unknown keys with a suggestion', () => {
+    assert.throws(
+      () => validateConfig({ skiprules: [] }, '.cfn-scanner.json'),
+      /Unknown key "skiprules" in \.cfn-scanner\.json \(did you mean "skipRules"\?\)/
+    );
+  });
+
+  test('should reject invalid severity values', () => {
+    assert.throws(() => validateConfig({ failOn: 'SEVERE' }), /Invalid value for "failOn"/);
+  });
+
+  test('should merge CLI flags over config values', () => {
+    const merged = mergeOptions(
+      { severity: 'INFO', failOn: 'LOW', framework: 'all', skipRules: ['CFN_EC2_006'], includeRules: [] },
+      { severity: 'MEDIUM', failOn: 'CRITICAL', skipRules: ['CFN_S3_007'] },
+      key => key === 'failOn'
+    );
+
+    assert.strictEqual(merged.severity, 'MEDIUM');
+    assert.strictEqual(merged.failOn, 'LOW');
+    assert.deepStrictEqual(merged.skipRules, ['CFN_S3_007', 'CFN_EC2_006']);
+  });
+
+  test('should skip excluded files when scanning a directory', async () => {
+    const scanner = new Scanner({ exclude: ['**/examples/**'] });
+    await scanner.initialize();
+
+    const results = await scanner.scanDirectory(path.join(CONFIG_DIR, 'nested'));
+
+    assert.strictEqual(results.length, 1);
+    assert.ok(results[0].file.endsWith(path.join('templates', 'stack.yaml')));
+  });
+
+  test('should resolve exclude globs against the config file directory', async () => {
+    const { config } = loadConfig({ configPath: path.join(CONFIG_DIR, 'exclude.json') });
+    const scanner = new Scanner({ exclude: config.exclude });
+    await scanner.initialize();
+
+    const results = await scanner.scanDirectory(path.join(CONFIG_DIR, 'nested'));
+    assert.deepStrictEqual(results.map(r => path.relative(CONFIG_DIR, r.file)), [path.join('nested', 'templates', 'stack.yaml')]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Declarative Rule Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { compileRule, loadDeclarativeRules } = require('../../src/declarativeRules');
+
+const rulesFile = path.join(__dirname, '../fixtures/declarative-rules/storage.yaml');
+
+const bucketRule = (assertion, examples) => ({
+  id: 'TEST_001',
+  severity: 'HIGH',
+  resourceTypes: ['AWS::S3::Bucket'],
+  assert: assertion,
+  ...(examples && { examples }),
+});
+
+describe('Declarative rules', () => {
+  test('should compile rules with the same metadata as JavaScript rules', () => {
+    const [rule] = loadDeclarativeRules(rulesFile);
+
+    assert.strictEqual(rule.id, 'ORG_S3_001');
+    assert.strictEqual(rule.severity, 'HIGH');
+    assert.strictEqual(rule.category, 'access-control');
+    assert.deepStrictEqual(rule.frameworks, ['CIS']);
+    assert.strictEqual(typeof rule.evaluate, 'function');
+  });
+
+  test('should report the failing property path and skip unknown values', async () => {
+    const scanner = new Scanner({ rulesDirs: [path.dirname(rulesFile)], includeRules: ['ORG_S3_001', 'ORG_RDS_001'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate({
+      Resources: {
+        Bucket: {
+          Type: 'AWS::S3::Bucket',
+          Properties: { PublicAccessBlockConfiguration: { BlockPublicAcls: true, BlockPublicPolicy: 'false' } },
+        },
+        Aurora: { Type: 'AWS::RDS::DBInstance', Properties: { Engine: 'aurora-mysql' } },
+        Imported: { Type: 'AWS::RDS::DBInstance', Properties: { Engine: { 'Fn::ImportValue': 'engine' } } },
+      },
+    }, 'test.yaml');
+
+    const bucket = results.find(r => r.resourceName === 'Bucket');
+    assert.strictEqual(bucket.status, 'FAILED');
+    assert.strictEqual(bucket.propertyPath, 'Properties.PublicAccessBlockConfiguration.BlockPublicPolicy');
+
+    assert.ok(!results.some(r => r.resourceName === 'Aurora'));
+    assert.strictEqual(results.find(r => r.resourceName === 'Imported').status, 'SKIPPED');
+  });
+
+  test('should support every/some, regex and numeric assertions', () => {
+    const rule = compileRule(bucketRule({
+      path: 'Properties.LifecycleConfiguration.Rules',
+      every: {
+        all: [
+          { path: 'Id', matches: '^retain-' },
+          { path: 'ExpirationInDays', lessThanOrEqual: 365 },
+        ],
+      },
+    }));
+
+    const evaluate = rules => rule.evaluate({ resource: { Properties: { LifecycleConfiguration: { Rules: rules } } } });
+
+    assert.strictEqual(evaluate([{ Id: 'retain-logs', ExpirationInDays: 30 }]).passed, true);
+    const failure = evaluate([{ Id: 'retain-logs', ExpirationInDays: 30 }, { Id: 'retain-x', ExpirationInDays: 900 }]);
+    assert.strictEqual(failure.passed, false);
+    assert.strictEqual(failure.path, 'Properties.LifecycleConfiguration.Rules[1].ExpirationInDays');
+  });
+
+  test('should check embedded examples when the rule loads', () => {
+    const assertion = { path: 'Properties.VersioningConfiguration.Status', equals: 'Enabled' };
+
+    assert.doesNotThrow(() => compileRule(bucketRule(assertion, {
+      pass: [{ Properties: { VersioningConfiguration: { Status: 'Enabled' } } }],
+      fail: [{ Properties: {} }],
+    })));
+    assert.throws(
+      () => compileRule(bucketRule(assertion, { fail: [{ Properties: { VersioningConfiguration: { Status: 'Enabled' } } }] })),
+      /Example fail\[0\] of rule TEST_001 .* should fail but passed/
+    );
+  });
+
+  test('should reject unknown operators and keys', () => {
+    assert.throws(() => compileRule(bucketRule({ path: 'Properties.X', equal: true })), /Unknown operator "equal"/);
+    assert.throws(() => compileRule({ ...bucketRule({ path: 'Properties.X', exists: true }), level: 'HIGH' }), /Unknown key "level"/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Git-Aware Scanning Unit Tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { createBaseline } = require('../../src/utils/baseline');
+const { changedLines, parseDiff } = require('../../src/utils/git');
+
+const bucket = name => `  ${name}:\n    Type: AWS::S3::Bucket\n    Properties:\n      BucketName: ${name.toLowerCase()}\n`;
+
+describe('Git-aware scanning', () => {
+  let repo;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+  const write = (file, content) => fs.writeFileSync(path.join(repo, file), content);
+
+  before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'cfn-scan-git-'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    // Diff prefixes such as w/ must not hide the changes
+    git('config', 'diff.mnemonicPrefix', 'true');
+
+    write('app.yaml', `Resources:\n${bucket('Assets')}${bucket('Logs')}`);
+    write('unchanged.yaml', `Resources:\n${bucket('Archive')}`);
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+
+    // One resource edited, one template added
+    write('app.yaml', `Resources:\n${bucket('Assets')}${bucket('Logs').replace('logs', 'audit-logs')}`);
+    write('new.yaml', `Resources:\n${bucket('Uploads')}`);
+  });
+
+  after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  async function scan(options = {}) {
+    const scanner = new Scanner({ includeRules: ['CFN_S3_001'], repoRoot: repo, changedSince: 'main', ...options });
+    await scanner.initialize();
+    const fileResults = await scanner.scanDirectory(repo);
+    return { scanner, fileResults };
+  }
+
+  test('should read changed line ranges from a diff', () => {
+    const diff = [
+      '--- a/app.yaml', '+++ b/app.yaml', '@@ -9 +9 @@', '-      BucketName: logs', '+      BucketName: audit-logs',
+      '@@ -12,2 +11,0 @@',
+      '--- /dev/null', '+++ "b/my\\tstack.yaml"', '@@ -0,0 +1,3 @@',
+      '--- /dev/null', '+++ "b/caf\\303\\251 \\"v2\\".yaml"', '@@ -0,0 +1 @@',
+    ].join('\n');
+
+    assert.deepStrictEqual([...parseDiff(diff, '/repo')], [
+      [path.join('/repo', 'app.yaml'), [[9, 9], [11, 11]]],
+      [path.join('/repo', 'my\tstack.yaml'), [[1, 3]]],
+      [path.join('/repo', 'café "v2".yaml'), [[1, 1]]],
+    ]);
+  });
+
+  test('should include modified and untracked files', () => {
+    const changes = changedLines('main', repo);
+    assert.deepStrictEqual([...changes.keys()].map(file => path.relative(repo, file)).sort(), ['app.yaml', 'new.yaml']);
+    assert.deepStrictEqual(changes.get(path.join(repo, 'app.yaml')), [[9, 9]]);
+    assert.throws(() => changedLines('no-such-ref', repo), /Unknown git ref: no-such-ref/);
+  });
+
+  test('should only scan templates changed since the ref', async () => {
+    const { fileResults } = await scan();
+    assert.deepStrictEqual(fileResults.map(r => path.basename(r.file)), ['app.yaml', 'new.yaml']);
+  });
+
+  test('should narrow reporting to resources whose lines changed', async () => {
+    const { scanner } = await scan({ changedLinesOnly: true });
+    assert.deepStrictEqual(scanner.getFailedResults().map(r => r.resourceName), ['Logs', 'Uploads']);
+  });
+
+  test('should not report baseline entries of unchanged resources as fixed', async () => {
+    const full = new Scanner({ includeRules: ['CFN_S3_001'], repoRoot: repo });
+    await full.initialize();
+    await full.scanDirectory(repo);
+    const baseline = createBaseline(full.getResults(), repo);
+
+    const { scanner } = await scan({ changedLinesOnly: true, baseline });
+    assert.deepStrictEqual(scanner.getExistingResults().map(r => r.resourceName), ['Logs', 'Uploads']);
+    assert.deepStrictEqual(scanner.getSummary().fixedBaselineEntries, []);
+    assert.strictEqual(scanner.shouldFail(), false);
+  });
+});
+
+describe('Git-aware scanning of template dependencies', () => {
+  let repo;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+  const write = (file, content) => fs.writeFileSync(path.join(repo, file), content);
+
+  before(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'cfn-scan-git-'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+
+    write('stack.yaml', 'Resources:\n  Child:\n    Type: AWS::CloudFormation::Stack\n    Properties:\n      TemplateURL: ./child.yaml\n');
+    write('child.yaml', `Resources:\n${bucket('Archive')}`);
+    write('included.yaml', [
+      'Resources:', '  Assets:', '    Type: AWS::S3::Bucket', '    Properties:', '      Fn::Transform:',
+      '        Name: AWS::Include', '        Parameters:', '          Location: ./snippet.yaml', '',
+    ].join('\n'));
+    write('snippet.yaml', 'BucketName: assets\n');
+    write('paired.yaml', 'Parameters:\n  Name:\n    Type: String\nResources:\n  Logs:\n    Type: AWS::S3::Bucket\n    Properties:\n      BucketName: !Ref Name\n');
+    write('paired.parameters.json', '[{ "ParameterKey": "Name", "ParameterValue": "logs" }]');
+    write('other.yaml', `Resources:\n${bucket('Uploads')}`);
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+
+    // Only a nested template, an included snippet and a parameter file change
+    write('child.yaml', `Resources:\n${bucket('Archive').replace('archive', 'archive-v2')}`);
+    write('snippet.yaml', 'BucketName: assets-v2\n');
+    write('paired.parameters.json', '[{ "ParameterKey": "Name", "ParameterValue": "audit-logs" }]');
+  });
+
+  after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  async function scanner() {
+    const instance = new Scanner({ includeRules: ['CFN_S3_001'], repoRoot: repo, changedSince: 'main', pairParameterFiles: true });
+    return instance.initialize();
+  }
+
+  test('should scan templates whose nested templates, snippets or parameter files changed', async () => {
+    const instance = await scanner();
+    const parsed = [];
+    const loadTemplate = instance.loadTemplate.bind(instance);
+    instance.loadTemplate = file => {
+      parsed.push(path.basename(file));
+      return loadTemplate(file);
+    };
+
+    const fileResults = await instance.scanDirectory(repo);
+    assert.deepStrictEqual(fileResults.map(r => path.basename(r.file)), ['included.yaml', 'paired.yaml', 'stack.yaml']);
+    assert.deepStrictEqual(parsed.filter(file => file !== 'child.yaml').sort(),
+      ['included.yaml', 'other.yaml', 'paired.parameters.json', 'paired.yaml', 'snippet.yaml', 'stack.yaml'],
+      'each file is parsed once');
+  });
+
+  test('should apply the changes to single-file scans', async () => {
+    const unchanged = await scanner();
+    assert.deepStrictEqual(await unchanged.scanFile(path.join(repo, 'other.yaml')), { file: path.join(repo, 'other.yaml'), results: [] });
+    assert.strictEqual(unchanged.getSummary().filesScanned, 0);
+
+    const parent = await scanner();
+    const { results } = await parent.scanFile(path.join(repo, 'stack.yaml'));
+    assert.deepStrictEqual(results.map(r => r.resourceName), ['Archive']);
+  });
+});
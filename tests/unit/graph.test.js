@@ -0,0 +1,100 @@
+/**
+ * Resource Graph Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const Scanner = require('../../src/scanner');
+const { ResourceGraph } = require('../../src/utils/graph');
+const { IntrinsicResolver } = require('../../src/utils/intrinsics');
+
+const template = {
+  Parameters: {
+    CreateLogs: { Type: 'String', Default: 'false' },
+  },
+  Conditions: {
+    HasLogs: { 'Fn::Equals': [{ Ref: 'CreateLogs' }, 'true'] },
+  },
+  Resources: {
+    Key: { Type: 'AWS::KMS::Key', Properties: { EnableKeyRotation: true } },
+    Bucket: {
+      Type: 'AWS::S3::Bucket',
+      DependsOn: 'Key',
+      Properties: {
+        BucketEncryption: {
+          ServerSideEncryptionConfiguration: [{
+            ServerSideEncryptionByDefault: { KMSMasterKeyID: { 'Fn::GetAtt': ['Key', 'Arn'] } },
+          }],
+        },
+      },
+    },
+    Policy: {
+      Type: 'AWS::S3::BucketPolicy',
+      Properties: {
+        Bucket: { Ref: 'Bucket' },
+        PolicyDocument: { Statement: [{ Resource: { 'Fn::Sub': '${Bucket.Arn}/*' } }] },
+      },
+    },
+    Logs: {
+      Type: 'AWS::S3::Bucket',
+      Condition: 'HasLogs',
+      Properties: { BucketName: { 'Fn::Sub': '${Bucket}-logs' } },
+    },
+  },
+};
+
+describe('ResourceGraph', () => {
+  const resolver = new IntrinsicResolver(template, { parameters: { CreateLogs: 'false' } });
+  const graph = new ResourceGraph(template, { resolver });
+
+  test('should collect Ref, GetAtt, Sub and DependsOn edges', () => {
+    assert.deepStrictEqual(graph.dependenciesOf('Bucket'), ['Key']);
+    assert.deepStrictEqual(graph.edgesFrom('Bucket').map(e => [e.kind, e.path]), [
+      ['DependsOn', 'DependsOn'],
+      ['GetAtt', 'Properties.BucketEncryption.ServerSideEncryptionConfiguration[0].ServerSideEncryptionByDefault.KMSMasterKeyID'],
+    ]);
+    assert.deepStrictEqual(graph.edgesFrom('Policy').map(e => [e.kind, e.attribute]), [
+      ['Ref', null],
+      ['Sub', 'Arn'],
+    ]);
+  });
+
+  test('should find referencing resources and skip resources whose condition is false', () => {
+    assert.deepStrictEqual(graph.referencedBy('Bucket'), ['Policy']);
+    assert.strictEqual(graph.has('Logs'), false);
+  });
+
+  test('should resolve raw and resolved references to the target resource', () => {
+    const bucket = graph.getResource('Bucket');
+    const keyId = bucket.Properties.BucketEncryption.ServerSideEncryptionConfiguration[0]
+      .ServerSideEncryptionByDefault.KMSMasterKeyID;
+
+    const target = graph.resolve(keyId);
+    assert.strictEqual(target.name, 'Key');
+    assert.strictEqual(target.attribute, 'Arn');
+    assert.strictEqual(target.resource.Properties.EnableKeyRotation, true);
+
+    assert.strictEqual(graph.resolve({ Ref: 'Bucket' }).type, 'AWS::S3::Bucket');
+    assert.strictEqual(graph.resolve({ 'Fn::Sub': '${Key.Arn}' }).name, 'Key');
+    assert.strictEqual(graph.resolve({ Ref: 'CreateLogs' }), null);
+  });
+});
+
+describe('Rules using the resource graph', () => {
+  test('should find a flow log that references the VPC through Fn::Sub', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_EC2_010'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate({
+      Resources: {
+        Vpc: { Type: 'AWS::EC2::VPC', Properties: { CidrBlock: '10.0.0.0/16' } },
+        FlowLog: {
+          Type: 'AWS::EC2::FlowLog',
+          Properties: { ResourceId: { 'Fn::Sub': '${Vpc}' }, ResourceType: 'VPC', TrafficType: 'ALL' },
+        },
+      },
+    }, 'test.yaml');
+
+    assert.strictEqual(results[0].status, 'PASSED');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Guard Rule Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { compileGuardRules, loadGuardRules } = require('../../src/guard');
+const { parseGuard } = require('../../src/guard/parser');
+
+const rulesFile = path.join(__dirname, '../fixtures/guard-rules/s3.guard');
+
+const template = {
+  Resources: {
+    Encrypted: {
+      Type: 'AWS::S3::Bucket',
+      Properties: {
+        BucketEncryption: {
+          ServerSideEncryptionConfiguration: [{ ServerSideEncryptionByDefault: { SSEAlgorithm: 'aws:kms' } }],
+        },
+        VersioningConfiguration: { Status: 'Suspended' },
+        Tags: [{ Key: 'Owner', Value: 'storage@example.com' }],
+      },
+    },
+    Plain: {
+      Type: 'AWS::S3::Bucket',
+      Properties: { Tags: [{ Key: 'Owner', Value: 'Storage Team' }] },
+    },
+    Logs: { Type: 'AWS::Logs::LogGroup', Properties: { RetentionInDays: 30 } },
+  },
+};
+
+async function evaluate(includeRules, document = template) {
+  const scanner = new Scanner({ rulesDirs: [path.dirname(rulesFile)], includeRules });
+  await scanner.initialize();
+  return scanner.ruleEngine.evaluate(document, 'test.yaml');
+}
+
+describe('Guard rules', () => {
+  test('should compile each named rule with its annotations and resource types', () => {
+    const rules = loadGuardRules(rulesFile);
+    const encrypted = rules.find(rule => rule.id === 'S3_BUCKET_ENCRYPTED');
+
+    assert.deepStrictEqual(rules.map(rule => rule.id), [
+      'S3_BUCKET_ENCRYPTED', 'S3_BUCKET_VERSIONED', 'S3_BUCKET_OWNER_TAG', 'LOG_GROUPS_RETAINED', 'TEMPLATE_DESCRIBED',
+    ]);
+    assert.strictEqual(encrypted.severity, 'HIGH');
+    assert.strictEqual(encrypted.category, 'encryption');
+    assert.deepStrictEqual(encrypted.resourceTypes, ['AWS::S3::Bucket']);
+    assert.strictEqual(rules.find(rule => rule.id === 'S3_BUCKET_VERSIONED').severity, 'LOW');
+    assert.deepStrictEqual(rules.find(rule => rule.id === 'TEMPLATE_DESCRIBED').resourceTypes, ['AWS::CloudFormation::Template']);
+  });
+
+  test('should report per resource with the failing path and custom messages', async () => {
+    const results = await evaluate(['S3_BUCKET_ENCRYPTED']);
+
+    assert.strictEqual(results.find(r => r.resourceName === 'Encrypted').status, 'PASSED');
+
+    const plain = results.find(r => r.resourceName === 'Plain');
+    assert.strictEqual(plain.status, 'FAILED');
+    assert.strictEqual(plain.severity, 'HIGH');
+    assert.strictEqual(plain.propertyPath, 'Properties.BucketEncryption');
+    assert.match(plain.message, /^S3_BUCKET_ENCRYPTED: Check failed: %s3_buckets\.Properties\.BucketEncryption exists/);
+
+    // A << message >> belongs to the clause right before it
+    assert.match(plain.details.failures[1].message, /^Violation: S3 buckets must be encrypted at rest Fix:/);
+    assert.ok(!results.some(r => r.resourceName === 'Logs'));
+  });
+
+  test('should skip rules whose when clause does not hold', async () => {
+    const results = await evaluate(['S3_BUCKET_ENCRYPTED', 'S3_BUCKET_VERSIONED', 'LOG_GROUPS_RETAINED'], {
+      Resources: { Logs: { Type: 'AWS::Logs::LogGroup', Properties: {} } },
+    });
+
+    assert.ok(!results.some(r => r.ruleId.startsWith('S3_')));
+    assert.strictEqual(results.find(r => r.ruleId === 'LOG_GROUPS_RETAINED').status, 'PASSED');
+  });
+
+  test('should gate on named rules and evaluate type blocks', async () => {
+    const results = await evaluate(['S3_BUCKET_VERSIONED'], {
+      Resources: {
+        Bucket: {
+          Type: 'AWS::S3::Bucket',
+          Properties: {
+            BucketEncryption: { ServerSideEncryptionConfiguration: [{ ServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }] },
+            VersioningConfiguration: { Status: 'Suspended' },
+          },
+        },
+      },
+    });
+
+    const [result] = results;
+    assert.strictEqual(result.status, 'FAILED');
+    assert.strictEqual(result.propertyPath, 'Properties.VersioningConfiguration.Status');
+    assert.match(result.message, /== "Enabled" \(found "Suspended"\)/);
+
+    // The encryption rule fails for the original template, so versioning is skipped
+    assert.deepStrictEqual(await evaluate(['S3_BUCKET_VERSIONED']), []);
+  });
+
+  test('should support some, regex and or clauses', async () => {
+    const results = await evaluate(['S3_BUCKET_OWNER_TAG', 'LOG_GROUPS_RETAINED']);
+
+    assert.strictEqual(results.find(r => r.resourceName === 'Encrypted').status, 'PASSED');
+    const plain = results.find(r => r.resourceName === 'Plain');
+    assert.strictEqual(plain.status, 'FAILED');
+    assert.strictEqual(plain.message, 'Buckets must have an Owner tag with a team email');
+    assert.strictEqual(results.find(r => r.resourceName === 'Logs').status, 'FAILED');
+  });
+
+  test('should report template-level rules against the template', async () => {
+    const [missing] = await evaluate(['TEMPLATE_DESCRIBED']);
+    assert.strictEqual(missing.resourceName, 'Template');
+    assert.strictEqual(missing.status, 'FAILED');
+    assert.strictEqual(missing.propertyPath, 'Description');
+
+    const [described] = await evaluate(['TEMPLATE_DESCRIBED'], { ...template, Description: 'Storage' });
+    assert.strictEqual(described.status, 'PASSED');
+  });
+
+  test('should support variables, IN lists and negated operators', () => {
+    const [rule] = compileGuardRules(`
+      let allowed = ['t3.micro', 't3.small']
+      rule INSTANCE_TYPES {
+        Resources.*[ Type IN ['AWS::EC2::Instance'] ] {
+          Properties.InstanceType IN %allowed
+          Properties.InstanceType != /^x/
+          Properties.UserData !exists
+        }
+      }
+    `);
+    const check = (properties) => rule.evaluate({
+      template: { Resources: { Host: { Type: 'AWS::EC2::Instance', Properties: properties } } },
+      resourceName: 'Host',
+    });
+
+    assert.deepStrictEqual(rule.resourceTypes, ['AWS::EC2::Instance']);
+    assert.strictEqual(check({ InstanceType: 't3.micro' }).passed, true);
+    assert.strictEqual(check({ InstanceType: 'm5.large' }).passed, false);
+    assert.strictEqual(check({ InstanceType: 't3.small', UserData: 'x' }).path, 'Properties.UserData');
+  });
+
+  test('should reject invalid Guard syntax with the line number', () => {
+    assert.throws(() => parseGuard('rule BROKEN {\n  Properties.X ~= 1\n}'), /line 2/);
+    assert.throws(() => parseGuard('let x = 1\nResources exists'), /Expected "rule" or "let" at line 2/);
+    assert.throws(() => compileGuardRules('rule A when B { Resources exists }')[0].evaluate({ template: {} }), /Unknown Guard rule "B"/);
+  });
+});
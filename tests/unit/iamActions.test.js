@@ -0,0 +1,95 @@
+/**
+ * IAM Action Catalog Unit Tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const Scanner = require('../../src/scanner');
+const { accessLevel, expandActions, statementActions } = require('../../src/analysis/iamActions');
+
+function policy(statement) {
+  return {
+    Type: 'AWS::IAM::Policy',
+    Properties: { PolicyName: 'test', PolicyDocument: { Statement: [{ Effect: 'Allow', Resource: '*', ...statement }] } },
+  };
+}
+
+describe('IAM action catalog', () => {
+  let scanner;
+
+  before(async () => {
+    scanner = new Scanner({ includeRules: ['CFN_IAM_002', 'CFN_IAM_012'] });
+    await scanner.initialize();
+  });
+
+  async function evaluate(resources) {
+    const results = await scanner.ruleEngine.evaluate({ Resources: resources }, 'test.yaml');
+    return Object.fromEntries(results.map(r => [`${r.ruleId} ${r.resourceName}`, r]));
+  }
+
+  test('should give the access level of an action, case-insensitively', () => {
+    assert.strictEqual(accessLevel('iam:PutRolePolicy'), 'Permissions management');
+    assert.strictEqual(accessLevel('S3:getobject'), 'Read');
+    assert.strictEqual(accessLevel('s3:ListBucket'), 'List');
+    assert.strictEqual(accessLevel('sqs:TagQueue'), 'Tagging');
+    assert.strictEqual(accessLevel('example:DoSomething'), null);
+  });
+
+  test('should expand wildcards inside action names', () => {
+    const objects = expandActions('s3:*Object');
+    assert.ok(objects.includes('s3:GetObject'));
+    assert.ok(objects.includes('s3:DeleteObject'));
+    assert.ok(!objects.includes('s3:GetObjectAcl'));
+    assert.deepStrictEqual(expandActions(['sts:Assume?ole']), ['sts:AssumeRole']);
+  });
+
+  test('should expand NotAction to every other catalog action', () => {
+    const actions = statementActions({ NotAction: ['s3:*', 'ec2:*'] });
+    assert.ok(actions.includes('iam:PassRole'));
+    assert.ok(!actions.some(action => action.startsWith('s3:')));
+    assert.deepStrictEqual(statementActions({ Action: ['example:DoSomething', 'example:*'] }), ['example:DoSomething', 'example:*']);
+  });
+
+  test('should cover every service of the service reference', () => {
+    assert.ok(expandActions('apigateway:*').includes('apigateway:PATCH'));
+    assert.strictEqual(accessLevel('elasticfilesystem:PutFileSystemPolicy'), 'Permissions management');
+    assert.ok(expandActions('ec2:*').length > 500);
+  });
+
+  test('should treat wildcards over services missing from the catalog as unknown', async () => {
+    const results = await evaluate({
+      Unknown: policy({ Action: 'example:*' }),
+      FileSystems: policy({ Action: 'elasticfilesystem:*' }),
+    });
+
+    assert.strictEqual(results['CFN_IAM_002 Unknown'].status, 'FAILED');
+    assert.deepStrictEqual(results['CFN_IAM_012 Unknown'].details.actions, ['example:*']);
+    assert.strictEqual(results['CFN_IAM_012 FileSystems'].status, 'FAILED');
+  });
+
+  test('should flag sensitive actions reached through wildcards and NotAction', async () => {
+    const results = await evaluate({
+      DeleteAnyBucket: policy({ Action: 's3:Delete*' }),
+      EverythingButS3: policy({ NotAction: 's3:*' }),
+      ReadObjects: policy({ Action: ['s3:Get*', 's3:List*'] }),
+    });
+
+    assert.strictEqual(results['CFN_IAM_002 DeleteAnyBucket'].status, 'FAILED');
+    assert.deepStrictEqual(results['CFN_IAM_002 DeleteAnyBucket'].details.sensitiveActions, ['s3:DeleteBucket']);
+    assert.strictEqual(results['CFN_IAM_002 EverythingButS3'].status, 'FAILED');
+    assert.strictEqual(results['CFN_IAM_002 ReadObjects'].status, 'PASSED');
+  });
+
+  test('should flag Permissions management actions on all resources', async () => {
+    const results = await evaluate({
+      BucketPolicies: policy({ Action: 's3:Put*' }),
+      ObjectWrites: policy({ Action: 's3:PutObject' }),
+    });
+
+    const finding = results['CFN_IAM_012 BucketPolicies'];
+    assert.strictEqual(finding.status, 'FAILED');
+    assert.ok(finding.details.actions.includes('s3:PutBucketPolicy'));
+    assert.strictEqual(finding.propertyPath, 'Properties.PolicyDocument.Statement[0]');
+    assert.strictEqual(results['CFN_IAM_012 ObjectWrites'].status, 'PASSED');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Intrinsic Function Resolver Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const Scanner = require('../../src/scanner');
+const { IntrinsicResolver, isUnknown } = require('../../src/utils/intrinsics');
+
+const template = {
+  Parameters: {
+    Env: { Type: 'String', Default: 'dev' },
+    IsMultiAz: { Type: 'String', Default: 'true', AllowedValues: ['true', 'false'] },
+    Subnets: { Type: 'CommaDelimitedList', Default: 'subnet-a, subnet-b' },
+    Retention: { Type: 'Number', Default: '14' },
+    NoDefault: { Type: 'String' },
+  },
+  Mappings: {
+    EnvConfig: { dev: { Encrypted: true }, prod: { Encrypted: true } },
+  },
+  Resources: {
+    Key: { Type: 'AWS::KMS::Key', Properties: {} },
+  },
+};
+
+describe('IntrinsicResolver', () => {
+  const resolver = new IntrinsicResolver(template, { parameters: { Env: 'prod' } });
+
+  test('should resolve Ref to supplied parameters, defaults and pseudo parameters', () => {
+    assert.strictEqual(resolver.resolve({ Ref: 'Env' }), 'prod');
+    assert.strictEqual(resolver.resolve({ Ref: 'IsMultiAz' }), 'true');
+    assert.strictEqual(resolver.resolve({ Ref: 'Retention' }), 14);
+    assert.deepStrictEqual(resolver.resolve({ Ref: 'Subnets' }), ['subnet-a', 'subnet-b']);
+    assert.strictEqual(resolver.resolve({ Ref: 'AWS::Region' }), 'us-east-1');
+  });
+
+  test('should resolve FindInMap, Sub, Join, Select and Split', () => {
+    assert.strictEqual(resolver.resolve({ 'Fn::FindInMap': ['EnvConfig', { Ref: 'Env' }, 'Encrypted'] }), true);
+    assert.strictEqual(resolver.resolve({ 'Fn::Sub': 'app-${Env}-${AWS::AccountId}' }), 'app-prod-123456789012');
+    assert.strictEqual(resolver.resolve({ 'Fn::Sub': ['${Name}-x', { Name: { Ref: 'Env' } }] }), 'prod-x');
+    assert.strictEqual(resolver.resolve({ 'Fn::Join': ['-', ['a', { Ref: 'Env' }]] }), 'a-prod');
+    assert.strictEqual(resolver.resolve({ 'Fn::Select': [1, { Ref: 'Subnets' }] }), 'subnet-b');
+    assert.deepStrictEqual(resolver.resolve({ 'Fn::Split': [',', 'a,b'] }), ['a', 'b']);
+  });
+
+  test('should mark unresolvable values as unknown', () => {
+    const getAtt = resolver.resolve({ 'Fn::GetAtt': ['Key', 'Arn'] });
+    assert.ok(isUnknown(getAtt));
+    assert.deepStrictEqual(getAtt.expression, { 'Fn::GetAtt': ['Key', 'Arn'] });
+
+    assert.ok(isUnknown(resolver.resolve({ 'Fn::ImportValue': 'shared-key' })));
+    assert.ok(isUnknown(resolver.resolve({ Ref: 'Key' })));
+    assert.ok(isUnknown(resolver.resolve({ Ref: 'NoDefault' })));
+    assert.ok(isUnknown(resolver.resolve({ 'Fn::Sub': 'arn:${Key.Arn}' })));
+  });
+
+  test('should drop properties set to AWS::NoValue', () => {
+    assert.deepStrictEqual(resolver.resolve({ A: 1, B: { Ref: 'AWS::NoValue' } }), { A: 1 });
+  });
+});
+
+describe('Rule evaluation with resolved intrinsics', () => {
+  const dbTemplate = (multiAz) => ({
+    Parameters: { IsMultiAz: { Type: 'String', Default: 'true' } },
+    Resources: {
+      DB: {
+        Type: 'AWS::RDS::DBInstance',
+        Properties: { Engine: 'mysql', MultiAZ: multiAz },
+      },
+    },
+  });
+
+  test('should pass rules when a Ref resolves to a secure value', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate(dbTemplate({ Ref: 'IsMultiAz' }), 'test.yaml');
+    assert.strictEqual(results[0].status, 'PASSED');
+  });
+
+  test('should read boolean strings from parameters in any case', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const evaluate = async value => {
+      const template = dbTemplate({ Ref: 'IsMultiAz' });
+      template.Parameters.IsMultiAz.Default = value;
+      return (await scanner.ruleEngine.evaluate(template, 'test.yaml'))[0].status;
+    };
+    assert.strictEqual(await evaluate('True'), 'PASSED');
+    assert.strictEqual(await evaluate('FALSE'), 'FAILED');
+    assert.strictEqual(await evaluate('yes'), 'FAILED');
+  });
+
+  test('should skip rules whose value is unknown', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate(dbTemplate({ 'Fn::ImportValue': 'multi-az' }), 'test.yaml');
+    assert.strictEqual(results[0].status, 'SKIPPED');
+  });
+});
+
+describe('Condition-aware evaluation', () => {
+  const conditionalTemplate = () => ({
+    Parameters: {
+      Env: { Type: 'String', Default: 'dev', AllowedValues: ['dev', 'prod'] },
+    },
+    Conditions: {
+      IsProduction: { 'Fn::Equals': [{ Ref: 'Env' }, 'prod'] },
+      IsDev: { 'Fn::Not': [{ Condition: 'IsProduction' }] },
+    },
+    Resources: {
+      DB: {
+        Type: 'AWS::RDS::DBInstance',
+        Properties: {
+          Engine: 'mysql',
+          MultiAZ: { 'Fn::If': ['IsProduction', true, false] },
+        },
+      },
+      DevOnlyDB: {
+        Type: 'AWS::RDS::DBInstance',
+        Condition: 'IsDev',
+        Properties: { Engine: 'mysql', MultiAZ: false },
+      },
+    },
+  });
+
+  test('should evaluate conditions from supplied parameters', () => {
+    const resolver = new IntrinsicResolver(conditionalTemplate(), { parameters: { Env: 'prod' } });
+    assert.strictEqual(resolver.evaluateCondition('IsProduction'), true);
+    assert.strictEqual(resolver.evaluateCondition('IsDev'), false);
+    assert.strictEqual(resolver.resolve({ 'Fn::If': ['IsProduction', 'a', 'b'] }), 'a');
+  });
+
+  test('should skip resources whose condition is false', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate(conditionalTemplate(), 'test.yaml', {
+      parameters: { Env: 'prod' },
+    });
+    assert.deepStrictEqual(results.map(r => [r.resourceName, r.status]), [['DB', 'PASSED']]);
+  });
+
+  test('should report the condition combination that produces an insecure setting', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate(conditionalTemplate(), 'test.yaml');
+    const db = results.find(r => r.resourceName === 'DB');
+
+    assert.strictEqual(db.status, 'FAILED');
+    assert.deepStrictEqual(db.details.conditions, { IsProduction: false });
+    assert.match(db.message, /when IsProduction=false/);
+    assert.ok(results.some(r => r.resourceName === 'DevOnlyDB'));
+  });
+
+  test('should skip resource entries without a definition', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const template = { ...conditionalTemplate(), Resources: { ...conditionalTemplate().Resources, Broken: null } };
+    const results = await scanner.ruleEngine.evaluate(template, 'test.yaml', { parameters: { Env: 'prod' } });
+    assert.deepStrictEqual(results.map(r => [r.resourceName, r.status]), [['DB', 'PASSED']]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * AWS::LanguageExtensions Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../../src/utils/cfnYaml');
+const Scanner = require('../../src/scanner');
+const { expandLanguageExtensions } = require('../../src/transforms/languageExtensions');
+
+const fixture = path.join(__dirname, '../fixtures/language-extensions/template.yaml');
+const template = cfnYaml.parse(fs.readFileSync(fixture, 'utf8'));
+
+describe('AWS::LanguageExtensions', () => {
+  test('should leave templates without the transform unchanged', () => {
+    const plain = { Resources: { Bucket: { Type: 'AWS::S3::Bucket' } } };
+    assert.deepStrictEqual(expandLanguageExtensions(plain), { template: plain, origins: {}, diagnostics: [] });
+  });
+
+  test('should expand Fn::ForEach loops, including nested loops', () => {
+    const { template: expanded, origins } = expandLanguageExtensions(template);
+
+    assert.strictEqual(expanded.Transform, undefined);
+    assert.deepStrictEqual(expanded.Resources.datalakeBucket.Properties.BucketName, { 'Fn::Sub': 'acme-data-lake' });
+    assert.deepStrictEqual(Object.keys(expanded.Resources).filter(name => name.endsWith('Queue')),
+      ['DevOrdersQueue', 'DevEventsQueue', 'ProdOrdersQueue', 'ProdEventsQueue']);
+
+    assert.deepStrictEqual(origins.datalakeBucket, {
+      resourceName: 'Fn::ForEach::Buckets',
+      resourceType: 'Fn::ForEach',
+      resourcePath: 'Resources.Fn::ForEach::Buckets[2].&{BucketName}Bucket',
+    });
+    assert.strictEqual(origins.ProdEventsQueue.resourceName, 'Fn::ForEach::Kinds');
+    assert.strictEqual(origins.ProdEventsQueue.resourcePath,
+      'Resources.Fn::ForEach::Queues[2].Fn::ForEach::Kinds[2].${Env}${Kind}Queue');
+  });
+
+  test('should evaluate Fn::Length, Fn::ToJsonString and intrinsic deletion policies', () => {
+    const { template: expanded } = expandLanguageExtensions(template, { parameters: { Retain: 'false' } });
+
+    assert.strictEqual(expanded.Resources.DevOrdersQueue.Properties.Tags[0].Value, 2);
+    assert.deepStrictEqual(JSON.parse(expanded.Resources.TopicPolicy.Properties.PolicyDocument).Statement[0], {
+      Effect: 'Allow', Principal: '*', Action: 'sns:Publish', Resource: { Ref: 'Topic' },
+    });
+    assert.strictEqual(expanded.Resources.logsBucket.DeletionPolicy, 'Delete');
+
+    // Conditions are only decided by supplied parameters
+    const undecided = expandLanguageExtensions(template).template;
+    assert.ok(undecided.Resources.logsBucket.DeletionPolicy['Fn::If']);
+  });
+
+  test('should report loops whose collection is only known at deploy time', () => {
+    const { template: expanded, diagnostics } = expandLanguageExtensions(template);
+
+    assert.ok(Array.isArray(expanded.Resources['Fn::ForEach::Unknown']));
+    assert.deepStrictEqual(diagnostics, [{
+      type: 'unexpanded-loop',
+      message: 'Fn::ForEach::Unknown collection cannot be determined offline',
+      path: 'Resources.Fn::ForEach::Unknown',
+    }]);
+  });
+
+  test('should report findings on generated resources at the loop', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_SQS_001'] });
+    await scanner.initialize();
+    const { results, diagnostics } = await scanner.scanFile(fixture);
+
+    const queue = results.find(r => r.resourceName === 'ProdOrdersQueue');
+    assert.strictEqual(queue.status, 'FAILED');
+    assert.deepStrictEqual(queue.origin, { resourceName: 'Fn::ForEach::Kinds', resourceType: 'Fn::ForEach' });
+    assert.strictEqual(queue.location.startLine, 35);
+    assert.strictEqual(diagnostics[0].location.startLine, 60);
+  });
+});
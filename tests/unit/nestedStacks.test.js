@@ -0,0 +1,135 @@
+/**
+ * Nested Stack and AWS::Include Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { expandIncludes } = require('../../src/transforms/include');
+
+const fixtures = path.join(__dirname, '../fixtures/nested');
+
+describe('AWS::Include', () => {
+  test('should inline local snippets used as values and keys', () => {
+    const filePath = path.join(fixtures, 'network.yaml');
+    const { template, diagnostics, dependencies } = expandIncludes({
+      Resources: {
+        LogsBucket: {
+          Type: 'AWS::S3::Bucket',
+          Properties: {
+            'Fn::Transform': { Name: 'AWS::Include', Parameters: { Location: './snippets/public-access.yaml' } },
+            BucketName: 'logs',
+          },
+        },
+        Remote: { 'Fn::Transform': { Name: 'AWS::Include', Parameters: { Location: 's3://bucket/snippet.yaml' } } },
+      },
+    }, filePath);
+
+    assert.deepStrictEqual(Object.keys(template.Resources.LogsBucket.Properties).sort(),
+      ['BucketName', 'PublicAccessBlockConfiguration']);
+    assert.strictEqual(template.Resources.LogsBucket.Properties.PublicAccessBlockConfiguration.BlockPublicAcls, false);
+    assert.ok(template.Resources.Remote['Fn::Transform'], 'S3 snippets are left in place');
+    assert.deepStrictEqual(diagnostics, []);
+    assert.deepStrictEqual(dependencies, [path.join(fixtures, 'snippets/public-access.yaml')]);
+  });
+
+  test('should report missing snippets relative to the including file', () => {
+    const { template, diagnostics } = expandIncludes({
+      Resources: {
+        'Fn::Transform': { Name: 'AWS::Include', Parameters: { Location: './snippets/resources.yaml' } },
+      },
+    }, path.join(fixtures, 'network.yaml'));
+
+    assert.strictEqual(template.Resources.IncludedQueue.Type, 'AWS::SQS::Queue');
+    assert.strictEqual(diagnostics.length, 1);
+    assert.strictEqual(diagnostics[0].type, 'missing-file');
+    assert.strictEqual(diagnostics[0].filePath, path.join(fixtures, 'snippets/resources.yaml'));
+    assert.strictEqual(diagnostics[0].path, 'IncludedQueue.Fn::Transform');
+  });
+});
+
+describe('Nested stacks', () => {
+  async function createScanner(options = {}) {
+    const scanner = new Scanner({ includeRules: ['CFN_EC2_001', 'CFN_S3_002'], ...options });
+    return scanner.initialize();
+  }
+
+  test('should scan local child templates with the parameters the parent passes', async () => {
+    const scanner = await createScanner();
+    const fileResult = await scanner.scanFile(path.join(fixtures, 'root.yaml'));
+
+    const ssh = fileResult.results.find(r => r.ruleId === 'CFN_EC2_001');
+    assert.strictEqual(ssh.status, 'FAILED');
+    assert.strictEqual(ssh.filePath, path.join(fixtures, 'network.yaml'));
+    assert.deepStrictEqual(ssh.stackPath, ['Root', 'NetworkStack']);
+    assert.strictEqual(ssh.location.startLine, 18);
+
+    const publicAccess = fileResult.results.find(r => r.ruleId === 'CFN_S3_002');
+    assert.strictEqual(publicAccess.status, 'FAILED');
+    assert.strictEqual(publicAccess.resourceName, 'LogsBucket');
+  });
+
+  test('should leave parameters the parent does not know unset in the child', async () => {
+    const scanner = await createScanner({ pairParameterFiles: false });
+    const fileResult = await scanner.scanFile(path.join(fixtures, 'root.yaml'));
+
+    const ssh = fileResult.results.find(r => r.ruleId === 'CFN_EC2_001');
+    assert.strictEqual(ssh.status, 'PASSED');
+  });
+
+  test('should report missing templates and snippets as diagnostics', async () => {
+    const scanner = await createScanner();
+    const fileResult = await scanner.scanFile(path.join(fixtures, 'root.yaml'));
+
+    const missing = fileResult.diagnostics.map(d => [d.type, d.message]);
+    assert.deepStrictEqual(missing, [
+      ['missing-file', 'AWS::Include snippet not found: ./missing-snippet.yaml'],
+      ['missing-file', 'Nested stack MissingStack template not found: ./missing.yaml'],
+    ]);
+    assert.strictEqual(fileResult.diagnostics[1].location.startLine, 19);
+  });
+
+  test('should report nested stack cycles', async () => {
+    const scanner = await createScanner();
+    const fileResult = await scanner.scanFile(path.join(fixtures, 'cycle/a.yaml'));
+
+    assert.strictEqual(fileResult.diagnostics.length, 1);
+    assert.strictEqual(fileResult.diagnostics[0].type, 'cycle');
+    assert.strictEqual(fileResult.diagnostics[0].message, 'Nested stack BackStack creates a cycle: a.yaml > b.yaml > a.yaml');
+    assert.deepStrictEqual(fileResult.diagnostics[0].stackPath, ['Root', 'ChildStack']);
+  });
+
+  test('should report child templates only through their parent in directory scans', async () => {
+    const scanner = await createScanner();
+    const fileResults = await scanner.scanDirectory(fixtures);
+
+    assert.deepStrictEqual(fileResults.map(f => path.relative(fixtures, f.file)),
+      ['cycle/a.yaml', 'cycle/b.yaml', 'root.yaml']);
+  });
+
+  test('should rescan cached templates when a child template changes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cfn-scan-nested-'));
+    try {
+      fs.copyFileSync(path.join(fixtures, 'cycle/a.yaml'), path.join(dir, 'a.yaml'));
+      fs.writeFileSync(path.join(dir, 'b.yaml'), "AWSTemplateFormatVersion: '2010-09-09'\nResources: {}\n");
+      const cache = path.join(dir, 'cache.json');
+
+      const first = await createScanner({ cache });
+      await first.scanFile(path.join(dir, 'a.yaml'));
+
+      const unchanged = await createScanner({ cache });
+      await unchanged.scanFile(path.join(dir, 'a.yaml'));
+      assert.strictEqual(unchanged.cache.hits, 1);
+
+      fs.appendFileSync(path.join(dir, 'b.yaml'), '# changed\n');
+      const changed = await createScanner({ cache });
+      await changed.scanFile(path.join(dir, 'a.yaml'));
+      assert.strictEqual(changed.cache.hits, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Network Reachability Unit Tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../../src/utils/cfnYaml');
+const Scanner = require('../../src/scanner');
+const { ResourceGraph } = require('../../src/utils/graph');
+const { IntrinsicResolver } = require('../../src/utils/intrinsics');
+const { NetworkModel } = require('../../src/analysis/network');
+
+const fixture = path.join(__dirname, '../fixtures/network/reachability.yaml');
+const template = cfnYaml.parse(fs.readFileSync(fixture, 'utf8'));
+const model = new NetworkModel(new ResourceGraph(template, { resolver: new IntrinsicResolver(template) }));
+
+describe('Network reachability', () => {
+  let results;
+
+  before(async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_EC2_001', 'CFN_EC2_003', 'CFN_NET_001', 'CFN_NET_002'] });
+    await scanner.initialize();
+    ({ results } = await scanner.scanFile(fixture));
+  });
+
+  function result(ruleId, resourceName) {
+    return results.find(r => r.ruleId === ruleId && r.resourceName === resourceName);
+  }
+
+  test('should collect standalone rules, prefix lists and all-traffic rules', () => {
+    const [ssh] = model.rulesDefinedIn('BastionSSH');
+    assert.strictEqual(ssh.group, 'BastionSG');
+    assert.deepStrictEqual(ssh.peer.cidrs, ['0.0.0.0/0']);
+
+    const [all] = model.rulesDefinedIn('AppFromBastion');
+    assert.strictEqual(all.protocol, '-1');
+    assert.deepStrictEqual(all.ports, [0, 65535]);
+    assert.strictEqual(all.peer.group, 'BastionSG');
+  });
+
+  test('should place instances, data stores, load balancers and functions in their groups', () => {
+    assert.deepStrictEqual(model.groupsOf('App'), ['AppSG']);
+    assert.deepStrictEqual(model.groupsOf('Function'), ['AppSG']);
+    assert.deepStrictEqual(model.portsOf('LoadBalancer'), [443]);
+    assert.deepStrictEqual(model.portsOf('Reports'), [3306]);
+    assert.deepStrictEqual(model.portsOf('Cache'), [6379]);
+  });
+
+  test('should check standalone ingress resources', () => {
+    const ssh = result('CFN_EC2_001', 'BastionSSH');
+    assert.strictEqual(ssh.status, 'FAILED');
+    assert.deepStrictEqual(ssh.details, { port: 22, cidr: '0.0.0.0/0', prefixList: 'OpenPrefixList' });
+    assert.strictEqual(ssh.propertyPath, 'Properties.SourcePrefixListId');
+    assert.strictEqual(result('CFN_EC2_003', 'CacheOpen').status, 'FAILED');
+  });
+
+  test('should check each condition variant of a security group rule', () => {
+    const ssh = result('CFN_EC2_001', 'DevSG');
+    assert.strictEqual(ssh.status, 'FAILED');
+    assert.deepStrictEqual(ssh.details.conditions, { IsDev: true });
+    assert.strictEqual(ssh.propertyPath, 'Properties.SecurityGroupIngress[0].CidrIp');
+  });
+
+  test('should report data stores open to the internet', () => {
+    const cache = result('CFN_NET_001', 'Cache');
+    assert.strictEqual(cache.status, 'FAILED');
+    assert.strictEqual(cache.message,
+      'ElastiCache replication group is reachable from the internet on port 6379: 0.0.0.0/0 -> CacheSG (all traffic: Cache)');
+    assert.strictEqual(result('CFN_NET_002', 'Cache').status, 'PASSED');
+  });
+
+  test('should treat an unresolved data store port as any port', () => {
+    assert.strictEqual(model.portsOf('Warehouse'), null);
+    const warehouse = result('CFN_NET_001', 'Warehouse');
+    assert.strictEqual(warehouse.status, 'FAILED');
+    assert.strictEqual(warehouse.message,
+      'RDS instance is reachable from the internet on tcp/all ports: 0.0.0.0/0 -> WarehouseSG (tcp/all ports: Warehouse)');
+  });
+
+  test('should report the full chain of security groups to a data store', () => {
+    const database = result('CFN_NET_002', 'Database');
+    assert.strictEqual(database.status, 'FAILED');
+    assert.strictEqual(database.message,
+      'RDS instance is reachable from the internet on port 5432 through 2 security group(s): prefix list OpenPrefixList -> ' +
+      'BastionSG (tcp/22: Bastion) -> AppSG (all traffic: App, Function) -> DatabaseSG (tcp/5432: Database)');
+    assert.deepStrictEqual(database.details.path.map(hop => hop.definedIn), ['BastionSSH', 'AppFromBastion', 'DatabaseSG']);
+    assert.strictEqual(result('CFN_NET_001', 'Database').status, 'PASSED');
+  });
+
+  test('should report a chained port when another port is open directly', () => {
+    assert.strictEqual(result('CFN_NET_001', 'Ledger').status, 'FAILED');
+    const ledger = result('CFN_NET_002', 'Ledger');
+    assert.strictEqual(ledger.status, 'FAILED');
+    assert.match(ledger.message, /^RDS instance is reachable from the internet on tcp\/5432 through 2 security group\(s\): /);
+    assert.strictEqual(ledger.details.port, 5432);
+  });
+
+  test('should stop chains at load balancers and restricted egress', () => {
+    assert.strictEqual(result('CFN_NET_002', 'Reports').status, 'PASSED');
+    assert.strictEqual(result('CFN_NET_002', 'Archive').status, 'PASSED');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Parameter File Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { parseParameters, loadParameters, findParameterFile } = require('../../src/utils/parameters');
+
+const fixtures = path.join(__dirname, '../fixtures/parameters');
+const template = path.join(fixtures, 'stack.yaml');
+
+function statusOf(result, ruleId) {
+  return result.results.find(r => r.ruleId === ruleId).status;
+}
+
+describe('Parameter files', () => {
+  test('should parse deploy, override and CodePipeline formats', () => {
+    assert.deepStrictEqual(
+      parseParameters([{ ParameterKey: 'Env', ParameterValue: 'prod' }, { ParameterKey: 'Old', UsePreviousValue: true }]),
+      { Env: 'prod' }
+    );
+    assert.deepStrictEqual(parseParameters(['Env=prod', 'Url=a=b']), { Env: 'prod', Url: 'a=b' });
+    assert.deepStrictEqual(parseParameters({ Parameters: { Env: 'prod', Subnets: ['a', 'b'] } }), {
+      Env: 'prod',
+      Subnets: 'a,b',
+    });
+    assert.throws(() => parseParameters({ Env: 'prod' }), /Unrecognized parameter file format/);
+  });
+
+  test('should combine files and key=value overrides in order', () => {
+    const parameters = loadParameters([path.join(fixtures, 'prod-pipeline.json'), 'MultiAz=false', 'Encrypted=true']);
+    assert.deepStrictEqual(parameters, { Encrypted: 'true', MultiAz: 'false' });
+  });
+
+  test('should pair templates with parameter files by naming convention', () => {
+    assert.strictEqual(findParameterFile(template), path.join(fixtures, 'stack.parameters.json'));
+    assert.strictEqual(findParameterFile(path.join(fixtures, 'other.yaml')), null);
+  });
+
+  test('should evaluate rules with paired parameter values', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_RDS_001', 'CFN_RDS_003'] });
+    await scanner.initialize();
+
+    const [result] = await scanner.scanDirectory(fixtures);
+    assert.strictEqual(result.parametersFile, path.join(fixtures, 'stack.parameters.json'));
+    assert.strictEqual(statusOf(result, 'CFN_RDS_003'), 'FAILED');
+    assert.strictEqual(statusOf(result, 'CFN_RDS_001'), 'PASSED');
+  });
+
+  test('should use explicit parameters instead of the paired file', async () => {
+    const scanner = new Scanner({
+      includeRules: ['CFN_RDS_001', 'CFN_RDS_003'],
+      parameters: loadParameters([path.join(fixtures, 'prod-pipeline.json')]),
+      pairParameterFiles: false,
+    });
+    await scanner.initialize();
+
+    const result = await scanner.scanFile(template);
+    assert.strictEqual(statusOf(result, 'CFN_RDS_003'), 'PASSED');
+    assert.strictEqual(statusOf(result, 'CFN_RDS_001'), 'FAILED');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * IAM Privilege Escalation Unit Tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cfnYaml = require('../../src/utils/cfnYaml');
+const Scanner = require('../../src/scanner');
+const { ResourceGraph } = require('../../src/utils/graph');
+const { IntrinsicResolver } = require('../../src/utils/intrinsics');
+const { identityPolicies, matchesAction, statementCoversAction } = require('../../src/analysis/iamPolicies');
+const { findEscalations } = require('../../src/analysis/privilegeEscalation');
+
+const fixture = path.join(__dirname, '../fixtures/iam/escalation.yaml');
+const template = cfnYaml.parse(fs.readFileSync(fixture, 'utf8'));
+const graph = new ResourceGraph(template, { resolver: new IntrinsicResolver(template) });
+
+describe('IAM privilege escalation', () => {
+  let results;
+
+  before(async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_IAM_011'] });
+    await scanner.initialize();
+    ({ results } = await scanner.scanFile(fixture));
+  });
+
+  test('should match IAM action wildcards and NotAction', () => {
+    assert.ok(matchesAction('lambda:Create*', 'lambda:CreateFunction'));
+    assert.ok(matchesAction('IAM:passrole', 'iam:PassRole'));
+    assert.ok(matchesAction('s3:*Object', 's3:GetObject'));
+    assert.ok(!matchesAction('iam:Put*', 'iam:PassRole'));
+    assert.ok(statementCoversAction({ NotAction: ['s3:*'] }, 'iam:CreateAccessKey'));
+    assert.ok(!statementCoversAction({ NotAction: 's3:*' }, 's3:GetObject'));
+  });
+
+  test('should collect inline, attached and group policies of a principal', () => {
+    assert.deepStrictEqual(identityPolicies(graph, 'DeployRole').map(p => [p.source, p.path]), [
+      ['DeployRole', 'Properties.Policies[0].PolicyDocument'],
+      ['InvokePolicy', 'Properties.PolicyDocument'],
+    ]);
+    assert.deepStrictEqual(identityPolicies(graph, 'Operator').map(p => p.source), ['KeyManagement']);
+  });
+
+  test('should report the chain of actions across policies', () => {
+    const result = results.find(r => r.resourceName === 'DeployRole');
+    assert.strictEqual(result.status, 'FAILED');
+    assert.strictEqual(result.message,
+      'IAM role DeployRole can escalate privileges: iam:PassRole + lambda:CreateFunction + lambda:InvokeFunction ' +
+      'to create and invoke a Lambda function that runs with a more privileged role (and 1 more)');
+    assert.strictEqual(result.propertyPath, 'Properties.Policies[0].PolicyDocument.Statement[0]');
+
+    // lambda:Create* also covers lambda:CreateEventSourceMapping
+    const [escalation, eventSource] = result.details.escalations;
+    assert.deepStrictEqual(escalation.grants.map(g => g.source), ['DeployRole', 'DeployRole', 'InvokePolicy']);
+    assert.strictEqual(eventSource.id, 'PassRole+LambdaEventSource');
+  });
+
+  test('should flag IAM write actions on the principal itself', () => {
+    const result = results.find(r => r.resourceName === 'SelfEditingRole');
+    assert.strictEqual(result.status, 'FAILED');
+    assert.match(result.message, /iam:PutRolePolicy on itself/);
+    assert.strictEqual(result.propertyPath, 'Properties.Policies[0].PolicyDocument.Statement[1]');
+  });
+
+  test('should report users escalating through their group policies', () => {
+    const user = results.find(r => r.resourceName === 'Operator');
+    assert.strictEqual(user.status, 'FAILED');
+    assert.ok(user.details.escalations.some(e => e.id === 'CreateAccessKey'));
+    assert.strictEqual(results.find(r => r.resourceName === 'Operators').status, 'FAILED');
+  });
+
+  test('should honour explicit denies', () => {
+    assert.deepStrictEqual(findEscalations(graph, 'ReadOnlyRole'), []);
+    assert.strictEqual(results.find(r => r.resourceName === 'ReadOnlyRole').status, 'PASSED');
+  });
+});
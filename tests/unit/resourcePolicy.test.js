@@ -0,0 +1,112 @@
+/**
+ * Resource Policy Analysis Unit Tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { classifyStatement } = require('../../src/analysis/resourcePolicy');
+
+const fixture = path.join(__dirname, '../fixtures/resource-policies/policies.yaml');
+const accountId = '123456789012';
+
+function allow(statement) {
+  return classifyStatement({ Effect: 'Allow', Action: '*', ...statement }, { accountId });
+}
+
+describe('Resource policy analysis', () => {
+  let results;
+
+  before(async () => {
+    const scanner = new Scanner();
+    await scanner.initialize();
+    ({ results } = await scanner.scanFile(fixture));
+  });
+
+  function result(ruleId, resourceName) {
+    return results.find(r => r.ruleId === ruleId && r.resourceName === resourceName);
+  }
+
+  test('should classify statements by their principals', () => {
+    assert.strictEqual(allow({ Principal: '*' }).access, 'public');
+    assert.strictEqual(allow({ Principal: { AWS: ['arn:aws:iam::111122223333:root', '*'] } }).access, 'public');
+    assert.strictEqual(allow({ Principal: { AWS: 'arn:aws:iam::*:root' } }).access, 'public');
+    assert.strictEqual(allow({ NotPrincipal: { AWS: 'arn:aws:iam::111122223333:root' } }).access, 'public');
+    assert.strictEqual(allow({ Principal: { AWS: `arn:aws:iam::${accountId}:role/App` } }).access, 'same-account');
+    assert.deepStrictEqual(allow({ Principal: { Service: 'sns.amazonaws.com' } }).services, ['sns.amazonaws.com']);
+
+    const external = allow({ Principal: { AWS: ['111122223333', `arn:aws:iam::${accountId}:root`] } });
+    assert.strictEqual(external.access, 'cross-account');
+    assert.deepStrictEqual(external.accounts, ['111122223333']);
+  });
+
+  test('should honour restricting condition keys on open principals', () => {
+    const org = allow({ Principal: '*', Condition: { StringEquals: { 'aws:PrincipalOrgID': 'o-a1b2c3d4e5' } } });
+    assert.strictEqual(org.access, 'cross-account');
+    assert.deepStrictEqual(org.organizations, ['o-a1b2c3d4e5']);
+    assert.deepStrictEqual(org.restrictedBy, ['aws:PrincipalOrgID']);
+
+    const local = allow({ Principal: '*', Condition: { ArnLike: { 'aws:SourceArn': `arn:aws:sns:us-east-1:${accountId}:topic` } } });
+    assert.strictEqual(local.access, 'same-account');
+    assert.strictEqual(allow({ Principal: '*', Condition: { StringEquals: { 'aws:SourceVpce': 'vpce-1a2b3c4d' } } }).access, 'same-account');
+  });
+
+  test('should ignore conditions that do not restrict the caller', () => {
+    const conditions = [
+      { ArnLike: { 'aws:SourceArn': 'arn:aws:sns:us-east-1:*:topic' } },
+      { StringEqualsIfExists: { 'aws:SourceAccount': '111122223333' } },
+      { StringNotEquals: { 'aws:PrincipalAccount': '111122223333' } },
+      { IpAddress: { 'aws:SourceIp': '0.0.0.0/0' } },
+      { IpAddress: { 'aws:SourceIp': '0.0.0.0/1' } },
+      { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } },
+      { StringLike: { 'aws:PrincipalOrgID': 'o-*' } },
+      { StringLike: { 'aws:PrincipalOrgPaths': '*/r-ab12/*' } },
+      { Bool: { 'aws:SecureTransport': 'true' } },
+    ];
+    for (const Condition of conditions) {
+      assert.strictEqual(allow({ Principal: '*', Condition }).access, 'public', JSON.stringify(Condition));
+    }
+  });
+
+  test('should flag public resource policies of every service', () => {
+    const failed = [
+      ['CFN_SNS_002', 'TopicPolicy'],
+      ['CFN_KMS_002', 'SharedKey'],
+      ['CFN_S3_011', 'BucketPolicy'],
+      ['CFN_LAMBDA_011', 'PublicInvoke'],
+      ['CFN_ECR_001', 'Repository'],
+      ['CFN_SECRETS_007', 'SecretPolicy'],
+    ];
+    const passed = [
+      ['CFN_SQS_002', 'QueuePolicy'],
+      ['CFN_KMS_002', 'LocalKey'],
+      ['CFN_S3_011', 'LogBucketPolicy'],
+      ['CFN_IAM_003', 'AuditRole'],
+      ['CFN_LAMBDA_011', 'BucketInvoke'],
+      ['CFN_EVENTS_001', 'BusPolicy'],
+    ];
+
+    for (const [ruleId, name] of failed) {
+      assert.strictEqual(result(ruleId, name)?.status, 'FAILED', `${ruleId} ${name}`);
+    }
+    for (const [ruleId, name] of passed) {
+      assert.strictEqual(result(ruleId, name)?.status, 'PASSED', `${ruleId} ${name}`);
+    }
+  });
+
+  test('should point at the public statement', () => {
+    const finding = result('CFN_S3_011', 'BucketPolicy');
+    assert.strictEqual(finding.message, 'S3 bucket policy allows public access');
+    assert.strictEqual(finding.propertyPath, 'Properties.PolicyDocument.Statement[1]');
+    assert.strictEqual(result('CFN_LAMBDA_011', 'PublicInvoke').propertyPath, 'Properties');
+  });
+
+  test('should report the accounts and organizations of cross-account grants', () => {
+    assert.deepStrictEqual(result('CFN_GEN_011', 'AuditRole').details.accounts, ['111122223333']);
+    assert.deepStrictEqual(result('CFN_GEN_011', 'LogBucketPolicy').details.accounts, ['444455556666']);
+    assert.deepStrictEqual(result('CFN_GEN_011', 'BusPolicy').details.organizations, ['o-a1b2c3d4e5']);
+    assert.strictEqual(result('CFN_GEN_011', 'LocalKey').status, 'PASSED');
+    assert.strictEqual(result('CFN_LAMBDA_008', 'BucketInvoke').status, 'PASSED');
+  });
+});
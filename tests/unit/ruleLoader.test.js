@@ -0,0 +1,76 @@
+/**
+ * Custom Rule Loader Unit Tests
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { loadRules, loadRulesFromDirectory } = require('../../src/ruleLoader');
+
+const rulesDir = path.join(__dirname, '../fixtures/custom-rules');
+
+describe('Custom rule loading', () => {
+  let pluginBase;
+
+  before(() => {
+    pluginBase = fs.mkdtempSync(path.join(os.tmpdir(), 'cfn-scan-plugins-'));
+    const writePlugin = (name, source) => {
+      const dir = path.join(pluginBase, 'node_modules', name);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'index.js'), source);
+    };
+
+    writePlugin('cfn-scan-plugin-example', `module.exports = { rules: [{
+      id: 'PLUGIN_001', severity: 'HIGH', resourceTypes: ['AWS::S3::Bucket'],
+      evaluate: () => ({ passed: true, message: 'ok' }),
+    }] };`);
+    writePlugin('cfn-scan-plugin-duplicate', `module.exports = [{ id: 'CFN_S3_001', evaluate: () => null }];`);
+    writePlugin('cfn-scan-plugin-invalid', `module.exports = [{ id: 'BAD_001', severity: 'SEVERE', evaluate: () => null }];`);
+  });
+
+  after(() => {
+    fs.rmSync(pluginBase, { recursive: true, force: true });
+  });
+
+  test('should load rule files from a directory and record their source', () => {
+    const rules = loadRulesFromDirectory(rulesDir);
+
+    assert.deepStrictEqual(rules.map(r => r.id), ['CUSTOM_NAME_001', 'CUSTOM_TAG_001']);
+    assert.strictEqual(rules[1].source, path.join(rulesDir, 'tagging.js'));
+  });
+
+  test('should load rules from npm plugins', () => {
+    const rules = loadRules({ plugins: ['cfn-scan-plugin-example'], baseDir: pluginBase });
+    const plugin = rules.find(r => r.id === 'PLUGIN_001');
+
+    assert.strictEqual(plugin.source, 'npm:cfn-scan-plugin-example');
+    assert.strictEqual(rules.find(r => r.id === 'CFN_S3_001').source, 'built-in');
+  });
+
+  test('should reject duplicate IDs and invalid rules', () => {
+    assert.throws(
+      () => loadRules({ plugins: ['cfn-scan-plugin-duplicate'], baseDir: pluginBase }),
+      /Duplicate rule ID "CFN_S3_001" in npm:cfn-scan-plugin-duplicate \(already defined in built-in\)/
+    );
+    assert.throws(
+      () => loadRules({ plugins: ['cfn-scan-plugin-invalid'], baseDir: pluginBase }),
+      /Invalid rule in npm:cfn-scan-plugin-invalid: Rule BAD_001 has invalid severity "SEVERE"/
+    );
+    assert.throws(() => loadRules({ plugins: ['missing-plugin'], baseDir: pluginBase }), /could not be found/);
+  });
+
+  test('should evaluate custom rules during a scan', async () => {
+    const scanner = new Scanner({ rulesDirs: [rulesDir], includeRules: ['CUSTOM_TAG_001'] });
+    await scanner.initialize();
+
+    const results = await scanner.ruleEngine.evaluate({
+      Resources: { Bucket: { Type: 'AWS::S3::Bucket', Properties: {} } },
+    }, 'test.yaml');
+
+    assert.strictEqual(results[0].status, 'FAILED');
+    assert.strictEqual(scanner.ruleEngine.getRule('CUSTOM_TAG_001').source, path.join(rulesDir, 'tagging.js'));
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * SAM Expansion Unit Tests
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Scanner = require('../../src/scanner');
+const { expandServerless } = require('../../src/transforms/sam');
+
+const fixture = path.join(__dirname, '../fixtures/sam/template.yaml');
+
+const samTemplate = (resources, globals) => ({
+  Transform: 'AWS::Serverless-2016-10-31',
+  ...(globals && { Globals: globals }),
+  Resources: resources,
+});
+
+describe('SAM expansion', () => {
+  test('should leave templates without the SAM transform unchanged', () => {
+    const template = { Resources: { Bucket: { Type: 'AWS::S3::Bucket' } } };
+    const expanded = expandServerless(template);
+
+    assert.strictEqual(expanded.template, template);
+    assert.deepStrictEqual(expanded.origins, {});
+  });
+
+  test('should expand a function with Globals into a Lambda function and execution role', () => {
+    const { template, origins } = expandServerless(samTemplate({
+      Fn: {
+        Type: 'AWS::Serverless::Function',
+        Metadata: { Owner: 'orders' },
+        Properties: {
+          Handler: 'app.handler',
+          CodeUri: 's3://artifacts/fn.zip',
+          Environment: { Variables: { TABLE: 'orders' } },
+          Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:fn:1'],
+          Policies: ['AmazonS3ReadOnlyAccess', { SQSPollerPolicy: { QueueName: 'jobs' } }],
+        },
+      },
+    }, {
+      Function: {
+        Runtime: 'nodejs20.x',
+        Tracing: 'Active',
+        Environment: { Variables: { STAGE: 'prod' } },
+        Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:shared:1'],
+      },
+    }));
+
+    const fn = template.Resources.Fn;
+    assert.strictEqual(fn.Type, 'AWS::Lambda::Function');
+    assert.strictEqual(fn.Properties.Runtime, 'nodejs20.x');
+    assert.deepStrictEqual(fn.Properties.Environment.Variables, { STAGE: 'prod', TABLE: 'orders' });
+    assert.strictEqual(fn.Properties.Layers.length, 2);
+    assert.deepStrictEqual(fn.Properties.TracingConfig, { Mode: 'Active' });
+    assert.deepStrictEqual(fn.Properties.Code, { S3Bucket: 'artifacts', S3Key: 'fn.zip' });
+    assert.deepStrictEqual(fn.Properties.Role, { 'Fn::GetAtt': ['FnRole', 'Arn'] });
+    assert.strictEqual(template.Globals, undefined);
+    assert.strictEqual(template.Transform, undefined);
+
+    const role = template.Resources.FnRole;
+    assert.strictEqual(role.Type, 'AWS::IAM::Role');
+    assert.deepStrictEqual(role.Metadata, { Owner: 'orders' });
+    assert.deepStrictEqual(role.Properties.ManagedPolicyArns.map(arn => arn['Fn::Sub']), [
+      'arn:${AWS::Partition}:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole',
+      'arn:${AWS::Partition}:iam::aws:policy/AWSXrayWriteOnlyAccess',
+      'arn:${AWS::Partition}:iam::aws:policy/AmazonS3ReadOnlyAccess',
+    ]);
+    assert.strictEqual(role.Properties.Policies[0].PolicyName, 'FnRolePolicy1');
+    assert.ok(role.Properties.Policies[0].PolicyDocument.Statement[0].Action.includes('sqs:ReceiveMessage'));
+    assert.deepStrictEqual(origins.FnRole.properties['Policies[0]'], 'Policies[1]');
+    assert.strictEqual(origins.FnRole.resourceName, 'Fn');
+  });
+
+  test('should create the implicit API, permissions and methods for API events', () => {
+    const { template, origins } = expandServerless(samTemplate({
+      Fn: {
+        Type: 'AWS::Serverless::Function',
+        Properties: {
+          Events: {
+            List: { Type: 'Api', Properties: { Path: '/items', Method: 'get' } },
+            Create: { Type: 'Api', Properties: { Path: '/items', Method: 'post', Auth: { Authorizer: 'NONE' } } },
+            Url: { Type: 'HttpApi', Properties: { Path: '/items/{id}', Method: 'get' } },
+          },
+        },
+      },
+    }, {
+      Api: { Auth: { DefaultAuthorizer: 'Cognito', Authorizers: { Cognito: { UserPoolArn: 'arn:pool' } } } },
+    }));
+
+    assert.strictEqual(template.Resources.ServerlessRestApi.Type, 'AWS::ApiGateway::RestApi');
+    assert.strictEqual(template.Resources.ServerlessRestApiProdStage.Properties.StageName, 'Prod');
+    assert.strictEqual(template.Resources.ServerlessHttpApiApiGatewayDefaultStage.Type, 'AWS::ApiGatewayV2::Stage');
+    assert.strictEqual(template.Resources.FnListMethod.Properties.AuthorizationType, 'COGNITO_USER_POOLS');
+    assert.strictEqual(template.Resources.FnCreateMethod.Properties.AuthorizationType, 'NONE');
+    assert.strictEqual(template.Resources.FnListPermission.Properties.Principal, 'apigateway.amazonaws.com');
+    assert.deepStrictEqual(origins.ServerlessRestApi, {
+      resourceName: 'Fn',
+      resourceType: 'AWS::Serverless::Function',
+      path: 'Properties.Events.List',
+    });
+  });
+
+  test('should expand tables, HTTP APIs and state machines', () => {
+    const { template } = expandServerless(samTemplate({
+      Table: { Type: 'AWS::Serverless::SimpleTable', Properties: { PrimaryKey: { Name: 'pk', Type: 'Number' } } },
+      Http: { Type: 'AWS::Serverless::HttpApi', Properties: { StageName: 'live' } },
+      Flow: {
+        Type: 'AWS::Serverless::StateMachine',
+        Properties: { Definition: { StartAt: 'Done' }, Logging: { Level: 'ALL' } },
+      },
+    }));
+
+    assert.deepStrictEqual(template.Resources.Table.Properties.KeySchema, [{ AttributeName: 'pk', KeyType: 'HASH' }]);
+    assert.strictEqual(template.Resources.Table.Properties.AttributeDefinitions[0].AttributeType, 'N');
+    assert.strictEqual(template.Resources.Table.Properties.BillingMode, 'PAY_PER_REQUEST');
+    assert.strictEqual(template.Resources.HttpliveStage.Properties.StageName, 'live');
+    assert.deepStrictEqual(template.Resources.Flow.Properties.LoggingConfiguration, { Level: 'ALL' });
+    assert.deepStrictEqual(template.Resources.FlowRole.Properties.AssumeRolePolicyDocument.Statement[0].Principal,
+      { Service: ['states.amazonaws.com'] });
+  });
+
+  test('should run the existing rules and report findings against the SAM resource', async () => {
+    const scanner = new Scanner({ includeRules: ['CFN_IAM_001', 'CFN_LAMBDA_003', 'CFN_APIGW_007'] });
+    await scanner.initialize();
+    const { results } = await scanner.scanFile(fixture);
+
+    const wildcard = results.find(r => r.ruleId === 'CFN_IAM_001' && r.status === 'FAILED');
+    assert.strictEqual(wildcard.resourceName, 'OrdersFunctionRole');
+    assert.deepStrictEqual(wildcard.origin, { resourceName: 'OrdersFunction', resourceType: 'AWS::Serverless::Function' });
+    assert.strictEqual(wildcard.location.startLine, 30);
+
+    assert.strictEqual(results.find(r => r.ruleId === 'CFN_LAMBDA_003').status, 'PASSED');
+
+    const method = results.find(r => r.ruleId === 'CFN_APIGW_007');
+    assert.strictEqual(method.status, 'FAILED');
+    assert.strictEqual(method.location.startLine, 33);
+  });
+});
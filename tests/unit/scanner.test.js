@@ -240,3 +240,107 @@ describe('Rule Engine', () => {
     assert.strictEqual(rule.name, 'S3 Bucket Encryption Enabled');
   });
 });
+
+describe('Suppressions', () => {
+  let scanner;
+
+  beforeEach(async () => {
+    scanner = new Scanner();
+    await scanner.initialize();
+  });
+
+  const bucketTemplate = (metadata, templateMetadata) => ({
+    AWSTemplateFormatVersion: '2010-09-09',
+    ...(templateMetadata && { Metadata: templateMetadata }),
+    Resources: {
+      TestBucket: {
+        Type: 'AWS::S3::Bucket',
+        ...(metadata && { Metadata: metadata }),
+        Properties: { BucketName: 'test-bucket' },
+      },
+    },
+  });
+
+  test('should suppress findings through resource Metadata', async () => {
+    const template = bucketTemplate({
+      'cfn-security-scanner': {
+        suppress: [{ id: 'CFN_S3_004', reason: 'Logged centrally' }],
+      },
+    });
+
+    const results = await scanner.ruleEngine.evaluate(template, 'test.yaml');
+    const loggingCheck = results.find(r => r.ruleId === 'CFN_S3_004');
+
+    assert.strictEqual(loggingCheck.status, 'SUPPRESSED');
+    assert.deepStrictEqual(loggingCheck.suppression, { reason: 'Logged centrally', scope: 'resource' });
+  });
+
+  test('should suppress findings through template Metadata', async () => {
+    const template = bucketTemplate(null, {
+      'cfn-security-scanner': {
+        suppress: [{ id: 'CFN_S3_001', reason: 'Encrypted by default', resources: ['TestBucket'] }],
+      },
+    });
+
+    const results = await scanner.ruleEngine.evaluate(template, 'test.yaml');
+    assert.strictEqual(results.find(r => r.ruleId === 'CFN_S3_001').suppression.scope, 'template');
+  });
+
+  test('should reject suppressions without a reason', async () => {
+    const template = bucketTemplate({
+      'cfn-security-scanner': { suppress: [{ id: 'CFN_S3_004' }] },
+    });
+
+    await assert.rejects(
+      () => scanner.ruleEngine.evaluate(template, 'test.yaml'),
+      /Suppression of CFN_S3_004 in resource TestBucket is missing a "reason"/
+    );
+  });
+
+  test('should count suppressed results and not fail on them', async () => {
+    const failScanner = new Scanner({ failOnSeverity: 'CRITICAL', includeRules: ['CFN_S3_002'] });
+    await failScanner.initialize();
+
+    const template = bucketTemplate({
+      'cfn-security-scanner': { suppress: [{ id: 'CFN_S3_002', reason: 'Public website bucket' }] },
+    });
+
+    failScanner.processResults(await failScanner.ruleEngine.evaluate(template, 'test.yaml'));
+
+    assert.strictEqual(failScanner.getSummary().suppressed, 1);
+    assert.strictEqual(failScanner.shouldFail(), false);
+  });
+});
+
+describe('Parallel scanning', () => {
+  const examplesDir = path.join(__dirname, '../../examples');
+  const summarize = (fileResults) => fileResults.map(f => [
+    f.file,
+    f.results.map(r => `${r.ruleId}:${r.resourceName}:${r.status}`),
+  ]);
+
+  test('should produce the same results in the same order as a serial scan', async () => {
+    const serial = new Scanner({ jobs: 1 });
+    await serial.initialize();
+    const serialResults = await serial.scanDirectory(examplesDir);
+
+    const parallel = new Scanner({ jobs: 2 });
+    await parallel.initialize();
+    const parallelResults = await parallel.scanDirectory(examplesDir);
+
+    assert.deepStrictEqual(summarize(parallelResults), summarize(serialResults));
+    assert.deepStrictEqual(parallel.getSummary(), serial.getSummary());
+    assert.deepStrictEqual(serialResults.map(f => f.file), [...serialResults.map(f => f.file)].sort());
+  });
+
+  test('should fail instead of waiting when a worker exits', async () => {
+    const scanner = new Scanner({
+      jobs: 2,
+      rulesDirs: [path.join(__dirname, '../fixtures/worker-exit')],
+      includeRules: ['TEST_EXIT_001'],
+    });
+    await scanner.initialize();
+
+    await assert.rejects(() => scanner.scanDirectory(examplesDir), /Scan worker exited with code 3/);
+  });
+});